@@ -102,12 +102,54 @@ export const api = {
   getDashboard: () => request('/dashboard'),
 
   // Contacts
-  getContacts: () => request('/contacts'),
+  getContacts: (params = {}) => {
+    const query = new URLSearchParams(params).toString();
+    return request(`/contacts${query ? `?${query}` : ''}`);
+  },
   getContact: (id) => request(`/contacts/${id}`),
+  getContactGiftHistory: (id) => request(`/contacts/${id}/gift-history`),
+  createContactAddress: (id, data) => request(`/contacts/${id}/addresses`, { method: 'POST', body: data }),
+  updateContactAddress: (id, addressId, data) =>
+    request(`/contacts/${id}/addresses/${addressId}`, { method: 'PUT', body: data }),
+  deleteContactAddress: (id, addressId) =>
+    request(`/contacts/${id}/addresses/${addressId}`, { method: 'DELETE' }),
+  getContactIdeas: (id, params = {}) => {
+    const query = new URLSearchParams(params).toString();
+    return request(`/contacts/${id}/ideas${query ? `?${query}` : ''}`);
+  },
+  createContactIdea: (id, data) => request(`/contacts/${id}/ideas`, { method: 'POST', body: data }),
+  updateContactIdea: (id, ideaId, data) =>
+    request(`/contacts/${id}/ideas/${ideaId}`, { method: 'PUT', body: data }),
+  deleteContactIdea: (id, ideaId) =>
+    request(`/contacts/${id}/ideas/${ideaId}`, { method: 'DELETE' }),
+  getContactHolidays: (id) => request(`/contacts/${id}/holidays`),
+  setContactHolidays: (id, holidays) => request(`/contacts/${id}/holidays`, { method: 'PUT', body: { holidays } }),
+  setContactRelationship: (id, relatedId, type) =>
+    request(`/contacts/${id}/relationships/${relatedId}`, { method: 'PUT', body: { type } }),
+  deleteContactRelationship: (id, relatedId) =>
+    request(`/contacts/${id}/relationships/${relatedId}`, { method: 'DELETE' }),
+
   createContact: (data) => request('/contacts', { method: 'POST', body: data }),
   updateContact: (id, data) => request(`/contacts/${id}`, { method: 'PUT', body: data }),
   deleteContact: (id) => request(`/contacts/${id}`, { method: 'DELETE' }),
-  importContacts: (contacts) => request('/contacts/import', { method: 'POST', body: { contacts } }),
+  importContacts: (payload) => request('/contacts/import', { method: 'POST', body: payload }),
+  getDuplicateContacts: () => request('/contacts/duplicates'),
+  mergeContacts: (id, duplicateId) => request(`/contacts/${id}/merge`, { method: 'POST', body: { duplicate_id: duplicateId } }),
+  getContactTags: () => request('/contacts/tags'),
+
+  // Households
+  getHouseholds: () => request('/households'),
+  createHousehold: (data) => request('/households', { method: 'POST', body: data }),
+  updateHousehold: (id, data) => request(`/households/${id}`, { method: 'PUT', body: data }),
+  deleteHousehold: (id) => request(`/households/${id}`, { method: 'DELETE' }),
+
+  // Segments
+  getSegments: () => request('/segments'),
+  previewSegment: (rules, match) => request('/segments/preview', { method: 'POST', body: { rules, match } }),
+  getSegmentContacts: (id) => request(`/segments/${id}/contacts`),
+  createSegment: (data) => request('/segments', { method: 'POST', body: data }),
+  updateSegment: (id, data) => request(`/segments/${id}`, { method: 'PUT', body: data }),
+  deleteSegment: (id) => request(`/segments/${id}`, { method: 'DELETE' }),
 
   // Events
   getEvents: (params = {}) => {
@@ -118,6 +160,12 @@ export const api = {
   createEvent: (data) => request('/events', { method: 'POST', body: data }),
   updateEvent: (id, data) => request(`/events/${id}`, { method: 'PUT', body: data }),
   deleteEvent: (id) => request(`/events/${id}`, { method: 'DELETE' }),
+  startBelated: (id) => request(`/events/${id}/belated`, { method: 'POST' }),
+  setEventRecipients: (id, contactIds) => request(`/events/${id}/recipients`, { method: 'PUT', body: { contact_ids: contactIds } }),
+  importCalendar: (ics, { dryRun = true, exclude = [] } = {}) =>
+    request('/events/import', { method: 'POST', body: { ics, dry_run: dryRun, exclude } }),
+  getCalendarFeed: () => request('/events/calendar-token'),
+  rotateCalendarToken: () => request('/events/calendar-token/rotate', { method: 'POST' }),
 
   // Budgets
   getBudgets: () => request('/budgets'),
@@ -131,13 +179,26 @@ export const api = {
   generateRecommendations: (eventId) =>
     request(`/gifts/recommend/${eventId}`, { method: 'POST' }),
   getEventRecommendations: (eventId) => request(`/gifts/event/${eventId}`),
+  refreshRecommendation: (id) => request(`/gifts/${id}/refresh`, { method: 'POST' }),
+  moreRecommendations: (id, mode) => request(`/gifts/${id}/more`, { method: 'POST', body: { mode } }),
   updateGiftStatus: (id, status) =>
     request(`/gifts/${id}/status`, { method: 'PUT', body: { status } }),
 
+  // Gift catalog
+  getCatalogItems: (params = {}) => {
+    const query = new URLSearchParams(params).toString();
+    return request(`/gifts/catalog${query ? `?${query}` : ''}`);
+  },
+  createCatalogItem: (data) => request('/gifts/catalog', { method: 'POST', body: data }),
+  updateCatalogItem: (id, data) => request(`/gifts/catalog/${id}`, { method: 'PUT', body: data }),
+  deleteCatalogItem: (id) => request(`/gifts/catalog/${id}`, { method: 'DELETE' }),
+  importCatalog: (data) => request('/gifts/catalog/import', { method: 'POST', body: data }),
+
   // Cards
   generateCardMessages: (eventId, tones) =>
     request(`/cards/generate/${eventId}`, { method: 'POST', body: { tones } }),
   getEventCards: (eventId) => request(`/cards/event/${eventId}`),
+  runCardCampaign: (data) => request('/cards/campaign', { method: 'POST', body: data }),
   selectCard: (id) => request(`/cards/${id}/select`, { method: 'PUT' }),
   updateCard: (id, message) => request(`/cards/${id}`, { method: 'PUT', body: { message } }),
 
@@ -154,6 +215,7 @@ export const api = {
   },
   getOrder: (id) => request(`/orders/${id}`),
   updateOrderStatus: (id, data) => request(`/orders/${id}/status`, { method: 'PUT', body: data }),
+  recordOrderReaction: (id, data) => request(`/orders/${id}/reaction`, { method: 'PUT', body: data }),
 
   // Notifications
   getNotifications: (params = {}) => {
@@ -164,11 +226,22 @@ export const api = {
   markRead: (id) => request(`/notifications/${id}/read`, { method: 'PUT' }),
   markAllRead: () => request('/notifications/read-all', { method: 'PUT' }),
 
+  // Event types
+  getEventTypes: () => request('/event-types'),
+  createEventType: (data) => request('/event-types', { method: 'POST', body: data }),
+  updateEventType: (id, data) => request(`/event-types/${id}`, { method: 'PUT', body: data }),
+  deleteEventType: (id) => request(`/event-types/${id}`, { method: 'DELETE' }),
+
+  // Holidays
+  getHolidays: (region) => request(`/holidays${region ? `?region=${region}` : ''}`),
+
   // Settings
   getSettings: () => request('/settings'),
   updateSetting: (key, value) => request(`/settings/${key}`, { method: 'PUT', body: { value } }),
   emergencyStop: (activate) =>
     request('/settings/emergency-stop', { method: 'POST', body: { activate } }),
+  getScoringWeights: () => request('/settings/scoring'),
+  updateScoringWeights: (weights) => request('/settings/scoring', { method: 'PUT', body: { weights } }),
   getAutonomySettings: () => request('/settings/autonomy'),
   setAutonomySetting: (data) => request('/settings/autonomy', { method: 'POST', body: data }),
   updateAutonomySetting: (id, data) =>
@@ -177,6 +250,9 @@ export const api = {
   // Integrations
   getIntegrations: () => request('/integrations'),
   getIntegration: (provider) => request(`/integrations/${provider}`),
+  saveIntegrationCredentials: (provider, credentials) =>
+    request(`/integrations/${provider}`, { method: 'PUT', body: { credentials } }),
+  deleteIntegrationCredentials: (provider) => request(`/integrations/${provider}`, { method: 'DELETE' }),
 
   // Backup
   getBackupStatus: () => request('/backup/status'),
@@ -103,6 +103,7 @@ function ActionBadge({ action }) {
     update_status: 'bg-amber-100 text-amber-700',
     set_override: 'bg-blue-100 text-blue-700',
     set_autonomy: 'bg-amber-100 text-amber-700',
+    merge: 'bg-purple-100 text-purple-700',
     select_message: 'bg-blue-100 text-blue-700',
     cancel_order: 'bg-red-100 text-red-700',
     budget_warning: 'bg-orange-100 text-orange-700',
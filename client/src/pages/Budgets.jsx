@@ -4,6 +4,7 @@ import { api } from '../api';
 export default function Budgets() {
   const [budgets, setBudgets] = useState([]);
   const [contacts, setContacts] = useState([]);
+  const [segments, setSegments] = useState([]);
   const [loading, setLoading] = useState(true);
   const [editingId, setEditingId] = useState(null);
   const [editAmount, setEditAmount] = useState('');
@@ -14,12 +15,14 @@ export default function Budgets() {
 
   async function loadData() {
     try {
-      const [budgetsData, contactsData] = await Promise.all([
+      const [budgetsData, contactsData, segmentsData] = await Promise.all([
         api.getBudgets(),
         api.getContacts(),
+        api.getSegments(),
       ]);
       setBudgets(budgetsData);
       setContacts(contactsData);
+      setSegments(segmentsData.segments);
     } catch (err) {
       console.error('Failed to load budgets:', err);
     } finally {
@@ -39,12 +42,17 @@ export default function Budgets() {
 
   async function handleAddOverride(e) {
     e.preventDefault();
+    // "segment:<id>" applies the override to everyone in the segment
+    const [kind, targetId] = overrideForm.contact_id.startsWith('segment:')
+      ? ['segment_id', overrideForm.contact_id.slice('segment:'.length)]
+      : ['contact_id', overrideForm.contact_id];
     try {
-      await api.setBudgetOverride({
+      const result = await api.setBudgetOverride({
         budget_id: overrideForm.budget_id,
-        contact_id: overrideForm.contact_id,
+        [kind]: targetId,
         amount: parseFloat(overrideForm.amount),
       });
+      if (kind === 'segment_id') alert(`Override set for ${result.count} contact${result.count !== 1 ? 's' : ''}.`);
       setShowOverrideForm(false);
       setOverrideForm({ budget_id: '', contact_id: '', amount: '' });
       loadData();
@@ -76,7 +84,7 @@ export default function Budgets() {
       {showOverrideForm && (
         <form onSubmit={handleAddOverride} className="card mb-6 space-y-4">
           <h2 className="text-lg font-semibold">Add Budget Override</h2>
-          <p className="text-sm text-gray-500">Set a custom budget for a specific contact and event category.</p>
+          <p className="text-sm text-gray-500">Set a custom budget for a specific contact, or everyone currently in a segment, and event category.</p>
           <div className="grid md:grid-cols-3 gap-4">
             <div>
               <label className="label">Category</label>
@@ -87,11 +95,16 @@ export default function Budgets() {
               </select>
             </div>
             <div>
-              <label className="label">Contact</label>
+              <label className="label">Contact or segment</label>
               <select className="input" value={overrideForm.contact_id}
                 onChange={e => setOverrideForm({...overrideForm, contact_id: e.target.value})} required>
                 <option value="">Select...</option>
                 {contacts.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                {segments.length > 0 && (
+                  <optgroup label="Segments">
+                    {segments.map(s => <option key={s.id} value={`segment:${s.id}`}>{s.name} ({s.contact_count})</option>)}
+                  </optgroup>
+                )}
               </select>
             </div>
             <div>
@@ -0,0 +1,261 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { api } from '../api';
+
+const emptyItem = {
+  sku: '', name: '', category: 'birthday', price: '', retailer: '', description: '', tags: '', url: '', image_url: '',
+};
+
+export default function Catalog() {
+  const [items, setItems] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filter, setFilter] = useState({ category: '', q: '', active: 'true' });
+  const [form, setForm] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [showImport, setShowImport] = useState(false);
+  const [feed, setFeed] = useState(null);
+  const [importPreview, setImportPreview] = useState(null);
+  const [importResult, setImportResult] = useState(null);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => { loadItems(); }, [filter]);
+  useEffect(() => {
+    api.getEventTypes()
+      .then(data => setCategories(data.catalog_categories.filter(c => c !== 'other')))
+      .catch(err => console.error('Failed to load categories:', err));
+  }, []);
+
+  async function loadItems() {
+    try {
+      const params = Object.fromEntries(Object.entries(filter).filter(([, v]) => v));
+      setItems(await api.getCatalogItems(params));
+    } catch (err) {
+      console.error('Failed to load catalog:', err);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function openForm(item = null) {
+    setEditingId(item ? item.id : null);
+    setForm(item
+      ? { ...emptyItem, ...item, price: String(item.price), tags: item.tags.join(', '), url: item.url || '', image_url: item.image_url || '' }
+      : { ...emptyItem });
+  }
+
+  async function handleSave(e) {
+    e.preventDefault();
+    const data = {
+      sku: form.sku,
+      name: form.name,
+      category: form.category,
+      price: parseFloat(form.price),
+      retailer: form.retailer,
+      description: form.description,
+      tags: form.tags.split(',').map(t => t.trim()).filter(Boolean),
+      url: form.url || null,
+      image_url: form.image_url || null,
+    };
+    try {
+      if (editingId) await api.updateCatalogItem(editingId, data);
+      else await api.createCatalogItem(data);
+      setForm(null);
+      loadItems();
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  async function toggleActive(item) {
+    try {
+      await api.updateCatalogItem(item.id, { active: !item.active });
+      loadItems();
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  async function handleDelete(item) {
+    if (!confirm(`Delete "${item.name}" from the catalog? Switching it off keeps it for price checks on past recommendations.`)) return;
+    try {
+      await api.deleteCatalogItem(item.id);
+      loadItems();
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  // Preview the feed first; nothing changes until confirmed
+  async function handleFeedFile(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    setImportResult(null);
+    try {
+      const data = await file.text();
+      const format = file.name.endsWith('.json') ? 'json' : 'csv';
+      setImportPreview(await api.importCatalog({ format, data, dry_run: true }));
+      setFeed({ format, data });
+    } catch (err) {
+      alert(err.message);
+    }
+    if (fileInputRef.current) fileInputRef.current.value = '';
+  }
+
+  async function handleConfirmImport() {
+    try {
+      setImportResult(await api.importCatalog({ ...feed, dry_run: false }));
+      setImportPreview(null);
+      setFeed(null);
+      loadItems();
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  if (loading) return <div className="flex justify-center py-20"><div className="w-8 h-8 border-4 border-primary-200 border-t-primary-600 rounded-full animate-spin" /></div>;
+
+  return (
+    <div className="max-w-5xl mx-auto">
+      <div className="flex items-center justify-between mb-6">
+        <h1 className="text-2xl font-bold">Gift Catalog</h1>
+        <div className="flex gap-2">
+          <button onClick={() => { setShowImport(!showImport); setImportPreview(null); setImportResult(null); }} className="btn-secondary">
+            {showImport ? 'Cancel' : 'Import Feed'}
+          </button>
+          <button onClick={() => (form ? setForm(null) : openForm())} className="btn-primary">
+            {form ? 'Cancel' : '+ Add Item'}
+          </button>
+        </div>
+      </div>
+
+      {showImport && (
+        <div className="card mb-6 space-y-4">
+          <h2 className="text-lg font-semibold">Import Product Feed</h2>
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Upload a CSV with a header row (<span className="font-mono text-xs">sku, name, category, price, retailer, description, tags, url, image_url, active</span>;
+            separate tags with <span className="font-mono text-xs">;</span>) or a JSON array of products. Items are matched by SKU: new SKUs are added and
+            existing ones updated.
+          </p>
+          <input ref={fileInputRef} type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFeedFile} className="input" />
+
+          {importPreview && (
+            <div className="space-y-3 text-sm">
+              <p>
+                {importPreview.summary.created} new and {importPreview.summary.updated} updated
+                of {importPreview.summary.total} product{importPreview.summary.total !== 1 ? 's' : ''}
+                {importPreview.summary.invalid > 0 && `; ${importPreview.summary.invalid} with errors will be skipped`}.
+              </p>
+              {importPreview.errors.length > 0 && (
+                <ul className="max-h-48 overflow-y-auto space-y-1">
+                  {importPreview.errors.map(err => (
+                    <li key={err.row} className="text-red-600 dark:text-red-400">Row {err.row}{err.sku && ` (${err.sku})`}: {err.error}</li>
+                  ))}
+                </ul>
+              )}
+              <button onClick={handleConfirmImport} className="btn-primary"
+                disabled={importPreview.summary.created + importPreview.summary.updated === 0}>
+                Import {importPreview.summary.created + importPreview.summary.updated} Product{importPreview.summary.created + importPreview.summary.updated !== 1 ? 's' : ''}
+              </button>
+            </div>
+          )}
+
+          {importResult && (
+            <p className="text-sm text-green-700 dark:text-green-400">
+              Added {importResult.summary.created} and updated {importResult.summary.updated} product{importResult.summary.updated !== 1 ? 's' : ''}.
+              {importResult.summary.invalid > 0 && ` ${importResult.summary.invalid} skipped.`}
+            </p>
+          )}
+        </div>
+      )}
+
+      {form && (
+        <form onSubmit={handleSave} className="card mb-6 space-y-4">
+          <h2 className="text-lg font-semibold">{editingId ? 'Edit Item' : 'New Item'}</h2>
+          <div className="grid md:grid-cols-3 gap-4">
+            <div>
+              <label className="label">SKU *</label>
+              <input className="input" value={form.sku} onChange={e => setForm({ ...form, sku: e.target.value })} required />
+            </div>
+            <div className="md:col-span-2">
+              <label className="label">Name *</label>
+              <input className="input" value={form.name} onChange={e => setForm({ ...form, name: e.target.value })} required />
+            </div>
+            <div>
+              <label className="label">Category *</label>
+              <select className="input" value={form.category} onChange={e => setForm({ ...form, category: e.target.value })}>
+                {categories.map(c => <option key={c} value={c}>{c.replace('_', ' ')}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="label">Price ($) *</label>
+              <input className="input" type="number" min="0" step="0.01" value={form.price}
+                onChange={e => setForm({ ...form, price: e.target.value })} required />
+            </div>
+            <div>
+              <label className="label">Retailer *</label>
+              <input className="input" value={form.retailer} onChange={e => setForm({ ...form, retailer: e.target.value })} required />
+            </div>
+            <div className="md:col-span-3">
+              <label className="label">Description</label>
+              <input className="input" value={form.description} onChange={e => setForm({ ...form, description: e.target.value })} />
+            </div>
+            <div>
+              <label className="label">Tags</label>
+              <input className="input" value={form.tags} placeholder="home, coffee" onChange={e => setForm({ ...form, tags: e.target.value })} />
+            </div>
+            <div>
+              <label className="label">Product URL</label>
+              <input className="input" type="url" value={form.url} onChange={e => setForm({ ...form, url: e.target.value })} />
+            </div>
+            <div>
+              <label className="label">Image URL</label>
+              <input className="input" type="url" value={form.image_url} onChange={e => setForm({ ...form, image_url: e.target.value })} />
+            </div>
+          </div>
+          <button type="submit" className="btn-primary">{editingId ? 'Save Item' : 'Add Item'}</button>
+        </form>
+      )}
+
+      <div className="flex flex-wrap gap-3 mb-4">
+        <select className="input w-auto" value={filter.category} onChange={e => setFilter({ ...filter, category: e.target.value })}>
+          <option value="">All categories</option>
+          {categories.map(c => <option key={c} value={c}>{c.replace('_', ' ')}</option>)}
+        </select>
+        <select className="input w-auto" value={filter.active} onChange={e => setFilter({ ...filter, active: e.target.value })}>
+          <option value="true">Active</option>
+          <option value="false">Switched off</option>
+          <option value="">All items</option>
+        </select>
+        <input className="input w-auto" placeholder="Search" value={filter.q} onChange={e => setFilter({ ...filter, q: e.target.value })} />
+      </div>
+
+      {items.length === 0 ? (
+        <div className="card text-center py-12">
+          <p className="text-gray-500 dark:text-gray-400">No catalog items match.</p>
+        </div>
+      ) : (
+        <div className="card divide-y divide-gray-100 dark:divide-gray-700">
+          {items.map(item => (
+            <div key={item.id} className={`py-3 flex flex-wrap items-center justify-between gap-3 ${item.active ? '' : 'opacity-60'}`}>
+              <div className="min-w-0 flex-1">
+                <p className="font-medium">
+                  {item.url ? <a href={item.url} target="_blank" rel="noopener noreferrer" className="hover:text-primary-600">{item.name}</a> : item.name}
+                  <span className="text-xs text-gray-400 ml-2 font-mono">{item.sku}</span>
+                </p>
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  <span className="capitalize">{item.category.replace('_', ' ')}</span> &middot; {item.retailer} &middot; ${item.price.toFixed(2)}
+                  {item.tags.length > 0 && <> &middot; {item.tags.join(', ')}</>}
+                </p>
+              </div>
+              <div className="flex gap-2">
+                <button onClick={() => toggleActive(item)} className="btn-secondary text-xs">{item.active ? 'Switch Off' : 'Switch On'}</button>
+                <button onClick={() => openForm(item)} className="btn-secondary text-xs">Edit</button>
+                <button onClick={() => handleDelete(item)} className="btn-danger text-xs">Delete</button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -2,23 +2,413 @@ import React, { useState, useEffect } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
 import { api } from '../api';
 
+const ORDER_STATUS_COLORS = {
+  pending: 'bg-gray-100 text-gray-700',
+  ordered: 'bg-blue-100 text-blue-700',
+  shipped: 'bg-purple-100 text-purple-700',
+  delivered: 'bg-green-100 text-green-700',
+  issue: 'bg-red-100 text-red-700',
+  cancelled: 'bg-gray-100 text-gray-500',
+};
+
+const REACTION_LABELS = { loved: 'loved it', neutral: 'neutral', returned: 'returned' };
+
+const EMPTY_ADDRESS = {
+  label: '', recipient_name: '', line1: '', line2: '', city: '', region: '', postal_code: '', country: 'US', is_default: false,
+};
+
+// One-line postal address for display
+function formatAddress(a) {
+  return [a.recipient_name, a.line1, a.line2, a.city, [a.region, a.postal_code].filter(Boolean).join(' '), a.country]
+    .filter(Boolean).join(', ');
+}
+
+// Contact dates imported without a year are stored with 1604 in its place
+function formatContactDate(date) {
+  if (!date) return 'Not set';
+  const yearUnknown = date.startsWith('1604-');
+  return new Date(date + 'T00:00').toLocaleDateString(undefined, yearUnknown
+    ? { month: 'long', day: 'numeric' }
+    : undefined) + (yearUnknown ? ' (year unknown)' : '');
+}
+
+const RELATIONSHIP_LABELS = {
+  spouse: 'Spouse', partner: 'Partner', parent: 'Parent', child: 'Child', sibling: 'Sibling',
+  grandparent: 'Grandparent', grandchild: 'Grandchild', in_law: 'In-law', other: 'Other',
+};
+
+const IDEA_KIND_LABELS = { idea: 'Idea', link: 'Link', mentioned: 'Mentioned wanting' };
+
+const EMPTY_IDEA = { title: '', url: '', kind: 'idea', price: '', retailer: '', notes: '' };
+
+// Gift ideas noted through the year. Open ideas are offered first when gifts
+// are recommended for this contact, and are marked used once ordered.
+function GiftIdeasCard({ contactId }) {
+  const [ideas, setIdeas] = useState([]);
+  const [ideaForm, setIdeaForm] = useState(null);
+
+  useEffect(() => { loadIdeas(); }, [contactId]);
+
+  async function loadIdeas() {
+    try {
+      setIdeas(await api.getContactIdeas(contactId));
+    } catch (err) {
+      console.error('Failed to load gift ideas:', err);
+    }
+  }
+
+  async function handleAddIdea(e) {
+    e.preventDefault();
+    try {
+      await api.createContactIdea(contactId, {
+        ...ideaForm,
+        price: ideaForm.price === '' ? null : parseFloat(ideaForm.price),
+      });
+      setIdeaForm(null);
+      loadIdeas();
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  async function setIdeaStatus(idea, status) {
+    try {
+      await api.updateContactIdea(contactId, idea.id, { status });
+      loadIdeas();
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  async function handleDeleteIdea(idea) {
+    if (!confirm(`Delete the idea "${idea.title}"?`)) return;
+    try {
+      await api.deleteContactIdea(contactId, idea.id);
+      loadIdeas();
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  return (
+    <div className="card mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold">Gift Ideas</h2>
+        {!ideaForm && (
+          <button onClick={() => setIdeaForm({ ...EMPTY_IDEA })} className="btn-primary text-sm">+ Add Idea</button>
+        )}
+      </div>
+
+      {ideaForm && (
+        <form onSubmit={handleAddIdea} className="bg-gray-50 dark:bg-gray-700/50 rounded-lg p-4 mb-4 space-y-3">
+          <div className="grid md:grid-cols-2 gap-3">
+            <div>
+              <label className="label">Idea</label>
+              <input className="input" placeholder="Pottery class, that blue scarf..." value={ideaForm.title}
+                onChange={e => setIdeaForm({ ...ideaForm, title: e.target.value })} />
+            </div>
+            <div>
+              <label className="label">Link</label>
+              <input className="input" type="url" placeholder="https://..." value={ideaForm.url}
+                onChange={e => setIdeaForm({ ...ideaForm, url: e.target.value, kind: e.target.value && ideaForm.kind === 'idea' ? 'link' : ideaForm.kind })} />
+            </div>
+            <div>
+              <label className="label">Kind</label>
+              <select className="input" value={ideaForm.kind}
+                onChange={e => setIdeaForm({ ...ideaForm, kind: e.target.value })}>
+                {Object.entries(IDEA_KIND_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="label">Price ($)</label>
+              <input className="input" type="number" min="0" step="0.01" value={ideaForm.price}
+                onChange={e => setIdeaForm({ ...ideaForm, price: e.target.value })} />
+            </div>
+            <div>
+              <label className="label">Retailer</label>
+              <input className="input" value={ideaForm.retailer}
+                onChange={e => setIdeaForm({ ...ideaForm, retailer: e.target.value })} />
+            </div>
+            <div>
+              <label className="label">Notes</label>
+              <input className="input" value={ideaForm.notes}
+                onChange={e => setIdeaForm({ ...ideaForm, notes: e.target.value })} />
+            </div>
+          </div>
+          <div className="flex gap-2">
+            <button type="submit" disabled={!ideaForm.title && !ideaForm.url} className="btn-primary text-sm">Add Idea</button>
+            <button type="button" onClick={() => setIdeaForm(null)} className="btn-secondary text-sm">Cancel</button>
+          </div>
+        </form>
+      )}
+
+      {ideas.length === 0 && !ideaForm ? (
+        <p className="text-gray-500 dark:text-gray-400 text-sm">
+          No gift ideas yet. Note anything mentioned in passing and it is suggested first when the next gift comes up.
+        </p>
+      ) : (
+        <div className="space-y-2">
+          {ideas.map(idea => (
+            <div key={idea.id}
+              className={`flex items-center justify-between p-3 bg-gray-50 dark:bg-gray-700/50 rounded-lg ${idea.status === 'open' ? '' : 'opacity-60'}`}>
+              <div className="min-w-0">
+                <div className="flex items-center gap-2 flex-wrap">
+                  {idea.url ? (
+                    <a href={idea.url} target="_blank" rel="noopener noreferrer" className="font-medium text-primary-600 hover:text-primary-700">{idea.title}</a>
+                  ) : (
+                    <span className="font-medium">{idea.title}</span>
+                  )}
+                  <span className="badge bg-amber-100 text-amber-700 dark:bg-amber-900/30 dark:text-amber-400">{IDEA_KIND_LABELS[idea.kind]}</span>
+                  {idea.status === 'used' && (
+                    <span className="badge bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400">Used</span>
+                  )}
+                  {idea.status === 'dismissed' && (
+                    <span className="badge bg-gray-200 text-gray-600 dark:bg-gray-600 dark:text-gray-300">Dismissed</span>
+                  )}
+                </div>
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  {[idea.price !== null && `$${idea.price.toFixed(2)}`, idea.retailer, idea.notes,
+                    `noted ${new Date(idea.created_at.slice(0, 10) + 'T00:00').toLocaleDateString()}`].filter(Boolean).join(' · ')}
+                </p>
+              </div>
+              <div className="flex gap-3 flex-shrink-0 ml-3 text-sm">
+                {idea.status === 'open' && (
+                  <button onClick={() => setIdeaStatus(idea, 'dismissed')} className="text-primary-600 hover:text-primary-700">Dismiss</button>
+                )}
+                {idea.status === 'dismissed' && (
+                  <button onClick={() => setIdeaStatus(idea, 'open')} className="text-primary-600 hover:text-primary-700">Reopen</button>
+                )}
+                <button onClick={() => handleDeleteIdea(idea)} className="text-red-600 hover:text-red-700">Delete</button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Relatives and household. Relatives link to their own pages, so the family
+// can be browsed from contact to contact.
+function FamilyCard({ contact, onChange }) {
+  const [contacts, setContacts] = useState([]);
+  const [households, setHouseholds] = useState([]);
+  const [relativeForm, setRelativeForm] = useState(null);
+  const [householdForm, setHouseholdForm] = useState(null);
+  const household = contact.household;
+
+  async function loadOptions() {
+    const [contactsData, householdsData] = await Promise.all([api.getContacts(), api.getHouseholds()]);
+    setContacts(contactsData.filter(c => c.id !== contact.id));
+    setHouseholds(householdsData);
+    return householdsData;
+  }
+
+  async function openRelativeForm() {
+    try {
+      await loadOptions();
+      setRelativeForm({ related_id: '', type: 'spouse' });
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  async function handleSaveRelative(e) {
+    e.preventDefault();
+    try {
+      await api.setContactRelationship(contact.id, relativeForm.related_id, relativeForm.type);
+      setRelativeForm(null);
+      onChange();
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  async function handleRemoveRelative(relative) {
+    if (!confirm(`Remove the link between ${contact.name} and ${relative.name}?`)) return;
+    try {
+      await api.deleteContactRelationship(contact.id, relative.contact_id);
+      onChange();
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  async function openHouseholdForm() {
+    try {
+      const existing = await loadOptions();
+      setHouseholdForm({ household_id: existing[0]?.id || 'new', name: `${contact.name}'s household` });
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  async function handleJoinHousehold(e) {
+    e.preventDefault();
+    try {
+      if (householdForm.household_id === 'new') {
+        await api.createHousehold({ name: householdForm.name, member_ids: [contact.id] });
+      } else {
+        const joining = households.find(h => h.id === householdForm.household_id);
+        await api.updateHousehold(joining.id, { member_ids: [...joining.members.map(m => m.id), contact.id] });
+      }
+      setHouseholdForm(null);
+      onChange();
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  async function updateHousehold(changes) {
+    try {
+      await api.updateHousehold(household.id, changes);
+      onChange();
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  async function handleLeaveHousehold() {
+    if (!confirm(`Remove ${contact.name} from ${household.name}?`)) return;
+    updateHousehold({ member_ids: household.members.filter(m => m.id !== contact.id).map(m => m.id) });
+  }
+
+  return (
+    <div className="card mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold">Family &amp; Household</h2>
+        {!relativeForm && <button onClick={openRelativeForm} className="btn-secondary text-sm">+ Add Relative</button>}
+      </div>
+
+      {relativeForm && (
+        <form onSubmit={handleSaveRelative} className="flex flex-wrap items-end gap-2 mb-4">
+          <div>
+            <label className="label">Contact</label>
+            <select className="input" value={relativeForm.related_id} required
+              onChange={e => setRelativeForm({ ...relativeForm, related_id: e.target.value })}>
+              <option value="">Select contact...</option>
+              {contacts.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="label">is {contact.name}'s</label>
+            <select className="input" value={relativeForm.type}
+              onChange={e => setRelativeForm({ ...relativeForm, type: e.target.value })}>
+              {Object.entries(RELATIONSHIP_LABELS).map(([type, label]) => <option key={type} value={type}>{label.toLowerCase()}</option>)}
+            </select>
+          </div>
+          <button type="submit" className="btn-primary text-sm">Save</button>
+          <button type="button" onClick={() => setRelativeForm(null)} className="btn-secondary text-sm">Cancel</button>
+        </form>
+      )}
+
+      {contact.relationships?.length > 0 ? (
+        <div className="flex flex-wrap gap-2 mb-4">
+          {contact.relationships.map(relative => (
+            <span key={relative.contact_id} className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-gray-50 dark:bg-gray-700/50 text-sm">
+              <Link to={`/contacts/${relative.contact_id}`} className="font-medium text-primary-600 hover:text-primary-700">{relative.name}</Link>
+              <span className="text-gray-500 dark:text-gray-400">{RELATIONSHIP_LABELS[relative.type]}</span>
+              <button onClick={() => handleRemoveRelative(relative)} className="text-gray-400 hover:text-red-600" title="Remove">&times;</button>
+            </span>
+          ))}
+        </div>
+      ) : !relativeForm && (
+        <p className="text-gray-500 dark:text-gray-400 text-sm mb-4">No relatives linked yet.</p>
+      )}
+
+      <div className="border-t border-gray-100 dark:border-gray-700 pt-4">
+        {household ? (
+          <div className="space-y-3">
+            <div className="flex items-center justify-between">
+              <p className="text-sm">
+                <span className="font-medium">{household.name}</span>
+                {household.members.length > 1 && <span className="text-gray-500 dark:text-gray-400"> with </span>}
+                {household.members.filter(m => m.id !== contact.id).map((m, i) => (
+                  <React.Fragment key={m.id}>
+                    {i > 0 && ', '}
+                    <Link to={`/contacts/${m.id}`} className="text-primary-600 hover:text-primary-700">{m.name}</Link>
+                  </React.Fragment>
+                ))}
+              </p>
+              <button onClick={handleLeaveHousehold} className="text-xs text-red-600 hover:text-red-700">Leave household</button>
+            </div>
+            <div>
+              <label className="label">Shared address</label>
+              <select className="input" value={household.address_id || ''}
+                onChange={e => updateHousehold({ address_id: e.target.value || null })}>
+                <option value="">None (each member uses their own)</option>
+                {household.addresses.map(a => (
+                  <option key={a.id} value={a.id}>{a.contact_name}: {formatAddress(a)}</option>
+                ))}
+              </select>
+            </div>
+            <label className="flex items-center gap-2 text-sm cursor-pointer">
+              <input type="checkbox" className="w-4 h-4 text-primary-600 rounded" checked={household.combine_holidays}
+                onChange={e => updateHousehold({ combine_holidays: e.target.checked })} />
+              One holiday gift per household (members share each holiday event)
+            </label>
+          </div>
+        ) : householdForm ? (
+          <form onSubmit={handleJoinHousehold} className="flex flex-wrap items-end gap-2">
+            <div>
+              <label className="label">Household</label>
+              <select className="input" value={householdForm.household_id}
+                onChange={e => setHouseholdForm({ ...householdForm, household_id: e.target.value })}>
+                {households.map(h => <option key={h.id} value={h.id}>{h.name}</option>)}
+                <option value="new">New household...</option>
+              </select>
+            </div>
+            {householdForm.household_id === 'new' && (
+              <div>
+                <label className="label">Name</label>
+                <input className="input" value={householdForm.name} required
+                  onChange={e => setHouseholdForm({ ...householdForm, name: e.target.value })} />
+              </div>
+            )}
+            <button type="submit" className="btn-primary text-sm">Add</button>
+            <button type="button" onClick={() => setHouseholdForm(null)} className="btn-secondary text-sm">Cancel</button>
+          </form>
+        ) : (
+          <div className="flex items-center justify-between">
+            <p className="text-gray-500 dark:text-gray-400 text-sm">Not part of a household.</p>
+            <button onClick={openHouseholdForm} className="btn-secondary text-sm">Add to Household</button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
 export default function ContactDetail() {
   const { id } = useParams();
   const navigate = useNavigate();
   const [contact, setContact] = useState(null);
+  const [history, setHistory] = useState(null);
   const [editing, setEditing] = useState(false);
   const [form, setForm] = useState({});
   const [loading, setLoading] = useState(true);
+  const [addressForm, setAddressForm] = useState(null);
+  const [editingAddressId, setEditingAddressId] = useState(null);
+  const [holidays, setHolidays] = useState([]);
+  const [holidaySelection, setHolidaySelection] = useState(null);
 
   useEffect(() => { loadContact(); }, [id]);
 
   async function loadContact() {
     try {
-      const data = await api.getContact(id);
-      setContact(data);
+      const [data, historyData, holidayData] = await Promise.all([
+        api.getContact(id),
+        api.getContactGiftHistory(id),
+        api.getContactHolidays(id),
+      ]);
+      setContact({ ...data, holidays: holidayData });
+      setHistory(historyData);
       setForm({
         ...data,
         default_gifts: data.default_gifts || { card: true, gift: false, flowers: false },
+        tag_input: (data.tags || []).join(', '),
       });
     } catch (err) {
       console.error('Failed to load contact:', err);
@@ -41,6 +431,7 @@ export default function ContactDetail() {
         preferences: form.preferences,
         constraints: form.constraints,
         notes: form.notes,
+        tags: form.tag_input.split(',').map(t => t.trim()).filter(Boolean),
       });
       setEditing(false);
       loadContact();
@@ -59,6 +450,79 @@ export default function ContactDetail() {
     }
   }
 
+  function openAddressForm(address = null) {
+    setEditingAddressId(address ? address.id : null);
+    setAddressForm(address
+      ? Object.fromEntries(Object.keys(EMPTY_ADDRESS).map(k => [k, k === 'is_default' ? !!address[k] : (address[k] || '')]))
+      : { ...EMPTY_ADDRESS, recipient_name: contact.name });
+  }
+
+  async function handleSaveAddress(e) {
+    e.preventDefault();
+    try {
+      if (editingAddressId) {
+        await api.updateContactAddress(id, editingAddressId, addressForm);
+      } else {
+        await api.createContactAddress(id, addressForm);
+      }
+      setAddressForm(null);
+      setEditingAddressId(null);
+      loadContact();
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  async function handleDeleteAddress(address) {
+    if (!confirm(`Delete the address ${formatAddress(address)}?`)) return;
+    try {
+      await api.deleteContactAddress(id, address.id);
+      loadContact();
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  async function handleMakeDefault(address) {
+    try {
+      await api.updateContactAddress(id, address.id, { is_default: true });
+      loadContact();
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  // Offer the configured region's holidays plus any the contact already has
+  async function openHolidayPicker() {
+    try {
+      const data = await api.getHolidays();
+      const selected = contact.holidays.map(h => h.id);
+      setHolidays([...data.holidays, ...contact.holidays.filter(h => !data.holidays.some(d => d.id === h.id))]);
+      setHolidaySelection(selected);
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  function toggleHoliday(holidayId) {
+    setHolidaySelection(holidaySelection.includes(holidayId)
+      ? holidaySelection.filter(h => h !== holidayId)
+      : [...holidaySelection, holidayId]);
+  }
+
+  async function handleSaveHolidays() {
+    try {
+      const result = await api.setContactHolidays(id, holidaySelection);
+      if (result.unavailable.length > 0) {
+        alert(`No upcoming date is known yet for: ${result.unavailable.join(', ')}`);
+      }
+      setHolidaySelection(null);
+      loadContact();
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
   if (loading) return <div className="flex justify-center py-20"><div className="w-8 h-8 border-4 border-primary-200 border-t-primary-600 rounded-full animate-spin" /></div>;
   if (!contact) return <div className="text-center py-12 text-gray-500 dark:text-gray-400">Contact not found</div>;
 
@@ -116,7 +580,7 @@ export default function ContactDetail() {
             {editing ? (
               <input className="input" type="date" value={form.birthday || ''} onChange={e => setForm({...form, birthday: e.target.value})} />
             ) : (
-              <p className="text-gray-700 dark:text-gray-300">{contact.birthday ? new Date(contact.birthday + 'T00:00').toLocaleDateString() : 'Not set'}</p>
+              <p className="text-gray-700 dark:text-gray-300">{formatContactDate(contact.birthday)}</p>
             )}
           </div>
           <div>
@@ -124,7 +588,7 @@ export default function ContactDetail() {
             {editing ? (
               <input className="input" type="date" value={form.anniversary || ''} onChange={e => setForm({...form, anniversary: e.target.value})} />
             ) : (
-              <p className="text-gray-700 dark:text-gray-300">{contact.anniversary ? new Date(contact.anniversary + 'T00:00').toLocaleDateString() : 'Not set'}</p>
+              <p className="text-gray-700 dark:text-gray-300">{formatContactDate(contact.anniversary)}</p>
             )}
           </div>
           <div>
@@ -207,6 +671,36 @@ export default function ContactDetail() {
           </div>
         )}
 
+        {!editing && (contact.preferences?.liked_tags?.length > 0 || contact.preferences?.disliked_tags?.length > 0) && (
+          <div className="mt-4">
+            <label className="label">From past reactions</label>
+            <div className="flex flex-wrap gap-2">
+              {(contact.preferences.liked_tags || []).map(t => (
+                <span key={t} className="badge bg-green-50 text-green-700 dark:bg-green-900/30 dark:text-green-400">+ {t}</span>
+              ))}
+              {(contact.preferences.disliked_tags || []).map(t => (
+                <span key={t} className="badge bg-red-50 text-red-700 dark:bg-red-900/30 dark:text-red-400">&minus; {t}</span>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {(editing || contact.tags?.length > 0) && (
+          <div className="mt-4">
+            <label className="label">Tags</label>
+            {editing ? (
+              <input className="input" value={form.tag_input} placeholder="close friends, book club"
+                onChange={e => setForm({...form, tag_input: e.target.value})} />
+            ) : (
+              <div className="flex flex-wrap gap-2">
+                {contact.tags.map(t => (
+                  <span key={t} className="badge bg-primary-50 text-primary-700 dark:bg-primary-900/30 dark:text-primary-400">#{t}</span>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
         <div className="mt-4">
           <label className="label">Notes</label>
           {editing ? (
@@ -217,6 +711,149 @@ export default function ContactDetail() {
         </div>
       </div>
 
+      {/* Addresses */}
+      <div className="card mb-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold">Shipping Addresses</h2>
+          {!addressForm && (
+            <button onClick={() => openAddressForm()} className="btn-primary text-sm">+ Add Address</button>
+          )}
+        </div>
+
+        {addressForm && (
+          <form onSubmit={handleSaveAddress} className="bg-gray-50 dark:bg-gray-700/50 rounded-lg p-4 mb-4 space-y-3">
+            <div className="grid md:grid-cols-2 gap-3">
+              <div>
+                <label className="label">Label</label>
+                <input className="input" placeholder="Home, Work..." value={addressForm.label}
+                  onChange={e => setAddressForm({ ...addressForm, label: e.target.value })} />
+              </div>
+              <div>
+                <label className="label">Recipient name</label>
+                <input className="input" value={addressForm.recipient_name}
+                  onChange={e => setAddressForm({ ...addressForm, recipient_name: e.target.value })} />
+              </div>
+              <div className="md:col-span-2">
+                <label className="label">Address line 1 *</label>
+                <input className="input" required value={addressForm.line1}
+                  onChange={e => setAddressForm({ ...addressForm, line1: e.target.value })} />
+              </div>
+              <div className="md:col-span-2">
+                <label className="label">Address line 2</label>
+                <input className="input" value={addressForm.line2}
+                  onChange={e => setAddressForm({ ...addressForm, line2: e.target.value })} />
+              </div>
+              <div>
+                <label className="label">City *</label>
+                <input className="input" required value={addressForm.city}
+                  onChange={e => setAddressForm({ ...addressForm, city: e.target.value })} />
+              </div>
+              <div>
+                <label className="label">State / Province / Region</label>
+                <input className="input" value={addressForm.region}
+                  onChange={e => setAddressForm({ ...addressForm, region: e.target.value })} />
+              </div>
+              <div>
+                <label className="label">Postal code *</label>
+                <input className="input" required value={addressForm.postal_code}
+                  onChange={e => setAddressForm({ ...addressForm, postal_code: e.target.value })} />
+              </div>
+              <div>
+                <label className="label">Country (2-letter code) *</label>
+                <input className="input uppercase" required maxLength={2} value={addressForm.country}
+                  onChange={e => setAddressForm({ ...addressForm, country: e.target.value })} />
+              </div>
+            </div>
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input type="checkbox" checked={addressForm.is_default}
+                onChange={e => setAddressForm({ ...addressForm, is_default: e.target.checked })}
+                className="w-4 h-4 text-primary-600 rounded" />
+              <span className="text-sm">Default shipping address</span>
+            </label>
+            <div className="flex gap-2">
+              <button type="submit" className="btn-primary text-sm">{editingAddressId ? 'Save Address' : 'Add Address'}</button>
+              <button type="button" onClick={() => { setAddressForm(null); setEditingAddressId(null); }} className="btn-secondary text-sm">Cancel</button>
+            </div>
+          </form>
+        )}
+
+        {contact.addresses?.length === 0 && !addressForm ? (
+          <p className="text-gray-500 dark:text-gray-400 text-sm">No shipping addresses. Orders need one to know where to ship.</p>
+        ) : (
+          <div className="space-y-2">
+            {contact.addresses?.map(address => (
+              <div key={address.id} className="flex items-center justify-between p-3 bg-gray-50 dark:bg-gray-700/50 rounded-lg">
+                <div>
+                  {address.label && <span className="font-medium mr-2">{address.label}</span>}
+                  {address.is_default ? (
+                    <span className="badge bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400">Default</span>
+                  ) : null}
+                  <p className="text-sm text-gray-600 dark:text-gray-300">{formatAddress(address)}</p>
+                </div>
+                <div className="flex gap-3 flex-shrink-0 ml-3 text-sm">
+                  {!address.is_default && (
+                    <button onClick={() => handleMakeDefault(address)} className="text-primary-600 hover:text-primary-700">Make default</button>
+                  )}
+                  <button onClick={() => openAddressForm(address)} className="text-primary-600 hover:text-primary-700">Edit</button>
+                  <button onClick={() => handleDeleteAddress(address)} className="text-red-600 hover:text-red-700">Delete</button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <GiftIdeasCard contactId={id} />
+
+      <FamilyCard contact={contact} onChange={loadContact} />
+
+      {/* Holidays */}
+      <div className="card mb-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold">Holidays</h2>
+          {!holidaySelection && (
+            <button onClick={openHolidayPicker} className="btn-secondary text-sm">Choose Holidays</button>
+          )}
+        </div>
+
+        {holidaySelection ? (
+          <div className="space-y-3">
+            <div className="grid sm:grid-cols-2 gap-2">
+              {holidays.map(holiday => (
+                <label key={holiday.id} className="flex items-center gap-2 cursor-pointer text-sm">
+                  <input type="checkbox" checked={holidaySelection.includes(holiday.id)}
+                    onChange={() => toggleHoliday(holiday.id)} className="w-4 h-4 text-primary-600 rounded" />
+                  <span>
+                    {holiday.name}
+                    {holiday.regions && <span className="text-gray-400"> ({holiday.regions.join('/')})</span>}
+                    {holiday.next_date && (
+                      <span className="text-gray-500 dark:text-gray-400"> &middot; {new Date(holiday.next_date).toLocaleDateString()}</span>
+                    )}
+                  </span>
+                </label>
+              ))}
+            </div>
+            <div className="flex gap-2">
+              <button onClick={handleSaveHolidays} className="btn-primary text-sm">Save Holidays</button>
+              <button onClick={() => setHolidaySelection(null)} className="btn-secondary text-sm">Cancel</button>
+            </div>
+          </div>
+        ) : contact.holidays?.length === 0 ? (
+          <p className="text-gray-500 dark:text-gray-400 text-sm">
+            No holidays chosen. Pick holidays like Mother's Day or Diwali and an event is created for each year automatically.
+          </p>
+        ) : (
+          <div className="flex flex-wrap gap-2">
+            {contact.holidays?.map(holiday => (
+              <span key={holiday.id} className="badge bg-primary-100 text-primary-700 dark:bg-primary-900/30 dark:text-primary-400">
+                {holiday.name}
+                {holiday.next_date && <> &middot; {new Date(holiday.next_date).toLocaleDateString()}</>}
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+
       {/* Events */}
       <div className="card mb-6">
         <div className="flex items-center justify-between mb-4">
@@ -243,24 +880,61 @@ export default function ContactDetail() {
 
       {/* Gift History */}
       <div className="card">
-        <h2 className="text-lg font-semibold mb-4">Gift History</h2>
-        {contact.giftHistory?.length === 0 ? (
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold">Gift History</h2>
+          {history?.summary.gifts > 0 && (
+            <span className="text-sm text-gray-500 dark:text-gray-400">
+              {history.summary.gifts} gift{history.summary.gifts === 1 ? '' : 's'} &middot; ${history.summary.total_spent.toFixed(2)} total
+            </span>
+          )}
+        </div>
+        {!history || history.entries.length === 0 ? (
           <p className="text-gray-500 dark:text-gray-400 text-sm">No gifts sent yet</p>
         ) : (
-          <div className="space-y-2">
-            {contact.giftHistory?.map(gift => (
-              <div key={gift.id} className="flex items-center justify-between p-3 bg-gray-50 dark:bg-gray-700/50 rounded-lg">
-                <div>
-                  <span className="font-medium">{gift.name}</span>
-                  <span className="text-sm text-gray-500 dark:text-gray-400 ml-2">{gift.event_name}</span>
+          <ol className="relative border-l border-gray-200 dark:border-gray-700 ml-2 space-y-4">
+            {history.entries.map(entry => (
+              <li key={entry.order?.id || entry.event_id} className="ml-4">
+                <div className="absolute -left-1.5 w-3 h-3 rounded-full bg-primary-400 dark:bg-primary-600 mt-1.5" />
+                <div className="flex items-center gap-2 flex-wrap">
+                  <span className="text-sm text-gray-500 dark:text-gray-400">{new Date(entry.event_date + 'T00:00').toLocaleDateString()}</span>
+                  <Link to={`/events/${entry.event_id}`} className="text-sm font-medium text-primary-600 hover:text-primary-700">{entry.event_name}</Link>
+                  {entry.shared_with && (
+                    <span className="text-xs text-gray-500 dark:text-gray-400">
+                      shared with {entry.shared_with.map(c => c.name).join(', ')}
+                    </span>
+                  )}
+                  {entry.order && (
+                    <span className={`badge ${ORDER_STATUS_COLORS[entry.order.status]}`}>{entry.order.status}</span>
+                  )}
                 </div>
-                <div className="text-right">
-                  <span className="font-medium">${gift.price?.toFixed(2)}</span>
-                  <span className="text-sm text-gray-500 dark:text-gray-400 ml-2">{gift.retailer}</span>
-                </div>
-              </div>
+                {entry.gift && (
+                  <div className="flex items-center justify-between mt-1 p-3 bg-gray-50 dark:bg-gray-700/50 rounded-lg">
+                    <div>
+                      <span className="font-medium">{entry.gift.name}</span>
+                      <span className="text-sm text-gray-500 dark:text-gray-400 ml-2">{entry.gift.retailer}</span>
+                      {entry.order.issue_description && (
+                        <p className="text-xs text-red-600 dark:text-red-400 mt-0.5">{entry.order.issue_description}</p>
+                      )}
+                      {entry.order.actual_delivery && (
+                        <p className="text-xs text-gray-500 dark:text-gray-400 mt-0.5">
+                          Delivered {new Date(entry.order.actual_delivery).toLocaleDateString()}
+                          {entry.order.reaction && <> &middot; {REACTION_LABELS[entry.order.reaction]}</>}
+                          {entry.order.thank_you_received && <> &middot; thank-you received</>}
+                        </p>
+                      )}
+                    </div>
+                    <span className="font-medium">${entry.gift.price?.toFixed(2)}</span>
+                  </div>
+                )}
+                {entry.card && (
+                  <p className="mt-1 text-sm text-gray-600 dark:text-gray-300 italic">
+                    <span className="badge bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-400 not-italic mr-2">Card &middot; {entry.card.tone}</span>
+                    &ldquo;{entry.card.message}&rdquo;
+                  </p>
+                )}
+              </li>
             ))}
-          </div>
+          </ol>
         )}
       </div>
     </div>
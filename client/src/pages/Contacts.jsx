@@ -9,24 +9,192 @@ const emptyForm = {
   preferences: { interests: [], preferred_tones: ['warm'] },
   constraints: { avoid_categories: [] },
   notes: '',
+  tags: [],
 };
 
+// Turn "close friends, book club" into a tag list; the server normalises them
+function parseTagInput(text) {
+  return text.split(',').map(t => t.trim()).filter(Boolean);
+}
+
+const emptySegment = { name: '', match: 'all', rules: [{ field: 'relationship', op: 'is', value: '' }] };
+
+// Build and save segments: rules over contact fields, previewed against the
+// current contacts before saving
+function SegmentEditor({ segments, fields, onChange }) {
+  const [form, setForm] = useState(emptySegment);
+  const [editingId, setEditingId] = useState(null);
+  const [preview, setPreview] = useState(null);
+
+  function setRule(index, changes) {
+    const rules = form.rules.map((r, i) => {
+      if (i !== index) return r;
+      const rule = { ...r, ...changes };
+      // A new field starts on its first operator
+      if (changes.field) rule.op = fields[changes.field][0];
+      return rule;
+    });
+    setForm({ ...form, rules });
+    setPreview(null);
+  }
+
+  function edit(segment) {
+    setEditingId(segment.id);
+    setForm({ name: segment.name, match: segment.match, rules: segment.rules.map(r => ({ value: '', ...r })) });
+    setPreview(null);
+  }
+
+  function reset() {
+    setEditingId(null);
+    setForm(emptySegment);
+    setPreview(null);
+  }
+
+  async function handlePreview() {
+    try {
+      setPreview((await api.previewSegment(form.rules, form.match)).contacts);
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  async function handleSave(e) {
+    e.preventDefault();
+    try {
+      if (editingId) await api.updateSegment(editingId, form);
+      else await api.createSegment(form);
+      reset();
+      onChange();
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  async function handleDelete(segment) {
+    if (!confirm(`Delete segment "${segment.name}"? Autonomy rules set for it are removed too.`)) return;
+    try {
+      await api.deleteSegment(segment.id);
+      if (editingId === segment.id) reset();
+      onChange();
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  const takesValue = field => !fields[field].includes('present');
+
+  return (
+    <div className="card mb-6 space-y-4">
+      <h2 className="text-lg font-semibold">Segments</h2>
+      {segments.length > 0 && (
+        <div className="divide-y divide-gray-100 dark:divide-gray-700 text-sm">
+          {segments.map(segment => (
+            <div key={segment.id} className="py-2 flex items-center justify-between gap-2">
+              <div>
+                <span className="font-medium">{segment.name}</span>
+                <span className="text-gray-500 dark:text-gray-400 ml-2">
+                  {segment.contact_count} contact{segment.contact_count !== 1 ? 's' : ''} &middot; {segment.match === 'any' ? 'any of' : 'all of'}:{' '}
+                  {segment.rules.map(r => [r.field, r.op.replace('_', ' '), r.value].filter(Boolean).join(' ')).join('; ')}
+                </span>
+              </div>
+              <div className="flex gap-2">
+                <button onClick={() => edit(segment)} className="btn-secondary text-xs">Edit</button>
+                <button onClick={() => handleDelete(segment)} className="btn-danger text-xs">Delete</button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <form onSubmit={handleSave} className="space-y-3">
+        <div className="grid md:grid-cols-2 gap-3">
+          <div>
+            <label className="label">Name</label>
+            <input className="input" value={form.name} onChange={e => setForm({ ...form, name: e.target.value })} required />
+          </div>
+          <div>
+            <label className="label">Match</label>
+            <select className="input" value={form.match} onChange={e => { setForm({ ...form, match: e.target.value }); setPreview(null); }}>
+              <option value="all">All rules</option>
+              <option value="any">Any rule</option>
+            </select>
+          </div>
+        </div>
+        {form.rules.map((rule, i) => (
+          <div key={i} className="flex flex-wrap gap-2 items-center">
+            <select className="input w-auto" value={rule.field} onChange={e => setRule(i, { field: e.target.value })}>
+              {Object.keys(fields).map(f => <option key={f} value={f}>{f}</option>)}
+            </select>
+            <select className="input w-auto" value={rule.op} onChange={e => setRule(i, { op: e.target.value })}>
+              {fields[rule.field].map(op => <option key={op} value={op}>{op.replace('_', ' ')}</option>)}
+            </select>
+            {takesValue(rule.field) && (
+              <input className="input w-auto" value={rule.value || ''} placeholder={rule.field === 'tag' ? 'close-friends' : 'coworker'}
+                onChange={e => setRule(i, { value: e.target.value })} />
+            )}
+            {form.rules.length > 1 && (
+              <button type="button" onClick={() => setForm({ ...form, rules: form.rules.filter((_, j) => j !== i) })}
+                className="text-sm text-gray-400 hover:text-red-500">Remove</button>
+            )}
+          </div>
+        ))}
+        <div className="flex flex-wrap gap-2">
+          <button type="button" className="btn-secondary text-sm"
+            onClick={() => setForm({ ...form, rules: [...form.rules, { field: 'tag', op: 'has', value: '' }] })}>
+            + Rule
+          </button>
+          <button type="button" onClick={handlePreview} className="btn-secondary text-sm">Preview</button>
+          <button type="submit" className="btn-primary text-sm">{editingId ? 'Save Segment' : 'Create Segment'}</button>
+          {editingId && <button type="button" onClick={reset} className="btn-secondary text-sm">Cancel</button>}
+        </div>
+        {preview && (
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            {preview.length === 0 ? 'No contacts match.' : `Matches ${preview.map(c => c.name).join(', ')}.`}
+          </p>
+        )}
+      </form>
+    </div>
+  );
+}
+
+// Contact fields a CSV column can be mapped to, with their labels
+const IMPORT_FIELDS = [
+  ['name', 'Full name'], ['first_name', 'First name'], ['last_name', 'Last name'],
+  ['email', 'Email'], ['phone', 'Phone'], ['relationship', 'Relationship'],
+  ['birthday', 'Birthday'], ['anniversary', 'Anniversary'], ['other_date', 'Other date'], ['notes', 'Notes'],
+  ['address_line1', 'Address line 1'], ['address_line2', 'Address line 2'], ['address_city', 'City'],
+  ['address_region', 'State / region'], ['address_postal_code', 'Postal code'], ['address_country', 'Country'],
+];
+
 export default function Contacts() {
   const [contacts, setContacts] = useState([]);
   const [showForm, setShowForm] = useState(false);
   const [showImport, setShowImport] = useState(false);
   const [loading, setLoading] = useState(true);
   const [importResult, setImportResult] = useState(null);
+  const [importFile, setImportFile] = useState(null);
+  const [importPreview, setImportPreview] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [includeDuplicates, setIncludeDuplicates] = useState(false);
+  const [duplicates, setDuplicates] = useState(null);
   const [dateError, setDateError] = useState('');
   const fileInputRef = useRef(null);
   const [form, setForm] = useState({ ...emptyForm });
+  const [tagInput, setTagInput] = useState('');
+  const [tags, setTags] = useState([]);
+  const [segments, setSegments] = useState({ segments: [], fields: {} });
+  const [showSegments, setShowSegments] = useState(false);
+  const [filter, setFilter] = useState({ tag: '', segment: '' });
 
-  useEffect(() => { loadContacts(); }, []);
+  useEffect(() => { loadContacts(); }, [filter]);
+  useEffect(() => { loadSegments(); }, []);
 
   async function loadContacts() {
     try {
-      const data = await api.getContacts();
+      const params = Object.fromEntries(Object.entries(filter).filter(([, v]) => v));
+      const data = await api.getContacts(params);
       setContacts(data);
+      setTags(await api.getContactTags());
     } catch (err) {
       console.error('Failed to load contacts:', err);
     } finally {
@@ -34,6 +202,14 @@ export default function Contacts() {
     }
   }
 
+  async function loadSegments() {
+    try {
+      setSegments(await api.getSegments());
+    } catch (err) {
+      console.error('Failed to load segments:', err);
+    }
+  }
+
   async function handleSubmit(e) {
     e.preventDefault();
     if (!form.birthday && !form.anniversary && !form.other_date) {
@@ -42,10 +218,12 @@ export default function Contacts() {
     }
     setDateError('');
     try {
-      await api.createContact(form);
+      await api.createContact({ ...form, tags: parseTagInput(tagInput) });
       setShowForm(false);
       setForm({ ...emptyForm });
+      setTagInput('');
       loadContacts();
+      loadSegments();
     } catch (err) {
       alert(err.message);
     }
@@ -61,77 +239,76 @@ export default function Contacts() {
     }
   }
 
-  function parseCSV(text) {
-    const lines = text.trim().split('\n');
-    if (lines.length < 2) return [];
-    const headers = lines[0].split(',').map(h => h.trim().toLowerCase());
-    return lines.slice(1).map(line => {
-      const values = line.split(',').map(v => v.trim().replace(/^["']|["']$/g, ''));
-      const obj = {};
-      headers.forEach((h, i) => { obj[h] = values[i] || ''; });
-      return {
-        name: obj.name || obj.full_name || obj['full name'] || '',
-        email: obj.email || obj.e_mail || '',
-        phone: obj.phone || obj.telephone || obj.tel || obj.mobile || '',
-        relationship: obj.relationship || 'friend',
-        birthday: obj.birthday || obj.bday || obj['birth date'] || '',
-        anniversary: obj.anniversary || '',
-        other_date: obj.other_date || obj['other date'] || '',
-        notes: obj.notes || '',
-      };
-    }).filter(c => c.name);
-  }
-
-  function parseVCard(text) {
-    const cards = text.split('BEGIN:VCARD').filter(c => c.trim());
-    return cards.map(card => {
-      const lines = card.split('\n').map(l => l.trim());
-      const get = (prefix) => {
-        const line = lines.find(l => l.toUpperCase().startsWith(prefix.toUpperCase()));
-        if (!line) return '';
-        return line.substring(line.indexOf(':') + 1).trim();
-      };
-      const fn = get('FN');
-      const n = get('N');
-      const name = fn || (n ? n.split(';').filter(Boolean).reverse().join(' ') : '');
-      const tel = get('TEL');
-      const email = get('EMAIL');
-      const bday = get('BDAY');
-      let birthday = '';
-      if (bday) {
-        const clean = bday.replace(/-/g, '');
-        if (clean.length === 8) {
-          birthday = `${clean.slice(0, 4)}-${clean.slice(4, 6)}-${clean.slice(6, 8)}`;
-        }
-      }
-      return { name, email, phone: tel, relationship: 'friend', birthday, notes: '' };
-    }).filter(c => c.name);
+  async function previewImport(file, newMapping) {
+    try {
+      const result = await api.importContacts({ ...file, mapping: newMapping, dry_run: true });
+      setImportFile(file);
+      setImportPreview(result);
+      setMapping(result.mapping || {});
+    } catch (err) {
+      alert(err.message);
+    }
   }
 
+  // Parse and validate on the server first; nothing is saved until confirmed
   async function handleFileImport(e) {
     const file = e.target.files[0];
     if (!file) return;
     const text = await file.text();
-    let parsed;
-    if (file.name.endsWith('.vcf') || file.name.endsWith('.vcard') || text.includes('BEGIN:VCARD')) {
-      parsed = parseVCard(text);
-    } else {
-      parsed = parseCSV(text);
+    const isVCard = file.name.endsWith('.vcf') || file.name.endsWith('.vcard') || text.includes('BEGIN:VCARD');
+    setImportResult(null);
+    await previewImport({ format: isVCard ? 'vcard' : 'csv', data: text });
+    if (fileInputRef.current) fileInputRef.current.value = '';
+  }
+
+  function handleMappingChange(field, header) {
+    // Send every field so unmapping one overrides the detected column
+    const full = Object.fromEntries(IMPORT_FIELDS.map(([f]) => [f, mapping[f] || null]));
+    previewImport(importFile, { ...full, [field]: header || null });
+  }
+
+  async function handleConfirmImport() {
+    try {
+      const result = await api.importContacts({
+        ...importFile,
+        mapping: importFile.format === 'csv' ? mapping : undefined,
+        include_duplicates: includeDuplicates,
+        dry_run: false,
+      });
+      setImportResult(result);
+      setImportPreview(null);
+      setImportFile(null);
+      loadContacts();
+    } catch (err) {
+      alert(err.message);
     }
-    if (parsed.length === 0) {
-      alert('No contacts found in the file. Ensure it is a valid CSV or vCard (.vcf) file.');
-      return;
+  }
+
+  async function loadDuplicates() {
+    try {
+      setDuplicates(await api.getDuplicateContacts());
+    } catch (err) {
+      alert(err.message);
     }
+  }
+
+  async function handleMerge(keep, remove) {
+    if (!confirm(`Merge "${remove.name}" into "${keep.name}"? Their events, gift history, budgets and notes move to "${keep.name}" and "${remove.name}" is deleted.`)) return;
     try {
-      const result = await api.importContacts(parsed);
-      setImportResult(result);
+      await api.mergeContacts(keep.id, remove.id);
       loadContacts();
+      loadDuplicates();
     } catch (err) {
       alert(err.message);
     }
-    if (fileInputRef.current) fileInputRef.current.value = '';
   }
 
+  // Likely duplicates are skipped unless the user opts in
+  const importCount = importPreview
+    ? importPreview.rows.filter(r => r.errors.length === 0
+      && (includeDuplicates || r.duplicate_of?.level !== 'likely')).length
+    : 0;
+
   const relationships = ['friend', 'family', 'partner', 'colleague', 'acquaintance', 'other'];
   const interestOptions = ['tech', 'books', 'food', 'coffee', 'music', 'fitness', 'home', 'self-care', 'fashion', 'games', 'plants', 'art', 'wine', 'cooking', 'travel'];
 
@@ -142,7 +319,13 @@ export default function Contacts() {
       <div className="flex items-center justify-between mb-6">
         <h1 className="text-2xl font-bold">Contacts</h1>
         <div className="flex gap-2">
-          <button onClick={() => { setShowImport(!showImport); setShowForm(false); setImportResult(null); }} className="btn-secondary">
+          <button onClick={() => setShowSegments(!showSegments)} className="btn-secondary">
+            {showSegments ? 'Hide Segments' : 'Segments'}
+          </button>
+          <button onClick={() => (duplicates ? setDuplicates(null) : loadDuplicates())} className="btn-secondary">
+            {duplicates ? 'Hide Duplicates' : 'Find Duplicates'}
+          </button>
+          <button onClick={() => { setShowImport(!showImport); setShowForm(false); setImportResult(null); setImportPreview(null); setImportFile(null); setIncludeDuplicates(false); }} className="btn-secondary">
             {showImport ? 'Cancel' : 'Import'}
           </button>
           <button onClick={() => { setShowForm(!showForm); setShowImport(false); setDateError(''); }} className="btn-primary">
@@ -151,6 +334,40 @@ export default function Contacts() {
         </div>
       </div>
 
+      {showSegments && (
+        <SegmentEditor segments={segments.segments} fields={segments.fields}
+          onChange={() => { loadSegments(); loadContacts(); }} />
+      )}
+
+      {duplicates && (
+        <div className="card mb-6 space-y-3">
+          <h2 className="text-lg font-semibold">Possible Duplicates</h2>
+          {duplicates.pairs.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">No duplicate contacts found.</p>
+          ) : (
+            <div className="divide-y divide-gray-100 dark:divide-gray-700 text-sm">
+              {duplicates.pairs.map(({ contacts: [a, b], score, level, reasons }) => (
+                <div key={`${a.id}-${b.id}`} className="py-3 flex flex-wrap items-center justify-between gap-2">
+                  <div>
+                    <p>
+                      <span className="font-medium">{a.name}</span>
+                      <span className="text-gray-400 mx-2">&amp;</span>
+                      <span className="font-medium">{b.name}</span>
+                      <span className={`badge ml-2 ${level === 'likely' ? 'bg-red-100 text-red-700' : 'bg-amber-100 text-amber-700'}`}>{level} ({score})</span>
+                    </p>
+                    <p className="text-gray-500 dark:text-gray-400">{reasons.join(', ')}</p>
+                  </div>
+                  <div className="flex gap-2">
+                    <button onClick={() => handleMerge(a, b)} className="btn-secondary text-xs">Keep {a.name}</button>
+                    <button onClick={() => handleMerge(b, a)} className="btn-secondary text-xs">Keep {b.name}</button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Import section */}
       {showImport && (
         <div className="card mb-6 space-y-4">
@@ -160,10 +377,12 @@ export default function Contacts() {
           </p>
           <div className="space-y-3">
             <div>
-              <p className="text-sm font-medium mb-2">CSV format (first row must be headers):</p>
-              <code className="text-xs bg-gray-100 dark:bg-gray-700 rounded px-2 py-1 block">
-                name, email, phone, relationship, birthday, anniversary, other_date, notes
-              </code>
+              <p className="text-sm font-medium mb-2">CSV:</p>
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                Exports from Google Contacts and Outlook are recognised automatically. For other files the first row must
+                be headers such as <span className="font-mono text-xs">name, email, phone, relationship, birthday, anniversary, other_date, notes</span>;
+                you can adjust which column feeds each field in the preview.
+              </p>
             </div>
             <div>
               <p className="text-sm font-medium mb-2">vCard (.vcf):</p>
@@ -182,11 +401,67 @@ export default function Contacts() {
               />
             </div>
           </div>
+
+          {importPreview && (
+            <div className="space-y-4">
+              {importPreview.format === 'csv' && (
+                <div>
+                  <p className="text-sm font-medium mb-2">
+                    Column mapping <span className="text-gray-500 dark:text-gray-400 font-normal">(detected: {importPreview.preset})</span>
+                  </p>
+                  <div className="grid sm:grid-cols-2 md:grid-cols-3 gap-2">
+                    {IMPORT_FIELDS.map(([field, label]) => (
+                      <label key={field} className="text-xs text-gray-500 dark:text-gray-400">
+                        {label}
+                        <select className="input text-sm mt-0.5" value={mapping[field] || ''}
+                          onChange={e => handleMappingChange(field, e.target.value)}>
+                          <option value="">—</option>
+                          {importPreview.headers.map(h => <option key={h} value={h}>{h}</option>)}
+                        </select>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              <p className="text-sm">
+                {importPreview.summary.valid} of {importPreview.summary.total} row{importPreview.summary.total !== 1 ? 's' : ''} ready to import
+                {importPreview.summary.invalid > 0 && `; ${importPreview.summary.invalid} with errors will be skipped`}.
+              </p>
+              {importPreview.summary.likely_duplicates > 0 && (
+                <label className="flex items-center gap-2 text-sm">
+                  <input type="checkbox" checked={includeDuplicates} onChange={e => setIncludeDuplicates(e.target.checked)} />
+                  Also import {importPreview.summary.likely_duplicates} row{importPreview.summary.likely_duplicates !== 1 ? 's' : ''} that look like contacts you already have
+                </label>
+              )}
+              <div className="divide-y divide-gray-100 dark:divide-gray-700 max-h-96 overflow-y-auto text-sm">
+                {importPreview.rows.map(r => (
+                  <div key={r.row} className={`py-2 ${r.errors.length > 0 ? 'opacity-75' : ''}`}>
+                    <p>
+                      <span className="text-gray-400 mr-2">#{r.row}</span>
+                      <span className="font-medium">{r.contact.name || '(no name)'}</span>
+                      {r.contact.email && <span className="text-gray-500 dark:text-gray-400"> &middot; {r.contact.email}</span>}
+                      {r.contact.birthday && <span className="text-gray-500 dark:text-gray-400"> &middot; Birthday {r.contact.birthday.replace(/^1604-/, '--')}</span>}
+                      {r.contact.anniversary && <span className="text-gray-500 dark:text-gray-400"> &middot; Anniversary {r.contact.anniversary.replace(/^1604-/, '--')}</span>}
+                      {r.contact.address && <span className="text-gray-500 dark:text-gray-400"> &middot; {r.contact.address.city}</span>}
+                    </p>
+                    {r.errors.map((msg, i) => <p key={`e${i}`} className="text-red-600 dark:text-red-400">{msg}</p>)}
+                    {r.warnings.map((msg, i) => <p key={`w${i}`} className="text-amber-600 dark:text-amber-400">{msg}</p>)}
+                  </div>
+                ))}
+              </div>
+              <button onClick={handleConfirmImport} className="btn-primary" disabled={importCount === 0}>
+                Import {importCount} Contact{importCount !== 1 ? 's' : ''}
+              </button>
+            </div>
+          )}
+
           {importResult && (
             <div className={`rounded-lg p-4 ${importResult.errors > 0 ? 'bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800' : 'bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800'}`}>
               <p className="font-medium">
                 Imported {importResult.imported} contact{importResult.imported !== 1 ? 's' : ''} successfully.
                 {importResult.errors > 0 && ` ${importResult.errors} failed.`}
+                {importResult.skipped > 0 && ` ${importResult.skipped} skipped as likely duplicates.`}
               </p>
               {importResult.details?.errors?.length > 0 && (
                 <ul className="text-sm mt-2 space-y-1">
@@ -299,6 +574,11 @@ export default function Contacts() {
               ))}
             </div>
           </div>
+          <div>
+            <label className="label">Tags</label>
+            <input className="input" value={tagInput} placeholder="close friends, book club"
+              onChange={e => setTagInput(e.target.value)} />
+          </div>
           <div>
             <label className="label">Notes</label>
             <textarea className="input" rows={2} value={form.notes} onChange={e => setForm({...form, notes: e.target.value})} />
@@ -307,7 +587,24 @@ export default function Contacts() {
         </form>
       )}
 
-      {contacts.length === 0 ? (
+      {(tags.length > 0 || segments.segments.length > 0) && (
+        <div className="flex flex-wrap gap-3 mb-4">
+          <select className="input w-auto" value={filter.tag} onChange={e => setFilter({ ...filter, tag: e.target.value })}>
+            <option value="">All tags</option>
+            {tags.map(t => <option key={t.tag} value={t.tag}>{t.tag} ({t.count})</option>)}
+          </select>
+          <select className="input w-auto" value={filter.segment} onChange={e => setFilter({ ...filter, segment: e.target.value })}>
+            <option value="">All contacts</option>
+            {segments.segments.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+          </select>
+        </div>
+      )}
+
+      {contacts.length === 0 && (filter.tag || filter.segment) ? (
+        <div className="card text-center py-12">
+          <p className="text-gray-500 dark:text-gray-400">No contacts match this filter.</p>
+        </div>
+      ) : contacts.length === 0 ? (
         <div className="card text-center py-12">
           <p className="text-gray-500 dark:text-gray-400 mb-4">No contacts yet. Add your first contact to get started.</p>
           <button onClick={() => setShowForm(true)} className="btn-primary">+ Add Contact</button>
@@ -344,6 +641,14 @@ export default function Contacts() {
                   {contact.default_gifts.flowers && <span className="badge bg-pink-100 text-pink-700 dark:bg-pink-900/30 dark:text-pink-400">Flowers</span>}
                 </div>
               )}
+              {contact.tags?.length > 0 && (
+                <div className="flex flex-wrap gap-1 mt-2">
+                  {contact.tags.map(t => (
+                    <button key={t} onClick={() => setFilter({ ...filter, tag: t })}
+                      className="badge bg-primary-50 text-primary-700 dark:bg-primary-900/30 dark:text-primary-400">#{t}</button>
+                  ))}
+                </div>
+              )}
               {contact.preferences?.interests?.length > 0 && (
                 <div className="flex flex-wrap gap-1 mt-2">
                   {contact.preferences.interests.slice(0, 4).map(i => (
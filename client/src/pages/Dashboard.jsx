@@ -24,6 +24,15 @@ export default function Dashboard() {
     }
   }
 
+  async function markThanked(orderId) {
+    try {
+      await api.recordOrderReaction(orderId, { thank_you_received: true });
+      setData({ ...data, awaitingThanks: data.awaitingThanks.filter(o => o.id !== orderId) });
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
   async function markAllRead() {
     await api.markAllRead();
     setNotifications(notifications.map(n => ({ ...n, read: 1 })));
@@ -49,6 +58,20 @@ export default function Dashboard() {
         <StatCard label="Total Spent" value={`$${data.totalSpent.toFixed(2)}`} color="green" />
       </div>
 
+      {/* Missed events */}
+      {data.missedEvents > 0 && (
+        <Link to="/events?filter=missed"
+          className="card border-l-4 border-l-red-500 flex items-center justify-between hover:shadow-md transition-shadow">
+          <div>
+            <h2 className="text-lg font-semibold">
+              {data.missedEvents} Missed {data.missedEvents === 1 ? 'Event' : 'Events'}
+            </h2>
+            <p className="text-sm text-gray-500 dark:text-gray-400">These dates passed without a delivered gift or approved card. It's not too late to send something belated.</p>
+          </div>
+          <span className="text-sm text-primary-600 hover:text-primary-700 flex-shrink-0 ml-4">Review</span>
+        </Link>
+      )}
+
       {/* Events needing action */}
       {data.eventsNeedingAction.length > 0 && (
         <div className="card border-l-4 border-l-amber-500">
@@ -72,6 +95,24 @@ export default function Dashboard() {
         </div>
       )}
 
+      {data.upcomingMilestones.length > 0 && (
+        <div className="card">
+          <h2 className="text-lg font-semibold mb-3">Milestones Ahead</h2>
+          <div className="space-y-2">
+            {data.upcomingMilestones.map(event => (
+              <Link key={event.id} to={`/events/${event.id}`}
+                className="flex items-center justify-between py-2 hover:bg-gray-50 dark:hover:bg-gray-700 rounded px-2 -mx-2 transition-colors">
+                <div>
+                  <div className="font-medium text-sm">{event.contact_name}'s {event.milestone.label}</div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400">{event.name}</div>
+                </div>
+                <span className="text-sm">{new Date(event.date).toLocaleDateString()}</span>
+              </Link>
+            ))}
+          </div>
+        </div>
+      )}
+
       <div className="grid md:grid-cols-2 gap-6">
         {/* Upcoming events */}
         <div className="card">
@@ -90,7 +131,9 @@ export default function Dashboard() {
                     <EventIcon type={event.type} />
                     <div>
                       <div className="font-medium text-sm">{event.name}</div>
-                      <div className="text-xs text-gray-500 dark:text-gray-400">{event.contact_name}</div>
+                      <div className="text-xs text-gray-500 dark:text-gray-400">
+                        {event.contact_name}{event.milestone && <span className="text-purple-600 dark:text-purple-400"> &middot; {event.milestone.label}</span>}
+                      </div>
                     </div>
                   </div>
                   <div className="text-right">
@@ -129,6 +172,30 @@ export default function Dashboard() {
         </div>
       </div>
 
+      {/* Awaiting thank-you */}
+      {data.awaitingThanks.length > 0 && (
+        <div className="card">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold">Awaiting Thank-You</h2>
+            <Link to="/orders" className="text-sm text-primary-600 hover:text-primary-700">View orders</Link>
+          </div>
+          <div className="space-y-3">
+            {data.awaitingThanks.map(order => (
+              <div key={order.id} className="flex items-center justify-between py-2">
+                <div>
+                  <div className="font-medium text-sm">{order.gift_name}</div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400">
+                    <Link to={`/contacts/${order.contact_id}`} className="hover:underline">{order.contact_name}</Link>
+                    {order.actual_delivery && <> &middot; delivered {new Date(order.actual_delivery).toLocaleDateString()}</>}
+                  </div>
+                </div>
+                <button onClick={() => markThanked(order.id)} className="btn-secondary text-xs">Thanked</button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Notifications */}
       <div className="card">
         <div className="flex items-center justify-between mb-4">
@@ -216,6 +283,7 @@ function NotificationIcon({ type }) {
     delivery_confirmed: 'text-green-500',
     budget_warning: 'text-orange-500',
     emergency_stop: 'text-red-600',
+    event_missed: 'text-red-500',
   };
   return (
     <svg className={`w-5 h-5 flex-shrink-0 mt-0.5 ${icons[type] || 'text-gray-400'}`}
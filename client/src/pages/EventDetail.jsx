@@ -2,6 +2,59 @@ import React, { useState, useEffect } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
 import { api } from '../api';
 
+// Display names for the LLM providers that can write card messages
+const PROVIDER_LABELS = {
+  claude: 'Claude',
+  openai: 'ChatGPT',
+  gemini: 'Gemini',
+  openai_compatible: 'AI',
+};
+
+// One-line postal address for display
+function formatAddress(a) {
+  return [a.recipient_name, a.line1, a.line2, a.city, [a.region, a.postal_code].filter(Boolean).join(' '), a.country]
+    .filter(Boolean).join(', ');
+}
+
+// What a score factor matched on, for the breakdown list
+function factorDetail(f) {
+  if (f.matches) return f.matches.join(', ');
+  if (f.retailer) return f.retailer;
+  if (f.ratio !== undefined) return `${Math.round(f.ratio * 100)}% of budget`;
+  if (f.similar_to) return `like ${f.similar_to} (${f.year})`;
+  if (f.like) {
+    const shared = [...f.shared_tags];
+    if (f.same_retailer) shared.push('same retailer');
+    if (f.same_price_point) shared.push('similar price');
+    return `${f.like}: ${shared.join(', ')}`;
+  }
+  return '';
+}
+
+function ScoreBreakdown({ gift }) {
+  return (
+    <div className="mt-2 text-xs bg-gray-50 dark:bg-gray-800 rounded-lg p-3">
+      <table className="w-full">
+        <tbody>
+          {gift.score_breakdown.map(f => (
+            <tr key={f.factor}>
+              <td className="pr-3 py-0.5">{f.label}</td>
+              <td className="pr-3 py-0.5 text-gray-500 dark:text-gray-400">{factorDetail(f)}</td>
+              <td className={`py-0.5 text-right font-mono ${f.points < 0 ? 'text-red-600 dark:text-red-400' : ''}`}>
+                {f.factor === 'base' ? '' : f.points > 0 ? '+' : ''}{f.points}
+              </td>
+            </tr>
+          ))}
+          <tr className="border-t border-gray-200 dark:border-gray-700 font-semibold">
+            <td className="pt-1" colSpan={2}>Score</td>
+            <td className="pt-1 text-right font-mono">{gift.score}</td>
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
 export default function EventDetail() {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -13,6 +66,16 @@ export default function EventDetail() {
   const [selectedCard, setSelectedCard] = useState(null);
   const [approving, setApproving] = useState(false);
   const [ordering, setOrdering] = useState(false);
+  const [startingBelated, setStartingBelated] = useState(false);
+  const [retailerErrors, setRetailerErrors] = useState([]);
+  const [deliveryNote, setDeliveryNote] = useState(null);
+  const [cardLlmError, setCardLlmError] = useState(null);
+  const [refreshingGift, setRefreshingGift] = useState(null);
+  const [scoreShown, setScoreShown] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(null);
+  const [shippingAddressId, setShippingAddressId] = useState('');
+  const [editingRecipients, setEditingRecipients] = useState(null);
+  const [allContacts, setAllContacts] = useState([]);
 
   useEffect(() => { loadEvent(); }, [id]);
 
@@ -31,10 +94,32 @@ export default function EventDetail() {
     }
   }
 
+  // Edit who else a shared event is for; the primary contact always stays
+  async function handleEditRecipients() {
+    try {
+      setAllContacts(await api.getContacts());
+      setEditingRecipients(event.recipients.filter(r => !r.primary).map(r => r.id));
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  async function handleSaveRecipients() {
+    try {
+      await api.setEventRecipients(id, editingRecipients);
+      setEditingRecipients(null);
+      await loadEvent();
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
   async function handleGenerateGifts() {
     setGeneratingGifts(true);
     try {
-      await api.generateRecommendations(id);
+      const result = await api.generateRecommendations(id);
+      setRetailerErrors(result.errors || []);
+      setDeliveryNote({ lateDropped: result.late_dropped || 0, lastMinute: !!result.last_minute });
       await loadEvent();
     } catch (err) {
       alert(err.message);
@@ -43,10 +128,37 @@ export default function EventDetail() {
     }
   }
 
+  // More gifts like, or unlike, one on the list; the list itself is kept
+  async function handleMoreGifts(giftId, mode) {
+    setLoadingMore(`${giftId}:${mode}`);
+    try {
+      const result = await api.moreRecommendations(giftId, mode);
+      if (result.recommendations.length === 0) alert('No further gifts found.');
+      await loadEvent();
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setLoadingMore(null);
+    }
+  }
+
+  async function handleRefreshGift(giftId) {
+    setRefreshingGift(giftId);
+    try {
+      await api.refreshRecommendation(giftId);
+      await loadEvent();
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setRefreshingGift(null);
+    }
+  }
+
   async function handleGenerateCards(tones) {
     setGeneratingCards(true);
     try {
-      await api.generateCardMessages(id, tones);
+      const result = await api.generateCardMessages(id, tones);
+      setCardLlmError(result.llm_error || null);
       await loadEvent();
     } catch (err) {
       alert(err.message);
@@ -89,6 +201,7 @@ export default function EventDetail() {
         gift_recommendation_id: approvedGift.id,
         event_id: id,
         approval_id: latestApproval?.id,
+        ...(shippingAddressId && { address_id: shippingAddressId }),
       });
       await loadEvent();
     } catch (err) {
@@ -98,6 +211,18 @@ export default function EventDetail() {
     }
   }
 
+  async function handleStartBelated() {
+    setStartingBelated(true);
+    try {
+      await api.startBelated(id);
+      await loadEvent();
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setStartingBelated(false);
+    }
+  }
+
   async function handleDelete() {
     if (!confirm('Delete this event? This cannot be undone.')) return;
     try {
@@ -134,9 +259,59 @@ export default function EventDetail() {
           <div>
             <h1 className="text-2xl font-bold">{event.name}</h1>
             <p className="text-gray-500 dark:text-gray-400 mt-1">
-              For <Link to={`/contacts/${event.contact_id}`} className="text-primary-600 hover:text-primary-700">{event.contact_name}</Link>
+              For {(event.recipients || []).map((r, i) => (
+                <React.Fragment key={r.id}>
+                  {i > 0 && (i === event.recipients.length - 1 ? ' and ' : ', ')}
+                  <Link to={`/contacts/${r.id}`} className="text-primary-600 hover:text-primary-700">{r.name}</Link>
+                </React.Fragment>
+              ))}
               {' '}&middot; {event.relationship} &middot; {event.type}
+              {editingRecipients === null && (
+                <button onClick={handleEditRecipients} className="ml-2 text-xs text-primary-600 hover:text-primary-700">Edit recipients</button>
+              )}
             </p>
+            {editingRecipients !== null && (
+              <div className="mt-2 p-3 rounded-lg bg-gray-50 dark:bg-gray-700/50">
+                <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">
+                  Also for (one pooled budget, gift and card covers everyone):
+                </p>
+                <div className="flex flex-wrap gap-2 mb-2">
+                  {allContacts.filter(c => c.id !== event.contact_id).map(c => (
+                    <label key={c.id} className="flex items-center gap-1.5 text-sm cursor-pointer">
+                      <input type="checkbox" className="w-4 h-4 text-primary-600 rounded"
+                        checked={editingRecipients.includes(c.id)}
+                        onChange={() => setEditingRecipients(editingRecipients.includes(c.id)
+                          ? editingRecipients.filter(r => r !== c.id) : [...editingRecipients, c.id])} />
+                      {c.name}
+                    </label>
+                  ))}
+                </div>
+                <div className="flex gap-2">
+                  <button onClick={handleSaveRecipients} className="btn-primary text-xs">Save</button>
+                  <button onClick={() => setEditingRecipients(null)} className="btn-secondary text-xs">Cancel</button>
+                </div>
+              </div>
+            )}
+            {event.budget && (
+              <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+                Budget ${event.budget.amount}
+                {event.budget.milestone && ` (${event.budget.multiplier}× $${event.budget.base_amount} for a milestone)`}
+                {event.budget.recipients && ` pooled from ${event.budget.recipients.map(r => `${r.name} $${r.amount}`).join(', ')}`}
+              </p>
+            )}
+            {event.milestone && (
+              <span className="badge bg-purple-100 text-purple-700 dark:bg-purple-900 dark:text-purple-300 mt-2 mr-2">{event.milestone.label}</span>
+            )}
+            {event.autonomy && event.autonomy.level !== 'manual' && (
+              <span className={`badge mt-2 ${
+                event.autonomy.level === 'auto_recommend'
+                  ? 'bg-blue-100 text-blue-700 dark:bg-blue-900 dark:text-blue-300'
+                  : 'bg-amber-100 text-amber-700 dark:bg-amber-900 dark:text-amber-300'
+              }`}>
+                <span className="capitalize">{event.autonomy.level.replace('_', ' ')}</span>
+                {event.autonomy.max_budget && ` (max $${event.autonomy.max_budget})`}
+              </span>
+            )}
           </div>
           <div className="flex items-center gap-4">
             <div className="text-right">
@@ -175,8 +350,47 @@ export default function EventDetail() {
             </div>
           ))}
         </div>
+
+        {/* Previous occurrences of a recurring event */}
+        {event.previousOccurrences?.length > 0 && (
+          <div className="mt-4 pt-4 border-t border-gray-200 dark:border-gray-700">
+            <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Previous Years</h3>
+            <div className="flex flex-wrap gap-2">
+              {event.previousOccurrences.map(prev => (
+                <Link key={prev.id} to={`/events/${prev.id}`}
+                  className="px-3 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-600 hover:bg-gray-200 dark:bg-gray-700 dark:text-gray-400 dark:hover:bg-gray-600 transition-colors">
+                  {new Date(prev.date).toLocaleDateString()} &middot; <span className="capitalize">{prev.status.replace('_', ' ')}</span>
+                </Link>
+              ))}
+            </div>
+          </div>
+        )}
       </div>
 
+      {/* Missed event: offer a belated gift */}
+      {event.status === 'missed' && (
+        <div className="card mb-6 border-l-4 border-l-red-500">
+          <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+            <div>
+              <h2 className="text-lg font-semibold">This event was missed</h2>
+              <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+                The date passed without a delivered gift or approved card. You can still send a belated gift and card through the usual workflow.
+              </p>
+            </div>
+            <button onClick={handleStartBelated} disabled={startingBelated} className="btn-primary flex-shrink-0">
+              {startingBelated ? 'Starting...' : 'Send a Belated Gift'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {event.belated === 1 && event.status !== 'completed' && (
+        <div className="bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 rounded-lg p-4 mb-6">
+          <p className="text-amber-800 dark:text-amber-300 font-medium">Belated gift in progress</p>
+          <p className="text-sm text-amber-600 dark:text-amber-400 mt-1">Card messages are drafted as belated wishes and gifts ship as soon as possible.</p>
+        </div>
+      )}
+
       {/* Step 1: Gift Recommendations */}
       <div className="card mb-6">
         <div className="flex items-center justify-between mb-4">
@@ -186,6 +400,21 @@ export default function EventDetail() {
           </button>
         </div>
 
+        {retailerErrors.length > 0 && (
+          <div className="bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 rounded-lg p-3 mb-4">
+            <p className="text-sm text-amber-800 dark:text-amber-300">
+              Some retailers could not be reached: {retailerErrors.map(e => `${e.source} (${e.error})`).join(', ')}
+            </p>
+          </div>
+        )}
+        {deliveryNote && (deliveryNote.lastMinute || deliveryNote.lateDropped > 0) && (
+          <div className="bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 rounded-lg p-3 mb-4">
+            <p className="text-sm text-amber-800 dark:text-amber-300">
+              {deliveryNote.lateDropped > 0 && `${deliveryNote.lateDropped} gift${deliveryNote.lateDropped !== 1 ? 's' : ''} left out because ${deliveryNote.lateDropped !== 1 ? 'they' : 'it'} would arrive after the event. `}
+              {deliveryNote.lastMinute && 'The event is only days away, so same-day options like e-gift cards and local florists are included.'}
+            </p>
+          </div>
+        )}
         {event.recommendations?.length > 0 ? (
           <div className="space-y-3">
             {event.recommendations.map(gift => (
@@ -213,14 +442,45 @@ export default function EventDetail() {
                       {!gift.in_stock && (
                         <span className="badge bg-red-100 text-red-700">Delivery risk</span>
                       )}
+                      {gift.source === 'alternative' && (
+                        <span className="badge bg-green-100 text-green-700">Same day</span>
+                      )}
+                      {gift.source === 'idea' && (
+                        <span className="badge bg-amber-100 text-amber-700">Gift idea</span>
+                      )}
                     </div>
                     <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">{gift.description}</p>
                     <p className="text-xs text-gray-500 dark:text-gray-500 mt-2 italic">{gift.reasoning}</p>
+                    {gift.score_breakdown && (
+                      <button onClick={e => { e.stopPropagation(); setScoreShown(scoreShown === gift.id ? null : gift.id); }}
+                        className="text-xs text-primary-600 hover:text-primary-700 mt-1">
+                        {scoreShown === gift.id ? 'Hide score' : 'Why this score?'}
+                      </button>
+                    )}
+                    {scoreShown === gift.id && <ScoreBreakdown gift={gift} />}
+                    {!hasOrder && gift.status === 'recommended' && (
+                      <div className="flex gap-3 mt-1">
+                        {['similar', 'different'].map(mode => (
+                          <button key={mode} onClick={e => { e.stopPropagation(); handleMoreGifts(gift.id, mode); }}
+                            disabled={loadingMore !== null}
+                            className="text-xs text-primary-600 hover:text-primary-700 disabled:opacity-50">
+                            {loadingMore === `${gift.id}:${mode}` ? 'Finding...' : mode === 'similar' ? 'More like this' : 'Something different'}
+                          </button>
+                        ))}
+                      </div>
+                    )}
                   </div>
                   <div className="text-right ml-4 flex-shrink-0">
                     <div className="text-lg font-bold">${gift.price.toFixed(2)}</div>
                     <div className="text-xs text-gray-500 dark:text-gray-400">{gift.retailer}</div>
                     <div className="text-xs text-gray-500 dark:text-gray-400">Est. {gift.estimated_delivery}</div>
+                    {gift.source && !['mock', 'alternative', 'idea'].includes(gift.source) && gift.status === 'recommended' && (
+                      <button onClick={e => { e.stopPropagation(); handleRefreshGift(gift.id); }}
+                        disabled={refreshingGift === gift.id}
+                        className="text-xs text-primary-600 hover:text-primary-700 mt-1">
+                        {refreshingGift === gift.id ? 'Checking...' : 'Check price'}
+                      </button>
+                    )}
                   </div>
                 </div>
               </div>
@@ -242,6 +502,14 @@ export default function EventDetail() {
           </div>
         </div>
 
+        {cardLlmError && (
+          <div className="bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 rounded-lg p-3 mb-4">
+            <p className="text-sm text-amber-800 dark:text-amber-300">
+              The AI provider could not write messages ({cardLlmError}), so template messages were used instead.
+            </p>
+          </div>
+        )}
+
         {event.cardMessages?.length > 0 && (
           <div className="flex gap-2 mb-3 flex-wrap">
             <span className="text-sm text-gray-500 dark:text-gray-400 py-1">Tone:</span>
@@ -267,6 +535,11 @@ export default function EventDetail() {
                 <div className="flex items-start justify-between">
                   <div className="flex-1">
                     <span className="badge bg-gray-100 text-gray-600 mb-2 capitalize">{msg.tone}</span>
+                    {msg.provider && msg.provider !== 'template' && (
+                      <span className="badge bg-purple-100 text-purple-700 dark:bg-purple-900 dark:text-purple-300 mb-2 ml-2">
+                        {PROVIDER_LABELS[msg.provider] || msg.provider}
+                      </span>
+                    )}
                     <p className="text-gray-700 dark:text-gray-300 mt-1">{msg.message}</p>
                   </div>
                   {(selectedCard === msg.id || msg.selected) && (
@@ -299,6 +572,9 @@ export default function EventDetail() {
                     {order.estimated_delivery && (
                       <p className="text-sm text-gray-600 dark:text-gray-400">Est. delivery: {order.estimated_delivery}</p>
                     )}
+                    <p className="text-sm text-gray-600 dark:text-gray-400">
+                      Ship to: {order.shipping_address ? formatAddress(order.shipping_address) : 'No address on file'}
+                    </p>
                   </div>
                   <span className={`badge ${
                     order.status === 'delivered' ? 'bg-green-100 text-green-700' :
@@ -325,6 +601,23 @@ export default function EventDetail() {
                 <p className="text-sm text-blue-600 dark:text-blue-400 mt-1">{approvedGift.name} - ${approvedGift.price.toFixed(2)} from {approvedGift.retailer}</p>
               )}
             </div>
+            {event.addresses?.length > 0 ? (
+              <div>
+                <label className="label">Ship to</label>
+                <select className="input" value={shippingAddressId} onChange={e => setShippingAddressId(e.target.value)}>
+                  {event.addresses.map(a => (
+                    <option key={a.id} value={a.is_default && a.contact_id === event.contact_id ? '' : a.id}>
+                      {event.recipients?.length > 1 ? `${a.contact_name} — ` : ''}
+                      {a.label ? `${a.label}: ` : ''}{formatAddress(a)}{a.is_default ? ' (default)' : ''}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ) : (
+              <p className="text-sm text-amber-600 dark:text-amber-400">
+                {event.contact_name} has no shipping address yet. <Link to={`/contacts/${event.contact_id}`} className="underline">Add one</Link> so the order has somewhere to ship.
+              </p>
+            )}
             <button onClick={handlePlaceOrder} disabled={ordering} className="btn-success w-full">
               {ordering ? 'Placing Order...' : 'Place Order'}
             </button>
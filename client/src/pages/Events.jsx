@@ -1,31 +1,49 @@
-import React, { useState, useEffect } from 'react';
-import { Link } from 'react-router-dom';
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
 import { api } from '../api';
 
 export default function Events() {
   const [events, setEvents] = useState([]);
   const [contacts, setContacts] = useState([]);
+  const [eventTypes, setEventTypes] = useState([]);
   const [showForm, setShowForm] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [importText, setImportText] = useState(null);
+  const [importPlan, setImportPlan] = useState(null);
+  const [excluded, setExcluded] = useState([]);
+  const [importResult, setImportResult] = useState(null);
+  const fileInputRef = useRef(null);
   const [loading, setLoading] = useState(true);
-  const [filter, setFilter] = useState('upcoming');
+  const [searchParams] = useSearchParams();
+  const [filter, setFilter] = useState(searchParams.get('filter') || 'upcoming');
+  const [segments, setSegments] = useState([]);
+  const [segmentId, setSegmentId] = useState('');
+  const [campaignDays, setCampaignDays] = useState(30);
+  const [campaign, setCampaign] = useState(null);
   const [form, setForm] = useState({
-    contact_id: '', type: 'birthday', name: '', date: '', recurring: true, lead_time_days: 14,
+    contact_id: '', type: 'birthday', name: '', date: '', recurring: true, lead_time_days: '', recipient_ids: [],
   });
 
-  useEffect(() => { loadData(); }, [filter]);
+  useEffect(() => { loadData(); }, [filter, segmentId]);
+  useEffect(() => { setCampaign(null); }, [segmentId]);
 
   async function loadData() {
     try {
       const params = {};
       if (filter === 'upcoming') params.upcoming = 'true';
       if (filter !== 'all' && filter !== 'upcoming') params.status = filter;
+      if (segmentId) params.segment = segmentId;
 
-      const [eventsData, contactsData] = await Promise.all([
+      const [eventsData, contactsData, typesData, segmentsData] = await Promise.all([
         api.getEvents(params),
         api.getContacts(),
+        api.getEventTypes(),
+        api.getSegments(),
       ]);
       setEvents(eventsData);
       setContacts(contactsData);
+      setEventTypes(typesData.event_types);
+      setSegments(segmentsData.segments);
     } catch (err) {
       console.error('Failed to load events:', err);
     } finally {
@@ -39,10 +57,61 @@ export default function Events() {
       await api.createEvent({
         ...form,
         recurring: form.recurring ? 1 : 0,
-        lead_time_days: parseInt(form.lead_time_days),
+        // Left blank, the server applies the event type's default lead time
+        lead_time_days: form.lead_time_days ? parseInt(form.lead_time_days) : undefined,
       });
       setShowForm(false);
-      setForm({ contact_id: '', type: 'birthday', name: '', date: '', recurring: true, lead_time_days: 14 });
+      setForm({ contact_id: '', type: 'birthday', name: '', date: '', recurring: true, lead_time_days: '', recipient_ids: [] });
+      loadData();
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  // Card drafts for the selected segment's upcoming events: a dry run lists
+  // the events first, then the same request without it writes the drafts
+  async function handleCampaign(dryRun) {
+    try {
+      const result = await api.runCardCampaign({ segment_id: segmentId, days: campaignDays, dry_run: dryRun });
+      setCampaign(result);
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  function resetImport() {
+    setImportText(null);
+    setImportPlan(null);
+    setExcluded([]);
+    if (fileInputRef.current) fileInputRef.current.value = '';
+  }
+
+  // Upload the .ics file for a dry run; nothing is created until confirmed
+  async function handleCalendarFile(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    setImportResult(null);
+    try {
+      const text = await file.text();
+      const plan = await api.importCalendar(text);
+      setImportText(text);
+      setImportPlan(plan);
+      setExcluded([]);
+    } catch (err) {
+      alert(err.message);
+      resetImport();
+    }
+  }
+
+  function toggleExcluded(index) {
+    setExcluded(excluded.includes(index) ? excluded.filter(i => i !== index) : [...excluded, index]);
+  }
+
+  async function handleConfirmImport() {
+    try {
+      const result = await api.importCalendar(importText, { dryRun: false, exclude: excluded });
+      setImportResult(result);
+      resetImport();
       loadData();
     } catch (err) {
       alert(err.message);
@@ -51,15 +120,25 @@ export default function Events() {
 
   function autoName() {
     const contact = contacts.find(c => c.id === form.contact_id);
-    if (contact && form.type) {
-      const typeName = form.type.charAt(0).toUpperCase() + form.type.slice(1);
-      setForm({ ...form, name: `${contact.name}'s ${typeName}` });
+    const eventType = eventTypes.find(t => t.id === form.type);
+    if (contact && eventType) {
+      const typeName = eventType.name;
+      const others = contacts.filter(c => form.recipient_ids.includes(c.id)).map(c => c.name);
+      const names = others.length > 0 ? `${[contact.name, ...others].slice(0, -1).join(', ')} and ${others[others.length - 1]}` : contact.name;
+      setForm({ ...form, name: `${names}'s ${typeName}` });
     }
   }
 
+  function toggleRecipient(id) {
+    const ids = form.recipient_ids.includes(id) ? form.recipient_ids.filter(r => r !== id) : [...form.recipient_ids, id];
+    setForm({ ...form, recipient_ids: ids });
+  }
+
   // Auto-fill date from contact's birthday/anniversary when type and contact change
   function handleContactOrTypeChange(newContactId, newType) {
-    const updated = { ...form, contact_id: newContactId, type: newType };
+    const updated = {
+      ...form, contact_id: newContactId, type: newType, recipient_ids: form.recipient_ids.filter(id => id !== newContactId),
+    };
     const contact = contacts.find(c => c.id === newContactId);
     if (contact) {
       if (newType === 'birthday' && contact.birthday) {
@@ -82,11 +161,73 @@ export default function Events() {
     <div className="max-w-5xl mx-auto">
       <div className="flex items-center justify-between mb-6">
         <h1 className="text-2xl font-bold">Events</h1>
-        <button onClick={() => setShowForm(!showForm)} className="btn-primary">
-          {showForm ? 'Cancel' : '+ Add Event'}
-        </button>
+        <div className="flex gap-2">
+          <button onClick={() => { setShowImport(!showImport); setShowForm(false); setImportResult(null); resetImport(); }} className="btn-secondary">
+            {showImport ? 'Cancel' : 'Import .ics'}
+          </button>
+          <button onClick={() => { setShowForm(!showForm); setShowImport(false); }} className="btn-primary">
+            {showForm ? 'Cancel' : '+ Add Event'}
+          </button>
+        </div>
       </div>
 
+      {showImport && (
+        <div className="card mb-6 space-y-4">
+          <h2 className="text-lg font-semibold">Import from Calendar</h2>
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Upload an .ics file exported from Google Calendar, Apple Calendar or Outlook. Each event is matched to a
+            contact by attendee email or by the name in its title; unmatched names become new contacts. You'll see a
+            preview before anything is created.
+          </p>
+          <input ref={fileInputRef} type="file" accept=".ics,text/calendar" onChange={handleCalendarFile} className="input" />
+
+          {importPlan && (
+            <div className="space-y-3">
+              <p className="text-sm">
+                {importPlan.summary.to_create} of {importPlan.summary.total} event{importPlan.summary.total !== 1 ? 's' : ''} can be imported
+                {importPlan.summary.new_contacts > 0 && `, adding ${importPlan.summary.new_contacts} new contact${importPlan.summary.new_contacts !== 1 ? 's' : ''}`}.
+              </p>
+              <div className="divide-y divide-gray-100 dark:divide-gray-700 max-h-96 overflow-y-auto">
+                {importPlan.items.map(item => (
+                  <label key={item.index} className={`flex items-center gap-3 py-2 text-sm ${item.action === 'skip' ? 'opacity-60' : 'cursor-pointer'}`}>
+                    <input type="checkbox" className="w-4 h-4 text-primary-600 rounded"
+                      disabled={item.action === 'skip'}
+                      checked={item.action === 'create' && !excluded.includes(item.index)}
+                      onChange={() => toggleExcluded(item.index)} />
+                    <EventTypeIcon type={item.type} />
+                    <div className="flex-1 min-w-0">
+                      <p className="font-medium truncate">{item.name}</p>
+                      <p className="text-gray-500 dark:text-gray-400">
+                        {item.action === 'skip'
+                          ? item.reason
+                          : <>
+                              {item.contact_name}{item.new_contact && <span className="badge bg-blue-100 text-blue-700 ml-1">new contact</span>}
+                              {' '}&middot; {item.date}{item.recurring ? ' (recurring)' : ''}
+                            </>}
+                      </p>
+                    </div>
+                  </label>
+                ))}
+              </div>
+              <button onClick={handleConfirmImport} className="btn-primary"
+                disabled={importPlan.summary.to_create - excluded.length === 0}>
+                Create {importPlan.summary.to_create - excluded.length} Event{importPlan.summary.to_create - excluded.length !== 1 ? 's' : ''}
+              </button>
+            </div>
+          )}
+
+          {importResult && (
+            <div className="rounded-lg p-4 bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800">
+              <p className="font-medium">
+                Imported {importResult.created} event{importResult.created !== 1 ? 's' : ''}
+                {importResult.contacts_created > 0 && ` and ${importResult.contacts_created} new contact${importResult.contacts_created !== 1 ? 's' : ''}`}.
+                {importResult.skipped > 0 && ` ${importResult.skipped} skipped.`}
+              </p>
+            </div>
+          )}
+        </div>
+      )}
+
       {showForm && (
         <form onSubmit={handleSubmit} className="card mb-6 space-y-4">
           <h2 className="text-lg font-semibold">New Event</h2>
@@ -103,10 +244,7 @@ export default function Events() {
               <label className="label">Type *</label>
               <select className="input" value={form.type}
                 onChange={e => handleContactOrTypeChange(form.contact_id, e.target.value)}>
-                <option value="birthday">Birthday</option>
-                <option value="anniversary">Anniversary</option>
-                <option value="holiday">Holiday</option>
-                <option value="other">Other</option>
+                {eventTypes.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
               </select>
             </div>
             <div>
@@ -125,6 +263,7 @@ export default function Events() {
             <div>
               <label className="label">Lead Time (days)</label>
               <input className="input" type="number" min="1" max="90" value={form.lead_time_days}
+                placeholder={`Default (${eventTypes.find(t => t.id === form.type)?.default_lead_time_days || 'global'})`}
                 onChange={e => setForm({...form, lead_time_days: e.target.value})} />
             </div>
             <div className="flex items-center gap-2 pt-6">
@@ -134,6 +273,23 @@ export default function Events() {
               <label htmlFor="recurring" className="text-sm">Recurring annually</label>
             </div>
           </div>
+          {form.contact_id && contacts.length > 1 && (
+            <div>
+              <label className="label">Also For</label>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">
+                For a couple or household: one pooled budget, gift and card covers everyone.
+              </p>
+              <div className="flex flex-wrap gap-2">
+                {contacts.filter(c => c.id !== form.contact_id).map(c => (
+                  <label key={c.id} className="flex items-center gap-1.5 text-sm cursor-pointer">
+                    <input type="checkbox" className="w-4 h-4 text-primary-600 rounded"
+                      checked={form.recipient_ids.includes(c.id)} onChange={() => toggleRecipient(c.id)} />
+                    {c.name}
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
           <button type="submit" className="btn-primary">Create Event</button>
         </form>
       )}
@@ -148,8 +304,46 @@ export default function Events() {
             {f === 'in_progress' ? 'In Progress' : f.charAt(0).toUpperCase() + f.slice(1)}
           </button>
         ))}
+        {segments.length > 0 && (
+          <select className="input w-auto py-1.5 text-sm" value={segmentId} onChange={e => setSegmentId(e.target.value)}>
+            <option value="">All contacts</option>
+            {segments.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+          </select>
+        )}
       </div>
 
+      {segmentId && (
+        <div className="card mb-4 space-y-3">
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <span className="font-medium">Card campaign:</span>
+            <span>draft cards for events in the next</span>
+            <input type="number" min="1" max="365" className="input w-20 py-1" value={campaignDays}
+              onChange={e => { setCampaignDays(parseInt(e.target.value) || 1); setCampaign(null); }} />
+            <span>days without a chosen card</span>
+            <button onClick={() => handleCampaign(true)} className="btn-secondary text-sm">Preview</button>
+          </div>
+          {campaign && (campaign.events.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">No events need a card in that window.</p>
+          ) : campaign.dry_run ? (
+            <div className="space-y-2 text-sm">
+              <ul className="text-gray-600 dark:text-gray-400">
+                {campaign.events.map(e => <li key={e.id}>{e.name} &middot; {e.date}</li>)}
+              </ul>
+              <button onClick={() => handleCampaign(false)} className="btn-primary text-sm">
+                Draft Cards for {campaign.events.length} Event{campaign.events.length !== 1 ? 's' : ''}
+              </button>
+            </div>
+          ) : (
+            <div className="text-sm space-y-1">
+              <p className="text-green-700 dark:text-green-400">Drafted cards for {campaign.events.length} event{campaign.events.length !== 1 ? 's' : ''}. Pick one on each event.</p>
+              {campaign.events.map(e => (
+                <p key={e.id}><Link to={`/events/${e.id}`} className="text-primary-600 hover:underline">{e.name}</Link>: {e.messages.length} draft{e.messages.length !== 1 ? 's' : ''}</p>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+
       {events.length === 0 ? (
         <div className="card text-center py-12">
           <p className="text-gray-500 dark:text-gray-400">No events found. Add your first event to get started.</p>
@@ -164,9 +358,12 @@ export default function Events() {
                 <div className="flex items-center gap-4">
                   <EventTypeIcon type={event.type} />
                   <div>
-                    <h3 className="font-semibold">{event.name}</h3>
+                    <h3 className="font-semibold flex items-center gap-2">
+                      {event.name}
+                      {event.milestone && <span className="badge bg-purple-100 text-purple-700 dark:bg-purple-900 dark:text-purple-300">{event.milestone.label}</span>}
+                    </h3>
                     <p className="text-sm text-gray-500 dark:text-gray-400">
-                      {event.contact_name} &middot; {new Date(event.date).toLocaleDateString()}
+                      {event.contact_name}{event.shared_with && ` & ${event.shared_with}`} &middot; {new Date(event.date).toLocaleDateString()}
                       {event.recurring ? ' (recurring)' : ''}
                     </p>
                   </div>
@@ -199,7 +396,7 @@ function EventTypeIcon({ type }) {
   const config = configs[type] || configs.other;
   return (
     <div className={`w-10 h-10 rounded-full ${config.bg} flex items-center justify-center flex-shrink-0`}>
-      <span className={`font-bold ${config.emoji}`}>{labels[type]}</span>
+      <span className={`font-bold ${config.emoji}`}>{labels[type] || type.charAt(0).toUpperCase()}</span>
     </div>
   );
 }
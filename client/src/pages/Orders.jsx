@@ -2,6 +2,18 @@ import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { api } from '../api';
 
+const REACTION_OPTIONS = [
+  { value: 'loved', label: 'Loved it' },
+  { value: 'neutral', label: 'Neutral' },
+  { value: 'returned', label: 'Returned' },
+];
+
+// One-line postal address for display
+function formatAddress(a) {
+  return [a.recipient_name, a.line1, a.line2, a.city, [a.region, a.postal_code].filter(Boolean).join(' '), a.country]
+    .filter(Boolean).join(', ');
+}
+
 export default function Orders() {
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -35,6 +47,18 @@ export default function Orders() {
     }
   }
 
+  async function recordReaction(order, data) {
+    setUpdatingId(order.id);
+    try {
+      await api.recordOrderReaction(order.id, data);
+      loadOrders();
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setUpdatingId(null);
+    }
+  }
+
   if (loading) return <div className="flex justify-center py-20"><div className="w-8 h-8 border-4 border-primary-200 border-t-primary-600 rounded-full animate-spin" /></div>;
 
   const statusColors = {
@@ -88,6 +112,9 @@ export default function Orders() {
                   {order.estimated_delivery && (
                     <p className="text-sm text-gray-500 mt-1">Est. delivery: {order.estimated_delivery}</p>
                   )}
+                  {order.shipping_address && (
+                    <p className="text-sm text-gray-500 mt-1">Ship to: {formatAddress(order.shipping_address)}</p>
+                  )}
                   {order.tracking_url && (
                     <a href={order.tracking_url} target="_blank" rel="noopener noreferrer"
                       className="text-sm text-primary-600 hover:text-primary-700 mt-1 inline-block">Track shipment</a>
@@ -95,6 +122,28 @@ export default function Orders() {
                   {order.issue_description && (
                     <p className="text-sm text-red-600 mt-1">Issue: {order.issue_description}</p>
                   )}
+                  {order.status === 'delivered' && (
+                    <div className="flex items-center gap-2 mt-3 flex-wrap">
+                      <span className="text-sm text-gray-500">Reaction:</span>
+                      {REACTION_OPTIONS.map(r => (
+                        <button key={r.value} disabled={updatingId === order.id}
+                          onClick={() => recordReaction(order, { reaction: order.reaction === r.value ? null : r.value })}
+                          className={`px-2.5 py-1 rounded-full text-xs font-medium transition-colors ${
+                            order.reaction === r.value
+                              ? 'bg-primary-100 text-primary-700 ring-1 ring-primary-300'
+                              : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                          }`}>
+                          {r.label}
+                        </button>
+                      ))}
+                      <label className="flex items-center gap-1.5 text-sm text-gray-600 ml-2 cursor-pointer">
+                        <input type="checkbox" checked={!!order.thank_you_received} disabled={updatingId === order.id}
+                          onChange={e => recordReaction(order, { thank_you_received: e.target.checked })}
+                          className="w-4 h-4 text-primary-600 rounded" />
+                        Thank-you received
+                      </label>
+                    </div>
+                  )}
                 </div>
 
                 <div className="flex flex-wrap gap-2">
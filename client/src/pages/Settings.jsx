@@ -1,38 +1,351 @@
 import React, { useState, useEffect } from 'react';
 import { api } from '../api';
 
-function IntegrationCard({ integration }) {
+function IntegrationCard({ integration, secretsStorage, onChange }) {
   const configured = integration.status === 'configured';
+  const [editing, setEditing] = useState(false);
+  const [values, setValues] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  async function handleSave(e) {
+    e.preventDefault();
+    // Blank fields are left unchanged
+    const credentials = Object.fromEntries(Object.entries(values).filter(([, v]) => v.trim()));
+    if (Object.keys(credentials).length === 0) {
+      setEditing(false);
+      return;
+    }
+    setSaving(true);
+    try {
+      await api.saveIntegrationCredentials(integration.provider, credentials);
+      setValues({});
+      setEditing(false);
+      onChange();
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleRemove() {
+    if (!confirm(`Remove the ${integration.label} keys stored in the app? Environment variables are not affected.`)) return;
+    try {
+      await api.deleteIntegrationCredentials(integration.provider);
+      setEditing(false);
+      onChange();
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
   return (
-    <div className={`flex items-center justify-between bg-gray-50 dark:bg-gray-800 rounded-lg px-4 py-3 border ${configured ? 'border-green-200 dark:border-green-800' : 'border-gray-200 dark:border-gray-700'}`}>
-      <div className="flex-1 min-w-0">
-        <div className="flex items-center gap-2">
-          <span className="font-medium text-sm">{integration.label}</span>
-          {integration.active && (
-            <span className="text-xs bg-blue-100 text-blue-700 dark:bg-blue-900 dark:text-blue-300 px-1.5 py-0.5 rounded">active</span>
+    <div className={`bg-gray-50 dark:bg-gray-800 rounded-lg px-4 py-3 border ${configured ? 'border-green-200 dark:border-green-800' : 'border-gray-200 dark:border-gray-700'}`}>
+      <div className="flex items-center justify-between">
+        <div className="flex-1 min-w-0">
+          <div className="flex items-center gap-2">
+            <span className="font-medium text-sm">{integration.label}</span>
+            {integration.active && (
+              <span className="text-xs bg-blue-100 text-blue-700 dark:bg-blue-900 dark:text-blue-300 px-1.5 py-0.5 rounded">active</span>
+            )}
+          </div>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-0.5 truncate">{integration.description}</p>
+          {configured && (
+            <div className="flex flex-wrap gap-x-3 gap-y-0.5 mt-1">
+              {Object.entries(integration.variables).filter(([, v]) => v.set).map(([key, v]) => (
+                <span key={key} className="text-xs text-gray-400 dark:text-gray-500 font-mono">
+                  {key.split('_').pop().toLowerCase()}: {v.masked}{v.source === 'app' ? ' (app)' : ''}
+                </span>
+              ))}
+            </div>
           )}
         </div>
-        <p className="text-xs text-gray-500 dark:text-gray-400 mt-0.5 truncate">{integration.description}</p>
-        {configured && (
-          <div className="flex flex-wrap gap-x-3 gap-y-0.5 mt-1">
-            {Object.entries(integration.variables).filter(([, v]) => v.set).map(([key, v]) => (
-              <span key={key} className="text-xs text-gray-400 dark:text-gray-500 font-mono">{key.split('_').pop().toLowerCase()}: {v.masked}</span>
-            ))}
+        <div className="flex items-center gap-2 ml-3 flex-shrink-0">
+          {secretsStorage && (
+            <button onClick={() => setEditing(!editing)}
+              className="text-xs text-primary-600 dark:text-primary-400 hover:underline">
+              {editing ? 'Cancel' : 'Enter keys'}
+            </button>
+          )}
+          {configured ? (
+            <span className="text-xs font-medium text-green-600 dark:text-green-400 bg-green-50 dark:bg-green-900/30 px-2 py-1 rounded">Connected</span>
+          ) : (
+            integration.signupUrl ? (
+              <a href={integration.signupUrl} target="_blank" rel="noopener noreferrer"
+                className="text-xs text-primary-600 dark:text-primary-400 hover:underline">Get API key</a>
+            ) : (
+              <span className="text-xs text-gray-400">Not configured</span>
+            )
+          )}
+        </div>
+      </div>
+      {editing && (
+        <form onSubmit={handleSave} className="mt-3 space-y-2">
+          {Object.entries(integration.variables).map(([key, v]) => (
+            <div key={key}>
+              <label className="label text-xs font-mono">{key}{v.required ? ' *' : ''}</label>
+              <input type="password" autoComplete="off" className="input text-sm"
+                placeholder={v.set ? `${v.masked} (from ${v.source === 'app' ? 'app' : 'environment'}) — leave blank to keep` : ''}
+                value={values[key] || ''}
+                onChange={e => setValues({ ...values, [key]: e.target.value })} />
+            </div>
+          ))}
+          <div className="flex items-center gap-2">
+            <button type="submit" className="btn-primary text-sm" disabled={saving}>
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+            {integration.stored_in_app && (
+              <button type="button" onClick={handleRemove} className="text-xs text-red-600 dark:text-red-400 hover:underline">
+                Remove stored keys
+              </button>
+            )}
           </div>
-        )}
+        </form>
+      )}
+    </div>
+  );
+}
+
+const CARD_TONES = ['warm', 'formal', 'humorous', 'heartfelt', 'casual'];
+const EMPTY_EVENT_TYPE = { name: '', occasion: '', default_lead_time_days: '', budget: '', catalog_category: 'other', templates: {} };
+
+// Turn the form's one-message-per-line template text into { tone: [messages] }
+function templatesFromText(templates) {
+  const result = {};
+  for (const tone of CARD_TONES) {
+    const lines = (templates[tone] || '').split('\n').map(l => l.trim()).filter(Boolean);
+    if (lines.length > 0) result[tone] = lines;
+  }
+  return result;
+}
+
+function EventTypeForm({ initial, categories, onSubmit, onCancel, submitLabel }) {
+  const [form, setForm] = useState(initial);
+  const [newCategory, setNewCategory] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await onSubmit({
+        name: form.name,
+        occasion: form.occasion || undefined,
+        default_lead_time_days: form.default_lead_time_days ? parseInt(form.default_lead_time_days) : null,
+        budget: form.budget !== '' ? parseFloat(form.budget) : undefined,
+        catalog_category: form.catalog_category,
+        card_templates: templatesFromText(form.templates),
+      });
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-gray-50 dark:bg-gray-800 rounded-lg p-4 mb-4 space-y-4">
+      <div className="grid md:grid-cols-2 gap-4">
+        <div>
+          <label className="label">Name *</label>
+          <input className="input" value={form.name} required maxLength={60}
+            onChange={e => setForm({ ...form, name: e.target.value })} placeholder="e.g. Promotion" />
+        </div>
+        <div>
+          <label className="label">Occasion</label>
+          <input className="input" value={form.occasion} maxLength={60}
+            onChange={e => setForm({ ...form, occasion: e.target.value })} placeholder='Used in "happy belated ..." cards' />
+        </div>
+        <div>
+          <label className="label">Default Lead Time (days)</label>
+          <input className="input" type="number" min="1" max="365" value={form.default_lead_time_days}
+            onChange={e => setForm({ ...form, default_lead_time_days: e.target.value })} placeholder="Global default" />
+        </div>
+        <div>
+          <label className="label">Default Budget ($)</label>
+          <input className="input" type="number" min="0" step="0.01" value={form.budget}
+            onChange={e => setForm({ ...form, budget: e.target.value })} />
+        </div>
+        <div>
+          <label className="label">Gift Catalog Category</label>
+          <select className="input" value={newCategory ? '' : form.catalog_category}
+            onChange={e => {
+              setNewCategory(!e.target.value);
+              setForm({ ...form, catalog_category: e.target.value });
+            }}>
+            {categories.map(c => <option key={c} value={c}>{c === 'other' ? 'Any (whole catalog)' : c.replace('_', ' ')}</option>)}
+            <option value="">New category...</option>
+          </select>
+          {newCategory && (
+            <input className="input mt-2" value={form.catalog_category} required maxLength={40} pattern="[a-z][a-z0-9_]+"
+              onChange={e => setForm({ ...form, catalog_category: e.target.value })} placeholder="e.g. baby_shower"
+              title="Lowercase letters, digits or underscores, starting with a letter" />
+          )}
+        </div>
+      </div>
+      <div>
+        <label className="label">Card Templates</label>
+        <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">
+          One message per line; {'{name}'} is replaced with the contact's name. Tones left blank use the warm messages,
+          and with no warm messages the built-in templates are used.
+        </p>
+        <div className="space-y-2">
+          {CARD_TONES.map(tone => (
+            <div key={tone}>
+              <label className="text-xs font-medium capitalize">{tone}</label>
+              <textarea className="input text-sm" rows={2} value={form.templates[tone] || ''}
+                onChange={e => setForm({ ...form, templates: { ...form.templates, [tone]: e.target.value } })} />
+            </div>
+          ))}
+        </div>
+      </div>
+      <div className="flex items-center gap-2">
+        <button type="submit" className="btn-primary" disabled={saving}>{saving ? 'Saving...' : submitLabel}</button>
+        <button type="button" onClick={onCancel} className="btn-secondary">Cancel</button>
       </div>
-      <div className="flex items-center gap-2 ml-3 flex-shrink-0">
-        {configured ? (
-          <span className="text-xs font-medium text-green-600 dark:text-green-400 bg-green-50 dark:bg-green-900/30 px-2 py-1 rounded">Connected</span>
+    </form>
+  );
+}
+
+function EventTypesCard({ eventTypes, categories, onChange }) {
+  const [adding, setAdding] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+
+  function formFor(type) {
+    const templates = Object.fromEntries(Object.entries(type.card_templates || {}).map(([tone, list]) => [tone, list.join('\n')]));
+    return {
+      name: type.name,
+      occasion: type.occasion,
+      default_lead_time_days: type.default_lead_time_days || '',
+      budget: type.budget ?? '',
+      catalog_category: type.catalog_category,
+      templates,
+    };
+  }
+
+  async function handleCreate(data) {
+    await api.createEventType(data);
+    setAdding(false);
+    onChange();
+  }
+
+  async function handleUpdate(id, data) {
+    await api.updateEventType(id, data);
+    setEditingId(null);
+    onChange();
+  }
+
+  async function handleDelete(type) {
+    if (!confirm(`Delete the "${type.name}" event type and its budget?`)) return;
+    try {
+      await api.deleteEventType(type.id);
+      onChange();
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-lg font-semibold">Event Types</h2>
+          <p className="text-sm text-gray-500 dark:text-gray-400">Occasions you can schedule, each with its own budget, lead time, card messages and gift catalog</p>
+        </div>
+        <button onClick={() => { setAdding(!adding); setEditingId(null); }} className="btn-primary text-sm">
+          {adding ? 'Cancel' : '+ Add Type'}
+        </button>
+      </div>
+
+      {adding && (
+        <EventTypeForm initial={EMPTY_EVENT_TYPE} categories={categories} submitLabel="Add Type"
+          onSubmit={handleCreate} onCancel={() => setAdding(false)} />
+      )}
+
+      <div className="space-y-2">
+        {eventTypes.map(type => editingId === type.id ? (
+          <EventTypeForm key={type.id} initial={formFor(type)} categories={categories} submitLabel="Save"
+            onSubmit={data => handleUpdate(type.id, data)} onCancel={() => setEditingId(null)} />
         ) : (
-          integration.signupUrl ? (
-            <a href={integration.signupUrl} target="_blank" rel="noopener noreferrer"
-              className="text-xs text-primary-600 dark:text-primary-400 hover:underline">Get API key</a>
-          ) : (
-            <span className="text-xs text-gray-400">Not configured</span>
-          )
-        )}
+          <div key={type.id} className="flex items-center justify-between bg-gray-50 dark:bg-gray-800 rounded-lg px-4 py-3">
+            <div>
+              <div className="font-medium text-sm flex items-center gap-2">
+                {type.name}
+                {type.builtin === 1 && <span className="badge bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300">built-in</span>}
+              </div>
+              <div className="text-xs text-gray-500 dark:text-gray-400">
+                Budget: ${type.budget ?? '—'} | Lead time: {type.default_lead_time_days ? `${type.default_lead_time_days} days` : 'default'}
+                {' | '}Gifts: {type.catalog_category === 'other' ? 'any' : type.catalog_category.replace('_', ' ')}
+                {' | '}{type.event_count} event{type.event_count === 1 ? '' : 's'}
+              </div>
+            </div>
+            <div className="flex items-center gap-3">
+              <button onClick={() => { setEditingId(type.id); setAdding(false); }}
+                className="text-xs text-primary-600 dark:text-primary-400 hover:underline">Edit</button>
+              {!type.builtin && (
+                <button onClick={() => handleDelete(type)} disabled={type.event_count > 0}
+                  title={type.event_count > 0 ? 'In use by events' : undefined}
+                  className="text-xs text-red-600 dark:text-red-400 hover:underline disabled:opacity-40 disabled:no-underline">Delete</button>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Per-user weights for gift recommendation scoring; each recommendation on an
+// event page shows how these added up
+function ScoringCard() {
+  const [fields, setFields] = useState(null);
+  const [weights, setWeights] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    api.getScoringWeights()
+      .then(data => { setFields(data.fields); setWeights(data.weights); })
+      .catch(err => console.error('Failed to load scoring weights:', err));
+  }, []);
+
+  async function save(next) {
+    setSaving(true);
+    try {
+      const data = await api.updateScoringWeights(next);
+      setWeights(data.weights);
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  if (!fields) return null;
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-lg font-semibold">Recommendation Scoring</h2>
+          <p className="text-sm text-gray-500 dark:text-gray-400">Points each factor adds to a gift's score. Open "Why this score?" on a recommendation to see them at work.</p>
+        </div>
+        <button onClick={() => save({})} disabled={saving} className="btn-secondary text-sm">Reset</button>
       </div>
+      <form onSubmit={e => { e.preventDefault(); save(weights); }} className="space-y-4">
+        <div className="grid md:grid-cols-2 gap-4">
+          {Object.entries(fields).map(([key, field]) => (
+            <div key={key} className="flex items-center justify-between gap-3">
+              <label className="text-sm">
+                {field.label}
+                <span className="text-xs text-gray-400 ml-1">(default {field.default})</span>
+              </label>
+              <input type="number" className="input w-24" min={field.min} max={field.max} step={key === 'history' ? 0.1 : 1}
+                value={weights[key]} onChange={e => setWeights({ ...weights, [key]: e.target.value === '' ? '' : Number(e.target.value) })} />
+            </div>
+          ))}
+        </div>
+        <button type="submit" disabled={saving} className="btn-primary text-sm">{saving ? 'Saving...' : 'Save Weights'}</button>
+      </form>
     </div>
   );
 }
@@ -41,8 +354,12 @@ export default function Settings() {
   const [settings, setSettings] = useState({});
   const [autonomy, setAutonomy] = useState([]);
   const [contacts, setContacts] = useState([]);
+  const [segments, setSegments] = useState([]);
+  const [eventTypes, setEventTypes] = useState({ event_types: [], catalog_categories: [] });
   const [integrations, setIntegrations] = useState(null);
   const [backupStatus, setBackupStatus] = useState(null);
+  const [calendarFeed, setCalendarFeed] = useState(null);
+  const [copied, setCopied] = useState(false);
   const [restoreLoading, setRestoreLoading] = useState(false);
   const [loading, setLoading] = useState(true);
   const [emergencyLoading, setEmergencyLoading] = useState(false);
@@ -55,18 +372,24 @@ export default function Settings() {
 
   async function loadData() {
     try {
-      const [settingsData, autonomyData, contactsData, integrationsData, backupData] = await Promise.all([
+      const [settingsData, autonomyData, contactsData, segmentsData, eventTypesData, integrationsData, backupData, calendarData] = await Promise.all([
         api.getSettings(),
         api.getAutonomySettings(),
         api.getContacts(),
+        api.getSegments(),
+        api.getEventTypes(),
         api.getIntegrations(),
         api.getBackupStatus(),
+        api.getCalendarFeed(),
       ]);
       setSettings(settingsData);
       setAutonomy(autonomyData);
       setContacts(contactsData);
+      setSegments(segmentsData.segments);
+      setEventTypes(eventTypesData);
       setIntegrations(integrationsData);
       setBackupStatus(backupData);
+      setCalendarFeed(calendarData);
     } catch (err) {
       console.error('Failed to load settings:', err);
     } finally {
@@ -101,11 +424,51 @@ export default function Settings() {
     }
   }
 
+  async function handleUpdateReminderMilestones(value) {
+    if (value === (settings.reminder_milestones || 'lead,7,2')) return;
+    try {
+      await api.updateSetting('reminder_milestones', value);
+      setSettings({ ...settings, reminder_milestones: value });
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  async function handleUpdateHolidayRegion(value) {
+    try {
+      await api.updateSetting('holiday_region', value);
+      setSettings({ ...settings, holiday_region: value });
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  async function handleUpdateMilestoneMultiplier(value) {
+    try {
+      await api.updateSetting('milestone_budget_multiplier', value);
+      setSettings({ ...settings, milestone_budget_multiplier: value });
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  async function handleUpdateGlobalAutonomy(value) {
+    try {
+      await api.updateSetting('autonomy_global_level', value);
+      setSettings({ ...settings, autonomy_global_level: value });
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
   async function handleAddAutonomy(e) {
     e.preventDefault();
     try {
+      // "segment:<id>" makes a rule for everyone in the segment
+      const segmentId = autonomyForm.contact_id.startsWith('segment:') ? autonomyForm.contact_id.slice('segment:'.length) : null;
       await api.setAutonomySetting({
-        contact_id: autonomyForm.contact_id || null,
+        contact_id: segmentId ? null : (autonomyForm.contact_id || null),
+        segment_id: segmentId,
         event_type: autonomyForm.event_type || null,
         level: autonomyForm.level,
         max_budget: autonomyForm.max_budget ? parseFloat(autonomyForm.max_budget) : null,
@@ -118,6 +481,25 @@ export default function Settings() {
     }
   }
 
+  async function handleCopyFeedUrl() {
+    try {
+      await navigator.clipboard.writeText(`${window.location.origin}${calendarFeed.path}`);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      alert('Could not copy — select the URL and copy it manually.');
+    }
+  }
+
+  async function handleRotateFeedToken() {
+    if (!confirm('Generate a new calendar URL? Calendars subscribed to the current URL will stop updating until you subscribe again.')) return;
+    try {
+      setCalendarFeed(await api.rotateCalendarToken());
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
   async function handleRestore(e) {
     const file = e.target.files?.[0];
     if (!file) return;
@@ -201,15 +583,79 @@ export default function Settings() {
               ))}
             </select>
           </div>
+          <div className="flex items-center justify-between">
+            <div>
+              <label className="font-medium">Reminder Schedule</label>
+              <p className="text-sm text-gray-500 dark:text-gray-400">Days before an event to send reminders, comma-separated. Use "lead" for the event's lead time.</p>
+            </div>
+            <input type="text" className="input w-32" key={settings.reminder_milestones}
+              defaultValue={settings.reminder_milestones || 'lead,7,2'}
+              onBlur={e => handleUpdateReminderMilestones(e.target.value.trim())} />
+          </div>
+          <div className="flex items-center justify-between">
+            <div>
+              <label className="font-medium">Holiday Region</label>
+              <p className="text-sm text-gray-500 dark:text-gray-400">Which regional holidays (e.g. Mother's Day) contacts can be signed up for</p>
+            </div>
+            <select className="input w-32" value={settings.holiday_region || 'US'}
+              onChange={e => handleUpdateHolidayRegion(e.target.value)}>
+              <option value="US">US</option>
+              <option value="UK">UK</option>
+            </select>
+          </div>
+          <div className="flex items-center justify-between">
+            <div>
+              <label className="font-medium">Milestone Budget</label>
+              <p className="text-sm text-gray-500 dark:text-gray-400">Budget multiplier for milestone birthdays (18th, 21st, 30th, 40th...) and anniversaries (5th, 10th, 25th "silver"...)</p>
+            </div>
+            <select className="input w-32" value={settings.milestone_budget_multiplier || '1.5'}
+              onChange={e => handleUpdateMilestoneMultiplier(e.target.value)}>
+              {['1', '1.25', '1.5', '2', '3'].map(m => (
+                <option key={m} value={m}>{m === '1' ? 'No change' : `${m}×`}</option>
+              ))}
+            </select>
+          </div>
         </div>
       </div>
 
+      {/* Event Types */}
+      <EventTypesCard eventTypes={eventTypes.event_types} categories={eventTypes.catalog_categories}
+        onChange={async () => setEventTypes(await api.getEventTypes())} />
+
+      {/* Recommendation Scoring */}
+      <ScoringCard />
+
+      {/* Calendar Feed */}
+      {calendarFeed && (
+        <div className="card">
+          <div className="mb-4">
+            <h2 className="text-lg font-semibold">Calendar Feed</h2>
+            <p className="text-sm text-gray-500 dark:text-gray-400">Subscribe to this URL in Google Calendar, Apple Calendar or Outlook to see your events alongside everything else, with reminders at your reminder schedule. Anyone with the URL can read your events — generate a new one if it leaks.</p>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <input type="text" readOnly className="input flex-1 min-w-0 font-mono text-xs"
+              value={`${window.location.origin}${calendarFeed.path}`} onFocus={e => e.target.select()} />
+            <button onClick={handleCopyFeedUrl} className="btn-primary text-sm">
+              {copied ? 'Copied' : 'Copy URL'}
+            </button>
+            <button onClick={handleRotateFeedToken} className="px-4 py-2 text-sm font-medium rounded-lg border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-800 transition-colors">
+              New URL
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Integrations */}
       {integrations && (
         <div className="card">
           <div className="mb-4">
             <h2 className="text-lg font-semibold">Integrations</h2>
-            <p className="text-sm text-gray-500 dark:text-gray-400">Connect to retailers, florists, shopping aggregators, and LLM providers. Set API keys as environment variables in Railway.</p>
+            <p className="text-sm text-gray-500 dark:text-gray-400">Connect to retailers, florists, shopping aggregators, and LLM providers. Set API keys as environment variables in Railway, or enter them here — keys entered in the app are stored encrypted and take priority over environment variables.</p>
+            {!integrations.secrets_storage && (
+              <p className="text-xs text-gray-400 dark:text-gray-500 mt-1">
+                To enter keys in the app, set <span className="font-mono">SECRETS_ENCRYPTION_KEY</span> on the server.
+              </p>
+            )}
           </div>
 
           {/* Retailers */}
@@ -217,7 +663,8 @@ export default function Settings() {
             <h3 className="text-sm font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wide mb-2">Retailers</h3>
             <div className="space-y-2">
               {integrations.retailers.map(r => (
-                <IntegrationCard key={r.provider} integration={r} />
+                <IntegrationCard key={r.provider} integration={r}
+                  secretsStorage={integrations.secrets_storage} onChange={loadData} />
               ))}
             </div>
           </div>
@@ -227,7 +674,8 @@ export default function Settings() {
             <h3 className="text-sm font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wide mb-2">Florists</h3>
             <div className="space-y-2">
               {integrations.florists.map(f => (
-                <IntegrationCard key={f.provider} integration={f} />
+                <IntegrationCard key={f.provider} integration={f}
+                  secretsStorage={integrations.secrets_storage} onChange={loadData} />
               ))}
             </div>
           </div>
@@ -237,7 +685,8 @@ export default function Settings() {
             <h3 className="text-sm font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wide mb-2">Shopping Aggregator</h3>
             <div className="space-y-2">
               {integrations.aggregators.map(a => (
-                <IntegrationCard key={a.provider} integration={a} />
+                <IntegrationCard key={a.provider} integration={a}
+                  secretsStorage={integrations.secrets_storage} onChange={loadData} />
               ))}
             </div>
           </div>
@@ -257,7 +706,8 @@ export default function Settings() {
             )}
             <div className="space-y-2">
               {integrations.llm.providers.map(p => (
-                <IntegrationCard key={p.provider} integration={p} />
+                <IntegrationCard key={p.provider} integration={p}
+                  secretsStorage={integrations.secrets_storage} onChange={loadData} />
               ))}
             </div>
           </div>
@@ -309,10 +759,23 @@ export default function Settings() {
           </button>
         </div>
 
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <label className="font-medium">Default Level</label>
+            <p className="text-sm text-gray-500 dark:text-gray-400">Applies when no rule matches the contact or event type</p>
+          </div>
+          <select className="input w-48" value={settings.autonomy_global_level || 'manual'}
+            onChange={e => handleUpdateGlobalAutonomy(e.target.value)}>
+            <option value="manual">Manual</option>
+            <option value="auto_recommend">Auto Recommend</option>
+            <option value="auto_purchase">Auto Purchase</option>
+          </select>
+        </div>
+
         <div className="bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 rounded-lg p-3 mb-4">
           <p className="text-sm text-amber-800 dark:text-amber-300">
-            <strong>MVP Mode:</strong> All purchases require explicit approval regardless of autonomy settings.
-            These settings will take effect in future versions.
+            Rules are checked once a day when an event's lead window opens. The most specific rule wins:
+            contact, then segment, then event type, then the default level. Emergency stop halts all automated actions.
           </p>
         </div>
 
@@ -320,11 +783,16 @@ export default function Settings() {
           <form onSubmit={handleAddAutonomy} className="bg-gray-50 dark:bg-gray-800 rounded-lg p-4 mb-4 space-y-4">
             <div className="grid md:grid-cols-2 gap-4">
               <div>
-                <label className="label">Contact (optional)</label>
+                <label className="label">Contact or Segment (optional)</label>
                 <select className="input" value={autonomyForm.contact_id}
                   onChange={e => setAutonomyForm({...autonomyForm, contact_id: e.target.value})}>
                   <option value="">All contacts</option>
                   {contacts.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                  {segments.length > 0 && (
+                    <optgroup label="Segments">
+                      {segments.map(s => <option key={s.id} value={`segment:${s.id}`}>{s.name}</option>)}
+                    </optgroup>
+                  )}
                 </select>
               </div>
               <div>
@@ -332,9 +800,7 @@ export default function Settings() {
                 <select className="input" value={autonomyForm.event_type}
                   onChange={e => setAutonomyForm({...autonomyForm, event_type: e.target.value})}>
                   <option value="">All types</option>
-                  <option value="birthday">Birthday</option>
-                  <option value="anniversary">Anniversary</option>
-                  <option value="holiday">Holiday</option>
+                  {eventTypes.event_types.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
                 </select>
               </div>
               <div>
@@ -343,7 +809,7 @@ export default function Settings() {
                   onChange={e => setAutonomyForm({...autonomyForm, level: e.target.value})}>
                   <option value="manual">Manual - Approve everything</option>
                   <option value="auto_recommend">Auto Recommend - Auto-generate suggestions</option>
-                  <option value="auto_purchase">Auto Purchase - Full automation (future)</option>
+                  <option value="auto_purchase">Auto Purchase - Order within max budget</option>
                 </select>
               </div>
               <div>
@@ -357,14 +823,14 @@ export default function Settings() {
         )}
 
         {autonomy.length === 0 ? (
-          <p className="text-gray-500 dark:text-gray-400 text-sm">No autonomy rules configured. Default: manual approval for everything.</p>
+          <p className="text-gray-500 dark:text-gray-400 text-sm">No autonomy rules configured. The default level applies to every event.</p>
         ) : (
           <div className="space-y-2">
             {autonomy.map(rule => (
               <div key={rule.id} className="flex items-center justify-between bg-gray-50 dark:bg-gray-800 rounded-lg px-4 py-3">
                 <div>
                   <div className="font-medium text-sm">
-                    {rule.contact_name || 'All contacts'} / {rule.event_type || 'All types'}
+                    {rule.contact_name || (rule.segment_name && `Segment: ${rule.segment_name}`) || 'All contacts'} / {rule.event_type || 'All types'}
                   </div>
                   <div className="text-xs text-gray-500 dark:text-gray-400">
                     Level: <span className="capitalize">{rule.level.replace('_', ' ')}</span>
@@ -389,7 +855,7 @@ export default function Settings() {
           <div className="flex gap-3">
             <div className="w-3 h-3 bg-gray-400 rounded-full mt-1.5 flex-shrink-0" />
             <div>
-              <h3 className="font-medium">Manual (Current MVP)</h3>
+              <h3 className="font-medium">Manual</h3>
               <p className="text-sm text-gray-600 dark:text-gray-400">System generates recommendations and drafts. You approve everything before any action is taken.</p>
             </div>
           </div>
@@ -397,13 +863,13 @@ export default function Settings() {
             <div className="w-3 h-3 bg-blue-400 rounded-full mt-1.5 flex-shrink-0" />
             <div>
               <h3 className="font-medium">Auto Recommend</h3>
-              <p className="text-sm text-gray-600 dark:text-gray-400">System automatically generates recommendations when events approach lead time. You still approve purchases.</p>
+              <p className="text-sm text-gray-600 dark:text-gray-400">System automatically generates gift recommendations and card drafts when an event reaches its lead time. You still approve purchases.</p>
             </div>
           </div>
           <div className="flex gap-3">
             <div className="w-3 h-3 bg-amber-400 rounded-full mt-1.5 flex-shrink-0" />
             <div>
-              <h3 className="font-medium">Auto Purchase (Future)</h3>
+              <h3 className="font-medium">Auto Purchase</h3>
               <p className="text-sm text-gray-600 dark:text-gray-400">System automatically selects and purchases gifts within defined budget limits. Emergency stop can override at any time.</p>
             </div>
           </div>
@@ -0,0 +1,6 @@
+// Tests draft card messages from the built-in templates, whatever LLM the
+// shell running them has keys for. Suites that exercise a provider set their
+// own keys.
+for (const key of ['LLM_PROVIDER', 'ANTHROPIC_API_KEY', 'OPENAI_API_KEY', 'GEMINI_API_KEY', 'OPENAI_COMPATIBLE_API_KEY']) {
+  delete process.env[key];
+}
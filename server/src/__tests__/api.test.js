@@ -39,11 +39,13 @@ describe('Database initialization', () => {
     expect(tables).toContain('global_settings');
   });
 
-  test('creates default budgets', () => {
+  test('creates a default budget for each event type', () => {
     const db = getDb();
     const budgets = db.prepare('SELECT * FROM budgets ORDER BY category').all();
-    expect(budgets.length).toBe(4);
-    expect(budgets.map(b => b.category)).toEqual(['anniversary', 'birthday', 'holiday', 'other']);
+    expect(budgets.map(b => b.category)).toEqual([
+      'anniversary', 'birthday', 'graduation', 'holiday', 'housewarming', 'new_baby', 'other',
+      'retirement', 'sympathy', 'wedding',
+    ]);
   });
 
   test('creates default global settings', () => {
@@ -358,3 +360,220 @@ describe('Notification system', () => {
     expect(typeof count.count).toBe('number');
   });
 });
+
+describe('Gift history', () => {
+  const { v4: uuidv4 } = require('uuid');
+  const { getGiftHistory, historySignals, historyPenalty } = require('../history');
+  const { generateRecommendations } = require('../routes/gifts');
+  const { todayIso, addDays } = require('../dates');
+
+  let contactId;
+  let pastEventId;
+
+  beforeAll(() => {
+    const db = getDb();
+    contactId = uuidv4();
+    db.prepare("INSERT INTO contacts (id, name, relationship) VALUES (?, 'History Contact', 'friend')").run(contactId);
+
+    // Last year's birthday: a candle set was delivered along with a warm card
+    pastEventId = uuidv4();
+    const pastDate = addDays(todayIso(), -200);
+    db.prepare("INSERT INTO events (id, contact_id, type, name, date, status) VALUES (?, ?, 'birthday', 'Past Birthday', ?, 'completed')")
+      .run(pastEventId, contactId, pastDate);
+    const giftId = uuidv4();
+    db.prepare(`
+      INSERT INTO gift_recommendations (id, event_id, name, price, retailer, tags, status)
+      VALUES (?, ?, 'Scented Candle Set', 28.50, 'Target', ?, 'purchased')
+    `).run(giftId, pastEventId, JSON.stringify(['home', 'relaxation', 'self-care']));
+    db.prepare(`
+      INSERT INTO orders (id, gift_recommendation_id, event_id, status, ordered_at, actual_delivery)
+      VALUES (?, ?, ?, 'delivered', datetime('now'), ?)
+    `).run(uuidv4(), giftId, pastEventId, pastDate);
+    db.prepare("INSERT INTO card_messages (id, event_id, tone, message, selected) VALUES (?, ?, 'warm', 'Happy birthday!', 1)")
+      .run(uuidv4(), pastEventId);
+
+    // A card-only occasion
+    const cardEventId = uuidv4();
+    db.prepare("INSERT INTO events (id, contact_id, type, name, date, status) VALUES (?, ?, 'other', 'Graduation', ?, 'completed')")
+      .run(cardEventId, contactId, addDays(todayIso(), -30));
+    db.prepare("INSERT INTO card_messages (id, event_id, tone, message, selected) VALUES (?, ?, 'formal', 'Congratulations.', 1)")
+      .run(uuidv4(), cardEventId);
+  });
+
+  test('lists gifts and card-only occasions newest first', () => {
+    const history = getGiftHistory(getDb(), contactId);
+
+    expect(history).toHaveLength(2);
+    expect(history[0].event_name).toBe('Graduation');
+    expect(history[0].gift).toBeNull();
+    expect(history[0].card.tone).toBe('formal');
+    expect(history[1].gift.name).toBe('Scented Candle Set');
+    expect(history[1].gift.tags).toEqual(['home', 'relaxation', 'self-care']);
+    expect(history[1].order.status).toBe('delivered');
+    expect(history[1].card.message).toBe('Happy birthday!');
+  });
+
+  test('penalises recently used tags and retailers', () => {
+    const signals = historySignals(getGiftHistory(getDb(), contactId));
+    const fresh = { name: 'Leather Journal', retailer: 'Amazon', tags: ['writing', 'creative'] };
+    const repeat = { name: 'Bath Bombs', retailer: 'Target', tags: ['relaxation', 'self-care'] };
+
+    expect(historyPenalty(fresh, signals)).toBe(0);
+    expect(historyPenalty(repeat, signals)).toBeGreaterThan(0);
+  });
+
+  test('ignores cancelled orders', () => {
+    const history = [{
+      event_date: todayIso(),
+      gift: { name: 'Cancelled Gift', retailer: 'Target', tags: ['home'] },
+      order: { status: 'cancelled' },
+    }];
+    const signals = historySignals(history);
+    expect(historyPenalty({ name: 'Other', retailer: 'Target', tags: ['home'] }, signals)).toBe(0);
+  });
+
+  test('flags recommendations similar to a past gift', async () => {
+    const db = getDb();
+    const eventId = uuidv4();
+    db.prepare("INSERT INTO events (id, contact_id, type, name, date) VALUES (?, ?, 'birthday', 'Next Birthday', ?)")
+      .run(eventId, contactId, addDays(todayIso(), 60));
+    const event = db.prepare(`
+      SELECT e.*, c.name as contact_name, c.preferences, c.constraints
+      FROM events e JOIN contacts c ON e.contact_id = c.id WHERE e.id = ?
+    `).get(eventId);
+
+    const { recommendations } = await generateRecommendations(db, event);
+
+    expect(recommendations.some(r => r.name === 'Scented Candle Set')).toBe(false);
+    const bathBombs = recommendations.find(r => r.name === 'Luxury Bath Bomb Set');
+    const year = Number(addDays(todayIso(), -200).slice(0, 4));
+    expect(bathBombs.similar_to).toEqual({ name: 'Scented Candle Set', year, event_id: pastEventId });
+    expect(bathBombs.reasoning).toContain(`Similar to what you gave in ${year}`);
+
+    const stored = db.prepare("SELECT tags FROM gift_recommendations WHERE event_id = ? AND name = 'Luxury Bath Bomb Set'").get(eventId);
+    expect(JSON.parse(stored.tags)).toEqual(['self-care', 'relaxation', 'beauty']);
+  });
+});
+
+describe('Recipient reactions', () => {
+  const { v4: uuidv4 } = require('uuid');
+  const { reactionPreferences, applyReactionPreferences } = require('../history');
+
+  function entry(reaction, tags) {
+    return { gift: { tags }, order: { status: 'delivered', reaction } };
+  }
+
+  test('nets loved and returned gifts into liked and disliked tags', () => {
+    const prefs = reactionPreferences([
+      entry('loved', ['books', 'reading']),
+      entry('loved', ['books', 'coffee']),
+      entry('returned', ['coffee', 'tech']),
+      entry('neutral', ['home']),
+    ]);
+
+    expect(prefs.liked_tags).toEqual(['books', 'reading']);
+    expect(prefs.disliked_tags).toEqual(['tech']);
+  });
+
+  test('writes reaction tags into the contact preferences', () => {
+    const db = getDb();
+    const contactId = uuidv4();
+    db.prepare(`INSERT INTO contacts (id, name, relationship, preferences) VALUES (?, 'Reaction Contact', 'friend', ?)`)
+      .run(contactId, JSON.stringify({ interests: ['music'] }));
+    const eventId = uuidv4();
+    db.prepare("INSERT INTO events (id, contact_id, type, name, date) VALUES (?, ?, 'birthday', 'Birthday', '2025-03-01')")
+      .run(eventId, contactId);
+    const giftId = uuidv4();
+    db.prepare(`
+      INSERT INTO gift_recommendations (id, event_id, name, price, retailer, tags, status)
+      VALUES (?, ?, 'Vinyl Record', 30, 'Amazon', ?, 'purchased')
+    `).run(giftId, eventId, JSON.stringify(['music', 'vinyl']));
+    db.prepare(`
+      INSERT INTO orders (id, gift_recommendation_id, event_id, status, reaction)
+      VALUES (?, ?, ?, 'delivered', 'loved')
+    `).run(uuidv4(), giftId, eventId);
+
+    const prefs = applyReactionPreferences(db, contactId);
+
+    expect(prefs).toEqual({ interests: ['music'], liked_tags: ['music', 'vinyl'], disliked_tags: [] });
+    const stored = JSON.parse(db.prepare('SELECT preferences FROM contacts WHERE id = ?').get(contactId).preferences);
+    expect(stored.liked_tags).toEqual(['music', 'vinyl']);
+  });
+
+  test('only accepts known reactions', () => {
+    const db = getDb();
+    const order = db.prepare('SELECT id FROM orders LIMIT 1').get();
+    expect(() => db.prepare("UPDATE orders SET reaction = 'meh' WHERE id = ?").run(order.id)).toThrow();
+  });
+});
+
+describe('Shipping addresses', () => {
+  const { v4: uuidv4 } = require('uuid');
+  const {
+    validateAddress, createAddress, updateAddress, deleteAddress, listAddresses,
+  } = require('../addresses');
+  const { placeOrder } = require('../routes/orders');
+  const { logAudit, getAuditLog } = require('../audit');
+
+  const HOME = { label: 'Home', line1: '1 Main St', city: 'Springfield', region: 'IL', postal_code: '62701', country: 'us' };
+
+  let contactId;
+
+  beforeAll(() => {
+    contactId = uuidv4();
+    getDb().prepare("INSERT INTO contacts (id, name, relationship) VALUES (?, 'Address Contact', 'friend')").run(contactId);
+  });
+
+  test('validates required fields and postal codes per country', () => {
+    expect(validateAddress({ ...HOME, line1: '' }).error).toMatch('line1');
+    expect(validateAddress({ ...HOME, region: '' }).error).toMatch('region');
+    expect(validateAddress({ ...HOME, postal_code: 'ABCDE' }).error).toMatch('not valid for US');
+    expect(validateAddress({ ...HOME, country: 'USA' }).error).toMatch('two-letter');
+    expect(validateAddress({ line1: '10 Downing St', city: 'London', postal_code: 'sw1a 2aa', country: 'GB' }).address)
+      .toMatchObject({ postal_code: 'SW1A 2AA', country: 'GB', region: null });
+    expect(validateAddress({ line1: 'Rua A', city: 'Lisboa', postal_code: '1100-148', country: 'PT' }).error).toBeUndefined();
+
+    const { address } = validateAddress(HOME);
+    expect(address.country).toBe('US');
+  });
+
+  test('keeps exactly one default address', () => {
+    const db = getDb();
+    const first = createAddress(db, contactId, validateAddress(HOME).address);
+    const second = createAddress(db, contactId, validateAddress({ ...HOME, label: 'Work', line1: '2 Office Rd' }).address);
+    expect(first.is_default).toBe(1);
+    expect(second.is_default).toBe(0);
+
+    updateAddress(db, second, validateAddress({ is_default: true }, { partial: true, existing: second }).address, true);
+    expect(listAddresses(db, contactId).map(a => [a.label, a.is_default])).toEqual([['Work', 1], ['Home', 0]]);
+
+    deleteAddress(db, db.prepare('SELECT * FROM contact_addresses WHERE id = ?').get(second.id));
+    expect(listAddresses(db, contactId).map(a => [a.label, a.is_default])).toEqual([['Home', 1]]);
+  });
+
+  test('orders snapshot the default address', () => {
+    const db = getDb();
+    const eventId = uuidv4();
+    db.prepare("INSERT INTO events (id, contact_id, type, name, date) VALUES (?, ?, 'birthday', 'Birthday', '2026-12-01')")
+      .run(eventId, contactId);
+    const giftId = uuidv4();
+    db.prepare("INSERT INTO gift_recommendations (id, event_id, name, price, retailer, status) VALUES (?, ?, 'Mug', 12, 'Target', 'approved')")
+      .run(giftId, eventId);
+    const gift = db.prepare('SELECT * FROM gift_recommendations WHERE id = ?').get(giftId);
+
+    const order = placeOrder(db, gift, eventId, null);
+    const home = listAddresses(db, contactId)[0];
+    updateAddress(db, home, validateAddress({ line1: '99 New St' }, { partial: true, existing: home }).address);
+
+    const snapshot = JSON.parse(db.prepare('SELECT shipping_address FROM orders WHERE id = ?').get(order.id).shipping_address);
+    expect(order.shipping_address_id).toBe(home.id);
+    expect(snapshot.line1).toBe('1 Main St');
+    expect(listAddresses(db, contactId)[0].line1).toBe('99 New St');
+  });
+
+  test('redacts addresses in audit details', () => {
+    logAudit('update', 'contact_address', 'addr-audit', { changes: { line1: '1 Main St', postal_code: '62701', label: 'Home' } });
+    const details = JSON.parse(getAuditLog({ entityId: 'addr-audit' })[0].details);
+    expect(details.changes).toEqual({ line1: '[redacted]', postal_code: '[redacted]', label: 'Home' });
+  });
+});
@@ -0,0 +1,111 @@
+const path = require('path');
+const fs = require('fs');
+
+// Use a separate test database so this suite can run alongside the others
+const TEST_DB = path.join(__dirname, '..', '..', 'test_catalog.db');
+process.env.DB_PATH = TEST_DB;
+
+const { getDb, closeDb } = require('../database');
+const { SEED_CATALOG, validateCatalogItem, importCatalogItems, catalogCategories } = require('../catalog');
+const { parseCatalogFeed } = require('../routes/catalog');
+const { getEventType } = require('../eventTypes');
+const { deleteEventType } = require('../routes/eventTypes');
+const mock = require('../retailers/mock');
+
+beforeAll(() => {
+  if (fs.existsSync(TEST_DB)) fs.unlinkSync(TEST_DB);
+  getDb();
+});
+
+afterAll(() => {
+  closeDb();
+  if (fs.existsSync(TEST_DB)) fs.unlinkSync(TEST_DB);
+});
+
+const item = sku => getDb().prepare('SELECT * FROM catalog_items WHERE sku = ?').get(sku);
+
+describe('Catalog seed', () => {
+  test('a new database starts with the built-in items', () => {
+    expect(getDb().prepare('SELECT COUNT(*) as n FROM catalog_items').get().n).toBe(SEED_CATALOG.length);
+    expect(item('leather-journal')).toMatchObject({ name: 'Leather Journal', price: 19.99, active: 1 });
+  });
+});
+
+describe('Catalog items', () => {
+  const valid = { sku: 'MUG-1', name: 'Mug', category: 'birthday', price: 12, retailer: 'Etsy' };
+
+  test('validates required fields, URLs and tags', () => {
+    expect(validateCatalogItem(valid)).toBeNull();
+    expect(validateCatalogItem({ ...valid, sku: ' ' })).toBe('sku is required');
+    expect(validateCatalogItem({ ...valid, category: 'other' })).toMatch(/category must be one of/);
+    expect(validateCatalogItem({ ...valid, price: -1 })).toMatch(/price/);
+    expect(validateCatalogItem({ ...valid, url: 'javascript:alert(1)' })).toMatch(/url must be/);
+    expect(validateCatalogItem({ ...valid, tags: 'mugs' })).toMatch(/tags/);
+    expect(validateCatalogItem({ price: 5 }, { partial: true })).toBeNull();
+  });
+
+  test('accepts the categories custom event types map to', () => {
+    const db = getDb();
+    const babyShower = { ...valid, sku: 'ONESIE-1', category: 'baby_shower' };
+    expect(validateCatalogItem(babyShower, { categories: catalogCategories(db) })).toMatch(/category must be one of/);
+
+    db.prepare("INSERT INTO event_types (id, name, occasion, catalog_category) VALUES ('baby_shower', 'Baby Shower', 'baby shower', 'baby_shower')").run();
+    expect(catalogCategories(db)).toEqual(expect.arrayContaining(['birthday', 'baby_shower']));
+    expect(catalogCategories(db).at(-1)).toBe('other');
+    expect(validateCatalogItem(babyShower, { categories: catalogCategories(db) })).toBeNull();
+    expect(importCatalogItems(db, [babyShower], { dryRun: true })).toMatchObject({ created: ['onesie-1'], errors: [] });
+
+    // Items keep their category listed once the event type is gone
+    importCatalogItems(db, [babyShower]);
+    deleteEventType(db, getEventType(db, 'baby_shower'));
+    expect(getEventType(db, 'baby_shower')).toBeNull();
+    expect(catalogCategories(db)).toContain('baby_shower');
+  });
+});
+
+describe('Feed import', () => {
+  test('parses CSV and JSON feeds', () => {
+    const csv = 'SKU,Title,Category,Price,Store,Tags,Link,Active\n'
+      + 'mug-1,Speckled Mug,birthday,$18.50,Etsy,coffee; home,https://example.com/mug,yes\n';
+    expect(parseCatalogFeed('csv', csv).items).toEqual([{
+      sku: 'mug-1', name: 'Speckled Mug', category: 'birthday', price: 18.5, retailer: 'Etsy',
+      tags: ['coffee', 'home'], url: 'https://example.com/mug', active: true,
+    }]);
+    expect(parseCatalogFeed('json', '{"items":[{"sku":7,"name":"Tea"}]}').items).toEqual([{ sku: '7', name: 'Tea' }]);
+    expect(parseCatalogFeed('json', '{"sku":1}').error).toMatch(/array of products/);
+    expect(parseCatalogFeed('json', 'nope').error).toMatch(/not valid JSON/);
+  });
+
+  test('upserts by sku and reports invalid rows', () => {
+    const db = getDb();
+    const feed = [
+      { sku: 'Leather Journal', name: 'Leather Journal', category: 'birthday', price: 21.5, retailer: 'Amazon' },
+      { sku: 'mug-1', name: 'Speckled Mug', category: 'birthday', price: 18.5, retailer: 'Etsy', tags: ['Coffee'] },
+      { sku: 'bad', name: 'No price', category: 'birthday', retailer: 'Etsy' },
+      { sku: 'MUG-1', name: 'Again', category: 'birthday', price: 1, retailer: 'Etsy' },
+    ];
+
+    const preview = importCatalogItems(db, feed, { dryRun: true });
+    expect(preview).toMatchObject({ created: ['mug-1'], updated: ['leather-journal'] });
+    expect(preview.errors.map(e => [e.row, e.error])).toEqual([[3, 'price must be a number of at least 0'], [4, 'Duplicate sku in feed']]);
+    expect(item('mug-1')).toBeUndefined();
+
+    importCatalogItems(db, feed);
+    expect(item('leather-journal').price).toBe(21.5);
+    expect(item('mug-1')).toMatchObject({ retailer: 'Etsy', tags: '["coffee"]', active: 1 });
+  });
+});
+
+describe('Built-in retailer adapter', () => {
+  test('recommends active items from the table', async () => {
+    const db = getDb();
+    let products = await mock.search({ category: 'birthday', maxPrice: 20 });
+    expect(products.map(p => p.external_id)).toContain('mug-1');
+
+    db.prepare("UPDATE catalog_items SET active = 0 WHERE sku = 'mug-1'").run();
+    products = await mock.search({ category: 'birthday', maxPrice: 20 });
+    expect(products.map(p => p.external_id)).not.toContain('mug-1');
+    expect(await mock.lookup('mug-1')).toEqual({ price: 18.5, in_stock: false });
+    expect(await mock.lookup('missing')).toBeNull();
+  });
+});
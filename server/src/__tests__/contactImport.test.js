@@ -0,0 +1,171 @@
+const path = require('path');
+const fs = require('fs');
+
+// Use a separate test database so this suite can run alongside the others
+const TEST_DB = path.join(__dirname, '..', '..', 'test_contact_import.db');
+process.env.DB_PATH = TEST_DB;
+
+const { getDb, closeDb } = require('../database');
+const {
+  parseImportDate, parseVCards, parseCsv, parseContactsCsv, validateImportRecord, previewImport,
+} = require('../contactImport');
+
+const TODAY = '2026-03-01';
+
+beforeAll(() => {
+  if (fs.existsSync(TEST_DB)) fs.unlinkSync(TEST_DB);
+  getDb();
+});
+
+afterAll(() => {
+  closeDb();
+  if (fs.existsSync(TEST_DB)) fs.unlinkSync(TEST_DB);
+});
+
+describe('Import dates', () => {
+  test('normalizes export date formats', () => {
+    expect(parseImportDate('1985-04-12')).toEqual({ date: '1985-04-12' });
+    expect(parseImportDate('19850412')).toEqual({ date: '1985-04-12' });
+    expect(parseImportDate('4/2/1985')).toEqual({ date: '1985-04-02' });
+    expect(parseImportDate('0/0/00')).toEqual({ date: null });
+    // No year: stored with the unknown-year marker
+    expect(parseImportDate('--0412')).toEqual({ date: '1604-04-12', yearless: true });
+    expect(parseImportDate('--02-29')).toEqual({ date: '1604-02-29', yearless: true });
+    expect(parseImportDate('1604-07-04')).toEqual({ date: '1604-07-04', yearless: true });
+    expect(parseImportDate('1985-02-30').error).toMatch(/not a valid date/);
+    expect(parseImportDate('April 12').error).toMatch(/not a recognised date/);
+  });
+});
+
+describe('vCard parsing', () => {
+  test('reads 3.0 and 4.0 cards, including folded lines and grouped labels', () => {
+    const records = parseVCards([
+      'BEGIN:VCARD',
+      'VERSION:3.0',
+      'N:Doe;Jane;;;',
+      'FN:Jane Doe',
+      'EMAIL;TYPE=INTERNET:jane.work@example.com',
+      'EMAIL;TYPE=INTERNET,pref:jane@example.com',
+      'TEL;TYPE=HOME:555-0100',
+      'TEL;TYPE=CELL:555-0199',
+      'BDAY:1985-04-12',
+      'item1.X-ABDATE:2012-06-09',
+      'item1.X-ABLabel:_$!<Anniversary>!$_',
+      'ADR;TYPE=HOME:;Apt 4;12 Oak St\\nBack entrance;Springfield;IL;62704;United States',
+      'NOTE:Loves tea\\, not coffee',
+      '  and gardening',
+      'X-RELATIONSHIP:family',
+      'END:VCARD',
+      'BEGIN:VCARD',
+      'VERSION:4.0',
+      'N:Smith;Sam;;Dr.;',
+      'BDAY:--0704',
+      'ANNIVERSARY:20100515',
+      'END:VCARD',
+    ].join('\r\n'));
+
+    expect(records).toHaveLength(2);
+    expect(records[0]).toEqual({
+      name: 'Jane Doe',
+      email: 'jane@example.com',
+      phone: '555-0199',
+      relationship: 'family',
+      birthday: '1985-04-12',
+      anniversary: '2012-06-09',
+      notes: 'Loves tea, not coffee and gardening',
+      address: {
+        line1: '12 Oak St', line2: 'Back entrance, Apt 4', city: 'Springfield', region: 'IL',
+        postal_code: '62704', country: 'United States',
+      },
+    });
+    expect(records[1]).toMatchObject({ name: 'Dr. Sam Smith', birthday: '--0704', anniversary: '20100515' });
+  });
+});
+
+describe('CSV parsing', () => {
+  test('handles quoted fields with commas, quotes and newlines', () => {
+    expect(parseCsv('\uFEFFa,b\r\n"x, y","say ""hi""\nthere"\r\n\r\n')).toEqual([
+      ['a', 'b'],
+      ['x, y', 'say "hi"\nthere'],
+    ]);
+  });
+
+  test('detects Google and Outlook exports', () => {
+    const google = parseContactsCsv([
+      'First Name,Last Name,Birthday,E-mail 1 - Value,Event 1 - Label,Event 1 - Value,Address 1 - City',
+      'Ana,Lima,--11-02,ana@example.com,Anniversary,2019-09-21,Lisbon',
+    ].join('\n'));
+    expect(google.preset).toBe('google');
+    expect(google.records[0]).toMatchObject({
+      name: 'Ana Lima', email: 'ana@example.com', birthday: '--11-02', anniversary: '2019-09-21',
+      address: { city: 'Lisbon' },
+    });
+
+    const outlook = parseContactsCsv([
+      'First Name,Middle Name,Last Name,E-mail Address,Mobile Phone,Birthday,Anniversary,Home Street,Home City,Home State,Home Postal Code,Home Country/Region',
+      'Bo,,Chen,bo@example.com,555-0123,3/9/1990,0/0/00,1 Main St,Austin,TX,78701,United States',
+    ].join('\n'));
+    expect(outlook.preset).toBe('outlook');
+    expect(outlook.records[0]).toMatchObject({ name: 'Bo Chen', phone: '555-0123', birthday: '3/9/1990', anniversary: '0/0/00' });
+  });
+
+  test('applies a user-supplied column mapping', () => {
+    const csv = 'Who,Born,Mail,Email\nKim,1970-01-02,kim@example.com,old@example.com';
+    const parsed = parseContactsCsv(csv, { mapping: { name: 'Who', birthday: 'Born', email: 'Mail' } });
+    expect(parsed.records[0]).toMatchObject({ name: 'Kim', birthday: '1970-01-02', email: 'kim@example.com' });
+    expect(parsed.mapping).toMatchObject({ name: 'Who', birthday: 'Born', email: 'Mail' });
+
+    expect(parseContactsCsv(csv, { mapping: { name: 'Nope' } }).error).toMatch(/Column "Nope" not found/);
+    expect(parseContactsCsv(csv, { mapping: { shoe_size: 'Who' } }).error).toMatch(/Unknown import field/);
+  });
+});
+
+describe('Import validation', () => {
+  test('reports errors and warnings per row', () => {
+    const result = validateImportRecord({
+      name: 'Lee', email: 'not-an-email', relationship: 'Cousin', birthday: '--0229', anniversary: '2020-13-01',
+      address: { line1: '1 Main St', city: 'Austin', region: '', postal_code: '78701', country: 'USA' },
+    }, TODAY);
+
+    expect(result.errors).toEqual([
+      '"not-an-email" is not a valid email address',
+      'anniversary: "2020-13-01" is not a valid date',
+    ]);
+    expect(result.warnings).toEqual([
+      'Unknown relationship "cousin", using friend',
+      'birthday has no year; saved without one, next on 2027-02-28',
+      'Address skipped: region (state or province) is required for US addresses',
+    ]);
+    expect(result.contact).toMatchObject({ relationship: 'friend', birthday: '1604-02-29', address: null });
+
+    const ok = validateImportRecord({
+      name: 'Max', address: { line1: '5 High St', city: 'Leeds', postal_code: 'ls1 4ap', country: 'United Kingdom' },
+    }, TODAY);
+    expect(ok.errors).toEqual([]);
+    expect(ok.contact.address).toMatchObject({ country: 'GB', postal_code: 'LS1 4AP', recipient_name: 'Max' });
+  });
+
+  test('previews duplicates against existing contacts and earlier rows', () => {
+    getDb().prepare("INSERT INTO contacts (id, name, email, relationship) VALUES ('c-1', 'Rita Moss', 'rita@example.com', 'friend')").run();
+
+    const preview = previewImport(getDb(), 'user-1', [
+      { name: 'rita moss' },
+      { name: 'R. Moss', email: 'RITA@example.com' },
+      { name: 'Tom' },
+      { name: 'Tom' },
+      { name: '' },
+    ], TODAY);
+
+    expect(preview.summary).toEqual({ total: 5, valid: 4, invalid: 1, likely_duplicates: 1 });
+    expect(preview.rows[0].duplicate_of).toEqual({
+      id: 'c-1', name: 'Rita Moss', score: 50, level: 'possible', reasons: ['same name'],
+    });
+    expect(preview.rows[0].warnings).toEqual(['Looks like existing contact "Rita Moss" (same name)']);
+    expect(preview.rows[1].duplicate_of).toMatchObject({ id: 'c-1', level: 'likely', reasons: ['similar name', 'same email'] });
+    expect(preview.rows[2].duplicate_of).toBeNull();
+    expect(preview.rows[2].warnings).toEqual([]);
+    expect(preview.rows[3].duplicate_of).toMatchObject({ row: 3, name: 'Tom', level: 'possible' });
+    expect(preview.rows[3].warnings).toEqual(['Looks like row 3 ("Tom") (same name)']);
+    expect(preview.rows[4]).toMatchObject({ row: 5, errors: ['Name is required'] });
+  });
+});
@@ -0,0 +1,98 @@
+const path = require('path');
+const fs = require('fs');
+
+// Use a separate test database so this suite can run alongside the others
+const TEST_DB = path.join(__dirname, '..', '..', 'test_delivery.db');
+process.env.DB_PATH = TEST_DB;
+
+const { getDb, closeDb } = require('../database');
+const { addBusinessDays, deliveryStatus, fastAlternatives } = require('../delivery');
+const { generateRecommendations } = require('../routes/gifts');
+const { todayIso, addDays } = require('../dates');
+
+beforeAll(() => {
+  if (fs.existsSync(TEST_DB)) fs.unlinkSync(TEST_DB);
+  const db = getDb();
+  db.prepare("INSERT INTO contacts (id, name, relationship) VALUES ('c-ana', 'Ana', 'friend')").run();
+  db.prepare(`
+    INSERT INTO contacts (id, name, relationship, constraints)
+    VALUES ('c-ben', 'Ben', 'friend', '{"avoid_categories":["flowers"]}')
+  `).run();
+});
+
+afterAll(() => {
+  closeDb();
+  if (fs.existsSync(TEST_DB)) fs.unlinkSync(TEST_DB);
+});
+
+let eventCount = 0;
+function recommend(contactId, type, date) {
+  const db = getDb();
+  const id = `e-${++eventCount}`;
+  db.prepare('INSERT INTO events (id, contact_id, type, name, date) VALUES (?, ?, ?, ?, ?)')
+    .run(id, contactId, type, 'Event', date);
+  const event = db.prepare(`
+    SELECT e.*, c.name as contact_name, c.preferences, c.constraints, c.relationship
+    FROM events e JOIN contacts c ON e.contact_id = c.id WHERE e.id = ?
+  `).get(id);
+  return generateRecommendations(db, event);
+}
+
+describe('Delivery dates', () => {
+  test('skips weekends when counting business days', () => {
+    // 2026-10-16 is a Friday
+    expect(addBusinessDays('2026-10-16', 1)).toBe('2026-10-19');
+    expect(addBusinessDays('2026-10-16', 5)).toBe('2026-10-23');
+    expect(addBusinessDays('2026-10-17', 1)).toBe('2026-10-19');
+    expect(addBusinessDays('2026-10-17', 0)).toBe('2026-10-17');
+  });
+
+  test('compares the arrival with the event date', () => {
+    const event = { date: '2026-10-21' };
+    expect(deliveryStatus({ delivery_days: 1 }, event, '2026-10-16')).toEqual({ arrival: '2026-10-19', status: 'on_time' });
+    expect(deliveryStatus({ delivery_days: 3 }, event, '2026-10-16')).toEqual({ arrival: '2026-10-21', status: 'tight' });
+    expect(deliveryStatus({ delivery_days: 5 }, event, '2026-10-16').status).toBe('late');
+    expect(deliveryStatus({ delivery_days: 5 }, { ...event, belated: 1 }, '2026-10-16').status).toBe('on_time');
+  });
+
+  test('offers a gift card, and flowers once the budget allows', () => {
+    expect(fastAlternatives(30).map(a => [a.name, a.price])).toEqual([['E-Gift Card', 20]]);
+    expect(fastAlternatives(50).map(a => a.name)).toEqual(['E-Gift Card', 'Same-Day Flower Delivery']);
+    expect(fastAlternatives(5)).toEqual([]);
+  });
+});
+
+describe('Recommendations', () => {
+  test('leaves out gifts that would arrive after the event', async () => {
+    // The catalog's Amazon items take three business days, the rest five
+    const date = addBusinessDays(todayIso(), 3);
+    const { recommendations, late_dropped } = await recommend('c-ana', 'birthday', date);
+
+    expect(late_dropped).toBeGreaterThan(0);
+    expect(recommendations.length).toBeGreaterThan(0);
+    for (const rec of recommendations) {
+      expect(rec.estimated_delivery <= date).toBe(true);
+      if (rec.retailer === 'Amazon' && rec.source === 'mock') expect(rec.reasoning).toContain('Arrives on the day itself');
+    }
+  });
+
+  test('suggests same-day alternatives for last-minute events', async () => {
+    const { recommendations, last_minute } = await recommend('c-ana', 'anniversary', addDays(todayIso(), 1));
+
+    expect(last_minute).toBe(true);
+    expect(recommendations.map(r => r.name).sort()).toEqual(['E-Gift Card', 'Same-Day Flower Delivery']);
+    expect(recommendations.every(r => r.in_stock && r.estimated_delivery === todayIso())).toBe(true);
+
+    // Flowers are left out for someone who avoids them
+    const forBen = await recommend('c-ben', 'anniversary', addDays(todayIso(), 1));
+    expect(forBen.recommendations.map(r => r.name)).toEqual(['E-Gift Card']);
+  });
+
+  test('keeps to shipped gifts when there is time', async () => {
+    const { recommendations, late_dropped, last_minute } = await recommend('c-ana', 'birthday', addDays(todayIso(), 30));
+
+    expect(late_dropped).toBe(0);
+    expect(last_minute).toBe(false);
+    expect(recommendations.some(r => r.source === 'alternative')).toBe(false);
+  });
+});
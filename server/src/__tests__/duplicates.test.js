@@ -0,0 +1,157 @@
+const path = require('path');
+const fs = require('fs');
+
+// Use a separate test database so this suite can run alongside the others
+const TEST_DB = path.join(__dirname, '..', '..', 'test_duplicates.db');
+process.env.DB_PATH = TEST_DB;
+
+const { getDb, closeDb } = require('../database');
+const { scorePair, findMatch, findDuplicates, mergeContacts } = require('../duplicates');
+const { rollRecurringEvents } = require('../jobs/recurring');
+
+beforeAll(() => {
+  if (fs.existsSync(TEST_DB)) fs.unlinkSync(TEST_DB);
+  getDb();
+});
+
+afterAll(() => {
+  closeDb();
+  if (fs.existsSync(TEST_DB)) fs.unlinkSync(TEST_DB);
+});
+
+describe('Duplicate scoring', () => {
+  test('scores name, email, phone and birthday matches', () => {
+    expect(scorePair({ name: 'Jane Doe' }, { name: 'jane  doe' })).toEqual({ score: 50, reasons: ['same name'] });
+    expect(scorePair({ name: 'Doe, Jane' }, { name: 'Jane Doe' }).reasons).toEqual(['same name']);
+    expect(scorePair({ name: 'Renée Ortiz' }, { name: 'Renee Ortiz' }).score).toBe(50);
+
+    expect(scorePair(
+      { name: 'Jen Doe', phone: '+1 (555) 010-0199' },
+      { name: 'Jennifer Doe', phone: '555.010.0199' },
+    )).toEqual({ score: 85, reasons: ['similar name', 'same phone'] });
+
+    expect(scorePair(
+      { name: 'J. Doe', email: 'Jane@Example.com', birthday: '1985-04-12' },
+      { name: 'Jane Doe', email: 'jane@example.com', birthday: '1985-04-12' },
+    )).toEqual({ score: 100, reasons: ['similar name', 'same email', 'same birthday'] });
+  });
+
+  test('different birthdays outweigh a shared name', () => {
+    expect(scorePair(
+      { name: 'Sam Lee', birthday: '1990-01-01' },
+      { name: 'Sam Lee', birthday: '1972-08-30' },
+    ).score).toBe(10);
+  });
+
+  test('finds the best match and lists pairs best first', () => {
+    const contacts = [
+      { id: 'a', name: 'Jane Doe', email: 'jane@example.com' },
+      { id: 'b', name: 'Jane Doe' },
+      { id: 'c', name: 'J Doe', email: 'jane@example.com' },
+      { id: 'd', name: 'Tom Hart' },
+    ];
+
+    expect(findMatch({ name: 'Tom Hart' }, contacts)).toMatchObject({ contact: { id: 'd' }, level: 'possible' });
+    expect(findMatch({ name: 'Somebody Else' }, contacts)).toBeNull();
+
+    const pairs = findDuplicates(contacts);
+    expect(pairs.map(p => p.contacts.map(c => c.id))).toEqual([['a', 'c'], ['a', 'b']]);
+    expect(pairs[0]).toMatchObject({ score: 95, level: 'likely' });
+    expect(pairs[1]).toMatchObject({ score: 50, level: 'possible' });
+  });
+});
+
+describe('Merging contacts', () => {
+  beforeAll(() => {
+    const db = getDb();
+    const insertContact = db.prepare(`
+      INSERT INTO contacts (id, name, email, phone, relationship, birthday, preferences, default_gifts, notes)
+      VALUES (?, ?, ?, ?, 'friend', ?, ?, ?, ?)
+    `);
+    insertContact.run('keep', 'Jane Doe', 'jane@example.com', null, '1985-04-12',
+      JSON.stringify({ interests: ['books'] }), JSON.stringify({ card: true, gift: false }), 'Likes tea');
+    insertContact.run('drop', 'Jane D.', null, '555-0199', '1985-04-12',
+      JSON.stringify({ interests: ['plants', 'books'] }), JSON.stringify({ card: false, gift: true }), 'Allergic to lilies');
+
+    const insertEvent = db.prepare(`
+      INSERT INTO events (id, contact_id, type, name, date, recurring, status) VALUES (?, ?, ?, ?, ?, 1, ?)
+    `);
+    insertEvent.run('keep-bday', 'keep', 'birthday', "Jane Doe's Birthday", '2026-04-12', 'upcoming');
+    insertEvent.run('drop-bday', 'drop', 'birthday', "Jane D.'s Birthday", '2026-04-12', 'upcoming');
+    insertEvent.run('drop-past', 'drop', 'birthday', "Jane D.'s Birthday", '2025-04-12', 'completed');
+    insertEvent.run('drop-anniv', 'drop', 'anniversary', "Jane D.'s Anniversary", '2026-09-01', 'upcoming');
+
+    db.prepare(`
+      INSERT INTO gift_recommendations (id, event_id, name, price, retailer, status)
+      VALUES ('rec-1', 'drop-past', 'Tea Sampler', 25, 'Shop', 'purchased')
+    `).run();
+
+    const insertOverride = db.prepare('INSERT INTO budget_overrides (id, budget_id, contact_id, amount) VALUES (?, ?, ?, ?)');
+    insertOverride.run('o-keep', 'budget_birthday', 'keep', 40);
+    insertOverride.run('o-drop-bday', 'budget_birthday', 'drop', 80);
+    insertOverride.run('o-drop-anniv', 'budget_anniversary', 'drop', 60);
+
+    db.prepare("INSERT INTO autonomy_settings (id, contact_id, event_type, level) VALUES ('a-drop', 'drop', 'birthday', 'auto_recommend')").run();
+  });
+
+  test('moves events, history, overrides and rules to the survivor', () => {
+    const db = getDb();
+    const survivor = db.prepare('SELECT * FROM contacts WHERE id = ?').get('keep');
+    const duplicate = db.prepare('SELECT * FROM contacts WHERE id = ?').get('drop');
+
+    const summary = mergeContacts(db, survivor, duplicate);
+    expect(summary).toEqual({
+      events_moved: 2,
+      events_dropped: 1,
+      budget_overrides_moved: 1,
+      autonomy_rules_moved: 1,
+      holidays_moved: 0,
+      shared_events_moved: 0,
+      relationships_moved: 0,
+      addresses_moved: 0,
+      ideas_moved: 0,
+      fields_filled: ['phone'],
+    });
+
+    expect(db.prepare('SELECT * FROM contacts WHERE id = ?').get('drop')).toBeUndefined();
+    // The duplicate's copy of the upcoming birthday had no history and is dropped
+    const events = db.prepare('SELECT id FROM events WHERE contact_id = ? ORDER BY id').all('keep').map(e => e.id);
+    expect(events).toEqual(['drop-anniv', 'drop-past', 'keep-bday']);
+
+    const overrides = db.prepare('SELECT budget_id, amount FROM budget_overrides WHERE contact_id = ? ORDER BY budget_id').all('keep');
+    expect(overrides).toEqual([
+      { budget_id: 'budget_anniversary', amount: 60 },
+      { budget_id: 'budget_birthday', amount: 40 },
+    ]);
+    expect(db.prepare('SELECT contact_id FROM autonomy_settings WHERE id = ?').get('a-drop').contact_id).toBe('keep');
+
+    const merged = db.prepare('SELECT * FROM contacts WHERE id = ?').get('keep');
+    expect(merged.phone).toBe('555-0199');
+    expect(merged.notes).toBe('Likes tea\n\nAllergic to lilies');
+    expect(JSON.parse(merged.preferences).interests).toEqual(['books', 'plants']);
+    expect(JSON.parse(merged.default_gifts)).toEqual({ card: true, gift: true });
+  });
+
+  test("doesn't bring the duplicate's dropped event back on rollover", () => {
+    const db = getDb();
+    const insertContact = db.prepare("INSERT INTO contacts (id, name, relationship) VALUES (?, 'Sam Lee', 'friend')");
+    insertContact.run('sam');
+    insertContact.run('sam-dup');
+    const insertEvent = db.prepare(`
+      INSERT INTO events (id, contact_id, type, name, date, recurring, status, previous_event_id)
+      VALUES (?, ?, 'birthday', 'Birthday', ?, 1, ?, ?)
+    `);
+    insertEvent.run('sam-bday', 'sam', '2026-12-01', 'upcoming', null);
+    // The duplicate's birthday last year had a gift; this year's was rolled over from it
+    insertEvent.run('sam-dup-past', 'sam-dup', '2025-12-01', 'completed', null);
+    insertEvent.run('sam-dup-bday', 'sam-dup', '2026-12-01', 'upcoming', 'sam-dup-past');
+
+    const contact = id => db.prepare('SELECT * FROM contacts WHERE id = ?').get(id);
+    expect(mergeContacts(db, contact('sam'), contact('sam-dup')).events_dropped).toBe(1);
+    expect(db.prepare("SELECT previous_event_id FROM events WHERE id = 'sam-bday'").get().previous_event_id).toBe('sam-dup-past');
+
+    rollRecurringEvents(new Date('2026-10-19T12:00:00'));
+    const birthdays = db.prepare("SELECT id FROM events WHERE contact_id = 'sam' ORDER BY date").all();
+    expect(birthdays.map(e => e.id)).toEqual(['sam-dup-past', 'sam-bday']);
+  });
+});
@@ -0,0 +1,181 @@
+const path = require('path');
+const fs = require('fs');
+const Database = require('better-sqlite3');
+
+// Use a separate test database so this suite can run alongside the others
+const TEST_DB = path.join(__dirname, '..', '..', 'test_event_types.db');
+process.env.DB_PATH = TEST_DB;
+
+const { getDb, closeDb } = require('../database');
+const { getEventType, eventTypeId, validateCardTemplates } = require('../eventTypes');
+const { validateEventType, deleteEventType } = require('../routes/eventTypes');
+const { insertEvent } = require('../routes/events');
+const { createEventsForContact } = require('../routes/contacts');
+const { templateMessages } = require('../routes/cards');
+const { generateRecommendations } = require('../routes/gifts');
+
+// A database from before event types: events.type is a CHECK over the four
+// built-in types and the later event columns don't exist yet
+function createLegacyDb() {
+  const legacy = new Database(TEST_DB);
+  legacy.exec(`
+    CREATE TABLE contacts (
+      id TEXT PRIMARY KEY, name TEXT NOT NULL, email TEXT, phone TEXT, relationship TEXT NOT NULL,
+      preferences TEXT DEFAULT '{}', constraints TEXT DEFAULT '{}', notes TEXT DEFAULT '',
+      created_at TEXT DEFAULT (datetime('now')), updated_at TEXT DEFAULT (datetime('now'))
+    );
+    CREATE TABLE events (
+      id TEXT PRIMARY KEY,
+      contact_id TEXT NOT NULL,
+      type TEXT NOT NULL CHECK(type IN ('birthday', 'anniversary', 'holiday', 'other')),
+      name TEXT NOT NULL,
+      date TEXT NOT NULL,
+      recurring INTEGER DEFAULT 1,
+      lead_time_days INTEGER DEFAULT 14,
+      status TEXT DEFAULT 'upcoming' CHECK(status IN ('upcoming', 'in_progress', 'completed', 'missed')),
+      created_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE CASCADE
+    );
+    INSERT INTO contacts (id, name, relationship) VALUES ('c-ada', 'Ada', 'friend');
+    INSERT INTO events (id, contact_id, type, name, date) VALUES ('e-old', 'c-ada', 'birthday', 'Ada''s Birthday', '2026-07-01');
+  `);
+  legacy.close();
+}
+
+beforeAll(() => {
+  if (fs.existsSync(TEST_DB)) fs.unlinkSync(TEST_DB);
+  createLegacyDb();
+  getDb();
+});
+
+afterAll(() => {
+  closeDb();
+  if (fs.existsSync(TEST_DB)) fs.unlinkSync(TEST_DB);
+});
+
+describe('Event type migration', () => {
+  test('replaces the type constraint with a reference to event_types', () => {
+    const db = getDb();
+    const sql = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'events'").get().sql;
+    expect(sql).toContain('REFERENCES event_types');
+    expect(sql).not.toContain("CHECK(type IN");
+
+    expect(db.prepare('SELECT id, type, name, belated FROM events').all()).toEqual([
+      { id: 'e-old', type: 'birthday', name: "Ada's Birthday", belated: 0 },
+    ]);
+    const indexes = db.prepare("SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = 'events'").all().map(i => i.name);
+    expect(indexes).toEqual(expect.arrayContaining(['idx_events_contact', 'idx_events_date', 'idx_events_holiday']));
+  });
+
+  test('seeds starter types with budgets and accepts them on events', () => {
+    const db = getDb();
+    expect(getEventType(db, 'wedding')).toMatchObject({ name: 'Wedding', default_lead_time_days: 30, catalog_category: 'wedding', builtin: 0 });
+    expect(getEventType(db, 'birthday')).toMatchObject({ builtin: 1, default_lead_time_days: null });
+    expect(db.prepare("SELECT default_amount FROM budgets WHERE category = 'wedding'").get().default_amount).toBe(75);
+
+    const id = insertEvent(db, { contact_id: 'c-ada', type: 'graduation', name: "Ada's Graduation", date: '2026-06-12' });
+    // No lead time given: the graduation default applies, not the global 14 days
+    expect(db.prepare('SELECT lead_time_days FROM events WHERE id = ?').get(id).lead_time_days).toBe(21);
+
+    expect(() => insertEvent(db, { contact_id: 'c-ada', type: 'made_up', name: 'Nope', date: '2026-06-12' })).toThrow();
+  });
+
+  test("gives a contact's birthday event the birthday type's lead time", () => {
+    const db = getDb();
+    db.prepare("UPDATE event_types SET default_lead_time_days = 28 WHERE id = 'birthday'").run();
+    db.prepare("INSERT INTO contacts (id, name, relationship) VALUES ('c-bo', 'Bo', 'friend')").run();
+
+    const [id] = createEventsForContact(db, 'c-bo', 'Bo', { birthday: '1990-03-04' });
+    expect(db.prepare('SELECT type, lead_time_days FROM events WHERE id = ?').get(id)).toEqual({ type: 'birthday', lead_time_days: 28 });
+    db.prepare("UPDATE event_types SET default_lead_time_days = NULL WHERE id = 'birthday'").run();
+  });
+});
+
+describe('Event type validation', () => {
+  test('derives ids from names', () => {
+    expect(eventTypeId('New Baby')).toBe('new_baby');
+    expect(eventTypeId("  Bar/Bat Mitzvah! ")).toBe('bar_bat_mitzvah');
+  });
+
+  test('checks names, lead times, catalog categories and templates', () => {
+    expect(validateEventType({ name: 'Promotion', default_lead_time_days: 10, catalog_category: 'graduation' }, true)).toBeNull();
+    expect(validateEventType({}, true)).toMatch(/name is required/);
+    expect(validateEventType({ default_lead_time_days: 0 }, false)).toMatch(/default_lead_time_days/);
+    expect(validateEventType({ catalog_category: 'baby_shower' }, false)).toBeNull();
+    expect(validateEventType({ catalog_category: 'Baby Shower' }, false)).toMatch(/catalog_category must be 2-40 lowercase/);
+    expect(validateEventType({ budget: -5 }, false)).toMatch(/budget/);
+
+    expect(validateCardTemplates({ warm: ['Hi {name}'], formal: ['Dear {name}'] })).toBeNull();
+    expect(validateCardTemplates({ formal: ['Dear {name}'] })).toMatch(/must include warm/);
+    expect(validateCardTemplates({ warm: ['Hi'], sarcastic: ['Sure'] })).toMatch(/Unknown card tone/);
+    expect(validateCardTemplates({ warm: [''] })).toMatch(/non-empty/);
+  });
+});
+
+describe('Deleting event types', () => {
+  test('refuses built-in types and types in use', () => {
+    const db = getDb();
+    expect(deleteEventType(db, getEventType(db, 'birthday'))).toMatchObject({ status: 400 });
+    expect(deleteEventType(db, getEventType(db, 'graduation'))).toMatchObject({ status: 409 });
+  });
+
+  test('removes the budget, its overrides and autonomy rules', () => {
+    const db = getDb();
+    db.prepare("INSERT INTO budget_overrides (id, budget_id, contact_id, amount) VALUES ('o-1', 'budget_housewarming', 'c-ada', 60)").run();
+    db.prepare("INSERT INTO autonomy_settings (id, event_type, level) VALUES ('a-1', 'housewarming', 'auto_recommend')").run();
+
+    expect(deleteEventType(db, getEventType(db, 'housewarming'))).toEqual({ budgets_removed: 1, autonomy_rules_removed: 1 });
+    expect(getEventType(db, 'housewarming')).toBeNull();
+    expect(db.prepare("SELECT * FROM budget_overrides WHERE id = 'o-1'").get()).toBeUndefined();
+  });
+
+  test('keeps a deleted starter type deleted across restarts', () => {
+    expect(getEventType(getDb(), 'housewarming')).toBeNull();
+
+    // Reopening the database runs the schema setup and seeding again
+    closeDb();
+    const db = getDb();
+    expect(getEventType(db, 'housewarming')).toBeNull();
+    expect(db.prepare("SELECT * FROM budgets WHERE category = 'housewarming'").get()).toBeUndefined();
+    expect(getEventType(db, 'birthday')).toMatchObject({ builtin: 1 });
+  });
+});
+
+describe('Card templates and gifts by type', () => {
+  const event = { type: 'sympathy', contact_name: 'Ada' };
+
+  test("uses the type's own templates, falling back to warm", () => {
+    const db = getDb();
+    const sympathy = getEventType(db, 'sympathy');
+    expect(templateMessages(event, 'formal', sympathy)).toEqual([
+      'Dear Ada, please accept my deepest condolences. You are in my thoughts.',
+    ]);
+    // Sympathy has no humorous templates
+    expect(templateMessages(event, 'humorous', sympathy)).toEqual(templateMessages(event, 'warm', sympathy));
+  });
+
+  test("uses generic templates for other and the type's occasion when belated", () => {
+    const db = getDb();
+    const [other] = templateMessages({ type: 'other', contact_name: 'Ada' }, 'formal', getEventType(db, 'other'));
+    expect(other).not.toMatch(/holiday/i);
+
+    const [belated] = templateMessages({ type: 'retirement', contact_name: 'Ada', belated: 1 }, 'casual', getEventType(db, 'retirement'));
+    expect(belated).toBe('Oops — happy belated retirement, Ada! Hope it was awesome!');
+  });
+
+  test("recommends gifts from the type's catalog category within its budget", async () => {
+    const db = getDb();
+    const event = db.prepare(`
+      SELECT e.*, c.name as contact_name, c.preferences, c.constraints
+      FROM events e JOIN contacts c ON e.contact_id = c.id WHERE e.type = 'graduation'
+    `).get();
+
+    const { recommendations } = await generateRecommendations(db, event);
+
+    expect(recommendations.length).toBeGreaterThan(0);
+    for (const rec of recommendations) expect(rec.price).toBeLessThanOrEqual(50);
+    expect(recommendations.map(r => r.name)).toEqual(expect.arrayContaining(['Engraved Pen Set', 'Laptop Backpack']));
+    expect(recommendations.some(r => r.name === 'Holiday Cookie Tin')).toBe(false);
+  });
+});
@@ -0,0 +1,94 @@
+const path = require('path');
+const fs = require('fs');
+
+// Use a separate test database so this suite can run alongside the others
+const TEST_DB = path.join(__dirname, '..', '..', 'test_gift_ideas.db');
+process.env.DB_PATH = TEST_DB;
+
+const { getDb, closeDb } = require('../database');
+const { validateIdea, listIdeas, createIdea, updateIdea, reopenIdeaForOrder } = require('../giftIdeas');
+const { generateRecommendations } = require('../routes/gifts');
+const { placeOrder } = require('../routes/orders');
+const { mergeContacts } = require('../duplicates');
+const { todayIso, addDays } = require('../dates');
+
+beforeAll(() => {
+  if (fs.existsSync(TEST_DB)) fs.unlinkSync(TEST_DB);
+  const db = getDb();
+  db.prepare("INSERT INTO contacts (id, name, relationship) VALUES ('c-mia', 'Mia', 'friend')").run();
+  db.prepare("INSERT INTO events (id, contact_id, type, name, date) VALUES ('e-mia', 'c-mia', 'birthday', 'Birthday', ?)")
+    .run(addDays(todayIso(), 30));
+});
+
+afterAll(() => {
+  closeDb();
+  if (fs.existsSync(TEST_DB)) fs.unlinkSync(TEST_DB);
+});
+
+const getEvent = () => getDb().prepare(`
+  SELECT e.*, c.name as contact_name, c.preferences, c.constraints, c.relationship
+  FROM events e JOIN contacts c ON e.contact_id = c.id WHERE e.id = 'e-mia'
+`).get();
+const idea = input => createIdea(getDb(), 'c-mia', validateIdea(input).idea);
+
+describe('Validation', () => {
+  test('needs a title or a url and checks the rest', () => {
+    expect(validateIdea({ url: 'https://www.example.com/kettle' }).idea)
+      .toMatchObject({ title: 'example.com', kind: 'link', price: null, tags: [] });
+    expect(validateIdea({ title: 'Pottery class', kind: 'mentioned', price: 45.555, tags: ['Crafts'] }).idea)
+      .toMatchObject({ kind: 'mentioned', price: 45.56, tags: ['crafts'] });
+    expect(validateIdea({ notes: 'something nice' }).error).toBe('title or url is required');
+    expect(validateIdea({ title: 'x', url: 'ftp://example.com' }).error).toMatch(/url/);
+    expect(validateIdea({ title: 'x', kind: 'wish' }).error).toMatch(/kind must be one of/);
+    expect(validateIdea({ title: 'x', price: -1 }).error).toMatch(/price/);
+    expect(validateIdea({ title: 'x', status: 'used' }).error).toMatch(/status/);
+  });
+});
+
+describe('Recommendations', () => {
+  test('put open ideas within budget first', async () => {
+    const db = getDb();
+    const mentioned = idea({ title: 'Noise-cancelling earbuds case', kind: 'mentioned', price: 18, retailer: 'Amazon' });
+    const unpriced = idea({ title: 'Hand-thrown mug', url: 'https://www.etsy.com/listing/1' });
+    idea({ title: 'Espresso machine', price: 300 });
+    const dismissed = idea({ title: 'Scarf', price: 20 });
+    updateIdea(db, dismissed, { ...validateIdea({ status: 'dismissed' }, { partial: true, existing: dismissed }).idea });
+
+    const { recommendations } = await generateRecommendations(db, getEvent());
+    const first = recommendations.slice(0, 2);
+    expect(first.map(r => r.gift_idea_id).sort()).toEqual([mentioned.id, unpriced.id].sort());
+    expect(recommendations.slice(2).every(r => r.source !== 'idea')).toBe(true);
+    expect(recommendations.map(r => r.name)).not.toContain('Espresso machine');
+    expect(recommendations.map(r => r.name)).not.toContain('Scarf');
+
+    const mug = recommendations.find(r => r.gift_idea_id === unpriced.id);
+    expect(mug).toMatchObject({ price: 30, retailer: 'etsy.com', source: 'idea', url: 'https://www.etsy.com/listing/1' });
+    expect(mug.reasoning).toContain('No price noted: budgeted at the full $30.');
+    const earbuds = recommendations.find(r => r.gift_idea_id === mentioned.id);
+    expect(earbuds.reasoning).toContain('Mentioned wanting this');
+  });
+
+  test('mark an idea used once ordered, and reopen it if the order is cancelled', () => {
+    const db = getDb();
+    const gift = db.prepare("SELECT * FROM gift_recommendations WHERE source = 'idea' AND name = 'Hand-thrown mug'").get();
+    const order = placeOrder(db, gift, 'e-mia', null);
+
+    const used = db.prepare('SELECT * FROM gift_ideas WHERE id = ?').get(gift.gift_idea_id);
+    expect(used).toMatchObject({ status: 'used', order_id: order.id });
+    expect(listIdeas(db, 'c-mia', 'open').map(i => i.title)).not.toContain('Hand-thrown mug');
+
+    reopenIdeaForOrder(db, order.id);
+    expect(db.prepare('SELECT * FROM gift_ideas WHERE id = ?').get(gift.gift_idea_id))
+      .toMatchObject({ status: 'open', order_id: null, used_at: null });
+  });
+
+  test('follow their contact through a merge', () => {
+    const db = getDb();
+    db.prepare("INSERT INTO contacts (id, name, relationship) VALUES ('c-mia-2', 'Mia', 'friend')").run();
+    createIdea(db, 'c-mia-2', validateIdea({ title: 'Board game' }).idea);
+    const contact = id => db.prepare('SELECT * FROM contacts WHERE id = ?').get(id);
+
+    expect(mergeContacts(db, contact('c-mia'), contact('c-mia-2')).ideas_moved).toBe(1);
+    expect(listIdeas(db, 'c-mia').map(i => i.title)).toContain('Board game');
+  });
+});
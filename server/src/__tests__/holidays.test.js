@@ -0,0 +1,148 @@
+const path = require('path');
+const fs = require('fs');
+
+// Use a separate test database so this suite can run alongside the others
+const TEST_DB = path.join(__dirname, '..', '..', 'test_holidays.db');
+process.env.DB_PATH = TEST_DB;
+
+const { getDb, closeDb } = require('../database');
+const {
+  getHoliday, listHolidays, easterSunday, holidayDate, nextHolidayDate, holidayRule,
+} = require('../holidays');
+const { contactHolidays, setContactHolidays } = require('../routes/holidays');
+const { rollRecurringEvents } = require('../jobs/recurring');
+const { buildUserCalendar } = require('../routes/calendar');
+
+beforeAll(() => {
+  if (fs.existsSync(TEST_DB)) fs.unlinkSync(TEST_DB);
+  getDb();
+});
+
+afterAll(() => {
+  closeDb();
+  if (fs.existsSync(TEST_DB)) fs.unlinkSync(TEST_DB);
+});
+
+const dateIn = (id, year) => holidayDate(getHoliday(id), year);
+
+describe('Holiday rules', () => {
+  test('computes Western Easter', () => {
+    expect(easterSunday(2024)).toBe('2024-03-31');
+    expect(easterSunday(2025)).toBe('2025-04-20');
+    expect(easterSunday(2026)).toBe('2026-04-05');
+    expect(easterSunday(2038)).toBe('2038-04-25');
+  });
+
+  test('computes fixed, nth-weekday and Easter-based dates', () => {
+    expect(dateIn('christmas', 2026)).toBe('2026-12-25');
+    expect(dateIn('mothers_day_us', 2026)).toBe('2026-05-10');
+    expect(dateIn('mothers_day_uk', 2026)).toBe('2026-03-15');
+    expect(dateIn('fathers_day', 2026)).toBe('2026-06-21');
+    expect(dateIn('thanksgiving_us', 2026)).toBe('2026-11-26');
+    expect(dateIn('thanksgiving_us', 2027)).toBe('2027-11-25');
+    expect(holidayDate({ rule: { type: 'nth_weekday', month: 5, weekday: 1, n: -1 } }, 2026)).toBe('2026-05-25');
+  });
+
+  test('looks up lunisolar holidays in their tables', () => {
+    expect(dateIn('lunar_new_year', 2026)).toBe('2026-02-17');
+    expect(dateIn('diwali', 2026)).toBe('2026-11-08');
+    expect(dateIn('hanukkah', 2026)).toBe('2026-12-04');
+    expect(dateIn('diwali', 2099)).toBeNull();
+
+    expect(nextHolidayDate(getHoliday('diwali'), '2026-11-09')).toBe('2027-10-29');
+    expect(nextHolidayDate(getHoliday('diwali'), '2030-10-27')).toBeNull();
+  });
+
+  test('offers regional holidays only in their regions', () => {
+    const us = listHolidays('US').map(h => h.id);
+    const uk = listHolidays('UK').map(h => h.id);
+    expect(us).toContain('mothers_day_us');
+    expect(us).not.toContain('mothers_day_uk');
+    expect(uk).toContain('mothers_day_uk');
+    expect(uk).not.toContain('thanksgiving_us');
+    expect(uk).toContain('christmas');
+    expect(listHolidays('all').length).toBeGreaterThan(us.length);
+  });
+
+  test('expresses weekday rules as RRULEs', () => {
+    expect(holidayRule(getHoliday('christmas'))).toBe('FREQ=YEARLY');
+    expect(holidayRule(getHoliday('thanksgiving_us'))).toBe('FREQ=YEARLY;BYMONTH=11;BYDAY=4TH');
+    expect(holidayRule(getHoliday('easter'))).toBeNull();
+    expect(holidayRule(getHoliday('hanukkah'))).toBeNull();
+  });
+});
+
+describe('Contact holiday opt-ins', () => {
+  const contact = { id: 'c-mum', name: 'Mum' };
+  const userId = 'u-holidays';
+
+  beforeAll(() => {
+    const db = getDb();
+    db.prepare("INSERT INTO users (id, username, password_hash) VALUES (?, 'holiday_owner', 'x')").run(userId);
+    db.prepare("INSERT INTO contacts (id, name, relationship, user_id) VALUES (?, ?, 'family', ?)").run(contact.id, contact.name, userId);
+  });
+
+  test('creates a recurring event on the next date of each holiday', () => {
+    const db = getDb();
+    const result = setContactHolidays(db, contact, ['mothers_day_uk', 'christmas'], '2026-03-20');
+
+    expect(result).toMatchObject({ added: ['mothers_day_uk', 'christmas'], removed: [], unavailable: [] });
+    expect(result.created).toHaveLength(2);
+
+    const events = db.prepare('SELECT * FROM events WHERE contact_id = ? ORDER BY date').all(contact.id);
+    // Mothering Sunday 2026 (Mar 15) has passed, so the 2027 date is used
+    expect(events.map(e => [e.holiday_id, e.type, e.date, e.name])).toEqual([
+      ['christmas', 'holiday', '2026-12-25', 'Christmas (Mum)'],
+      ['mothers_day_uk', 'holiday', '2027-03-07', "Mother's Day (Mum)"],
+    ]);
+
+    const listed = contactHolidays(db, contact.id, '2026-03-20');
+    expect(listed.map(h => [h.id, h.event.date])).toEqual([
+      ['christmas', '2026-12-25'],
+      ['mothers_day_uk', '2027-03-07'],
+    ]);
+
+    // Saving the same list again changes nothing
+    expect(setContactHolidays(db, contact, ['mothers_day_uk', 'christmas'], '2026-03-20').created).toEqual([]);
+  });
+
+  test('rolls holiday events to the computed date for the next year', () => {
+    const db = getDb();
+    const event = db.prepare("SELECT * FROM events WHERE contact_id = ? AND holiday_id = 'mothers_day_uk'").get(contact.id);
+    db.prepare("UPDATE events SET status = 'completed' WHERE id = ?").run(event.id);
+
+    rollRecurringEvents(new Date('2027-03-10T09:00:00Z'));
+
+    const successor = db.prepare('SELECT * FROM events WHERE previous_event_id = ?').get(event.id);
+    expect(successor).toMatchObject({ date: '2028-03-26', holiday_id: 'mothers_day_uk', status: 'upcoming' });
+  });
+
+  test('shows floating holidays in the feed without a yearly rule', () => {
+    const ics = buildUserCalendar(getDb(), userId, new Date('2027-03-10T09:00:00Z'));
+    const blocks = ics.split('BEGIN:VEVENT').slice(1);
+
+    const christmas = blocks.find(b => b.includes('SUMMARY:Christmas (Mum)'));
+    expect(christmas).toContain('RRULE:FREQ=YEARLY');
+    const mothersDay = blocks.filter(b => b.includes("SUMMARY:Mother's Day (Mum)"));
+    expect(mothersDay).toHaveLength(2);
+    for (const block of mothersDay) expect(block).not.toContain('RRULE');
+  });
+
+  test('dropping a holiday removes untouched events and stops the rest recurring', () => {
+    const db = getDb();
+    const result = setContactHolidays(db, contact, ['christmas'], '2027-03-10');
+    expect(result.removed).toEqual(['mothers_day_uk']);
+
+    const remaining = db.prepare("SELECT * FROM events WHERE contact_id = ? AND holiday_id = 'mothers_day_uk'").all(contact.id);
+    expect(remaining).toHaveLength(1);
+    expect(remaining[0]).toMatchObject({ date: '2027-03-07', status: 'completed', recurring: 0 });
+    expect(contactHolidays(db, contact.id).map(h => h.id)).toEqual(['christmas']);
+  });
+
+  test('skips holidays whose table has run out', () => {
+    const db = getDb();
+    const result = setContactHolidays(db, contact, ['christmas', 'diwali'], '2031-01-01');
+    expect(result.unavailable).toEqual(['diwali']);
+    expect(result.created).toEqual([]);
+  });
+});
@@ -0,0 +1,187 @@
+const path = require('path');
+const fs = require('fs');
+
+// Use a separate test database so this suite can run alongside the others
+const TEST_DB = path.join(__dirname, '..', '..', 'test_households.db');
+process.env.DB_PATH = TEST_DB;
+
+const { getDb, closeDb } = require('../database');
+const { listRelationships, setRelationship, removeRelationship } = require('../relationships');
+const { describeHousehold, setHouseholdMembers, combineHouseholdHolidays } = require('../households');
+const { validateHousehold } = require('../routes/households');
+const { resolveShippingAddress } = require('../addresses');
+const { eventRecipients } = require('../recipients');
+const { setContactHolidays } = require('../routes/holidays');
+const { generateCardMessages } = require('../routes/cards');
+const { mergeContacts } = require('../duplicates');
+const { rollRecurringEvents } = require('../jobs/recurring');
+
+const TODAY = '2026-10-19';
+
+beforeAll(() => {
+  if (fs.existsSync(TEST_DB)) fs.unlinkSync(TEST_DB);
+  const db = getDb();
+  const insertContact = db.prepare('INSERT INTO contacts (id, name, relationship) VALUES (?, ?, ?)');
+  insertContact.run('anna', 'Anna', 'friend');
+  insertContact.run('ben', 'Ben', 'friend');
+  insertContact.run('leo', 'Leo', 'family');
+  insertContact.run('leo-dup', 'Leo', 'family');
+  db.prepare(`
+    INSERT INTO contact_addresses (id, contact_id, line1, city, postal_code, country, is_default)
+    VALUES ('home', 'anna', '5 Oak Ave', 'Springfield', '12345', 'US', 1)
+  `).run();
+  db.prepare("INSERT INTO households (id, name) VALUES ('h-1', 'The Parkers')").run();
+});
+
+afterAll(() => {
+  closeDb();
+  if (fs.existsSync(TEST_DB)) fs.unlinkSync(TEST_DB);
+});
+
+const contact = id => getDb().prepare('SELECT * FROM contacts WHERE id = ?').get(id);
+const household = () => getDb().prepare("SELECT * FROM households WHERE id = 'h-1'").get();
+
+describe('Relationships', () => {
+  test('records both directions', () => {
+    const db = getDb();
+    setRelationship(db, 'anna', 'ben', 'spouse');
+    setRelationship(db, 'anna', 'leo', 'child');
+
+    expect(listRelationships(db, 'anna').map(r => [r.name, r.type])).toEqual([['Ben', 'spouse'], ['Leo', 'child']]);
+    expect(listRelationships(db, 'leo').map(r => [r.name, r.type])).toEqual([['Anna', 'parent']]);
+
+    // Changing the type rewrites the inverse too
+    setRelationship(db, 'leo', 'anna', 'grandparent');
+    expect(listRelationships(db, 'anna').find(r => r.contact_id === 'leo').type).toBe('grandchild');
+    setRelationship(db, 'anna', 'leo', 'child');
+  });
+
+  test('removes both directions', () => {
+    const db = getDb();
+    setRelationship(db, 'ben', 'leo', 'sibling');
+    expect(removeRelationship(db, 'leo', 'ben')).toBe(true);
+    expect(listRelationships(db, 'ben').map(r => r.contact_id)).toEqual(['anna']);
+    expect(removeRelationship(db, 'leo', 'ben')).toBe(false);
+  });
+
+  test('greets a couple on a shared event together', async () => {
+    const db = getDb();
+    db.prepare(`
+      INSERT INTO events (id, contact_id, type, name, date) VALUES ('e-anniv', 'anna', 'anniversary', 'Anniversary', '2027-05-01')
+    `).run();
+    db.prepare("INSERT INTO event_recipients (id, event_id, contact_id) VALUES ('r-1', 'e-anniv', 'ben')").run();
+    const event = db.prepare(`
+      SELECT e.*, c.name as contact_name, c.preferences, c.constraints
+      FROM events e JOIN contacts c ON e.contact_id = c.id WHERE e.id = 'e-anniv'
+    `).get();
+
+    const { messages } = await generateCardMessages(db, event, ['formal']);
+    expect(messages[0].message).toMatch(/^Dear Anna & Ben/);
+  });
+});
+
+describe('Households', () => {
+  test('validates members and the shared address', () => {
+    const db = getDb();
+    expect(validateHousehold(db, null, { name: 'Home', member_ids: ['anna'], address_id: 'home' }, true)).toBeNull();
+    expect(validateHousehold(db, null, { member_ids: ['nobody'] }, false)).toBe('Member not found');
+    expect(validateHousehold(db, null, { name: 'Home', member_ids: ['ben'], address_id: 'home' }, true))
+      .toMatch(/members' addresses/);
+    expect(validateHousehold(db, null, {}, true)).toMatch(/name is required/);
+  });
+
+  test('ships to the shared address when a member has none', () => {
+    const db = getDb();
+    setHouseholdMembers(db, household(), ['anna', 'ben', 'leo']);
+    db.prepare("UPDATE households SET address_id = 'home' WHERE id = 'h-1'").run();
+
+    expect(describeHousehold(db, household())).toMatchObject({
+      members: [{ name: 'Anna' }, { name: 'Ben' }, { name: 'Leo' }],
+      address: { id: 'home' },
+    });
+    expect(resolveShippingAddress(db, 'ben').id).toBe('home');
+    expect(resolveShippingAddress(db, 'ben', 'home').id).toBe('home');
+  });
+
+  test('drops the shared address when its owner leaves', () => {
+    const db = getDb();
+    setHouseholdMembers(db, household(), ['ben', 'leo']);
+    expect(household().address_id).toBeNull();
+    expect(resolveShippingAddress(db, 'ben')).toBeNull();
+
+    setHouseholdMembers(db, household(), ['anna', 'ben', 'leo']);
+    db.prepare("UPDATE households SET address_id = 'home' WHERE id = 'h-1'").run();
+  });
+
+  test('folds separate holiday events into one per household', () => {
+    const db = getDb();
+    setContactHolidays(db, contact('anna'), ['christmas'], TODAY);
+    setContactHolidays(db, contact('ben'), ['christmas'], TODAY);
+    expect(db.prepare("SELECT COUNT(*) as n FROM events WHERE holiday_id = 'christmas'").get().n).toBe(2);
+
+    db.prepare("UPDATE households SET combine_holidays = 1 WHERE id = 'h-1'").run();
+    expect(combineHouseholdHolidays(db, household())).toBe(1);
+
+    const events = db.prepare("SELECT * FROM events WHERE holiday_id = 'christmas'").all();
+    expect(events).toHaveLength(1);
+    expect(events[0].name).toBe('Christmas (The Parkers)');
+    expect(eventRecipients(db, events[0]).map(r => r.id)).toEqual(['anna', 'ben']);
+  });
+
+  test('lets new opt-ins join the household event and leaving hands it on', () => {
+    const db = getDb();
+    const result = setContactHolidays(db, contact('leo'), ['christmas'], TODAY);
+    expect(result.created).toEqual([]);
+    expect(result.joined).toHaveLength(1);
+
+    const [event] = db.prepare("SELECT * FROM events WHERE holiday_id = 'christmas'").all();
+    expect(eventRecipients(db, event).map(r => r.id)).toEqual(['anna', 'ben', 'leo']);
+
+    // The primary member leaving keeps the event for the others
+    setContactHolidays(db, contact('anna'), [], TODAY);
+    const [kept] = db.prepare("SELECT * FROM events WHERE holiday_id = 'christmas'").all();
+    expect(kept.id).toBe(event.id);
+    expect(eventRecipients(db, kept).map(r => r.id)).toEqual(['ben', 'leo']);
+  });
+
+  test("doesn't bring a folded member's event back on rollover", () => {
+    const db = getDb();
+    const insertContact = db.prepare('INSERT INTO contacts (id, name, relationship, household_id) VALUES (?, ?, ?, ?)');
+    db.prepare("INSERT INTO households (id, name, combine_holidays) VALUES ('h-2', 'The Kims', 1)").run();
+    insertContact.run('cal', 'Cal', 'friend', 'h-2');
+    insertContact.run('dee', 'Dee', 'friend', 'h-2');
+    const insertEvent = db.prepare(`
+      INSERT INTO events (id, contact_id, type, name, date, status, previous_event_id, holiday_id, created_at)
+      VALUES (?, ?, 'holiday', 'Halloween', ?, ?, ?, 'halloween', ?)
+    `);
+    // Dee's Halloween last year had a card; this year's was rolled over from it
+    insertEvent.run('dee-2025', 'dee', '2025-10-31', 'completed', null, '2025-01-01 00:00:00');
+    insertEvent.run('cal-2026', 'cal', '2026-10-31', 'upcoming', null, '2025-06-01 00:00:00');
+    insertEvent.run('dee-2026', 'dee', '2026-10-31', 'upcoming', 'dee-2025', '2025-11-01 00:00:00');
+
+    expect(combineHouseholdHolidays(db, db.prepare("SELECT * FROM households WHERE id = 'h-2'").get())).toBe(1);
+    expect(db.prepare("SELECT previous_event_id FROM events WHERE id = 'cal-2026'").get().previous_event_id).toBe('dee-2025');
+
+    rollRecurringEvents(new Date(`${TODAY}T12:00:00`));
+    const halloweens = db.prepare("SELECT id FROM events WHERE holiday_id = 'halloween' ORDER BY date").all();
+    expect(halloweens.map(e => e.id)).toEqual(['dee-2025', 'cal-2026']);
+  });
+});
+
+describe('Merging related contacts', () => {
+  test('moves relatives and the household to the surviving contact', () => {
+    const db = getDb();
+    setRelationship(db, 'leo-dup', 'ben', 'parent');
+    setRelationship(db, 'leo-dup', 'anna', 'grandparent');
+    db.prepare("UPDATE contacts SET household_id = NULL WHERE id = 'leo'").run();
+    db.prepare("UPDATE contacts SET household_id = 'h-1' WHERE id = 'leo-dup'").run();
+
+    const summary = mergeContacts(db, contact('leo'), contact('leo-dup'));
+    expect(summary.relationships_moved).toBe(1);
+    expect(summary.fields_filled).toContain('household_id');
+    // Leo already had a link to Anna, which wins
+    expect(listRelationships(db, 'leo').map(r => [r.name, r.type])).toEqual([['Anna', 'parent'], ['Ben', 'parent']]);
+    expect(listRelationships(db, 'ben').find(r => r.contact_id === 'leo').type).toBe('child');
+    expect(contact('leo').household_id).toBe('h-1');
+  });
+});
@@ -0,0 +1,222 @@
+const path = require('path');
+const fs = require('fs');
+
+// Use a separate test database so this suite can run alongside the others
+const TEST_DB = path.join(__dirname, '..', '..', 'test_ics.db');
+process.env.DB_PATH = TEST_DB;
+
+const { v4: uuidv4 } = require('uuid');
+const { getDb, closeDb } = require('../database');
+const { escapeText, foldLine, buildCalendar, parseCalendar } = require('../ics');
+const { planCalendarImport } = require('../calendarImport');
+const { getCalendarToken, rotateCalendarToken, buildUserCalendar } = require('../routes/calendar');
+
+beforeAll(() => {
+  if (fs.existsSync(TEST_DB)) fs.unlinkSync(TEST_DB);
+  getDb();
+});
+
+afterAll(() => {
+  closeDb();
+  if (fs.existsSync(TEST_DB)) fs.unlinkSync(TEST_DB);
+});
+
+const NOW = new Date('2026-03-01T09:00:00Z');
+
+function baseEvent(overrides = {}) {
+  return {
+    id: 'evt-1',
+    name: "Mom's Birthday",
+    contact_name: 'Mom',
+    type: 'birthday',
+    status: 'upcoming',
+    date: '2026-04-12',
+    recurring: 1,
+    has_successor: 0,
+    updated_at: '2026-02-01 10:00:00',
+    ...overrides,
+  };
+}
+
+function eventBlocks(ics) {
+  return ics.split('BEGIN:VEVENT').slice(1);
+}
+
+describe('iCalendar output', () => {
+  test('escapes text values and folds long lines', () => {
+    expect(escapeText('Dinner; drinks, cake\nand a \\ slash')).toBe('Dinner\\; drinks\\, cake\\nand a \\\\ slash');
+
+    const folded = foldLine(`SUMMARY:${'é'.repeat(60)}`);
+    const lines = folded.split('\r\n');
+    expect(lines.length).toBeGreaterThan(1);
+    for (const line of lines) expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+    expect(lines.slice(1).every(l => l.startsWith(' '))).toBe(true);
+    expect(lines.map((l, i) => (i === 0 ? l : l.slice(1))).join('')).toBe(`SUMMARY:${'é'.repeat(60)}`);
+  });
+
+  test('emits all-day events with a yearly rule and alarms', () => {
+    const ics = buildCalendar([baseEvent()], { alarmDays: () => [14, 2], now: NOW });
+
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(ics).toContain('UID:evt-1@gift-scheduler');
+    expect(ics).toContain('DTSTAMP:20260301T090000Z');
+    expect(ics).toContain('LAST-MODIFIED:20260201T100000Z');
+    expect(ics).toContain('DTSTART;VALUE=DATE:20260412');
+    expect(ics).toContain('DTEND;VALUE=DATE:20260413');
+    expect(ics).toContain("SUMMARY:Mom's Birthday");
+    expect(ics).toContain('RRULE:FREQ=YEARLY\r\n');
+    expect(ics.match(/BEGIN:VALARM/g)).toHaveLength(2);
+    expect(ics).toContain('TRIGGER;RELATED=START:-P14D');
+    expect(ics).toContain('TRIGGER;RELATED=START:-P2D');
+  });
+
+  test('leaves rolled-over and one-off occurrences without a rule', () => {
+    const ics = buildCalendar([
+      baseEvent({ id: 'old', date: '2025-04-12', has_successor: 1 }),
+      baseEvent({ id: 'once', recurring: 0 }),
+    ], { now: NOW });
+
+    expect(ics).not.toContain('RRULE');
+    expect(eventBlocks(ics)).toHaveLength(2);
+  });
+
+  test('recurs Feb 29 on the last day of February', () => {
+    const ics = buildCalendar([baseEvent({ date: '2028-02-29' })], { now: NOW });
+    expect(ics).toContain('RRULE:FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=-1');
+    expect(ics).toContain('DTEND;VALUE=DATE:20280301');
+  });
+});
+
+describe('Calendar feed', () => {
+  const userId = uuidv4();
+  const otherUserId = uuidv4();
+
+  beforeAll(() => {
+    const db = getDb();
+    const insertUser = db.prepare("INSERT INTO users (id, username, password_hash) VALUES (?, ?, 'x')");
+    insertUser.run(userId, 'feed_owner');
+    insertUser.run(otherUserId, 'feed_other');
+
+    const insertContact = db.prepare('INSERT INTO contacts (id, name, relationship, user_id) VALUES (?, ?, ?, ?)');
+    insertContact.run('c-own', 'Alice', 'friend', userId);
+    insertContact.run('c-other', 'Bob', 'friend', otherUserId);
+
+    const insertEvent = db.prepare(`
+      INSERT INTO events (id, contact_id, type, name, date, recurring, lead_time_days, status, previous_event_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    insertEvent.run('e-2025', 'c-own', 'birthday', "Alice's Birthday", '2025-05-01', 1, 10, 'completed', null);
+    insertEvent.run('e-2026', 'c-own', 'birthday', "Alice's Birthday", '2026-05-01', 1, 10, 'upcoming', 'e-2025');
+    insertEvent.run('e-bob', 'c-other', 'birthday', "Bob's Birthday", '2026-06-01', 1, 14, 'upcoming', null);
+  });
+
+  test('creates a token on first use and keeps it until rotated', () => {
+    const db = getDb();
+    const token = getCalendarToken(db, userId);
+    expect(token).toMatch(/^[a-f0-9]{48}$/);
+    expect(getCalendarToken(db, userId)).toBe(token);
+
+    const rotated = rotateCalendarToken(db, userId);
+    expect(rotated).not.toBe(token);
+    expect(getCalendarToken(db, userId)).toBe(rotated);
+
+    const user = db.prepare('SELECT token_version FROM users WHERE id = ?').get(userId);
+    expect(user.token_version).toBe(0);
+  });
+
+  test("only includes the user's events, with one rule per series", () => {
+    const ics = buildUserCalendar(getDb(), userId, NOW);
+    const blocks = eventBlocks(ics);
+
+    expect(blocks).toHaveLength(2);
+    expect(ics).not.toContain("Bob's Birthday");
+
+    const past = blocks.find(b => b.includes('UID:e-2025@'));
+    const current = blocks.find(b => b.includes('UID:e-2026@'));
+    expect(past).not.toContain('RRULE');
+    expect(past).not.toContain('VALARM');
+    expect(current).toContain('RRULE:FREQ=YEARLY');
+    // Default reminder milestones are 'lead,7,2'
+    expect(current).toContain('TRIGGER;RELATED=START:-P10D');
+    expect(current).toContain('TRIGGER;RELATED=START:-P7D');
+    expect(current).toContain('TRIGGER;RELATED=START:-P2D');
+  });
+});
+
+describe('Calendar import', () => {
+  const userId = uuidv4();
+  const TODAY = '2026-03-01';
+
+  const calendar = (...vevents) => [
+    'BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Test//EN',
+    ...vevents.flatMap(v => ['BEGIN:VEVENT', ...v, 'END:VEVENT']),
+    'END:VCALENDAR',
+  ].join('\r\n');
+
+  beforeAll(() => {
+    const db = getDb();
+    db.prepare("INSERT INTO users (id, username, password_hash) VALUES (?, 'import_owner', 'x')").run(userId);
+    db.prepare('INSERT INTO contacts (id, name, email, relationship, user_id) VALUES (?, ?, ?, ?, ?)')
+      .run('c-dana', 'Dana Reyes', 'dana@example.com', 'friend', userId);
+    db.prepare(`
+      INSERT INTO events (id, contact_id, type, name, date, recurring) VALUES ('e-dana', 'c-dana', 'anniversary', 'Dana', '2026-09-09', 1)
+    `).run();
+  });
+
+  test('parses folded lines, all-day dates, rules and attendees', () => {
+    const [event] = parseCalendar(calendar([
+      'UID:abc-1',
+      'SUMMARY:Jane Doe\\, PhD',
+      " 's Birthday",
+      'DTSTART;VALUE=DATE:19850412',
+      'RRULE:FREQ=YEARLY',
+      'ATTENDEE;CN="Doe, Jane";ROLE=REQ-PARTICIPANT:mailto:Jane@Example.com',
+      'BEGIN:VALARM', 'TRIGGER:-P1D', 'SUMMARY:ignored', 'END:VALARM',
+    ]));
+
+    expect(event).toMatchObject({
+      uid: 'abc-1',
+      summary: "Jane Doe, PhD's Birthday",
+      date: '1985-04-12',
+      all_day: true,
+      rrule: { FREQ: 'YEARLY' },
+      attendees: [{ name: 'Doe, Jane', email: 'jane@example.com' }],
+    });
+
+    const [timed] = parseCalendar(calendar(['SUMMARY:Dinner', 'DTSTART:20260610T183000Z']));
+    expect(timed).toMatchObject({ date: '2026-06-10', all_day: false, rrule: null });
+  });
+
+  test('plans events, matching contacts and proposing new ones', () => {
+    const plan = planCalendarImport(getDb(), userId, calendar(
+      ['UID:1', "SUMMARY:Sam Lee's Birthday", 'DTSTART;VALUE=DATE:19900715', 'RRULE:FREQ=YEARLY'],
+      ['UID:2', 'SUMMARY:Birthday: dana reyes', 'DTSTART;VALUE=DATE:19880220', 'RRULE:FREQ=YEARLY;INTERVAL=1'],
+      ['UID:3', 'SUMMARY:Anniversary', 'DTSTART;VALUE=DATE:20150909', 'RRULE:FREQ=YEARLY',
+        'ATTENDEE;CN=D. Reyes:mailto:DANA@example.com'],
+      ['UID:4', 'SUMMARY:Team standup', 'DTSTART:20260302T090000Z', 'RRULE:FREQ=WEEKLY'],
+      ['UID:5', 'SUMMARY:Old party', 'DTSTART;VALUE=DATE:20250101'],
+      ['UID:6', 'SUMMARY:Graduation - Sam Lee', 'DTSTART;VALUE=DATE:20260601'],
+      ['UID:1', "SUMMARY:Sam Lee's Birthday", 'DTSTART;VALUE=DATE:19900715', 'RRULE:FREQ=YEARLY'],
+    ), TODAY);
+
+    const [sam, dana, anniversary, standup, old, graduation, duplicate] = plan.items;
+    expect(sam).toMatchObject({
+      action: 'create', type: 'birthday', name: "Sam Lee's Birthday", date: '2026-07-15',
+      original_date: '1990-07-15', recurring: 1, new_contact: true, contact_name: 'Sam Lee',
+    });
+    // Feb 20 has already passed this year, so the next occurrence is used
+    expect(dana).toMatchObject({ action: 'create', contact_id: 'c-dana', date: '2027-02-20', name: "Dana Reyes's Birthday" });
+    expect(anniversary).toMatchObject({ action: 'skip', contact_id: 'c-dana', reason: 'Event already exists for this contact' });
+    expect(standup).toMatchObject({ action: 'skip', reason: 'Only events repeating every year can be imported' });
+    expect(old).toMatchObject({ action: 'skip', reason: 'One-off event in the past' });
+    expect(graduation).toMatchObject({ action: 'create', type: 'other', recurring: 0, name: 'Graduation - Sam Lee' });
+    expect(duplicate.action).toBe('skip');
+
+    expect(plan.summary).toEqual({ total: 7, to_create: 3, new_contacts: 2, skipped: 4 });
+  });
+
+  test('rejects calendars without events', () => {
+    expect(planCalendarImport(getDb(), userId, calendar(), TODAY).error).toMatch(/No events/);
+  });
+});
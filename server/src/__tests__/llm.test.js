@@ -0,0 +1,186 @@
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+
+// Use a separate test database so this suite can run alongside the others
+const TEST_DB = path.join(__dirname, '..', '..', 'test_llm.db');
+process.env.DB_PATH = TEST_DB;
+
+const { getDb, closeDb } = require('../database');
+const { generateCardMessages, tonesError } = require('../routes/cards');
+
+const LLM_ENV = [
+  'LLM_PROVIDER', 'LLM_TIMEOUT_MS', 'ANTHROPIC_API_KEY', 'OPENAI_API_KEY', 'GEMINI_API_KEY',
+  'OPENAI_COMPATIBLE_BASE_URL', 'OPENAI_COMPATIBLE_API_KEY', 'OPENAI_COMPATIBLE_MODEL',
+];
+
+// Local OpenAI-compatible stand-in. `reply(body)` returns [status, json] or
+// null to never answer (for timeouts).
+function startMockLlm(reply) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const parsed = JSON.parse(body);
+      requests.push({ url: req.url, headers: req.headers, body: parsed });
+      const result = reply(parsed);
+      if (!result) return;
+      res.writeHead(result[0], { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(result[1]));
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}/v1` });
+    });
+  });
+}
+
+function chatReply(content) {
+  return [200, { choices: [{ message: { role: 'assistant', content } }] }];
+}
+
+let mockLlm = null;
+let savedEnv;
+let event;
+
+beforeAll(() => {
+  if (fs.existsSync(TEST_DB)) fs.unlinkSync(TEST_DB);
+  const db = getDb();
+
+  const contactId = uuidv4();
+  db.prepare(`
+    INSERT INTO contacts (id, name, relationship, notes, preferences, constraints)
+    VALUES (?, 'Vera Card', 'sister', 'Just moved to Lisbon', ?, ?)
+  `).run(contactId, JSON.stringify({ interests: ['hiking'] }), JSON.stringify({ avoid_categories: ['food'] }));
+  const eventId = uuidv4();
+  db.prepare(`INSERT INTO events (id, contact_id, type, name, date) VALUES (?, ?, 'birthday', 'Vera''s Birthday', '2026-12-01')`)
+    .run(eventId, contactId);
+  event = db.prepare(`
+    SELECT e.*, c.name as contact_name, c.relationship, c.notes, c.preferences, c.constraints
+    FROM events e JOIN contacts c ON e.contact_id = c.id WHERE e.id = ?
+  `).get(eventId);
+});
+
+afterAll(() => {
+  closeDb();
+  if (fs.existsSync(TEST_DB)) fs.unlinkSync(TEST_DB);
+});
+
+beforeEach(() => {
+  savedEnv = {};
+  for (const key of LLM_ENV) {
+    savedEnv[key] = process.env[key];
+    delete process.env[key];
+  }
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  for (const key of LLM_ENV) {
+    if (savedEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = savedEnv[key];
+  }
+  if (mockLlm) {
+    mockLlm.server.closeAllConnections();
+    await new Promise(resolve => mockLlm.server.close(resolve));
+    mockLlm = null;
+  }
+  console.warn.mockRestore();
+});
+
+async function useMockLlm(reply) {
+  mockLlm = await startMockLlm(reply);
+  process.env.OPENAI_COMPATIBLE_BASE_URL = mockLlm.url;
+  process.env.OPENAI_COMPATIBLE_API_KEY = 'test-key';
+  process.env.OPENAI_COMPATIBLE_MODEL = 'local-model';
+}
+
+describe('LLM card generation', () => {
+  test('uses templates when no provider is configured', async () => {
+    const { messages, llmError } = await generateCardMessages(getDb(), event, ['warm']);
+
+    expect(llmError).toBeNull();
+    expect(messages.length).toBeGreaterThan(0);
+    expect(messages.every(m => m.provider === 'template' && m.message.includes('Vera Card'))).toBe(true);
+  });
+
+  test('calls the OpenAI-compatible provider with the contact and event details', async () => {
+    await useMockLlm(() => chatReply(JSON.stringify({
+      messages: [
+        { tone: 'warm', message: 'Happy birthday, Vera! Enjoy the Lisbon hills.' },
+        { tone: 'humorous', message: 'Vera, another lap around the sun — with hiking boots on.' },
+      ],
+    })));
+
+    const { messages, llmError } = await generateCardMessages(getDb(), event, ['warm', 'humorous']);
+
+    expect(llmError).toBeNull();
+    expect(messages).toHaveLength(2);
+    expect(messages.every(m => m.provider === 'openai_compatible')).toBe(true);
+
+    const request = mockLlm.requests[0];
+    expect(request.url).toBe('/v1/chat/completions');
+    expect(request.headers.authorization).toBe('Bearer test-key');
+    expect(request.body.model).toBe('local-model');
+    const prompt = request.body.messages[0].content;
+    expect(prompt).toContain('sister');
+    expect(prompt).toContain('Just moved to Lisbon');
+    expect(prompt).toContain('hiking');
+    expect(prompt).toContain('food');
+    expect(prompt).toContain('birthday');
+    expect(prompt).toContain('warm, humorous');
+
+    const stored = getDb().prepare('SELECT provider FROM card_messages WHERE event_id = ?').all(event.id);
+    expect(stored.every(m => m.provider === 'openai_compatible')).toBe(true);
+  });
+
+  test('fills tones the provider skipped from templates', async () => {
+    await useMockLlm(() => chatReply('Here you go:\n```json\n{"messages": [{"tone": "warm", "message": "Happy birthday, Vera!"}]}\n```'));
+
+    const { messages } = await generateCardMessages(getDb(), event, ['warm', 'formal']);
+
+    expect(messages.filter(m => m.tone === 'warm').map(m => m.provider)).toEqual(['openai_compatible']);
+    expect(messages.filter(m => m.tone === 'formal').every(m => m.provider === 'template')).toBe(true);
+  });
+
+  test('falls back to templates when the provider errors', async () => {
+    await useMockLlm(() => [500, { error: { message: 'overloaded' } }]);
+
+    const { messages, llmError } = await generateCardMessages(getDb(), event, ['warm']);
+
+    expect(llmError).toContain('HTTP 500');
+    expect(messages.every(m => m.provider === 'template')).toBe(true);
+  });
+
+  test('falls back to templates when the provider times out', async () => {
+    await useMockLlm(() => null);
+    process.env.LLM_TIMEOUT_MS = '200';
+
+    const { messages, llmError } = await generateCardMessages(getDb(), event, ['heartfelt']);
+
+    expect(llmError).toContain('timed out');
+    expect(messages.every(m => m.provider === 'template' && m.tone === 'heartfelt')).toBe(true);
+  });
+
+  test('falls back to templates on an unusable response', async () => {
+    await useMockLlm(() => chatReply('Sorry, I cannot help with that.'));
+
+    const { messages, llmError } = await generateCardMessages(getDb(), event, ['casual']);
+
+    expect(llmError).toContain('JSON');
+    expect(messages.every(m => m.provider === 'template')).toBe(true);
+  });
+});
+
+describe('Requested tones', () => {
+  test('must be an array of tone names when given', () => {
+    expect(tonesError(undefined)).toBeNull();
+    expect(tonesError(['warm', 'unknown'])).toBeNull();
+    expect(tonesError('warm')).toMatch(/array of tone names/);
+    expect(tonesError({ warm: true })).toMatch(/array of tone names/);
+    expect(tonesError(['warm', 3])).toMatch(/array of tone names/);
+  });
+});
@@ -0,0 +1,106 @@
+const path = require('path');
+const fs = require('fs');
+
+// Use a separate test database so this suite can run alongside the others
+const TEST_DB = path.join(__dirname, '..', '..', 'test_milestones.db');
+process.env.DB_PATH = TEST_DB;
+
+const { getDb, closeDb } = require('../database');
+const { ordinal, eventYears, eventMilestone } = require('../milestones');
+const { getEffectiveBudget } = require('../routes/budgets');
+const { templateMessages } = require('../routes/cards');
+const { generateRecommendations } = require('../routes/gifts');
+
+beforeAll(() => {
+  if (fs.existsSync(TEST_DB)) fs.unlinkSync(TEST_DB);
+  const db = getDb();
+  const insertContact = db.prepare('INSERT INTO contacts (id, name, relationship, birthday, anniversary) VALUES (?, ?, ?, ?, ?)');
+  insertContact.run('c-40', 'Priya', 'friend', '1986-05-20', '2001-09-08');
+  insertContact.run('c-41', 'Tom', 'friend', '1985-03-02', null);
+
+  const insertEvent = db.prepare('INSERT INTO events (id, contact_id, type, name, date) VALUES (?, ?, ?, ?, ?)');
+  insertEvent.run('e-40', 'c-40', 'birthday', "Priya's Birthday", '2026-05-20');
+  insertEvent.run('e-silver', 'c-40', 'anniversary', "Priya's Anniversary", '2026-09-08');
+  insertEvent.run('e-41', 'c-41', 'birthday', "Tom's Birthday", '2026-03-02');
+
+  db.prepare("INSERT INTO budget_overrides (id, budget_id, contact_id, amount) VALUES ('o-40', 'budget_birthday', 'c-40', 60)").run();
+});
+
+afterAll(() => {
+  closeDb();
+  if (fs.existsSync(TEST_DB)) fs.unlinkSync(TEST_DB);
+});
+
+const event = id => getDb().prepare(`
+  SELECT e.*, c.name as contact_name, c.preferences, c.constraints
+  FROM events e JOIN contacts c ON e.contact_id = c.id WHERE e.id = ?
+`).get(id);
+
+describe('Milestone detection', () => {
+  const contact = { birthday: '1986-05-20', anniversary: '2001-09-08' };
+
+  test('computes age and years married in the event year', () => {
+    expect(eventYears({ type: 'birthday', date: '2026-05-20' }, contact)).toBe(40);
+    expect(eventYears({ type: 'anniversary', date: '2026-09-08' }, contact)).toBe(25);
+    expect(eventYears({ type: 'holiday', date: '2026-12-25' }, contact)).toBeNull();
+    expect(eventYears({ type: 'birthday', date: '2026-05-20' }, { birthday: null })).toBeNull();
+    // Year-less dates are stored with the unknown-year marker, which gives no age
+    expect(eventYears({ type: 'birthday', date: '2026-05-20' }, { birthday: '1604-05-20' })).toBeNull();
+    expect(eventMilestone({ type: 'anniversary', date: '2026-09-08' }, { anniversary: '1604-09-08' })).toBeNull();
+  });
+
+  test('flags round birthdays and named anniversaries', () => {
+    expect(eventMilestone({ type: 'birthday', date: '2026-05-20' }, contact)).toMatchObject({ kind: 'birthday', years: 40, label: '40th birthday' });
+    expect(eventMilestone({ type: 'birthday', date: '2007-05-20' }, contact)).toMatchObject({ label: '21st birthday' });
+    expect(eventMilestone({ type: 'birthday', date: '2027-05-20' }, contact)).toBeNull();
+    expect(eventMilestone({ type: 'anniversary', date: '2026-09-08' }, contact))
+      .toMatchObject({ kind: 'anniversary', years: 25, name: 'silver', label: '25th "silver" anniversary' });
+    expect(eventMilestone({ type: 'anniversary', date: '2002-09-08' }, contact)).toBeNull();
+  });
+
+  test('writes ordinals', () => {
+    expect([1, 2, 3, 4, 11, 12, 13, 21, 22, 103, 111].map(ordinal))
+      .toEqual(['1st', '2nd', '3rd', '4th', '11th', '12th', '13th', '21st', '22nd', '103rd', '111th']);
+  });
+});
+
+describe('Milestone budgets', () => {
+  test('raises the effective budget, including overrides, by the multiplier', () => {
+    const db = getDb();
+    expect(getEffectiveBudget(db, event('e-40'))).toMatchObject({
+      amount: 90, base_amount: 60, is_override: true, multiplier: 1.5, milestone: { label: '40th birthday' },
+    });
+    expect(getEffectiveBudget(db, event('e-41'))).toMatchObject({ amount: 30, multiplier: 1, milestone: null });
+
+    db.prepare("UPDATE global_settings SET value = '2' WHERE key = 'milestone_budget_multiplier'").run();
+    expect(getEffectiveBudget(db, event('e-silver')).amount).toBe(100);
+    db.prepare("UPDATE global_settings SET value = '1.5' WHERE key = 'milestone_budget_multiplier'").run();
+  });
+});
+
+describe('Milestone cards and gifts', () => {
+  test('fills {age} and {years} in milestone templates', () => {
+    const [birthday] = templateMessages({ type: 'birthday', contact_name: 'Priya', years: 40, milestone: { years: 40 } }, 'formal', null);
+    expect(birthday).toBe('Dear Priya, warmest congratulations on turning 40. Wishing you health and happiness in the years ahead.');
+
+    const [anniversary] = templateMessages({ type: 'anniversary', contact_name: 'Priya', years: 25, milestone: { years: 25 } }, 'casual', null);
+    expect(anniversary).toBe('25 years! Happy anniversary, Priya — what an awesome milestone!');
+  });
+
+  test('skips custom templates that need an age when none is known', () => {
+    const eventType = { occasion: 'promotion', card_templates: { warm: ['{years} years in, {name}!', 'Congrats, {name}!'] } };
+    expect(templateMessages({ type: 'promotion', contact_name: 'Tom' }, 'warm', eventType)).toEqual(['Congrats, Tom!']);
+    expect(templateMessages({ type: 'promotion', contact_name: 'Tom', years: 3 }, 'warm', eventType))
+      .toEqual(['3 years in, Tom!', 'Congrats, Tom!']);
+  });
+
+  test('prefers milestone tags and explains them', async () => {
+    const db = getDb();
+    const { budget, milestone, recommendations } = await generateRecommendations(db, event('e-silver'));
+
+    expect(budget).toBe(75);
+    expect(milestone.label).toBe('25th "silver" anniversary');
+    expect(recommendations[0].tags).toEqual(expect.arrayContaining(['sentimental']));
+    expect(recommendations[0].reasoning).toContain('Suits a 25th "silver" anniversary');
+  });
+});
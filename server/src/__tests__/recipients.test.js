@@ -0,0 +1,117 @@
+const path = require('path');
+const fs = require('fs');
+
+// Use a separate test database so this suite can run alongside the others
+const TEST_DB = path.join(__dirname, '..', '..', 'test_recipients.db');
+process.env.DB_PATH = TEST_DB;
+
+const { getDb, closeDb } = require('../database');
+const {
+  eventRecipients, recipientNames, setEventRecipients, resolveEventAddress,
+} = require('../recipients');
+const { getEffectiveBudget } = require('../routes/budgets');
+const { getGiftHistory } = require('../history');
+const { placeOrder } = require('../routes/orders');
+const { generateCardMessages } = require('../routes/cards');
+const { rollRecurringEvents } = require('../jobs/recurring');
+const { mergeContacts } = require('../duplicates');
+
+beforeAll(() => {
+  if (fs.existsSync(TEST_DB)) fs.unlinkSync(TEST_DB);
+  const db = getDb();
+  const insertContact = db.prepare('INSERT INTO contacts (id, name, relationship, anniversary) VALUES (?, ?, ?, ?)');
+  insertContact.run('c-ann', 'Ann', 'friend', '2015-06-20');
+  insertContact.run('c-bob', 'Bob', 'friend', '2015-06-20');
+  insertContact.run('c-bob2', 'Bob', 'friend', null);
+
+  db.prepare(`
+    INSERT INTO events (id, contact_id, type, name, date, recurring, status)
+    VALUES ('e-anniv', 'c-ann', 'anniversary', 'Ann and Bob''s Anniversary', '2026-06-20', 1, 'completed')
+  `).run();
+  db.prepare("INSERT INTO budget_overrides (id, budget_id, contact_id, amount) VALUES ('o-bob', 'budget_anniversary', 'c-bob', 40)").run();
+  db.prepare(`
+    INSERT INTO contact_addresses (id, contact_id, label, line1, city, postal_code, country, is_default)
+    VALUES ('a-bob', 'c-bob', 'Home', '1 Elm St', 'Springfield', '12345', 'US', 1)
+  `).run();
+});
+
+afterAll(() => {
+  closeDb();
+  if (fs.existsSync(TEST_DB)) fs.unlinkSync(TEST_DB);
+});
+
+const event = id => getDb().prepare(`
+  SELECT e.*, c.name as contact_name, c.preferences, c.constraints
+  FROM events e JOIN contacts c ON e.contact_id = c.id WHERE e.id = ?
+`).get(id);
+
+describe('Event recipients', () => {
+  test('adds others alongside the primary contact', () => {
+    const db = getDb();
+    expect(setEventRecipients(db, event('e-anniv'), ['c-bob', 'c-ann', 'c-bob'])).toEqual({ added: ['c-bob'], removed: [] });
+    expect(eventRecipients(db, event('e-anniv')).map(r => [r.name, r.primary])).toEqual([['Ann', true], ['Bob', false]]);
+  });
+
+  test('joins names', () => {
+    expect(recipientNames(['Ann'])).toBe('Ann');
+    expect(recipientNames(['Ann', 'Bob'])).toBe('Ann and Bob');
+    expect(recipientNames(['Ann', 'Bob', 'Cy'])).toBe('Ann, Bob and Cy');
+  });
+});
+
+describe('Shared events', () => {
+  test("pools every recipient's budget", () => {
+    const budget = getEffectiveBudget(getDb(), event('e-anniv'));
+    expect(budget).toMatchObject({ base_amount: 90, is_override: true });
+    expect(budget.recipients.map(r => [r.name, r.amount, r.is_override])).toEqual([['Ann', 50, false], ['Bob', 40, true]]);
+  });
+
+  test("ships to any recipient's address", () => {
+    const db = getDb();
+    // Ann has no address, so Bob's default is used
+    expect(resolveEventAddress(db, event('e-anniv')).id).toBe('a-bob');
+    expect(resolveEventAddress(db, event('e-anniv'), 'a-missing')).toBeNull();
+  });
+
+  test('writes one card for everyone', async () => {
+    const db = getDb();
+    const { messages } = await generateCardMessages(db, event('e-anniv'), ['formal']);
+    expect(messages[0].message).toMatch(/^Dear Ann and Bob/);
+  });
+
+  test("shows the shared gift in each recipient's history", () => {
+    const db = getDb();
+    db.prepare(`
+      INSERT INTO gift_recommendations (id, event_id, name, price, retailer, status)
+      VALUES ('g-1', 'e-anniv', 'Picnic Basket', 60, 'Amazon', 'purchased')
+    `).run();
+    placeOrder(db, db.prepare("SELECT * FROM gift_recommendations WHERE id = 'g-1'").get(), 'e-anniv', null);
+
+    const ann = getGiftHistory(db, 'c-ann');
+    const bob = getGiftHistory(db, 'c-bob');
+    expect(ann.map(e => e.gift.name)).toEqual(['Picnic Basket']);
+    expect(bob.map(e => e.gift.name)).toEqual(['Picnic Basket']);
+    expect(ann[0].shared_with).toEqual([{ id: 'c-bob', name: 'Bob' }]);
+    expect(bob[0].shared_with).toEqual([{ id: 'c-ann', name: 'Ann' }]);
+    expect(bob[0].order.id).toBe(ann[0].order.id);
+  });
+
+  test("carries the recipients to next year's occurrence", () => {
+    const db = getDb();
+    rollRecurringEvents(new Date('2026-07-01T09:00:00Z'));
+    const next = db.prepare("SELECT * FROM events WHERE previous_event_id = 'e-anniv'").get();
+    expect(next.date).toBe('2027-06-20');
+    expect(eventRecipients(db, next).map(r => r.id)).toEqual(['c-ann', 'c-bob']);
+  });
+});
+
+describe('Merging a shared recipient', () => {
+  test('moves shared events to the surviving contact', () => {
+    const db = getDb();
+    setEventRecipients(db, event('e-anniv'), ['c-bob2']);
+    const contact = id => db.prepare('SELECT * FROM contacts WHERE id = ?').get(id);
+
+    expect(mergeContacts(db, contact('c-bob'), contact('c-bob2')).shared_events_moved).toBe(1);
+    expect(eventRecipients(db, event('e-anniv')).map(r => r.id)).toEqual(['c-ann', 'c-bob']);
+  });
+});
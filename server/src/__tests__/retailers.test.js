@@ -0,0 +1,202 @@
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+
+// Use a separate test database so this suite can run alongside the others
+const TEST_DB = path.join(__dirname, '..', '..', 'test_retailers.db');
+process.env.DB_PATH = TEST_DB;
+
+const { getDb, closeDb } = require('../database');
+const { searchProducts, lookupProduct } = require('../retailers');
+const { generateRecommendations } = require('../routes/gifts');
+
+const PROVIDER_ENV = [
+  'AMAZON_API_KEY', 'AMAZON_API_SECRET', 'AMAZON_PARTNER_TAG', 'AMAZON_API_BASE_URL',
+  'ETSY_API_KEY', 'ETSY_API_BASE_URL',
+  'WALMART_API_KEY', 'WALMART_API_BASE_URL',
+  'GOOGLE_SHOPPING_API_KEY', 'GOOGLE_SHOPPING_API_BASE_URL',
+];
+
+// Local HTTP stand-in for a provider API. `handler(req, body)` returns
+// [status, json]; every request is recorded for assertions.
+function startStandIn(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const [status, json] = handler(req, body);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(json));
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+const ETSY_LISTINGS = {
+  results: [
+    { listing_id: 101, title: 'Hand-bound Leather Journal', description: 'For writing and sketching', price: { amount: 2400, divisor: 100 }, quantity: 3, url: 'https://etsy.example/101', tags: ['journal'], processing_max: 2 },
+    { listing_id: 102, title: 'Sold Out Mug', description: 'Ceramic coffee mug', price: { amount: 1800, divisor: 100 }, quantity: 0, url: 'https://etsy.example/102' },
+  ],
+};
+
+const WALMART_ITEMS = {
+  items: [
+    { itemId: 201, name: 'Coffee Sampler Box', shortDescription: 'Six single-origin coffees', salePrice: 22.5, stock: 'Available', productUrl: 'https://walmart.example/201', twoDayShippingEligible: true },
+    { itemId: 202, name: 'Espresso Machine', shortDescription: 'Too expensive', salePrice: 199, stock: 'Available' },
+  ],
+};
+
+let standIns = [];
+let savedEnv;
+
+beforeAll(() => {
+  if (fs.existsSync(TEST_DB)) fs.unlinkSync(TEST_DB);
+  getDb();
+});
+
+afterAll(() => {
+  closeDb();
+  if (fs.existsSync(TEST_DB)) fs.unlinkSync(TEST_DB);
+});
+
+beforeEach(() => {
+  savedEnv = {};
+  for (const key of PROVIDER_ENV) {
+    savedEnv[key] = process.env[key];
+    delete process.env[key];
+  }
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  for (const key of PROVIDER_ENV) {
+    if (savedEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = savedEnv[key];
+  }
+  await Promise.all(standIns.map(s => new Promise(resolve => s.server.close(resolve))));
+  standIns = [];
+  console.warn.mockRestore();
+});
+
+async function standIn(handler) {
+  const s = await startStandIn(handler);
+  standIns.push(s);
+  return s;
+}
+
+describe('Retailer adapters', () => {
+  test('uses the built-in catalog when no provider is configured', async () => {
+    const { products, sources } = await searchProducts({ category: 'birthday', keywords: 'birthday gift', maxPrice: 30 });
+
+    expect(sources).toEqual(['mock']);
+    expect(products.length).toBeGreaterThan(0);
+    expect(products.every(p => p.price <= 30 && p.category === 'birthday' && p.source === 'mock')).toBe(true);
+  });
+
+  test('queries configured providers and merges their results', async () => {
+    const etsy = await standIn(() => [200, ETSY_LISTINGS]);
+    const walmart = await standIn(() => [200, WALMART_ITEMS]);
+    process.env.ETSY_API_KEY = 'etsy-key';
+    process.env.ETSY_API_BASE_URL = etsy.url;
+    process.env.WALMART_API_KEY = 'walmart-id';
+    process.env.WALMART_API_BASE_URL = walmart.url;
+
+    const { products, sources, errors } = await searchProducts({
+      category: 'birthday', keywords: 'birthday gift coffee', interests: ['coffee'], maxPrice: 50,
+    });
+
+    expect(sources.sort()).toEqual(['etsy', 'walmart']);
+    expect(errors).toEqual([]);
+    expect(products.map(p => p.name).sort()).toEqual(['Coffee Sampler Box', 'Hand-bound Leather Journal', 'Sold Out Mug']);
+
+    const journal = products.find(p => p.external_id === '101');
+    expect(journal).toMatchObject({ price: 24, retailer: 'Etsy', in_stock: true, delivery_days: 6, source: 'etsy' });
+    expect(products.find(p => p.external_id === '102').in_stock).toBe(false);
+    expect(products.find(p => p.external_id === '201')).toMatchObject({ delivery_days: 2, tags: ['coffee'] });
+
+    expect(etsy.requests[0].headers['x-api-key']).toBe('etsy-key');
+    expect(etsy.requests[0].url).toContain('max_price=50');
+    expect(walmart.requests[0].headers['wm_consumer.id']).toBe('walmart-id');
+  });
+
+  test('reports a failing provider and keeps the others', async () => {
+    const etsy = await standIn(() => [200, ETSY_LISTINGS]);
+    const broken = await standIn(() => [500, { error: 'down' }]);
+    process.env.ETSY_API_KEY = 'etsy-key';
+    process.env.ETSY_API_BASE_URL = etsy.url;
+    process.env.GOOGLE_SHOPPING_API_KEY = 'serp-key';
+    process.env.GOOGLE_SHOPPING_API_BASE_URL = broken.url;
+
+    const { products, sources, errors } = await searchProducts({ category: 'birthday', keywords: 'gift', maxPrice: 50 });
+
+    expect(sources).toEqual(['etsy']);
+    expect(errors).toEqual([{ source: 'google_shopping', error: expect.stringContaining('HTTP 500') }]);
+    expect(products.every(p => p.source === 'etsy')).toBe(true);
+  });
+
+  test('falls back to the built-in catalog when every provider fails', async () => {
+    const broken = await standIn(() => [503, {}]);
+    process.env.WALMART_API_KEY = 'walmart-id';
+    process.env.WALMART_API_BASE_URL = broken.url;
+
+    const { products, sources, errors } = await searchProducts({ category: 'holiday', keywords: 'gift', maxPrice: 40 });
+
+    expect(sources).toEqual(['mock']);
+    expect(errors).toHaveLength(1);
+    expect(products.length).toBeGreaterThan(0);
+  });
+
+  test('signs Amazon requests and normalizes the response', async () => {
+    const amazon = await standIn((req) => [200, req.url === '/paapi5/searchitems'
+      ? { SearchResult: { Items: [{ ASIN: 'B000TEST', DetailPageURL: 'https://amazon.example/B000TEST', ItemInfo: { Title: { DisplayValue: 'Star Map Print' } }, Offers: { Listings: [{ Price: { Amount: 39.99 }, Availability: { Type: 'Now' }, DeliveryInfo: { IsPrimeEligible: true } }] } }] } }
+      : { ItemsResult: { Items: [{ ASIN: 'B000TEST', Offers: { Listings: [{ Price: { Amount: 35 }, Availability: { Type: 'OutOfStock' } }] } }] } }]);
+    process.env.AMAZON_API_KEY = 'AKIDTEST';
+    process.env.AMAZON_API_SECRET = 'secret';
+    process.env.AMAZON_PARTNER_TAG = 'tag-20';
+    process.env.AMAZON_API_BASE_URL = amazon.url;
+
+    const { products } = await searchProducts({ category: 'anniversary', keywords: 'anniversary gift', maxPrice: 50 });
+    expect(products).toEqual([expect.objectContaining({ external_id: 'B000TEST', price: 39.99, in_stock: true, delivery_days: 2 })]);
+
+    const request = amazon.requests[0];
+    expect(request.headers.authorization).toMatch(/^AWS4-HMAC-SHA256 Credential=AKIDTEST\/\d{8}\/us-east-1\/ProductAdvertisingAPI\/aws4_request/);
+    expect(request.headers['x-amz-target']).toBe('com.amazon.paapi5.v1.ProductAdvertisingAPIv1.SearchItems');
+    expect(JSON.parse(request.body)).toMatchObject({ Keywords: 'anniversary gift', PartnerTag: 'tag-20', MaxPrice: 5000 });
+
+    expect(await lookupProduct('amazon', 'B000TEST')).toEqual({ price: 35, in_stock: false });
+  });
+
+  test('stores provider results as scored recommendations', async () => {
+    const etsy = await standIn(() => [200, ETSY_LISTINGS]);
+    process.env.ETSY_API_KEY = 'etsy-key';
+    process.env.ETSY_API_BASE_URL = etsy.url;
+
+    const db = getDb();
+    const contactId = uuidv4();
+    db.prepare(`INSERT INTO contacts (id, name, relationship, preferences) VALUES (?, 'Uma Etsy', 'friend', ?)`)
+      .run(contactId, JSON.stringify({ interests: ['journal'] }));
+    const eventId = uuidv4();
+    const date = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    db.prepare(`INSERT INTO events (id, contact_id, type, name, date) VALUES (?, ?, 'birthday', 'Uma''s Birthday', ?)`)
+      .run(eventId, contactId, date);
+    const event = db.prepare(`
+      SELECT e.*, c.name as contact_name, c.preferences, c.constraints FROM events e
+      JOIN contacts c ON e.contact_id = c.id WHERE e.id = ?
+    `).get(eventId);
+
+    const { recommendations, sources } = await generateRecommendations(db, event);
+
+    expect(sources).toEqual(['etsy']);
+    expect(recommendations[0]).toMatchObject({ name: 'Hand-bound Leather Journal', source: 'etsy', in_stock: true });
+    const stored = db.prepare('SELECT * FROM gift_recommendations WHERE event_id = ? ORDER BY rowid').all(eventId);
+    expect(stored[0]).toMatchObject({ external_id: '101', url: 'https://etsy.example/101', in_stock: 1 });
+    expect(stored.find(r => r.external_id === '102').in_stock).toBe(0);
+  });
+});
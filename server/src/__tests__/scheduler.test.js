@@ -0,0 +1,373 @@
+const path = require('path');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+
+// Use a separate test database so this suite can run alongside api.test.js
+const TEST_DB = path.join(__dirname, '..', '..', 'test_scheduler.db');
+process.env.DB_PATH = TEST_DB;
+
+const { getDb, closeDb } = require('../database');
+const { runJobs } = require('../scheduler');
+const { rollRecurringEvents } = require('../jobs/recurring');
+const { markMissedEvents } = require('../jobs/missed');
+const { sendEventReminders, parseMilestones } = require('../jobs/reminders');
+const { runAutonomy } = require('../jobs/autonomy');
+const { resolveAutonomy } = require('../autonomy');
+const { todayIso, addDays } = require('../dates');
+
+const NOW = new Date('2026-03-15T09:00:00Z');
+
+beforeAll(() => {
+  if (fs.existsSync(TEST_DB)) fs.unlinkSync(TEST_DB);
+  getDb();
+});
+
+afterAll(() => {
+  closeDb();
+  if (fs.existsSync(TEST_DB)) fs.unlinkSync(TEST_DB);
+});
+
+function createContact(name) {
+  const id = uuidv4();
+  getDb().prepare('INSERT INTO contacts (id, name, relationship) VALUES (?, ?, ?)').run(id, name, 'friend');
+  return id;
+}
+
+function createEvent(contactId, fields) {
+  const id = uuidv4();
+  const event = {
+    type: 'birthday', name: 'Test Event', recurring: 1, status: 'upcoming', lead_time_days: 14, created_at: null, ...fields,
+  };
+  getDb().prepare(`
+    INSERT INTO events (id, contact_id, type, name, date, recurring, status, lead_time_days, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, datetime('now')))
+  `).run(id, contactId, event.type, event.name, event.date, event.recurring, event.status,
+    event.lead_time_days, event.created_at);
+  return id;
+}
+
+describe('Recurring event roll-over', () => {
+  test('advances an untouched past occurrence in place', () => {
+    const db = getDb();
+    const contactId = createContact('Dana Advance');
+    const eventId = createEvent(contactId, { date: '1990-02-10' });
+
+    rollRecurringEvents(NOW);
+
+    const event = db.prepare('SELECT * FROM events WHERE id = ?').get(eventId);
+    expect(event.date).toBe('2027-02-10');
+    expect(db.prepare('SELECT COUNT(*) as count FROM events WHERE contact_id = ?').get(contactId).count).toBe(1);
+  });
+
+  test('creates a linked successor when the occurrence has history', () => {
+    const db = getDb();
+    const contactId = createContact('Evan History');
+    const eventId = createEvent(contactId, { date: '2026-03-01', status: 'completed' });
+
+    rollRecurringEvents(NOW);
+
+    const successor = db.prepare('SELECT * FROM events WHERE previous_event_id = ?').get(eventId);
+    expect(successor).toBeDefined();
+    expect(successor.date).toBe('2027-03-01');
+    expect(successor.status).toBe('upcoming');
+
+    const original = db.prepare('SELECT * FROM events WHERE id = ?').get(eventId);
+    expect(original.date).toBe('2026-03-01');
+    expect(original.status).toBe('completed');
+
+    const audit = db.prepare("SELECT * FROM audit_log WHERE action = 'rollover' AND entity_id = ?").get(successor.id);
+    expect(audit.performed_by).toBe('system');
+  });
+
+  test('is idempotent and leaves future or non-recurring events alone', () => {
+    const db = getDb();
+    const contactId = createContact('Fay Future');
+    const futureId = createEvent(contactId, { date: '2026-06-01' });
+    const oneOffId = createEvent(contactId, { date: '2025-06-01', recurring: 0 });
+
+    rollRecurringEvents(NOW);
+    const before = db.prepare('SELECT COUNT(*) as count FROM events').get().count;
+    const summary = rollRecurringEvents(NOW);
+
+    expect(summary.checked).toBe(0);
+    expect(db.prepare('SELECT COUNT(*) as count FROM events').get().count).toBe(before);
+    expect(db.prepare('SELECT date FROM events WHERE id = ?').get(futureId).date).toBe('2026-06-01');
+    expect(db.prepare('SELECT date FROM events WHERE id = ?').get(oneOffId).date).toBe('2025-06-01');
+  });
+
+  test('keeps Feb 29 occurrences in non-leap years', () => {
+    const db = getDb();
+    const contactId = createContact('Gus Leap');
+    const eventId = createEvent(contactId, { date: '2000-02-29' });
+
+    rollRecurringEvents(NOW);
+
+    expect(db.prepare('SELECT date FROM events WHERE id = ?').get(eventId).date).toBe('2027-02-28');
+  });
+});
+
+describe('Missed event detection', () => {
+  test('marks a lapsed open event as missed and notifies', () => {
+    const db = getDb();
+    const contactId = createContact('Hana Missed');
+    const eventId = createEvent(contactId, { date: '2026-03-10', status: 'in_progress', created_at: '2026-01-05 10:00:00' });
+
+    markMissedEvents(NOW);
+
+    expect(db.prepare('SELECT status FROM events WHERE id = ?').get(eventId).status).toBe('missed');
+    const notification = db.prepare('SELECT * FROM notifications WHERE event_id = ?').get(eventId);
+    expect(notification.type).toBe('event_missed');
+  });
+
+  test('skips events with a delivered order or an approved card', () => {
+    const db = getDb();
+    const contactId = createContact('Ivy Delivered');
+    const deliveredId = createEvent(contactId, { date: '2026-03-10', status: 'in_progress', created_at: '2026-01-05 10:00:00' });
+    const carded = createEvent(contactId, { date: '2026-03-11', status: 'in_progress', created_at: '2026-01-05 10:00:00' });
+
+    const giftId = uuidv4();
+    db.prepare(`
+      INSERT INTO gift_recommendations (id, event_id, name, price, retailer, status)
+      VALUES (?, ?, 'Gift', 20, 'Amazon', 'purchased')
+    `).run(giftId, deliveredId);
+    db.prepare(`
+      INSERT INTO orders (id, gift_recommendation_id, event_id, status) VALUES (?, ?, ?, 'delivered')
+    `).run(uuidv4(), giftId, deliveredId);
+
+    const cardId = uuidv4();
+    db.prepare("INSERT INTO card_messages (id, event_id, tone, message) VALUES (?, ?, 'warm', 'Hi')").run(cardId, carded);
+    db.prepare(`
+      INSERT INTO approvals (id, event_id, card_message_id, approved_by, status) VALUES (?, ?, ?, 'owner', 'approved')
+    `).run(uuidv4(), carded, cardId);
+
+    markMissedEvents(NOW);
+
+    expect(db.prepare('SELECT status FROM events WHERE id = ?').get(deliveredId).status).toBe('in_progress');
+    expect(db.prepare('SELECT status FROM events WHERE id = ?').get(carded).status).toBe('in_progress');
+  });
+
+  test('ignores occurrences that were already past when entered, and belated events', () => {
+    const db = getDb();
+    const contactId = createContact('Jon Birthdate');
+    const birthDateId = createEvent(contactId, { date: '1985-03-01' });
+    const belatedId = createEvent(contactId, { date: '2026-03-01', status: 'in_progress', created_at: '2026-01-05 10:00:00' });
+    db.prepare('UPDATE events SET belated = 1 WHERE id = ?').run(belatedId);
+
+    markMissedEvents(NOW);
+
+    expect(db.prepare('SELECT status FROM events WHERE id = ?').get(birthDateId).status).toBe('upcoming');
+    expect(db.prepare('SELECT status FROM events WHERE id = ?').get(belatedId).status).toBe('in_progress');
+  });
+});
+
+describe('Event reminders', () => {
+  function remindersFor(eventId) {
+    return getDb().prepare(`
+      SELECT * FROM notifications WHERE event_id = ? AND type = 'event_reminder' ORDER BY created_at
+    `).all(eventId);
+  }
+
+  test('parses the milestone setting', () => {
+    expect(parseMilestones('lead, 7,2')).toEqual(['lead', 7, 2]);
+    expect(parseMilestones('lead,soon')).toBeNull();
+    expect(parseMilestones('')).toBeNull();
+  });
+
+  test('sends one reminder per milestone as the event approaches', () => {
+    const contactId = createContact('Kai Reminder');
+    const eventId = createEvent(contactId, { date: '2026-03-29' });
+
+    sendEventReminders(new Date('2026-03-14T09:00:00Z'));
+    expect(remindersFor(eventId)).toHaveLength(0);
+
+    sendEventReminders(NOW);
+    sendEventReminders(NOW);
+    expect(remindersFor(eventId)).toHaveLength(1);
+
+    sendEventReminders(new Date('2026-03-22T09:00:00Z'));
+    sendEventReminders(new Date('2026-03-27T09:00:00Z'));
+    sendEventReminders(new Date('2026-03-28T09:00:00Z'));
+    expect(remindersFor(eventId)).toHaveLength(3);
+  });
+
+  test('notifies only the nearest milestone when several are due at once', () => {
+    const db = getDb();
+    const contactId = createContact('Lia Late');
+    const eventId = createEvent(contactId, { date: '2026-03-17' });
+
+    sendEventReminders(NOW);
+    sendEventReminders(NOW);
+
+    const reminders = remindersFor(eventId);
+    expect(reminders).toHaveLength(1);
+    expect(reminders[0].message).toContain('in 2 days');
+    const recorded = db.prepare('SELECT milestone_days FROM event_reminders WHERE event_id = ? ORDER BY milestone_days')
+      .all(eventId).map(r => r.milestone_days);
+    expect(recorded).toEqual([2, 7, 14]);
+  });
+
+  test('uses the configured milestones and default lead time', () => {
+    const db = getDb();
+    db.prepare("UPDATE global_settings SET value = '30' WHERE key = 'default_lead_time_days'").run();
+    db.prepare("UPDATE global_settings SET value = 'lead' WHERE key = 'reminder_milestones'").run();
+    try {
+      const contactId = createContact('Max Default');
+      const eventId = createEvent(contactId, { date: '2026-04-10', lead_time_days: null });
+
+      sendEventReminders(NOW);
+
+      expect(remindersFor(eventId)).toHaveLength(1);
+      expect(db.prepare('SELECT milestone_days FROM event_reminders WHERE event_id = ?').get(eventId).milestone_days).toBe(30);
+    } finally {
+      db.prepare("UPDATE global_settings SET value = '14' WHERE key = 'default_lead_time_days'").run();
+      db.prepare("UPDATE global_settings SET value = 'lead,7,2' WHERE key = 'reminder_milestones'").run();
+    }
+  });
+
+  test('reminds again for next year\'s occurrence', () => {
+    const db = getDb();
+    const contactId = createContact('Nia Annual');
+    const eventId = createEvent(contactId, { date: '2026-03-16' });
+
+    sendEventReminders(NOW);
+    db.prepare("UPDATE events SET date = '2027-03-16' WHERE id = ?").run(eventId);
+    sendEventReminders(new Date('2027-03-15T09:00:00Z'));
+
+    expect(remindersFor(eventId)).toHaveLength(2);
+  });
+});
+
+describe('Autonomy engine', () => {
+  // Gift delivery estimates use the real clock, so these events are dated from today
+  const soon = () => addDays(todayIso(), 5);
+
+  function addRule(fields) {
+    const rule = { contact_id: null, event_type: null, max_budget: null, ...fields };
+    getDb().prepare(`
+      INSERT INTO autonomy_settings (id, contact_id, event_type, level, max_budget) VALUES (?, ?, ?, ?, ?)
+    `).run(uuidv4(), rule.contact_id, rule.event_type, rule.level, rule.max_budget);
+  }
+
+  test('resolves contact, then event type, then the global level', () => {
+    const db = getDb();
+    const contactId = createContact('Omar Rules');
+    const event = { contact_id: contactId, type: 'anniversary' };
+
+    expect(resolveAutonomy(db, event)).toMatchObject({ level: 'manual', source: 'global' });
+
+    addRule({ event_type: 'anniversary', level: 'auto_recommend' });
+    expect(resolveAutonomy(db, event)).toMatchObject({ level: 'auto_recommend', source: 'event_type' });
+
+    addRule({ contact_id: contactId, level: 'auto_purchase', max_budget: 40 });
+    expect(resolveAutonomy(db, event)).toMatchObject({ level: 'auto_purchase', source: 'contact', max_budget: 40 });
+
+    db.prepare("DELETE FROM autonomy_settings WHERE event_type = 'anniversary' AND contact_id IS NULL").run();
+  });
+
+  test('auto_recommend drafts gifts and cards once the lead window opens', async () => {
+    const db = getDb();
+    const contactId = createContact('Pia Recommend');
+    addRule({ contact_id: contactId, level: 'auto_recommend' });
+    const dueId = createEvent(contactId, { date: soon() });
+    const laterId = createEvent(contactId, { date: addDays(todayIso(), 60) });
+
+    await runAutonomy();
+    await runAutonomy();
+
+    const gifts = db.prepare('SELECT COUNT(*) as count FROM gift_recommendations WHERE event_id = ?').get(dueId).count;
+    expect(gifts).toBeGreaterThan(0);
+    expect(db.prepare('SELECT COUNT(*) as count FROM card_messages WHERE event_id = ?').get(dueId).count).toBeGreaterThan(0);
+    expect(db.prepare('SELECT COUNT(*) as count FROM gift_recommendations WHERE event_id = ?').get(laterId).count).toBe(0);
+    expect(db.prepare('SELECT COUNT(*) as count FROM orders WHERE event_id = ?').get(dueId).count).toBe(0);
+    expect(db.prepare("SELECT COUNT(*) as count FROM notifications WHERE event_id = ? AND type = 'approval_needed'").get(dueId).count).toBe(1);
+
+    const audit = db.prepare("SELECT * FROM audit_log WHERE action = 'generate_recommendations' AND entity_id = ?").get(dueId);
+    expect(audit.performed_by).toBe('system');
+  });
+
+  test('saves nothing when card generation fails, so the next run tries again', async () => {
+    const db = getDb();
+    const contactId = createContact('Tia Retry');
+    addRule({ contact_id: contactId, level: 'auto_recommend' });
+    const eventId = createEvent(contactId, { date: soon() });
+    const count = table => db.prepare(`SELECT COUNT(*) as count FROM ${table} WHERE event_id = ?`).get(eventId).count;
+
+    db.exec(`
+      CREATE TRIGGER fail_cards BEFORE INSERT ON card_messages WHEN NEW.event_id = '${eventId}'
+      BEGIN SELECT RAISE(ABORT, 'card storage failed'); END
+    `);
+    try {
+      await expect(runAutonomy()).rejects.toThrow('card storage failed');
+    } finally {
+      db.exec('DROP TRIGGER fail_cards');
+    }
+    expect(count('gift_recommendations')).toBe(0);
+    expect(count('notifications')).toBe(0);
+
+    await runAutonomy();
+    expect(count('gift_recommendations')).toBeGreaterThan(0);
+    expect(count('card_messages')).toBeGreaterThan(0);
+    expect(count('notifications')).toBe(1);
+  });
+
+  test('auto_purchase orders the best gift within max_budget as system', async () => {
+    const db = getDb();
+    const contactId = createContact('Quinn Purchase');
+    addRule({ contact_id: contactId, level: 'auto_purchase', max_budget: 25 });
+    const eventId = createEvent(contactId, { date: soon() });
+
+    await runAutonomy();
+    await runAutonomy();
+
+    const orders = db.prepare(`
+      SELECT o.*, gr.price FROM orders o JOIN gift_recommendations gr ON o.gift_recommendation_id = gr.id
+      WHERE o.event_id = ?
+    `).all(eventId);
+    expect(orders).toHaveLength(1);
+    expect(orders[0].price).toBeLessThanOrEqual(25);
+
+    const approval = db.prepare('SELECT * FROM approvals WHERE id = ?').get(orders[0].approval_id);
+    expect(approval.approved_by).toBe('system');
+    expect(approval.card_message_id).toBeTruthy();
+    const audit = db.prepare("SELECT * FROM audit_log WHERE action = 'create_order' AND entity_id = ?").get(orders[0].id);
+    expect(audit.performed_by).toBe('system');
+  });
+
+  test('skips the purchase when nothing fits max_budget', async () => {
+    const db = getDb();
+    const contactId = createContact('Rae Tight');
+    addRule({ contact_id: contactId, level: 'auto_purchase', max_budget: 5 });
+    const eventId = createEvent(contactId, { date: soon() });
+
+    await runAutonomy();
+    await runAutonomy();
+
+    expect(db.prepare('SELECT COUNT(*) as count FROM orders WHERE event_id = ?').get(eventId).count).toBe(0);
+    expect(db.prepare("SELECT COUNT(*) as count FROM notifications WHERE event_id = ? AND type = 'budget_warning'").get(eventId).count).toBe(1);
+  });
+
+  test('does nothing while emergency stop is active', async () => {
+    const db = getDb();
+    const contactId = createContact('Sam Stopped');
+    addRule({ contact_id: contactId, level: 'auto_purchase' });
+    const eventId = createEvent(contactId, { date: soon() });
+
+    db.prepare("UPDATE global_settings SET value = 'true' WHERE key = 'emergency_stop'").run();
+    try {
+      expect((await runAutonomy()).halted).toBe(true);
+    } finally {
+      db.prepare("UPDATE global_settings SET value = 'false' WHERE key = 'emergency_stop'").run();
+    }
+
+    expect(db.prepare('SELECT COUNT(*) as count FROM gift_recommendations WHERE event_id = ?').get(eventId).count).toBe(0);
+    expect(db.prepare('SELECT COUNT(*) as count FROM orders WHERE event_id = ?').get(eventId).count).toBe(0);
+  });
+});
+
+describe('Scheduler', () => {
+  test('runs every job and reports a summary', async () => {
+    const results = await runJobs(NOW);
+    expect(results.length).toBeGreaterThanOrEqual(1);
+    expect(results.every(r => r.ok)).toBe(true);
+  });
+});
@@ -0,0 +1,171 @@
+const path = require('path');
+const fs = require('fs');
+
+// Use a separate test database so this suite can run alongside the others
+const TEST_DB = path.join(__dirname, '..', '..', 'test_scoring.db');
+process.env.DB_PATH = TEST_DB;
+
+const { getDb, closeDb } = require('../database');
+const {
+  defaultWeights, validateWeights, getScoringWeights, scoreGift, giftOverlap, diversify,
+} = require('../scoring');
+const { generateRecommendations, moreRecommendations } = require('../routes/gifts');
+const { todayIso, addDays } = require('../dates');
+
+beforeAll(() => {
+  if (fs.existsSync(TEST_DB)) fs.unlinkSync(TEST_DB);
+  const db = getDb();
+  db.prepare("INSERT INTO users (id, username, password_hash) VALUES ('u-1', 'tuner', 'x')").run();
+  db.prepare(`
+    INSERT INTO contacts (id, name, relationship, preferences, user_id)
+    VALUES ('c-1', 'Ivy', 'friend', '{"interests":["books"]}', 'u-1')
+  `).run();
+  db.prepare("INSERT INTO events (id, contact_id, type, name, date) VALUES ('e-1', 'c-1', 'birthday', 'Birthday', ?)")
+    .run(addDays(todayIso(), 30));
+});
+
+afterAll(() => {
+  closeDb();
+  if (fs.existsSync(TEST_DB)) fs.unlinkSync(TEST_DB);
+});
+
+const noHistory = { given: [], tagAges: new Map(), retailerAges: new Map() };
+const getEvent = () => getDb().prepare(`
+  SELECT e.*, c.name as contact_name, c.preferences, c.constraints, c.relationship
+  FROM events e JOIN contacts c ON e.contact_id = c.id WHERE e.id = 'e-1'
+`).get();
+
+describe('Scoring weights', () => {
+  test('validates names and ranges', () => {
+    expect(validateWeights({ interest: 30, history: 0.5 })).toBeNull();
+    expect(validateWeights({ luck: 5 })).toMatch(/Unknown weight "luck"/);
+    expect(validateWeights({ interest: 51 })).toMatch(/between 0 and 50/);
+    expect(validateWeights({ base: '50' })).toMatch(/base must be a number/);
+    expect(validateWeights([])).toMatch(/object/);
+  });
+
+  test('fills in defaults around saved weights', () => {
+    const db = getDb();
+    expect(getScoringWeights(db, null)).toEqual(defaultWeights());
+    db.prepare("UPDATE users SET scoring_weights = '{\"interest\":35}' WHERE id = 'u-1'").run();
+    expect(getScoringWeights(db, 'u-1')).toEqual({ ...defaultWeights(), interest: 35 });
+    db.prepare('UPDATE users SET scoring_weights = NULL').run();
+  });
+});
+
+describe('Score breakdown', () => {
+  const gift = { name: 'Pour-Over Set', price: 24, retailer: 'Etsy', tags: ['coffee', 'kitchen'] };
+  const context = {
+    preferences: { interests: ['coffee', 'books'], favorite_retailers: ['Etsy'] },
+    budget: 40,
+    milestone: null,
+    signals: noHistory,
+    weights: defaultWeights(),
+  };
+
+  test('lists every factor that applied', () => {
+    const { score, breakdown } = scoreGift(gift, context);
+    expect(breakdown).toEqual([
+      { factor: 'base', label: 'Starting score', points: 50 },
+      { factor: 'interest', label: 'Per matching interest', points: 20, matches: ['coffee'] },
+      { factor: 'favorite_retailer', label: 'Favorite retailer', points: 10, retailer: 'Etsy' },
+      { factor: 'price_fit', label: 'Price 40-80% of the budget', points: 15, ratio: 0.6 },
+    ]);
+    expect(score).toBe(95);
+  });
+
+  test('applies the weights, including the history multiplier', () => {
+    const signals = {
+      given: [{ event_date: '2026-01-10', gift: { name: 'Coffee Sampler', tags: ['coffee'], retailer: 'Amazon' } }],
+      tagAges: new Map([['coffee', 200]]),
+      retailerAges: new Map(),
+    };
+    const weights = { ...defaultWeights(), interest: 40, price_fit: 0, history: 2 };
+    const { score, breakdown } = scoreGift(gift, { ...context, signals, weights });
+    expect(breakdown.find(f => f.factor === 'history'))
+      .toEqual({ factor: 'history', label: 'Repeat-gift penalty multiplier', points: -30, similar_to: 'Coffee Sampler', year: 2026 });
+    expect(breakdown.find(f => f.factor === 'price_fit').points).toBe(0);
+    expect(score).toBe(50 + 40 + 10 - 30);
+  });
+});
+
+describe('Recommendations', () => {
+  test('are scored with the contact owner\'s weights and keep their breakdown', async () => {
+    const db = getDb();
+    const event = getEvent();
+
+    db.prepare("UPDATE users SET scoring_weights = '{\"interest\":0,\"price_fit\":0}' WHERE id = 'u-1'").run();
+    const { recommendations } = await generateRecommendations(db, event);
+    expect(recommendations.every(r => r.score_breakdown.every(f => f.factor !== 'interest'))).toBe(true);
+
+    const stored = db.prepare('SELECT * FROM gift_recommendations WHERE id = ?').get(recommendations[0].id);
+    expect(stored.score).toBe(recommendations[0].score);
+    expect(JSON.parse(stored.score_breakdown)).toEqual(recommendations[0].score_breakdown);
+
+    // Someone else generating uses their own (default) weights
+    const again = await generateRecommendations(db, event, 'owner', null);
+    const books = again.recommendations.find(r => r.tags.includes('books'));
+    expect(books.score_breakdown.find(f => f.factor === 'interest')).toMatchObject({ points: 20, matches: ['books'] });
+  });
+});
+
+describe('Diversity', () => {
+  const candle = (name, score) => ({
+    name, score, price: 28, retailer: 'Target', tags: ['home', 'candles'], breakdown: [],
+  });
+  const ranked = [
+    candle('Candle Set', 90),
+    candle('Soy Candle Trio', 88),
+    candle('Pillar Candles', 86),
+    { name: 'Novel Collection', score: 70, price: 15, retailer: 'Amazon', tags: ['books'], breakdown: [] },
+  ];
+
+  test('measures what two gifts share', () => {
+    expect(giftOverlap(ranked[0], ranked[1])).toEqual({ tags: ['home', 'candles'], retailer: true, price: true, count: 4 });
+    expect(giftOverlap(ranked[0], ranked[3]).count).toBe(0);
+  });
+
+  test('moves near-duplicates down and explains why', () => {
+    const picked = diversify(ranked, 3, 10);
+    expect(picked.map(g => g.name)).toEqual(['Candle Set', 'Novel Collection', 'Soy Candle Trio']);
+    expect(picked[2].score).toBe(48);
+    expect(picked[2].breakdown).toEqual([{
+      factor: 'diversity', label: 'Per overlap with a gift ranked higher', points: -40,
+      like: 'Candle Set', shared_tags: ['home', 'candles'], same_retailer: true, same_price_point: true,
+    }]);
+
+    // Without the penalty it is a straight sort
+    expect(diversify(ranked, 3, 0).map(g => g.name)).toEqual(['Candle Set', 'Soy Candle Trio', 'Pillar Candles']);
+  });
+});
+
+describe('More recommendations', () => {
+  test('adds gifts like or unlike a chosen one and keeps the rest', async () => {
+    const db = getDb();
+    const event = getEvent();
+    const { recommendations } = await generateRecommendations(db, event, 'owner', null);
+    const anchor = db.prepare('SELECT * FROM gift_recommendations WHERE id = ?').get(recommendations[0].id);
+    expect(anchor.name).toBe('Bestselling Novel Collection');
+
+    // New stock arrives after the list was made
+    const insertItem = db.prepare(`
+      INSERT INTO catalog_items (id, sku, name, category, price, retailer, tags) VALUES (?, ?, ?, 'birthday', ?, ?, ?)
+    `);
+    insertItem.run('i-light', 'book-light', 'Book Light', 24, 'Amazon', '["books","reading"]');
+    insertItem.run('i-mat', 'yoga-mat', 'Yoga Mat', 12, 'Target', '["fitness"]');
+    const count = () => db.prepare('SELECT COUNT(*) as n FROM gift_recommendations WHERE event_id = ?').get('e-1').n;
+    const before = count();
+
+    const different = await moreRecommendations(db, event, anchor, 'different', { limit: 1, userId: null });
+    expect(different.recommendations.map(r => r.name)).toEqual(['Yoga Mat']);
+    expect(different.recommendations[0].reasoning).toContain('Something different from Bestselling Novel Collection.');
+
+    const similar = await moreRecommendations(db, event, anchor, 'similar', { limit: 1, userId: null });
+    expect(similar.recommendations.map(r => r.name)).toEqual(['Book Light']);
+    expect(similar.recommendations[0].score_breakdown.find(f => f.factor === 'like_this')).toMatchObject({
+      points: 40, like: 'Bestselling Novel Collection', shared_tags: ['books', 'reading'],
+    });
+
+    expect(count()).toBe(before + 2);
+  });
+});
@@ -0,0 +1,119 @@
+const path = require('path');
+const fs = require('fs');
+
+// Use a separate test database so this suite can run alongside the others
+const TEST_DB = path.join(__dirname, '..', '..', 'test_secrets.db');
+process.env.DB_PATH = TEST_DB;
+
+const { getDb, closeDb } = require('../database');
+const {
+  saveCredentials, deleteCredentials, getStoredCredentials, getCredential, hasUnreadableCredentials,
+} = require('../secrets');
+const { getActiveLlmProvider } = require('../routes/integrations');
+const etsy = require('../retailers/etsy');
+
+const TEST_ENV = ['SECRETS_ENCRYPTION_KEY', 'ETSY_API_KEY', 'LLM_PROVIDER', 'ANTHROPIC_API_KEY', 'OPENAI_API_KEY', 'GEMINI_API_KEY'];
+const KEY = 'a'.repeat(64);
+
+let savedEnv;
+
+beforeAll(() => {
+  if (fs.existsSync(TEST_DB)) fs.unlinkSync(TEST_DB);
+  getDb();
+});
+
+afterAll(() => {
+  closeDb();
+  if (fs.existsSync(TEST_DB)) fs.unlinkSync(TEST_DB);
+});
+
+beforeEach(() => {
+  savedEnv = {};
+  for (const key of TEST_ENV) {
+    savedEnv[key] = process.env[key];
+    delete process.env[key];
+  }
+  process.env.SECRETS_ENCRYPTION_KEY = KEY;
+  getDb().prepare('DELETE FROM integration_secrets').run();
+});
+
+afterEach(() => {
+  for (const key of TEST_ENV) {
+    if (savedEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = savedEnv[key];
+  }
+});
+
+describe('Integration secret storage', () => {
+  test('encrypts credentials at rest', () => {
+    saveCredentials('etsy', { ETSY_API_KEY: 'etsy-secret-1234' });
+
+    const row = getDb().prepare("SELECT * FROM integration_secrets WHERE provider = 'etsy'").get();
+    expect(row.credentials).not.toContain('etsy-secret-1234');
+    expect(row.iv).toBeTruthy();
+    expect(row.auth_tag).toBeTruthy();
+    expect(getStoredCredentials('etsy')).toEqual({ ETSY_API_KEY: 'etsy-secret-1234' });
+  });
+
+  test('stored credentials take priority over env vars', () => {
+    process.env.ETSY_API_KEY = 'from-env';
+    expect(getCredential('etsy', 'ETSY_API_KEY')).toBe('from-env');
+
+    saveCredentials('etsy', { ETSY_API_KEY: 'from-app' });
+    expect(getCredential('etsy', 'ETSY_API_KEY')).toBe('from-app');
+    expect(etsy.isConfigured()).toBe(true);
+
+    deleteCredentials('etsy');
+    expect(getCredential('etsy', 'ETSY_API_KEY')).toBe('from-env');
+  });
+
+  test('merges updates and removes empty values', () => {
+    saveCredentials('amazon', { AMAZON_API_KEY: 'key', AMAZON_API_SECRET: 'secret' });
+    saveCredentials('amazon', { AMAZON_PARTNER_TAG: 'tag-20', AMAZON_API_SECRET: '' });
+
+    expect(getStoredCredentials('amazon')).toEqual({ AMAZON_API_KEY: 'key', AMAZON_PARTNER_TAG: 'tag-20' });
+
+    saveCredentials('amazon', { AMAZON_API_KEY: '', AMAZON_PARTNER_TAG: null });
+    expect(getDb().prepare("SELECT COUNT(*) as c FROM integration_secrets WHERE provider = 'amazon'").get().c).toBe(0);
+  });
+
+  test('falls back to env vars when the encryption key changes', () => {
+    saveCredentials('etsy', { ETSY_API_KEY: 'from-app' });
+    process.env.ETSY_API_KEY = 'from-env';
+    process.env.SECRETS_ENCRYPTION_KEY = 'b'.repeat(64);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(getCredential('etsy', 'ETSY_API_KEY')).toBe('from-env');
+    // Adapters look credentials up constantly; the bad row is reported once
+    expect(etsy.isConfigured()).toBe(true);
+    expect(getCredential('etsy', 'ETSY_API_KEY')).toBe('from-env');
+    expect(console.warn).toHaveBeenCalledTimes(1);
+    console.warn.mockRestore();
+  });
+
+  test("won't save over credentials the current key can't decrypt", () => {
+    saveCredentials('amazon', { AMAZON_API_KEY: 'key', AMAZON_API_SECRET: 'secret' });
+    process.env.SECRETS_ENCRYPTION_KEY = 'b'.repeat(64);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(hasUnreadableCredentials('amazon')).toBe(true);
+    expect(() => saveCredentials('amazon', { AMAZON_PARTNER_TAG: 'tag-20' })).toThrow('cannot be decrypted');
+    console.warn.mockRestore();
+
+    // With the original key back, nothing was lost
+    process.env.SECRETS_ENCRYPTION_KEY = KEY;
+    expect(getStoredCredentials('amazon')).toEqual({ AMAZON_API_KEY: 'key', AMAZON_API_SECRET: 'secret' });
+    expect(hasUnreadableCredentials('amazon')).toBe(false);
+  });
+
+  test('refuses to store credentials without an encryption key', () => {
+    delete process.env.SECRETS_ENCRYPTION_KEY;
+    expect(() => saveCredentials('etsy', { ETSY_API_KEY: 'x' })).toThrow('SECRETS_ENCRYPTION_KEY');
+  });
+
+  test('an LLM key entered in the app activates that provider', () => {
+    expect(getActiveLlmProvider()).toBeNull();
+    saveCredentials('gemini', { GEMINI_API_KEY: 'gemini-key' });
+    expect(getActiveLlmProvider()).toBe('gemini');
+  });
+});
@@ -0,0 +1,147 @@
+const path = require('path');
+const fs = require('fs');
+
+// Use a separate test database so this suite can run alongside the others
+const TEST_DB = path.join(__dirname, '..', '..', 'test_segments.db');
+process.env.DB_PATH = TEST_DB;
+
+const { getDb, closeDb } = require('../database');
+const {
+  normalizeTag, validateTags, validateSegmentRules, normalizeRules, segmentContacts, segmentIncludes,
+} = require('../segments');
+const { resolveAutonomy } = require('../autonomy');
+const { getEffectiveBudget, setSegmentOverrides } = require('../routes/budgets');
+const { planCardCampaign, generateCardMessages } = require('../routes/cards');
+const { mergeContacts } = require('../duplicates');
+
+const TODAY = '2026-10-19';
+
+beforeAll(() => {
+  if (fs.existsSync(TEST_DB)) fs.unlinkSync(TEST_DB);
+  const db = getDb();
+  const insertContact = db.prepare('INSERT INTO contacts (id, name, relationship, birthday, tags) VALUES (?, ?, ?, ?, ?)');
+  insertContact.run('amy', 'Amy', 'coworker', '1990-11-02', '["close-friends"]');
+  insertContact.run('bob', 'Bob', 'coworker', null, '[]');
+  insertContact.run('cat', 'Cat', 'friend', '1985-11-20', '["close-friends","book-club"]');
+  insertContact.run('dan', 'Dan', 'family', '1970-03-01', '[]');
+  db.prepare(`
+    INSERT INTO contact_addresses (id, contact_id, line1, city, postal_code, country, is_default)
+    VALUES ('home', 'cat', '5 Oak Ave', 'Springfield', '12345', 'US', 1)
+  `).run();
+
+  const insertEvent = db.prepare('INSERT INTO events (id, contact_id, type, name, date) VALUES (?, ?, ?, ?, ?)');
+  insertEvent.run('e-amy', 'amy', 'birthday', "Amy's Birthday", '2026-11-02');
+  insertEvent.run('e-cat', 'cat', 'birthday', "Cat's Birthday", '2026-11-20');
+  insertEvent.run('e-dan', 'dan', 'birthday', "Dan's Birthday", '2027-03-01');
+  insertEvent.run('e-shared', 'dan', 'other', 'Team Lunch', '2026-10-30');
+  db.prepare("INSERT INTO event_recipients (id, event_id, contact_id) VALUES ('r-1', 'e-shared', 'bob')").run();
+
+  const insertSegment = db.prepare('INSERT INTO segments (id, name, rules, match) VALUES (?, ?, ?, ?)');
+  insertSegment.run('coworkers', 'Coworkers', '[{"field":"relationship","op":"is","value":"coworker"}]', 'all');
+  insertSegment.run('close', 'Close friends', '[{"field":"tag","op":"has","value":"close-friends"}]', 'all');
+});
+
+afterAll(() => {
+  closeDb();
+  if (fs.existsSync(TEST_DB)) fs.unlinkSync(TEST_DB);
+});
+
+const ids = contacts => contacts.map(c => c.id);
+const segment = (rules, match = 'all') => ({ rules: normalizeRules(rules), match });
+const getEvent = id => getDb().prepare(`
+  SELECT e.*, c.name as contact_name, c.relationship, c.preferences, c.constraints
+  FROM events e JOIN contacts c ON e.contact_id = c.id WHERE e.id = ?
+`).get(id);
+
+describe('Tags', () => {
+  test('normalises and de-duplicates tags', () => {
+    expect(normalizeTag('  Close Friends! ')).toBe('close-friends');
+    expect(validateTags(['Close Friends', 'close-friends', 'Book Club', ' '])).toEqual({ tags: ['close-friends', 'book-club'] });
+    expect(validateTags('friends').error).toMatch(/array/);
+    expect(validateTags(['x'.repeat(31)]).error).toMatch(/30 characters/);
+  });
+});
+
+describe('Segment rules', () => {
+  test('rejects unknown fields, operators and missing values', () => {
+    expect(validateSegmentRules([{ field: 'relationship', op: 'is', value: 'coworker' }])).toBeNull();
+    expect(validateSegmentRules([])).toMatch(/non-empty/);
+    expect(validateSegmentRules([{ field: 'age', op: 'is', value: '30' }])).toMatch(/field must be one of/);
+    expect(validateSegmentRules([{ field: 'birthday', op: 'is' }])).toMatch(/present, missing/);
+    expect(validateSegmentRules([{ field: 'tag', op: 'has', value: '' }])).toMatch(/need a value/);
+    expect(validateSegmentRules([{ field: 'birthday', op: 'missing' }], 'some')).toMatch(/match must be/);
+  });
+
+  test('matches relationships, tags and missing details', () => {
+    const db = getDb();
+    expect(ids(segmentContacts(db, segment([{ field: 'relationship', op: 'is', value: 'Coworker' }]), null)))
+      .toEqual(['amy', 'bob']);
+    expect(ids(segmentContacts(db, segment([{ field: 'tag', op: 'has', value: 'Close Friends' }]), null)))
+      .toEqual(['amy', 'cat']);
+    expect(ids(segmentContacts(db, segment([{ field: 'birthday', op: 'missing' }]), null))).toEqual(['bob']);
+    expect(ids(segmentContacts(db, segment([{ field: 'address', op: 'present' }]), null))).toEqual(['cat']);
+  });
+
+  test('combines rules all-of or any-of', () => {
+    const db = getDb();
+    const rules = [
+      { field: 'relationship', op: 'is', value: 'coworker' },
+      { field: 'tag', op: 'has', value: 'close-friends' },
+    ];
+    expect(ids(segmentContacts(db, segment(rules), null))).toEqual(['amy']);
+    expect(ids(segmentContacts(db, segment(rules, 'any'), null))).toEqual(['amy', 'bob', 'cat']);
+    expect(segmentIncludes(db, segment(rules), 'cat')).toBe(false);
+  });
+});
+
+describe('Acting on a segment', () => {
+  test('segment autonomy rules sit between contact and event type rules', () => {
+    const db = getDb();
+    const insertRule = db.prepare(`
+      INSERT INTO autonomy_settings (id, contact_id, segment_id, event_type, level) VALUES (?, ?, ?, ?, ?)
+    `);
+    insertRule.run('rule-type', null, null, 'birthday', 'manual');
+    insertRule.run('rule-segment', null, 'coworkers', 'birthday', 'auto_recommend');
+    insertRule.run('rule-contact', 'bob', null, null, 'auto_purchase');
+
+    expect(resolveAutonomy(db, { contact_id: 'amy', type: 'birthday' })).toMatchObject({ source: 'segment', level: 'auto_recommend' });
+    expect(resolveAutonomy(db, { contact_id: 'bob', type: 'birthday' })).toMatchObject({ source: 'contact' });
+    expect(resolveAutonomy(db, { contact_id: 'cat', type: 'birthday' })).toMatchObject({ source: 'event_type', level: 'manual' });
+    // Other event types fall through the birthday-only segment rule
+    expect(resolveAutonomy(db, { contact_id: 'amy', type: 'other' }).source).toBe('global');
+
+    db.prepare('DELETE FROM autonomy_settings').run();
+  });
+
+  test('sets a budget override for each member', () => {
+    const db = getDb();
+    const budget = db.prepare("SELECT * FROM budgets WHERE category = 'birthday'").get();
+    const close = { rules: [{ field: 'tag', op: 'has', value: 'close-friends' }], match: 'all' };
+    expect(setSegmentOverrides(db, budget.id, close, null, 80)).toEqual(['amy', 'cat']);
+
+    expect(getEffectiveBudget(db, getEvent('e-amy'))).toMatchObject({ amount: 80, is_override: true });
+    expect(getEffectiveBudget(db, getEvent('e-dan'))).toMatchObject({ amount: 30, is_override: false });
+  });
+
+  test('plans a card campaign over open events without a chosen card', async () => {
+    const db = getDb();
+    const coworkers = { rules: [{ field: 'relationship', op: 'is', value: 'coworker' }], match: 'all' };
+    // Bob is a recipient of the shared lunch; Amy's birthday is in the window
+    expect(ids(planCardCampaign(db, coworkers, null, { days: 30, today: TODAY }))).toEqual(['e-shared', 'e-amy']);
+    expect(ids(planCardCampaign(db, coworkers, null, { days: 30, type: 'birthday', today: TODAY }))).toEqual(['e-amy']);
+    expect(planCardCampaign(db, coworkers, null, { days: 5, today: TODAY })).toEqual([]);
+
+    const { messages } = await generateCardMessages(db, getEvent('e-amy'), ['warm']);
+    db.prepare('UPDATE card_messages SET selected = 1 WHERE id = ?').run(messages[0].id);
+    expect(ids(planCardCampaign(db, coworkers, null, { days: 30, today: TODAY }))).toEqual(['e-shared']);
+  });
+
+  test('merging contacts keeps both sets of tags', () => {
+    const db = getDb();
+    db.prepare("INSERT INTO contacts (id, name, relationship, tags) VALUES ('cat-dup', 'Cat', 'friend', '[\"neighbor\",\"book-club\"]')").run();
+    const contact = id => db.prepare('SELECT * FROM contacts WHERE id = ?').get(id);
+
+    mergeContacts(db, contact('cat'), contact('cat-dup'));
+    expect(JSON.parse(contact('cat').tags)).toEqual(['close-friends', 'book-club', 'neighbor']);
+  });
+});
@@ -0,0 +1,169 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Postal addresses for contacts. Several per contact, one of which is the
+// default used when an order is placed. Orders keep a JSON snapshot of the
+// address they shipped to, so editing a contact never rewrites order history.
+// Household members share their household's address (see households.js).
+
+const ADDRESS_FIELDS = ['label', 'recipient_name', 'line1', 'line2', 'city', 'region', 'postal_code', 'country'];
+const MAX_FIELD_LENGTH = 200;
+
+// Postal code formats for common destinations, matched after trimming and
+// upper-casing. Countries not listed accept any code up to 12 characters.
+const POSTAL_CODE_PATTERNS = {
+  US: /^\d{5}(-\d{4})?$/,
+  CA: /^[A-Z]\d[A-Z] ?\d[A-Z]\d$/,
+  GB: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/,
+  AU: /^\d{4}$/,
+  NZ: /^\d{4}$/,
+  DE: /^\d{5}$/,
+  FR: /^\d{5}$/,
+  ES: /^\d{5}$/,
+  IT: /^\d{5}$/,
+  NL: /^\d{4} ?[A-Z]{2}$/,
+  IE: /^[A-Z\d]{3} ?[A-Z\d]{4}$/,
+  IN: /^\d{6}$/,
+  JP: /^\d{3}-?\d{4}$/,
+  BR: /^\d{5}-?\d{3}$/,
+  MX: /^\d{5}$/,
+};
+
+// Countries where the state/province/region is part of a deliverable address
+const REGION_REQUIRED = ['US', 'CA', 'AU', 'BR', 'MX', 'IN'];
+
+// Validate and normalize an address from a request body. With `partial`, only
+// the fields present are checked and merged over `existing`. Returns
+// { address } or { error }.
+function validateAddress(input, { partial = false, existing = {} } = {}) {
+  const address = {};
+  for (const field of ADDRESS_FIELDS) {
+    const value = input[field] !== undefined ? input[field] : (partial ? existing[field] : undefined);
+    if (value === undefined || value === null || value === '') {
+      address[field] = null;
+      continue;
+    }
+    if (typeof value !== 'string') return { error: `${field} must be a string` };
+    const trimmed = value.trim();
+    if (trimmed.length > MAX_FIELD_LENGTH) return { error: `${field} is too long` };
+    address[field] = trimmed || null;
+  }
+
+  if (!address.line1) return { error: 'line1 is required' };
+  if (!address.city) return { error: 'city is required' };
+  if (!address.country) return { error: 'country is required' };
+
+  address.country = address.country.toUpperCase();
+  if (!/^[A-Z]{2}$/.test(address.country)) {
+    return { error: 'country must be a two-letter ISO code (e.g. US, GB)' };
+  }
+  if (REGION_REQUIRED.includes(address.country) && !address.region) {
+    return { error: `region (state or province) is required for ${address.country} addresses` };
+  }
+
+  if (!address.postal_code) return { error: 'postal_code is required' };
+  address.postal_code = address.postal_code.toUpperCase();
+  const pattern = POSTAL_CODE_PATTERNS[address.country];
+  if (pattern ? !pattern.test(address.postal_code) : address.postal_code.length > 12) {
+    return { error: `postal_code "${address.postal_code}" is not valid for ${address.country}` };
+  }
+
+  return { address };
+}
+
+function listAddresses(db, contactId) {
+  return db.prepare(`
+    SELECT * FROM contact_addresses WHERE contact_id = ?
+    ORDER BY is_default DESC, created_at ASC
+  `).all(contactId);
+}
+
+// Insert an address. The contact's first address becomes the default.
+function createAddress(db, contactId, address, makeDefault = false) {
+  const id = uuidv4();
+  const hasAddresses = !!db.prepare('SELECT 1 FROM contact_addresses WHERE contact_id = ?').get(contactId);
+  const isDefault = makeDefault || !hasAddresses;
+
+  db.transaction(() => {
+    if (isDefault) {
+      db.prepare('UPDATE contact_addresses SET is_default = 0 WHERE contact_id = ?').run(contactId);
+    }
+    db.prepare(`
+      INSERT INTO contact_addresses (id, contact_id, label, recipient_name, line1, line2, city, region, postal_code, country, is_default)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(id, contactId, address.label, address.recipient_name, address.line1, address.line2,
+      address.city, address.region, address.postal_code, address.country, isDefault ? 1 : 0);
+  })();
+
+  return db.prepare('SELECT * FROM contact_addresses WHERE id = ?').get(id);
+}
+
+function updateAddress(db, existing, address, makeDefault = false) {
+  db.transaction(() => {
+    if (makeDefault) {
+      db.prepare('UPDATE contact_addresses SET is_default = 0 WHERE contact_id = ?').run(existing.contact_id);
+    }
+    db.prepare(`
+      UPDATE contact_addresses SET label = ?, recipient_name = ?, line1 = ?, line2 = ?, city = ?,
+        region = ?, postal_code = ?, country = ?, is_default = ?, updated_at = datetime('now')
+      WHERE id = ?
+    `).run(address.label, address.recipient_name, address.line1, address.line2, address.city,
+      address.region, address.postal_code, address.country, makeDefault ? 1 : existing.is_default, existing.id);
+  })();
+
+  return db.prepare('SELECT * FROM contact_addresses WHERE id = ?').get(existing.id);
+}
+
+// Delete an address; if it was the default, the oldest remaining one takes over
+function deleteAddress(db, existing) {
+  db.transaction(() => {
+    db.prepare('DELETE FROM contact_addresses WHERE id = ?').run(existing.id);
+    if (existing.is_default) {
+      const next = db.prepare(`
+        SELECT id FROM contact_addresses WHERE contact_id = ? ORDER BY created_at ASC LIMIT 1
+      `).get(existing.contact_id);
+      if (next) db.prepare('UPDATE contact_addresses SET is_default = 1 WHERE id = ?').run(next.id);
+    }
+  })();
+}
+
+// The shared address of the contact's household, if it has one
+function householdAddress(db, contactId) {
+  return db.prepare(`
+    SELECT a.* FROM contacts c
+    JOIN households h ON c.household_id = h.id
+    JOIN contact_addresses a ON a.id = h.address_id
+    WHERE c.id = ?
+  `).get(contactId) || null;
+}
+
+// The address an order for `contactId` should ship to: `addressId` when given
+// (one of the contact's or their household's), otherwise the contact's
+// default, then the household address. Returns null when none exists.
+function resolveShippingAddress(db, contactId, addressId = null) {
+  const shared = householdAddress(db, contactId);
+  if (addressId) {
+    if (shared && shared.id === addressId) return shared;
+    return db.prepare('SELECT * FROM contact_addresses WHERE id = ? AND contact_id = ?').get(addressId, contactId) || null;
+  }
+  return db.prepare('SELECT * FROM contact_addresses WHERE contact_id = ? AND is_default = 1').get(contactId) || shared;
+}
+
+// The fields copied onto an order
+function addressSnapshot(address) {
+  const snapshot = {};
+  for (const field of ADDRESS_FIELDS) snapshot[field] = address[field];
+  return snapshot;
+}
+
+module.exports = {
+  ADDRESS_FIELDS,
+  POSTAL_CODE_PATTERNS,
+  validateAddress,
+  listAddresses,
+  createAddress,
+  updateAddress,
+  deleteAddress,
+  householdAddress,
+  resolveShippingAddress,
+  addressSnapshot,
+};
@@ -2,7 +2,11 @@ const { v4: uuidv4 } = require('uuid');
 const { getDb } = require('./database');
 
 // PII fields that should never be logged as values in audit details
-const PII_FIELDS = ['email', 'phone', 'birthday', 'anniversary', 'other_date'];
+const PII_FIELDS = [
+  'email', 'phone', 'birthday', 'anniversary', 'other_date',
+  // Postal addresses (contact_addresses and order snapshots)
+  'address', 'addresses', 'shipping_address', 'recipient_name', 'line1', 'line2', 'city', 'region', 'postal_code',
+];
 
 // Sanitize details object: replace PII field values with "[redacted]"
 // while preserving the fact that the field was changed
@@ -0,0 +1,63 @@
+const { getSetting } = require('./database');
+const { getSegment, segmentIncludes } = require('./segments');
+
+const AUTONOMY_LEVELS = ['manual', 'auto_recommend', 'auto_purchase'];
+
+// Resolve the effective autonomy for an event. The most specific enabled rule
+// wins: a contact rule (one matching the event type beats an all-types rule),
+// then a rule for a segment the contact is in, then an all-contacts rule for
+// the event type, then an all-contacts/all-types rule, and finally the
+// `autonomy_global_level` setting.
+function resolveAutonomy(db, event) {
+  const contactRule = db.prepare(`
+    SELECT * FROM autonomy_settings
+    WHERE enabled = 1 AND contact_id = ? AND (event_type IS NULL OR event_type = ?)
+    ORDER BY event_type IS NULL, updated_at DESC
+    LIMIT 1
+  `).get(event.contact_id, event.type);
+  if (contactRule) {
+    return { level: contactRule.level, max_budget: contactRule.max_budget, source: 'contact', rule_id: contactRule.id };
+  }
+
+  const segmentRules = db.prepare(`
+    SELECT * FROM autonomy_settings
+    WHERE enabled = 1 AND segment_id IS NOT NULL AND (event_type IS NULL OR event_type = ?)
+    ORDER BY event_type IS NULL, updated_at DESC
+  `).all(event.type);
+  const segmentRule = segmentRules.find((rule) => {
+    const segment = getSegment(db, rule.segment_id);
+    return segment && segmentIncludes(db, segment, event.contact_id);
+  });
+  if (segmentRule) {
+    return { level: segmentRule.level, max_budget: segmentRule.max_budget, source: 'segment', rule_id: segmentRule.id };
+  }
+
+  const typeRule = db.prepare(`
+    SELECT * FROM autonomy_settings
+    WHERE enabled = 1 AND contact_id IS NULL AND segment_id IS NULL AND (event_type IS NULL OR event_type = ?)
+    ORDER BY event_type IS NULL, updated_at DESC
+    LIMIT 1
+  `).get(event.type);
+  if (typeRule) {
+    return {
+      level: typeRule.level,
+      max_budget: typeRule.max_budget,
+      source: typeRule.event_type ? 'event_type' : 'global',
+      rule_id: typeRule.id,
+    };
+  }
+
+  const globalLevel = getSetting('autonomy_global_level', 'manual');
+  return {
+    level: AUTONOMY_LEVELS.includes(globalLevel) ? globalLevel : 'manual',
+    max_budget: null,
+    source: 'global',
+    rule_id: null,
+  };
+}
+
+function isEmergencyStopActive() {
+  return getSetting('emergency_stop', 'false') === 'true';
+}
+
+module.exports = { AUTONOMY_LEVELS, resolveAutonomy, isEmergencyStopActive };
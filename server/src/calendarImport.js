@@ -0,0 +1,127 @@
+const { parseCalendar } = require('./ics');
+const { todayIso, nextAnnualOccurrence } = require('./dates');
+
+// Turn an exported .ics calendar into a plan of events to create. Each VEVENT
+// is matched to one of the user's contacts (by attendee email, then name) or
+// proposes a new contact. Nothing is written here: the route shows the plan as
+// a dry run and applies it once confirmed.
+
+const MAX_IMPORT_EVENTS = 500;
+
+const BIRTHDAY_PATTERN = /\b(birthday|bday|b-day)\b/i;
+const ANNIVERSARY_PATTERN = /\banniversary\b/i;
+
+function inferType(vevent) {
+  const text = `${vevent.summary} ${vevent.categories.join(' ')}`;
+  if (BIRTHDAY_PATTERN.test(text)) return 'birthday';
+  if (ANNIVERSARY_PATTERN.test(text)) return 'anniversary';
+  if (vevent.categories.some(c => /^holidays?$/i.test(c))) return 'holiday';
+  return 'other';
+}
+
+// The person an event is about: the first named attendee, otherwise the summary
+// with the occasion stripped ("Jane Doe's Birthday", "Birthday: Jane", "Jane bday (1985)")
+function contactNameFrom(vevent) {
+  const attendee = vevent.attendees.find(a => a.name);
+  if (attendee) return attendee.name;
+
+  return vevent.summary
+    .replace(/\(\s*\d{4}\s*\)/g, '')
+    .replace(/(['’]s)?\s*\b(birthday|bday|b-day|anniversary)\b/gi, '')
+    .replace(/^[\s:\-–—]+|[\s:\-–—!]+$/g, '')
+    .trim();
+}
+
+function eventName(type, contactName, summary) {
+  if (type === 'birthday') return `${contactName}'s Birthday`;
+  if (type === 'anniversary') return `${contactName}'s Anniversary`;
+  return summary || `${contactName}'s Special Day`;
+}
+
+function monthDay(dateStr) {
+  return dateStr.slice(5);
+}
+
+// Build the import plan. Every VEVENT yields one item with action 'create' or
+// 'skip' (with a reason). Yearly events are moved to their next occurrence so
+// a birthday exported with the birth year lands on this year's date.
+function planCalendarImport(db, userId, text, today = todayIso()) {
+  const vevents = parseCalendar(text);
+  if (vevents.length === 0) return { error: 'No events found in the calendar file' };
+  if (vevents.length > MAX_IMPORT_EVENTS) {
+    return { error: `Calendar too large. Maximum ${MAX_IMPORT_EVENTS} events per import (found ${vevents.length}).` };
+  }
+
+  const contacts = db.prepare(
+    'SELECT id, name, email FROM contacts WHERE user_id = ? OR user_id IS NULL'
+  ).all(userId);
+  const existingEvents = db.prepare(`
+    SELECT e.contact_id, e.type, e.date FROM events e
+    JOIN contacts c ON e.contact_id = c.id
+    WHERE c.user_id = ? OR c.user_id IS NULL
+  `).all(userId);
+  const existingKeys = new Set(existingEvents.map(e => `${e.contact_id}|${e.type}|${monthDay(e.date)}`));
+
+  const seenUids = new Set();
+  const plannedKeys = new Set();
+  const items = vevents.map((vevent, index) => {
+    const type = inferType(vevent);
+    const contactName = contactNameFrom(vevent);
+    const contact = contacts.find(c => c.email && vevent.attendees.some(a => a.email === c.email.toLowerCase()))
+      || contacts.find(c => c.name.toLowerCase() === contactName.toLowerCase())
+      || null;
+
+    const item = {
+      index,
+      uid: vevent.uid,
+      summary: vevent.summary,
+      type,
+      name: contactName ? eventName(type, contact ? contact.name : contactName, vevent.summary) : vevent.summary,
+      original_date: vevent.date,
+      date: vevent.date,
+      recurring: 0,
+      contact_id: contact ? contact.id : null,
+      contact_name: contact ? contact.name : contactName || null,
+      new_contact: !contact,
+      action: 'create',
+      reason: null,
+    };
+    const skip = (reason) => ({ ...item, action: 'skip', reason });
+
+    if (vevent.uid && seenUids.has(vevent.uid)) return skip('Duplicate of an earlier event in the file');
+    if (vevent.uid) seenUids.add(vevent.uid);
+    if (!vevent.date) return skip('No readable start date');
+    if (!item.contact_name) return skip('No contact name found in the event');
+
+    if (vevent.rrule) {
+      const interval = parseInt(vevent.rrule.INTERVAL || '1', 10);
+      if (vevent.rrule.FREQ !== 'YEARLY' || interval !== 1) {
+        return skip('Only events repeating every year can be imported');
+      }
+      item.recurring = 1;
+      item.date = nextAnnualOccurrence(vevent.date, today);
+    } else if (vevent.date < today) {
+      return skip('One-off event in the past');
+    }
+
+    const key = `${item.contact_id || item.contact_name.toLowerCase()}|${type}|${monthDay(item.date)}`;
+    if (contact && existingKeys.has(key)) return skip('Event already exists for this contact');
+    if (plannedKeys.has(key)) return skip('Duplicate of an earlier event in the file');
+    plannedKeys.add(key);
+
+    return item;
+  });
+
+  const toCreate = items.filter(i => i.action === 'create');
+  return {
+    items,
+    summary: {
+      total: items.length,
+      to_create: toCreate.length,
+      new_contacts: new Set(toCreate.filter(i => i.new_contact).map(i => i.contact_name.toLowerCase())).size,
+      skipped: items.length - toCreate.length,
+    },
+  };
+}
+
+module.exports = { planCalendarImport, contactNameFrom, inferType, MAX_IMPORT_EVENTS };
@@ -0,0 +1,237 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Gift catalog stored in the catalog_items table. The built-in retailer
+// adapter (retailers/mock.js) recommends from it; admins manage items through
+// /api/gifts/catalog or bulk-import product feeds, matched by SKU. A fresh
+// database starts with SEED_CATALOG.
+
+// Starter items for a new catalog
+const SEED_CATALOG = [
+  // Birthday gifts
+  { name: 'Personalized Photo Frame', category: 'birthday', price: 29.99, retailer: 'Amazon', description: 'Elegant wooden photo frame with custom engraving options', tags: ['sentimental', 'home', 'photo'] },
+  { name: 'Gourmet Chocolate Gift Box', category: 'birthday', price: 34.99, retailer: 'Amazon', description: 'Assorted premium chocolates in a decorative box', tags: ['food', 'sweet', 'luxury'] },
+  { name: 'Wireless Bluetooth Speaker', category: 'birthday', price: 45.99, retailer: 'Amazon', description: 'Portable waterproof speaker with 12-hour battery', tags: ['tech', 'music', 'portable'] },
+  { name: 'Scented Candle Set', category: 'birthday', price: 28.50, retailer: 'Target', description: 'Set of 3 hand-poured soy candles in seasonal scents', tags: ['home', 'relaxation', 'self-care'] },
+  { name: 'Bestselling Novel Collection', category: 'birthday', price: 24.99, retailer: 'Amazon', description: 'Curated set of 3 bestselling fiction novels', tags: ['books', 'reading', 'intellectual'] },
+  { name: 'Premium Coffee Sampler', category: 'birthday', price: 32.00, retailer: 'Target', description: 'Selection of 6 single-origin coffee beans from around the world', tags: ['coffee', 'food', 'gourmet'] },
+  { name: 'Fitness Tracker Band', category: 'birthday', price: 49.99, retailer: 'Amazon', description: 'Lightweight fitness band with heart rate and sleep tracking', tags: ['tech', 'fitness', 'health'] },
+  { name: 'Luxury Bath Bomb Set', category: 'birthday', price: 22.99, retailer: 'Target', description: 'Set of 8 handcrafted bath bombs with essential oils', tags: ['self-care', 'relaxation', 'beauty'] },
+  { name: 'Succulent Plant Collection', category: 'birthday', price: 26.99, retailer: 'Amazon', description: 'Set of 4 assorted mini succulents in decorative pots', tags: ['plants', 'home', 'nature'] },
+  { name: 'Leather Journal', category: 'birthday', price: 19.99, retailer: 'Amazon', description: 'Handcrafted leather-bound journal with 240 pages', tags: ['writing', 'creative', 'professional'] },
+
+  // Anniversary gifts
+  { name: 'Couples Wine Glasses Set', category: 'anniversary', price: 39.99, retailer: 'Amazon', description: 'Pair of crystal wine glasses with etched design', tags: ['romantic', 'home', 'wine'] },
+  { name: 'Spa Day Gift Certificate', category: 'anniversary', price: 75.00, retailer: 'Target', description: 'Gift card for couples spa treatment', tags: ['relaxation', 'romantic', 'experience'] },
+  { name: 'Personalized Star Map', category: 'anniversary', price: 49.99, retailer: 'Amazon', description: 'Custom night sky print for a specific date and location', tags: ['sentimental', 'romantic', 'art'] },
+  { name: 'Gourmet Dinner Kit', category: 'anniversary', price: 65.00, retailer: 'Amazon', description: 'Premium meal kit for a romantic dinner for two', tags: ['food', 'romantic', 'experience'] },
+  { name: 'Photo Album Book', category: 'anniversary', price: 44.99, retailer: 'Target', description: 'Customizable premium photo album with 50 pages', tags: ['sentimental', 'photo', 'memories'] },
+  { name: 'Matching Watch Set', category: 'anniversary', price: 79.99, retailer: 'Amazon', description: 'His and hers minimalist analog watches', tags: ['fashion', 'romantic', 'luxury'] },
+
+  // Holiday gifts
+  { name: 'Holiday Cookie Tin', category: 'holiday', price: 18.99, retailer: 'Target', description: 'Assorted holiday cookies in a festive collector tin', tags: ['food', 'sweet', 'festive'] },
+  { name: 'Cozy Throw Blanket', category: 'holiday', price: 35.99, retailer: 'Amazon', description: 'Ultra-soft fleece throw blanket in holiday colors', tags: ['home', 'comfort', 'winter'] },
+  { name: 'Hot Cocoa Gift Set', category: 'holiday', price: 24.99, retailer: 'Target', description: 'Artisan hot chocolate mix with marshmallows and mug', tags: ['food', 'warm', 'festive'] },
+  { name: 'Holiday Scented Candle Trio', category: 'holiday', price: 31.50, retailer: 'Amazon', description: 'Pine, cinnamon, and vanilla holiday candle set', tags: ['home', 'festive', 'relaxation'] },
+  { name: 'Winter Accessories Set', category: 'holiday', price: 29.99, retailer: 'Target', description: 'Matching scarf, gloves, and beanie in a gift box', tags: ['fashion', 'winter', 'practical'] },
+  { name: 'Board Game Collection', category: 'holiday', price: 38.99, retailer: 'Amazon', description: 'Popular family board game perfect for gatherings', tags: ['games', 'family', 'fun'] },
+  { name: 'Gourmet Snack Basket', category: 'holiday', price: 42.99, retailer: 'Amazon', description: 'Curated selection of premium nuts, dried fruits, and treats', tags: ['food', 'gourmet', 'sharing'] },
+  { name: 'Smart Home Mini Speaker', category: 'holiday', price: 34.99, retailer: 'Target', description: 'Compact smart speaker with voice assistant', tags: ['tech', 'home', 'practical'] },
+
+  // Graduation gifts
+  { name: 'Engraved Pen Set', category: 'graduation', price: 34.99, retailer: 'Amazon', description: 'Metal ballpoint and rollerball pens with custom engraving', tags: ['professional', 'writing', 'sentimental'] },
+  { name: 'Laptop Backpack', category: 'graduation', price: 49.99, retailer: 'Target', description: 'Water-resistant commuter backpack with padded laptop sleeve', tags: ['practical', 'tech', 'travel'] },
+  { name: 'Graduation Memory Frame', category: 'graduation', price: 27.99, retailer: 'Amazon', description: 'Photo frame with space for a diploma photo and signatures', tags: ['sentimental', 'photo', 'home'] },
+
+  // New baby gifts
+  { name: 'Organic Baby Blanket', category: 'new_baby', price: 32.99, retailer: 'Target', description: 'Soft organic cotton swaddle blanket', tags: ['baby', 'comfort', 'practical'] },
+  { name: 'Baby Memory Book', category: 'new_baby', price: 24.99, retailer: 'Amazon', description: "Keepsake journal for the first year's milestones", tags: ['baby', 'sentimental', 'memories'] },
+  { name: 'New Parent Care Package', category: 'new_baby', price: 39.99, retailer: 'Amazon', description: 'Snacks, coffee and self-care treats for tired new parents', tags: ['food', 'self-care', 'practical'] },
+
+  // Wedding gifts
+  { name: 'Crystal Champagne Flutes', category: 'wedding', price: 54.99, retailer: 'Amazon', description: 'Pair of crystal flutes in a gift box', tags: ['romantic', 'home', 'luxury'] },
+  { name: 'Personalized Cutting Board', category: 'wedding', price: 44.99, retailer: 'Target', description: 'Walnut cutting board engraved with the couple\'s names and date', tags: ['home', 'cooking', 'sentimental'] },
+  { name: 'Cookware Essentials Set', category: 'wedding', price: 74.99, retailer: 'Target', description: 'Five-piece nonstick cookware set', tags: ['home', 'cooking', 'practical'] },
+
+  // Retirement gifts
+  { name: 'Gardening Tool Set', category: 'retirement', price: 39.99, retailer: 'Amazon', description: 'Ergonomic hand tools in a canvas carry bag', tags: ['gardening', 'outdoors', 'practical'] },
+  { name: 'Travel Journal and Map', category: 'retirement', price: 29.99, retailer: 'Amazon', description: 'Scratch-off world map with a leather travel journal', tags: ['travel', 'writing', 'adventure'] },
+  { name: 'Premium Golf Balls', category: 'retirement', price: 44.99, retailer: 'Target', description: 'A dozen tour-grade golf balls in a gift box', tags: ['sports', 'outdoors', 'fun'] },
+
+  // Housewarming gifts
+  { name: 'Olive Oil Tasting Set', category: 'housewarming', price: 34.99, retailer: 'Amazon', description: 'Three infused olive oils with a ceramic dipping dish', tags: ['food', 'gourmet', 'cooking'] },
+  { name: 'Indoor Herb Garden Kit', category: 'housewarming', price: 29.99, retailer: 'Target', description: 'Grow basil, parsley and thyme on a windowsill', tags: ['plants', 'home', 'cooking'] },
+  { name: 'Welcome Doormat', category: 'housewarming', price: 24.99, retailer: 'Amazon', description: 'Durable coir doormat with a welcome design', tags: ['home', 'practical', 'fun'] },
+
+  // Sympathy gifts
+  { name: 'Sympathy Flower Arrangement', category: 'sympathy', price: 49.99, retailer: 'Amazon', description: 'White lilies and roses in a glass vase', tags: ['flowers', 'comfort', 'sentimental'] },
+  { name: 'Comfort Food Basket', category: 'sympathy', price: 39.99, retailer: 'Target', description: 'Soups, breads and teas for easy meals', tags: ['food', 'comfort', 'practical'] },
+  { name: 'Memorial Wind Chime', category: 'sympathy', price: 34.99, retailer: 'Amazon', description: 'Engravable wind chime as a lasting remembrance', tags: ['sentimental', 'outdoors', 'home'] },
+];
+
+// Built-in categories an event type can draw gifts from; 'other' searches the
+// whole catalog. Event types can also name categories of their own.
+const CATALOG_CATEGORIES = [...new Set(SEED_CATALOG.map(g => g.category)), 'other'];
+const CATALOG_CATEGORY_REGEX = /^[a-z][a-z0-9_]{1,39}$/;
+
+// Every category in use: the built-in ones, those event types map to and those
+// items are already filed under (which stay listed after the last event type
+// using them is deleted)
+function catalogCategories(db) {
+  const used = db.prepare(`
+    SELECT catalog_category AS category FROM event_types
+    UNION SELECT category FROM catalog_items
+    ORDER BY category
+  `).all().map(row => row.category);
+  return [...new Set([...CATALOG_CATEGORIES, ...used])].filter(c => c !== 'other').concat('other');
+}
+
+const MAX_NAME_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_TAGS = 20;
+
+// SKUs are short slugs; seed items use their slugged name
+function catalogSku(value) {
+  return String(value).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '');
+}
+
+function parseCatalogItem(row) {
+  return row ? { ...row, tags: JSON.parse(row.tags || '[]'), active: !!row.active } : null;
+}
+
+// Fill an empty catalog with the seed items. Runs on every start and after a
+// restore; once an admin has items of their own it leaves the table alone.
+function seedCatalog(database) {
+  if (database.prepare('SELECT COUNT(*) as count FROM catalog_items').get().count > 0) return;
+  const insert = database.prepare(`
+    INSERT INTO catalog_items (id, sku, name, description, category, price, retailer, tags)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  database.transaction(() => {
+    for (const item of SEED_CATALOG) {
+      const sku = catalogSku(item.name);
+      insert.run(`catalog_${sku}`, sku, item.name, item.description, item.category, item.price, item.retailer,
+        JSON.stringify(item.tags));
+    }
+  })();
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+// Check a catalog item against the allowed `categories` (see
+// catalogCategories). With `partial`, only the fields present are checked (for
+// updates). Returns an error message or null.
+function validateCatalogItem(item, { partial = false, categories: allowed = CATALOG_CATEGORIES } = {}) {
+  const has = field => item[field] !== undefined;
+  if (!partial || has('sku')) {
+    if (typeof item.sku !== 'string' || !catalogSku(item.sku)) return 'sku is required';
+  }
+  if (!partial || has('name')) {
+    if (typeof item.name !== 'string' || !item.name.trim() || item.name.length > MAX_NAME_LENGTH) {
+      return `name is required (up to ${MAX_NAME_LENGTH} characters)`;
+    }
+  }
+  if (!partial || has('category')) {
+    const categories = allowed.filter(c => c !== 'other');
+    if (!categories.includes(item.category)) return `category must be one of: ${categories.join(', ')}`;
+  }
+  if (!partial || has('price')) {
+    if (typeof item.price !== 'number' || !Number.isFinite(item.price) || item.price < 0) {
+      return 'price must be a number of at least 0';
+    }
+  }
+  if (!partial || has('retailer')) {
+    if (typeof item.retailer !== 'string' || !item.retailer.trim()) return 'retailer is required';
+  }
+  if (has('description') && item.description !== null
+    && (typeof item.description !== 'string' || item.description.length > MAX_DESCRIPTION_LENGTH)) {
+    return `description can be up to ${MAX_DESCRIPTION_LENGTH} characters`;
+  }
+  if (has('tags') && (!Array.isArray(item.tags) || item.tags.length > MAX_TAGS
+    || item.tags.some(t => typeof t !== 'string' || !t.trim()))) {
+    return `tags must be an array of up to ${MAX_TAGS} strings`;
+  }
+  for (const field of ['url', 'image_url']) {
+    if (has(field) && item[field] !== null && item[field] !== '' && !isHttpUrl(item[field])) {
+      return `${field} must be an http(s) URL`;
+    }
+  }
+  if (has('active') && typeof item.active !== 'boolean') return 'active must be true or false';
+  return null;
+}
+
+// Column values for a validated item; tags are lowercased and de-duplicated
+function catalogColumns(item) {
+  const columns = {};
+  if (item.sku !== undefined) columns.sku = catalogSku(item.sku);
+  if (item.name !== undefined) columns.name = item.name.trim();
+  if (item.description !== undefined) columns.description = item.description || '';
+  for (const field of ['category', 'price']) {
+    if (item[field] !== undefined) columns[field] = item[field];
+  }
+  if (item.retailer !== undefined) columns.retailer = item.retailer.trim();
+  if (item.tags !== undefined) columns.tags = JSON.stringify([...new Set(item.tags.map(t => t.trim().toLowerCase()))]);
+  for (const field of ['url', 'image_url']) {
+    if (item[field] !== undefined) columns[field] = item[field] || null;
+  }
+  if (item.active !== undefined) columns.active = item.active ? 1 : 0;
+  return columns;
+}
+
+// Insert or update feed items by SKU. Every item is validated first; invalid
+// ones are reported and skipped. A dry run reports what would change without
+// writing. Returns { created, updated, errors: [{ row, sku, error }] }.
+function importCatalogItems(db, items, { dryRun = false } = {}) {
+  const result = { created: [], updated: [], errors: [] };
+  const existing = db.prepare('SELECT id FROM catalog_items WHERE sku = ?');
+  const valid = [];
+  const seen = new Set();
+  const categories = catalogCategories(db);
+  items.forEach((item, i) => {
+    const error = validateCatalogItem(item, { categories });
+    const sku = typeof item.sku === 'string' ? catalogSku(item.sku) : null;
+    if (error) return result.errors.push({ row: i + 1, sku, error });
+    if (seen.has(sku)) return result.errors.push({ row: i + 1, sku, error: 'Duplicate sku in feed' });
+    seen.add(sku);
+    valid.push({ sku, columns: catalogColumns(item) });
+  });
+
+  db.transaction(() => {
+    for (const { sku, columns } of valid) {
+      const row = existing.get(sku);
+      const names = Object.keys(columns);
+      if (row) {
+        result.updated.push(sku);
+        if (!dryRun) {
+          db.prepare(`UPDATE catalog_items SET ${names.map(n => `${n} = ?`).join(', ')}, updated_at = datetime('now') WHERE id = ?`)
+            .run(...names.map(n => columns[n]), row.id);
+        }
+      } else {
+        result.created.push(sku);
+        if (!dryRun) {
+          db.prepare(`INSERT INTO catalog_items (id, ${names.join(', ')}) VALUES (?, ${names.map(() => '?').join(', ')})`)
+            .run(uuidv4(), ...names.map(n => columns[n]));
+        }
+      }
+    }
+  })();
+  return result;
+}
+
+module.exports = {
+  SEED_CATALOG,
+  CATALOG_CATEGORIES,
+  CATALOG_CATEGORY_REGEX,
+  catalogCategories,
+  catalogSku,
+  parseCatalogItem,
+  seedCatalog,
+  validateCatalogItem,
+  catalogColumns,
+  importCatalogItems,
+};
@@ -0,0 +1,452 @@
+const { unescapeText, parseContentLine } = require('./ics');
+const { validateAddress } = require('./addresses');
+const { todayIso, nextAnnualOccurrence, UNKNOWN_YEAR, hasUnknownYear } = require('./dates');
+const { findMatch } = require('./duplicates');
+
+// Contact import from vCard (3.0/4.0) and CSV files exported from Google
+// Contacts, Outlook or a spreadsheet. Files are parsed into plain records,
+// then every record is validated on its own so a preview can list the problems
+// row by row before anything is inserted.
+
+const MAX_IMPORT_ROWS = 500;
+const MAX_TEXT_LENGTH = 200;
+const RELATIONSHIPS = ['friend', 'family', 'partner', 'colleague', 'acquaintance', 'other'];
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Fields a CSV column can be mapped to
+const IMPORT_FIELDS = [
+  'name', 'first_name', 'last_name', 'email', 'phone', 'relationship', 'birthday', 'anniversary',
+  'other_date', 'notes', 'address_line1', 'address_line2', 'address_city', 'address_region',
+  'address_postal_code', 'address_country',
+];
+
+// Column headers per export format, in order of preference. Matching ignores case.
+const CSV_PRESETS = {
+  google: {
+    name: ['Name'],
+    first_name: ['First Name', 'Given Name'],
+    last_name: ['Last Name', 'Family Name'],
+    email: ['E-mail 1 - Value'],
+    phone: ['Phone 1 - Value'],
+    birthday: ['Birthday'],
+    notes: ['Notes'],
+    address_line1: ['Address 1 - Street'],
+    address_line2: ['Address 1 - Extended Address'],
+    address_city: ['Address 1 - City'],
+    address_region: ['Address 1 - Region'],
+    address_postal_code: ['Address 1 - Postal Code'],
+    address_country: ['Address 1 - Country'],
+  },
+  outlook: {
+    first_name: ['First Name'],
+    last_name: ['Last Name'],
+    email: ['E-mail Address'],
+    phone: ['Mobile Phone', 'Home Phone', 'Business Phone'],
+    birthday: ['Birthday'],
+    anniversary: ['Anniversary'],
+    notes: ['Notes'],
+    address_line1: ['Home Street'],
+    address_line2: ['Home Street 2'],
+    address_city: ['Home City'],
+    address_region: ['Home State'],
+    address_postal_code: ['Home Postal Code'],
+    address_country: ['Home Country/Region'],
+  },
+  generic: {
+    name: ['name', 'full name', 'full_name'],
+    first_name: ['first name', 'first_name'],
+    last_name: ['last name', 'last_name'],
+    email: ['email', 'e-mail', 'email address', 'e_mail'],
+    phone: ['phone', 'telephone', 'tel', 'mobile'],
+    relationship: ['relationship'],
+    birthday: ['birthday', 'bday', 'birth date', 'date of birth'],
+    anniversary: ['anniversary'],
+    other_date: ['other_date', 'other date'],
+    notes: ['notes', 'note'],
+    address_line1: ['address', 'street', 'address line 1', 'line1'],
+    address_line2: ['address line 2', 'line2'],
+    address_city: ['city'],
+    address_region: ['state', 'region', 'province'],
+    address_postal_code: ['zip', 'postal code', 'postcode', 'postal_code'],
+    address_country: ['country'],
+  },
+};
+
+// Country names seen in exports, mapped to the ISO codes addresses are stored with
+const COUNTRY_CODES = {
+  'united states': 'US', 'united states of america': 'US', usa: 'US', 'u.s.a.': 'US',
+  canada: 'CA', 'united kingdom': 'GB', uk: 'GB', 'great britain': 'GB', england: 'GB',
+  ireland: 'IE', australia: 'AU', 'new zealand': 'NZ', germany: 'DE', deutschland: 'DE',
+  france: 'FR', spain: 'ES', italy: 'IT', netherlands: 'NL', india: 'IN', japan: 'JP',
+  brazil: 'BR', mexico: 'MX',
+};
+
+// ---- Dates ----
+
+function isRealDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+// Normalize the date formats found in exports to YYYY-MM-DD: YYYY-MM-DD,
+// YYYYMMDD, M/D/YYYY (Outlook) and year-less --MM-DD / --MMDD (vCard 4,
+// Google). A year-less date, or one in Apple's omit-year form, is stored with
+// UNKNOWN_YEAR (see dates.js). Returns { date } (null when blank), with
+// `yearless` set when no year was given, or { error }.
+function parseImportDate(value) {
+  const text = String(value || '').trim();
+  if (!text || text === '0/0/00') return { date: null };
+
+  let match;
+  if ((match = /^--(\d{2})-?(\d{2})$/.exec(text))) {
+    const [month, day] = [Number(match[1]), Number(match[2])];
+    if (!isRealDate(UNKNOWN_YEAR, month, day)) return { error: `"${text}" is not a valid date` };
+    return { date: `${UNKNOWN_YEAR}-${pad(month)}-${pad(day)}`, yearless: true };
+  }
+
+  let year, month, day;
+  if ((match = /^(\d{4})-?(\d{2})-?(\d{2})(T.*)?$/.exec(text))) {
+    [year, month, day] = [Number(match[1]), Number(match[2]), Number(match[3])];
+  } else if ((match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(text))) {
+    [month, day, year] = [Number(match[1]), Number(match[2]), Number(match[3])];
+  } else {
+    return { error: `"${text}" is not a recognised date (use YYYY-MM-DD)` };
+  }
+  if (!isRealDate(year, month, day)) return { error: `"${text}" is not a valid date` };
+  const date = `${year}-${pad(month)}-${pad(day)}`;
+  return hasUnknownYear(date) ? { date, yearless: true } : { date };
+}
+
+// ---- vCard ----
+
+// Split a structured value (N, ADR) on unescaped semicolons
+function splitStructured(value) {
+  return value.split(/(?<!\\);/).map(part => unescapeText(part).trim());
+}
+
+function hasType(prop, type) {
+  const types = [prop.params.TYPE, prop.params.PREF ? 'pref' : null]
+    .filter(Boolean).join(',').toLowerCase().split(',');
+  return types.includes(type);
+}
+
+// Preferred property of a kind: TYPE=pref first, then the given type, then the first
+function pick(props, name, preferType = null) {
+  const matching = props.filter(p => p.name === name);
+  return matching.find(p => hasType(p, 'pref'))
+    || (preferType && matching.find(p => hasType(p, preferType)))
+    || matching[0]
+    || null;
+}
+
+const ANNIVERSARY_PROPS = ['ANNIVERSARY', 'X-ANNIVERSARY', 'X-MS-ANNIVERSARY', 'X-EVOLUTION-ANNIVERSARY'];
+
+// Apple Contacts stores extra dates as grouped X-ABDATE / X-ABLABEL pairs
+function appleAnniversary(props) {
+  const label = props.find(p => p.name === 'X-ABLABEL' && p.group && /anniversary/i.test(p.value));
+  if (!label) return null;
+  const date = props.find(p => p.name === 'X-ABDATE' && p.group === label.group);
+  return date ? date.value : null;
+}
+
+function vcardToRecord(props) {
+  const value = (name, preferType) => {
+    const prop = pick(props, name, preferType);
+    return prop ? unescapeText(prop.value).trim() : '';
+  };
+
+  let name = value('FN');
+  const n = pick(props, 'N');
+  if (!name && n) {
+    const [family, given, additional, prefix, suffix] = splitStructured(n.value);
+    name = [prefix, given, additional, family, suffix].filter(Boolean).join(' ');
+  }
+
+  const anniversaryProp = ANNIVERSARY_PROPS.map(p => pick(props, p)).find(Boolean);
+  const record = {
+    name,
+    email: value('EMAIL'),
+    phone: value('TEL', 'cell'),
+    relationship: value('X-RELATIONSHIP'),
+    birthday: value('BDAY'),
+    anniversary: anniversaryProp ? anniversaryProp.value.trim() : appleAnniversary(props) || '',
+    notes: value('NOTE'),
+    address: null,
+  };
+
+  const adr = pick(props, 'ADR', 'home');
+  if (adr) {
+    const [poBox, extended, street, city, region, postalCode, country] = splitStructured(adr.value);
+    const [line1, ...rest] = (street || '').split('\n').map(l => l.trim()).filter(Boolean);
+    record.address = {
+      line1: line1 || poBox || '',
+      line2: [...rest, extended].filter(Boolean).join(', '),
+      city: city || '',
+      region: region || '',
+      postal_code: postalCode || '',
+      country: country || '',
+    };
+  }
+  return record;
+}
+
+// Parse every card in a .vcf file into a record. Lines are unfolded first and
+// property groups (item1.EMAIL) are kept so grouped labels can be resolved.
+function parseVCards(text) {
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const records = [];
+  let props = null;
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    const prop = parseContentLine(line);
+    if (!prop) continue;
+
+    const dot = prop.name.indexOf('.');
+    const group = dot === -1 ? null : prop.name.slice(0, dot);
+    const name = dot === -1 ? prop.name : prop.name.slice(dot + 1);
+
+    if (name === 'BEGIN' && prop.value.trim().toUpperCase() === 'VCARD') {
+      props = [];
+    } else if (name === 'END' && prop.value.trim().toUpperCase() === 'VCARD') {
+      if (props) records.push(vcardToRecord(props));
+      props = null;
+    } else if (props) {
+      props.push({ ...prop, name, group });
+    }
+  }
+  return records;
+}
+
+// ---- CSV ----
+
+// RFC 4180 CSV: quoted fields may contain commas, doubled quotes and newlines
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') { field += '"'; i++; }
+      else if (char === '"') inQuotes = false;
+      else field += char;
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(v => v.trim()));
+}
+
+function detectPreset(headers) {
+  const lower = headers.map(h => h.trim().toLowerCase());
+  if (lower.includes('e-mail 1 - value') || lower.includes('given name')) return 'google';
+  if (lower.includes('e-mail address') && lower.includes('home street')) return 'outlook';
+  return 'generic';
+}
+
+// Map fields to column indexes: the preset's headers, then the user's own
+// mapping ({ field: 'Column header' }, or null to leave a field unmapped).
+// Returns { columns } or { error }.
+function resolveMapping(headers, preset, userMapping = {}) {
+  const index = new Map(headers.map((h, i) => [h.trim().toLowerCase(), i]));
+  const columns = {};
+  for (const [field, candidates] of Object.entries(CSV_PRESETS[preset])) {
+    const found = candidates.find(c => index.has(c.toLowerCase()));
+    if (found) columns[field] = index.get(found.toLowerCase());
+  }
+
+  for (const [field, header] of Object.entries(userMapping || {})) {
+    if (!IMPORT_FIELDS.includes(field)) return { error: `Unknown import field "${field}"` };
+    if (header === null || header === '') {
+      delete columns[field];
+      continue;
+    }
+    if (typeof header !== 'string' || !index.has(header.trim().toLowerCase())) {
+      return { error: `Column "${header}" not found in the CSV header` };
+    }
+    columns[field] = index.get(header.trim().toLowerCase());
+  }
+  return { columns };
+}
+
+// Google exports extra dates as "Event N - Label" / "Event N - Value" pairs
+function labelledAnniversary(headers, row) {
+  for (let i = 0; i < headers.length; i++) {
+    const match = /^event (\d+) - label$/i.exec(headers[i].trim());
+    if (!match || !/anniversary/i.test(row[i] || '')) continue;
+    const valueIndex = headers.findIndex(h => h.trim().toLowerCase() === `event ${match[1]} - value`);
+    if (valueIndex !== -1) return row[valueIndex] || '';
+  }
+  return '';
+}
+
+// Parse a CSV export into records. Returns { records, headers, preset, mapping }
+// or { error }; `mapping` reports which column each field was read from.
+function parseContactsCsv(text, { preset = null, mapping = {} } = {}) {
+  const [headers, ...rows] = parseCsv(text);
+  if (!headers || rows.length === 0) return { error: 'The CSV file needs a header row and at least one contact' };
+  if (preset && !CSV_PRESETS[preset]) return { error: `Unknown CSV preset "${preset}"` };
+
+  const usedPreset = preset || detectPreset(headers);
+  const { columns, error } = resolveMapping(headers, usedPreset, mapping);
+  if (error) return { error };
+
+  const records = rows.map(row => {
+    const get = (field) => (columns[field] !== undefined ? (row[columns[field]] || '').trim() : '');
+    const address = {
+      line1: get('address_line1'),
+      line2: get('address_line2'),
+      city: get('address_city'),
+      region: get('address_region'),
+      postal_code: get('address_postal_code'),
+      country: get('address_country'),
+    };
+    return {
+      name: get('name') || [get('first_name'), get('last_name')].filter(Boolean).join(' '),
+      email: get('email'),
+      phone: get('phone'),
+      relationship: get('relationship'),
+      birthday: get('birthday'),
+      anniversary: get('anniversary') || labelledAnniversary(headers, row),
+      other_date: get('other_date'),
+      notes: get('notes'),
+      address: Object.values(address).some(Boolean) ? address : null,
+    };
+  });
+
+  const resolved = Object.fromEntries(Object.entries(columns).map(([field, i]) => [field, headers[i]]));
+  return { records, headers, preset: usedPreset, mapping: resolved };
+}
+
+// ---- Validation ----
+
+function countryCode(country) {
+  const text = String(country || '').trim();
+  if (/^[A-Za-z]{2}$/.test(text)) return text.toUpperCase();
+  return COUNTRY_CODES[text.toLowerCase()] || text;
+}
+
+// Validate one parsed record. Errors keep the row from being imported;
+// warnings are informational (the row is imported with the noted fallback).
+// Returns { contact, errors, warnings }.
+function validateImportRecord(record, today = todayIso()) {
+  const errors = [];
+  const warnings = [];
+  const text = (v) => (typeof v === 'string' ? v.trim() : v == null ? '' : String(v).trim());
+
+  const contact = {
+    name: text(record.name),
+    email: text(record.email) || null,
+    phone: text(record.phone) || null,
+    relationship: text(record.relationship).toLowerCase() || 'friend',
+    birthday: null,
+    anniversary: null,
+    other_date: null,
+    notes: text(record.notes),
+    address: null,
+  };
+
+  if (!contact.name) errors.push('Name is required');
+  else if (contact.name.length > MAX_TEXT_LENGTH) errors.push('Name is too long');
+
+  if (contact.email && !EMAIL_REGEX.test(contact.email)) errors.push(`"${contact.email}" is not a valid email address`);
+
+  if (!RELATIONSHIPS.includes(contact.relationship)) {
+    warnings.push(`Unknown relationship "${contact.relationship}", using friend`);
+    contact.relationship = 'friend';
+  }
+
+  for (const field of ['birthday', 'anniversary', 'other_date']) {
+    const parsed = parseImportDate(record[field]);
+    if (parsed.error) errors.push(`${field}: ${parsed.error}`);
+    else contact[field] = parsed.date;
+    if (parsed.yearless) {
+      warnings.push(`${field} has no year; saved without one, next on ${nextAnnualOccurrence(parsed.date, today)}`);
+    }
+  }
+
+  if (record.address) {
+    const { address, error } = validateAddress({
+      ...record.address,
+      country: countryCode(record.address.country),
+      recipient_name: contact.name || null,
+    });
+    if (error) warnings.push(`Address skipped: ${error}`);
+    else contact.address = address;
+  }
+
+  return { contact, errors, warnings };
+}
+
+// Validate every record for a preview, flagging rows that look like an
+// existing contact or an earlier row. Each row's duplicate_of names the best
+// match (by id for contacts, by row number within the file).
+function previewImport(db, userId, records, today = todayIso()) {
+  const existing = db.prepare(
+    'SELECT id, name, email, phone, birthday FROM contacts WHERE user_id = ? OR user_id IS NULL'
+  ).all(userId);
+  const earlier = [];
+
+  const rows = records.map((record, index) => {
+    const result = validateImportRecord(record, today);
+    const { contact } = result;
+    const row = { row: index + 1, ...result, duplicate_of: null };
+    if (!contact.name) return row;
+
+    const match = findMatch(contact, existing);
+    const earlierMatch = findMatch(contact, earlier);
+    if (match && (!earlierMatch || match.score >= earlierMatch.score)) {
+      row.duplicate_of = {
+        id: match.contact.id, name: match.contact.name, score: match.score, level: match.level, reasons: match.reasons,
+      };
+      result.warnings.push(`Looks like existing contact "${match.contact.name}" (${match.reasons.join(', ')})`);
+    } else if (earlierMatch) {
+      row.duplicate_of = {
+        row: earlierMatch.contact.row, name: earlierMatch.contact.name,
+        score: earlierMatch.score, level: earlierMatch.level, reasons: earlierMatch.reasons,
+      };
+      result.warnings.push(`Looks like row ${earlierMatch.contact.row} ("${earlierMatch.contact.name}") (${earlierMatch.reasons.join(', ')})`);
+    }
+    earlier.push({ ...contact, row: row.row });
+    return row;
+  });
+
+  const valid = rows.filter(r => r.errors.length === 0).length;
+  const duplicates = rows.filter(r => r.duplicate_of && r.duplicate_of.level === 'likely').length;
+  return { rows, summary: { total: rows.length, valid, invalid: rows.length - valid, likely_duplicates: duplicates } };
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  IMPORT_FIELDS,
+  CSV_PRESETS,
+  parseImportDate,
+  parseVCards,
+  parseCsv,
+  parseContactsCsv,
+  validateImportRecord,
+  previewImport,
+};
@@ -1,10 +1,77 @@
 const Database = require('better-sqlite3');
 const path = require('path');
+const { seedEventTypes } = require('./eventTypes');
+const { seedCatalog } = require('./catalog');
 
 const DB_PATH = process.env.DB_PATH || path.join(__dirname, '..', 'gift_scheduler.db');
 
 let db;
 
+// Tables whose CHECK constraints have changed since release. SQLite cannot ALTER a
+// CHECK constraint, so these are defined as functions of the table name: the same
+// definition creates fresh databases and rebuilds older ones (see rebuildTable).
+function notificationsTable(name) {
+  return `CREATE TABLE IF NOT EXISTS ${name} (
+      id TEXT PRIMARY KEY,
+      event_id TEXT,
+      order_id TEXT,
+      type TEXT NOT NULL CHECK(type IN ('event_reminder', 'approval_needed', 'delivery_issue', 'delivery_confirmed', 'budget_warning', 'emergency_stop', 'event_missed')),
+      message TEXT NOT NULL,
+      read INTEGER DEFAULT 0,
+      created_at TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE SET NULL,
+      FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL
+    );`;
+}
+
+// events.type used to be a CHECK over the four built-in types; it now references
+// event_types so users can add their own.
+function eventsTable(name) {
+  return `CREATE TABLE IF NOT EXISTS ${name} (
+      id TEXT PRIMARY KEY,
+      contact_id TEXT NOT NULL,
+      type TEXT NOT NULL REFERENCES event_types(id),
+      name TEXT NOT NULL,
+      date TEXT NOT NULL,
+      recurring INTEGER DEFAULT 1,
+      lead_time_days INTEGER DEFAULT 14,
+      status TEXT DEFAULT 'upcoming' CHECK(status IN ('upcoming', 'in_progress', 'completed', 'missed')),
+      previous_event_id TEXT,
+      belated INTEGER DEFAULT 0,
+      holiday_id TEXT,
+      created_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE CASCADE,
+      FOREIGN KEY (previous_event_id) REFERENCES events(id) ON DELETE SET NULL
+    );`;
+}
+
+// Rebuild `table` from `createTable` unless its stored definition already contains
+// `marker`. Rows are copied across for every column both definitions share.
+// Indexes on the old table are dropped with it, so callers recreate them afterwards.
+function rebuildTable(database, table, marker, createTable) {
+  const current = database.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?").get(table);
+  if (!current || current.sql.includes(marker)) return;
+
+  const tempName = `${table}_rebuild`;
+  const oldColumns = database.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+
+  database.pragma('foreign_keys = OFF');
+  try {
+    database.transaction(() => {
+      database.exec(`DROP TABLE IF EXISTS ${tempName}`);
+      database.exec(createTable(tempName));
+      const newColumns = database.prepare(`PRAGMA table_info(${tempName})`).all().map(c => c.name);
+      const shared = oldColumns.filter(c => newColumns.includes(c)).join(', ');
+      database.exec(`INSERT INTO ${tempName} (${shared}) SELECT ${shared} FROM ${table}`);
+      database.exec(`DROP TABLE ${table}`);
+      database.exec(`ALTER TABLE ${tempName} RENAME TO ${table}`);
+    })();
+  } finally {
+    database.pragma('foreign_keys = ON');
+  }
+}
+
 function getDb() {
   if (!db) {
     db = new Database(DB_PATH);
@@ -36,20 +103,110 @@ function initializeSchema(database) {
       FOREIGN KEY (user_id) REFERENCES users(id)
     );
 
-    CREATE TABLE IF NOT EXISTS events (
+    CREATE TABLE IF NOT EXISTS contact_addresses (
       id TEXT PRIMARY KEY,
       contact_id TEXT NOT NULL,
-      type TEXT NOT NULL CHECK(type IN ('birthday', 'anniversary', 'holiday', 'other')),
+      label TEXT,
+      recipient_name TEXT,
+      line1 TEXT NOT NULL,
+      line2 TEXT,
+      city TEXT NOT NULL,
+      region TEXT,
+      postal_code TEXT,
+      country TEXT NOT NULL,
+      is_default INTEGER DEFAULT 0,
+      created_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS households (
+      id TEXT PRIMARY KEY,
       name TEXT NOT NULL,
-      date TEXT NOT NULL,
-      recurring INTEGER DEFAULT 1,
-      lead_time_days INTEGER DEFAULT 14,
-      status TEXT DEFAULT 'upcoming' CHECK(status IN ('upcoming', 'in_progress', 'completed', 'missed')),
+      address_id TEXT,
+      combine_holidays INTEGER DEFAULT 0,
+      user_id TEXT,
+      created_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (address_id) REFERENCES contact_addresses(id) ON DELETE SET NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS segments (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      rules TEXT NOT NULL DEFAULT '[]',
+      match TEXT NOT NULL DEFAULT 'all' CHECK(match IN ('all', 'any')),
+      user_id TEXT,
+      created_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS contact_relationships (
+      id TEXT PRIMARY KEY,
+      contact_id TEXT NOT NULL,
+      related_contact_id TEXT NOT NULL,
+      type TEXT NOT NULL,
+      created_at TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE CASCADE,
+      FOREIGN KEY (related_contact_id) REFERENCES contacts(id) ON DELETE CASCADE,
+      UNIQUE(contact_id, related_contact_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS contact_holidays (
+      id TEXT PRIMARY KEY,
+      contact_id TEXT NOT NULL,
+      holiday_id TEXT NOT NULL,
+      created_at TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE CASCADE,
+      UNIQUE(contact_id, holiday_id)
+    );
+
+    -- Gift ideas noted for a contact (see giftIdeas.js). order_id is the order
+    -- that used the idea; orders can be removed by a restore, so it is not a key.
+    CREATE TABLE IF NOT EXISTS gift_ideas (
+      id TEXT PRIMARY KEY,
+      contact_id TEXT NOT NULL,
+      kind TEXT NOT NULL DEFAULT 'idea' CHECK(kind IN ('idea', 'link', 'mentioned')),
+      title TEXT NOT NULL,
+      url TEXT,
+      price REAL CHECK(price IS NULL OR price >= 0),
+      retailer TEXT,
+      notes TEXT,
+      tags TEXT DEFAULT '[]',
+      status TEXT NOT NULL DEFAULT 'open' CHECK(status IN ('open', 'used', 'dismissed')),
+      order_id TEXT,
+      used_at TEXT,
       created_at TEXT DEFAULT (datetime('now')),
       updated_at TEXT DEFAULT (datetime('now')),
       FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE CASCADE
     );
 
+    CREATE TABLE IF NOT EXISTS event_types (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      occasion TEXT NOT NULL,
+      default_lead_time_days INTEGER,
+      catalog_category TEXT NOT NULL DEFAULT 'other',
+      card_templates TEXT DEFAULT '{}',
+      builtin INTEGER DEFAULT 0,
+      created_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT DEFAULT (datetime('now'))
+    );
+
+    ${eventsTable('events')}
+
+    CREATE TABLE IF NOT EXISTS event_recipients (
+      id TEXT PRIMARY KEY,
+      event_id TEXT NOT NULL,
+      contact_id TEXT NOT NULL,
+      created_at TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+      FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE CASCADE,
+      UNIQUE(event_id, contact_id)
+    );
+
     CREATE TABLE IF NOT EXISTS budgets (
       id TEXT PRIMARY KEY,
       category TEXT NOT NULL UNIQUE,
@@ -82,6 +239,9 @@ function initializeSchema(database) {
       in_stock INTEGER DEFAULT 1,
       estimated_delivery TEXT,
       reasoning TEXT,
+      source TEXT DEFAULT 'mock',
+      external_id TEXT,
+      tags TEXT DEFAULT '[]',
       status TEXT DEFAULT 'recommended' CHECK(status IN ('recommended', 'approved', 'rejected', 'purchased')),
       created_at TEXT DEFAULT (datetime('now')),
       FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE
@@ -92,6 +252,7 @@ function initializeSchema(database) {
       event_id TEXT NOT NULL,
       tone TEXT NOT NULL CHECK(tone IN ('warm', 'formal', 'humorous', 'heartfelt', 'casual')),
       message TEXT NOT NULL,
+      provider TEXT DEFAULT 'template',
       selected INTEGER DEFAULT 0,
       created_at TEXT DEFAULT (datetime('now')),
       FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE
@@ -123,6 +284,13 @@ function initializeSchema(database) {
       estimated_delivery TEXT,
       actual_delivery TEXT,
       issue_description TEXT,
+      reaction TEXT CHECK(reaction IN ('loved', 'neutral', 'returned')),
+      reaction_notes TEXT,
+      reacted_at TEXT,
+      thank_you_received INTEGER DEFAULT 0,
+      thank_you_at TEXT,
+      shipping_address_id TEXT,
+      shipping_address TEXT,
       created_at TEXT DEFAULT (datetime('now')),
       updated_at TEXT DEFAULT (datetime('now')),
       FOREIGN KEY (gift_recommendation_id) REFERENCES gift_recommendations(id),
@@ -152,17 +320,7 @@ function initializeSchema(database) {
       FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE CASCADE
     );
 
-    CREATE TABLE IF NOT EXISTS notifications (
-      id TEXT PRIMARY KEY,
-      event_id TEXT,
-      order_id TEXT,
-      type TEXT NOT NULL CHECK(type IN ('event_reminder', 'approval_needed', 'delivery_issue', 'delivery_confirmed', 'budget_warning', 'emergency_stop')),
-      message TEXT NOT NULL,
-      read INTEGER DEFAULT 0,
-      created_at TEXT DEFAULT (datetime('now')),
-      FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE SET NULL,
-      FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL
-    );
+    ${notificationsTable('notifications')}
 
     CREATE TABLE IF NOT EXISTS global_settings (
       key TEXT PRIMARY KEY,
@@ -180,25 +338,69 @@ function initializeSchema(database) {
       updated_at TEXT DEFAULT (datetime('now'))
     );
 
-    -- Insert default budgets if not exist
-    INSERT OR IGNORE INTO budgets (id, category, default_amount) VALUES
-      ('budget_birthday', 'birthday', 30.00),
-      ('budget_anniversary', 'anniversary', 50.00),
-      ('budget_holiday', 'holiday', 30.00),
-      ('budget_other', 'other', 20.00);
+    CREATE TABLE IF NOT EXISTS event_reminders (
+      id TEXT PRIMARY KEY,
+      event_id TEXT NOT NULL,
+      event_date TEXT NOT NULL,
+      milestone_days INTEGER NOT NULL,
+      notification_id TEXT,
+      created_at TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+      UNIQUE(event_id, event_date, milestone_days)
+    );
+
+    -- Gift catalog the built-in retailer adapter recommends from (see catalog.js).
+    -- Feed imports match items by sku.
+    CREATE TABLE IF NOT EXISTS catalog_items (
+      id TEXT PRIMARY KEY,
+      sku TEXT NOT NULL UNIQUE,
+      name TEXT NOT NULL,
+      description TEXT DEFAULT '',
+      category TEXT NOT NULL,
+      price REAL NOT NULL CHECK(price >= 0),
+      retailer TEXT NOT NULL,
+      tags TEXT DEFAULT '[]',
+      url TEXT,
+      image_url TEXT,
+      active INTEGER DEFAULT 1,
+      created_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT DEFAULT (datetime('now'))
+    );
+
+    -- Integration credentials entered in the app, encrypted with AES-256-GCM
+    -- (see secrets.js). Never included in exports or backups.
+    CREATE TABLE IF NOT EXISTS integration_secrets (
+      id TEXT PRIMARY KEY,
+      provider TEXT NOT NULL UNIQUE,
+      credentials TEXT NOT NULL,
+      iv TEXT NOT NULL,
+      auth_tag TEXT NOT NULL,
+      status TEXT DEFAULT 'configured' CHECK(status IN ('configured', 'verified', 'error')),
+      last_verified_at TEXT,
+      created_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT DEFAULT (datetime('now'))
+    );
 
     -- Insert default global settings
     INSERT OR IGNORE INTO global_settings (key, value) VALUES
       ('emergency_stop', 'false'),
       ('default_lead_time_days', '14'),
-      ('autonomy_global_level', 'manual');
+      ('autonomy_global_level', 'manual'),
+      ('reminder_milestones', 'lead,7,2'),
+      ('holiday_region', 'US'),
+      ('milestone_budget_multiplier', '1.5');
 
     -- Migration: add birthday and anniversary columns if they don't exist
     -- SQLite doesn't support IF NOT EXISTS for ALTER TABLE, so we use a try approach in JS below
 
+    CREATE INDEX IF NOT EXISTS idx_catalog_items_category ON catalog_items(category);
+    CREATE INDEX IF NOT EXISTS idx_contact_addresses_contact ON contact_addresses(contact_id);
+    CREATE INDEX IF NOT EXISTS idx_contact_relationships_related ON contact_relationships(related_contact_id);
+    CREATE INDEX IF NOT EXISTS idx_gift_ideas_contact ON gift_ideas(contact_id, status);
     CREATE INDEX IF NOT EXISTS idx_events_contact ON events(contact_id);
     CREATE INDEX IF NOT EXISTS idx_events_date ON events(date);
     CREATE INDEX IF NOT EXISTS idx_events_status ON events(status);
+    CREATE INDEX IF NOT EXISTS idx_event_recipients_contact ON event_recipients(contact_id);
     CREATE INDEX IF NOT EXISTS idx_gift_rec_event ON gift_recommendations(event_id);
     CREATE INDEX IF NOT EXISTS idx_orders_event ON orders(event_id);
     CREATE INDEX IF NOT EXISTS idx_audit_entity ON audit_log(entity_type, entity_id);
@@ -214,12 +416,88 @@ function initializeSchema(database) {
   // Migration: add token_version to users table
   try { database.exec('ALTER TABLE users ADD COLUMN token_version INTEGER NOT NULL DEFAULT 0'); } catch {}
 
+  // Migration: per-user token for the calendar subscription feed
+  try { database.exec('ALTER TABLE users ADD COLUMN calendar_token TEXT'); } catch {}
+  database.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_users_calendar_token ON users(calendar_token)');
+
+  // Migration: per-user gift scoring weights (see scoring.js)
+  try { database.exec('ALTER TABLE users ADD COLUMN scoring_weights TEXT'); } catch {}
+
   // Migration: add user_id to contacts table for ownership scoping (M4)
   try { database.exec('ALTER TABLE contacts ADD COLUMN user_id TEXT REFERENCES users(id)'); } catch {}
 
+  // Migration: group contacts into households (see households.js)
+  try { database.exec('ALTER TABLE contacts ADD COLUMN household_id TEXT REFERENCES households(id) ON DELETE SET NULL'); } catch {}
+
+  // Migration: free-form contact tags (see segments.js)
+  try { database.exec("ALTER TABLE contacts ADD COLUMN tags TEXT DEFAULT '[]'"); } catch {}
+
+  // Migration: autonomy rules for a saved segment of contacts
+  try { database.exec('ALTER TABLE autonomy_settings ADD COLUMN segment_id TEXT REFERENCES segments(id) ON DELETE CASCADE'); } catch {}
+
+  // Migration: link each recurring event occurrence to the one it was rolled over from
+  try { database.exec('ALTER TABLE events ADD COLUMN previous_event_id TEXT REFERENCES events(id) ON DELETE SET NULL'); } catch {}
+
+  // Migration: flag missed events that have been reopened to send a belated gift
+  try { database.exec('ALTER TABLE events ADD COLUMN belated INTEGER DEFAULT 0'); } catch {}
+
+  // Migration: events generated from a built-in holiday (see holidays.js)
+  try { database.exec('ALTER TABLE events ADD COLUMN holiday_id TEXT'); } catch {}
+
+  // Migration: record which retailer adapter produced each recommendation
+  try { database.exec("ALTER TABLE gift_recommendations ADD COLUMN source TEXT DEFAULT 'mock'"); } catch {}
+  try { database.exec('ALTER TABLE gift_recommendations ADD COLUMN external_id TEXT'); } catch {}
+  try { database.exec("ALTER TABLE gift_recommendations ADD COLUMN tags TEXT DEFAULT '[]'"); } catch {}
+
+  // Migration: recommendation scores and their breakdown (see scoring.js)
+  try { database.exec('ALTER TABLE gift_recommendations ADD COLUMN score REAL'); } catch {}
+  try { database.exec('ALTER TABLE gift_recommendations ADD COLUMN score_breakdown TEXT'); } catch {}
+
+  // Migration: the gift idea a recommendation was made from (see giftIdeas.js)
+  try { database.exec('ALTER TABLE gift_recommendations ADD COLUMN gift_idea_id TEXT REFERENCES gift_ideas(id) ON DELETE SET NULL'); } catch {}
+  try { database.exec("ALTER TABLE orders ADD COLUMN reaction TEXT CHECK(reaction IN ('loved', 'neutral', 'returned'))"); } catch {}
+  try { database.exec('ALTER TABLE orders ADD COLUMN reaction_notes TEXT'); } catch {}
+  try { database.exec('ALTER TABLE orders ADD COLUMN reacted_at TEXT'); } catch {}
+  try { database.exec('ALTER TABLE orders ADD COLUMN thank_you_received INTEGER DEFAULT 0'); } catch {}
+  try { database.exec('ALTER TABLE orders ADD COLUMN thank_you_at TEXT'); } catch {}
+  try { database.exec('ALTER TABLE orders ADD COLUMN shipping_address_id TEXT'); } catch {}
+  try { database.exec('ALTER TABLE orders ADD COLUMN shipping_address TEXT'); } catch {}
+
+  // Migration: record which LLM provider (or 'template') wrote each card message
+  try { database.exec("ALTER TABLE card_messages ADD COLUMN provider TEXT DEFAULT 'template'"); } catch {}
+
+  // Built-in and starter event types, each with its budget (see eventTypes.js)
+  seedEventTypes(database);
+
+  // Starter gift catalog for a new database (see catalog.js)
+  seedCatalog(database);
+
+  // Migration: replace the events.type CHECK with a reference to event_types
+  rebuildTable(database, 'events', 'REFERENCES event_types', eventsTable);
+  database.exec('CREATE INDEX IF NOT EXISTS idx_events_contact ON events(contact_id)');
+  database.exec('CREATE INDEX IF NOT EXISTS idx_events_date ON events(date)');
+  database.exec('CREATE INDEX IF NOT EXISTS idx_events_status ON events(status)');
+
+  // Migration: allow the 'event_missed' notification type
+  rebuildTable(database, 'notifications', "'event_missed'", notificationsTable);
+  database.exec('CREATE INDEX IF NOT EXISTS idx_notifications_read ON notifications(read)');
+
   // Create index after ensuring the column exists (must be outside the main exec block
   // because the column may not exist in pre-existing databases until the migration above runs)
   database.exec('CREATE INDEX IF NOT EXISTS idx_contacts_user ON contacts(user_id)');
+  database.exec('CREATE INDEX IF NOT EXISTS idx_events_previous ON events(previous_event_id)');
+  database.exec('CREATE INDEX IF NOT EXISTS idx_events_holiday ON events(contact_id, holiday_id)');
+}
+
+// Read a global setting, returning `fallback` when the key has not been set
+function getSetting(key, fallback = null) {
+  const row = getDb().prepare('SELECT value FROM global_settings WHERE key = ?').get(key);
+  return row ? row.value : fallback;
+}
+
+// Lead time applied to events created without an explicit lead_time_days
+function getDefaultLeadTimeDays() {
+  return parseInt(getSetting('default_lead_time_days', '14'), 10) || 14;
 }
 
 function closeDb() {
@@ -229,4 +507,4 @@ function closeDb() {
   }
 }
 
-module.exports = { getDb, closeDb, DB_PATH };
+module.exports = { getDb, getSetting, getDefaultLeadTimeDays, closeDb, DB_PATH };
@@ -0,0 +1,61 @@
+// Date helpers for YYYY-MM-DD strings. All calculations are done in UTC so they
+// line up with SQLite's date('now'), which the route queries compare against.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toIsoDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function parseIsoDate(dateStr) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function todayIso(now = new Date()) {
+  return toIsoDate(now);
+}
+
+function addDays(dateStr, days) {
+  return toIsoDate(new Date(parseIsoDate(dateStr).getTime() + days * DAY_MS));
+}
+
+// Whole days from `fromStr` to `toStr` (negative when `toStr` is earlier)
+function daysBetween(fromStr, toStr) {
+  return Math.round((parseIsoDate(toStr) - parseIsoDate(fromStr)) / DAY_MS);
+}
+
+// Same month/day in the given year. Feb 29 falls back to Feb 28 in non-leap years.
+function withYear(dateStr, year) {
+  const [, month, day] = dateStr.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return toIsoDate(new Date(Date.UTC(year, month - 1, Math.min(day, lastDay))));
+}
+
+// Year stored in place of an unknown one, e.g. a birthday imported without a
+// year. Apple Contacts uses the same year; as a leap year it keeps Feb 29.
+const UNKNOWN_YEAR = 1604;
+
+function hasUnknownYear(dateStr) {
+  return !!dateStr && Number(dateStr.slice(0, 4)) === UNKNOWN_YEAR;
+}
+
+// First annual occurrence of `dateStr` that falls on or after `onOrAfter`
+function nextAnnualOccurrence(dateStr, onOrAfter) {
+  const startYear = Number(onOrAfter.slice(0, 4));
+  const candidate = withYear(dateStr, startYear);
+  return candidate >= onOrAfter ? candidate : withYear(dateStr, startYear + 1);
+}
+
+module.exports = {
+  DAY_MS,
+  toIsoDate,
+  parseIsoDate,
+  todayIso,
+  addDays,
+  daysBetween,
+  withYear,
+  nextAnnualOccurrence,
+  UNKNOWN_YEAR,
+  hasUnknownYear,
+};
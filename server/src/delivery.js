@@ -0,0 +1,87 @@
+const { addDays, parseIsoDate, daysBetween } = require('./dates');
+
+// Delivery timing for gift recommendations. Retailer estimates (see
+// retailers/index.js) are business days from order to door, processing
+// included, since neither sellers nor carriers count weekends.
+
+// Events this many days away or fewer get fast alternatives offered
+const LAST_MINUTE_DAYS = 3;
+
+// Fewer on-time gifts than this also brings in the fast alternatives
+const MIN_ON_TIME = 3;
+
+// Same-day bouquets cost at least this much, so smaller budgets skip them
+const FLORIST_MIN_PRICE = 35;
+
+function isWeekend(dateStr) {
+  const day = parseIsoDate(dateStr).getUTCDay();
+  return day === 0 || day === 6;
+}
+
+// The date `days` business days after `dateStr`. Orders placed at a weekend
+// start on Monday, so one business day from Saturday is Monday.
+function addBusinessDays(dateStr, days) {
+  let date = dateStr;
+  let remaining = days;
+  while (remaining > 0) {
+    date = addDays(date, 1);
+    if (!isWeekend(date)) remaining--;
+  }
+  return date;
+}
+
+// When a product ordered today would arrive, and whether that beats the
+// event: 'on_time', 'tight' (arrives on the day itself) or 'late'. Belated
+// events, and any whose date has passed, have no deadline left to miss.
+function deliveryStatus(product, event, today) {
+  const arrival = addBusinessDays(today, product.delivery_days);
+  if (event.belated || event.date < today) return { arrival, status: 'on_time' };
+  const spare = daysBetween(arrival, event.date);
+  if (spare < 0) return { arrival, status: 'late' };
+  return { arrival, status: spare === 0 ? 'tight' : 'on_time' };
+}
+
+// Gifts that arrive the same day, for events too close for shipping: an
+// e-gift card sent by email and a bouquet from a local florist. They are
+// shaped like retailer search results so they are filtered and scored the
+// same way.
+function fastAlternatives(budget) {
+  const alternatives = [];
+  if (budget >= 10) {
+    alternatives.push({
+      name: 'E-Gift Card',
+      description: 'Delivered by email within minutes, with your card message included.',
+      price: Math.min(budget, Math.max(10, Math.round((budget * 0.6) / 5) * 5)),
+      retailer: 'Amazon',
+      url: 'https://www.amazon.com/gift-cards',
+      tags: ['gift-card', 'instant'],
+    });
+  }
+  if (budget >= FLORIST_MIN_PRICE) {
+    alternatives.push({
+      name: 'Same-Day Flower Delivery',
+      description: 'A seasonal bouquet hand-delivered today by a local florist.',
+      price: Math.min(budget, 50),
+      retailer: 'Local Florist',
+      url: 'https://www.ftd.com/same-day-flower-delivery',
+      tags: ['flowers', 'same-day'],
+    });
+  }
+  return alternatives.map(a => ({
+    ...a,
+    image_url: null,
+    in_stock: true,
+    external_id: null,
+    source: 'alternative',
+    delivery_days: 0,
+  }));
+}
+
+module.exports = {
+  LAST_MINUTE_DAYS,
+  MIN_ON_TIME,
+  isWeekend,
+  addBusinessDays,
+  deliveryStatus,
+  fastAlternatives,
+};
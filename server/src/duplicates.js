@@ -0,0 +1,307 @@
+const { hasHistory, replaceOccurrence } = require('./jobs/recurring');
+const { applyReactionPreferences } = require('./history');
+
+// Duplicate contact detection and merging. Pairs are scored on name, email,
+// phone and birthday; a merge moves everything hanging off the duplicate onto
+// the surviving contact and deletes the duplicate.
+
+// Pairs scoring at least POSSIBLE are reported; LIKELY pairs are treated as the
+// same person (e.g. skipped by import unless asked otherwise)
+const POSSIBLE_SCORE = 50;
+const LIKELY_SCORE = 80;
+
+function normalizeName(name) {
+  return String(name || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Last 10 digits, so "+1 (555) 010-0199" and "555.010.0199" compare equal
+function normalizePhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-10) : '';
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// 0..1 similarity of two normalized names. Word order is ignored ("Doe Jane"),
+// and a name that is a prefix-match of the other's words ("Jen Doe" vs
+// "Jennifer Doe") counts as close.
+function nameSimilarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const sortedA = a.split(' ').sort().join(' ');
+  const sortedB = b.split(' ').sort().join(' ');
+  if (sortedA === sortedB) return 0.95;
+
+  const distance = levenshtein(sortedA, sortedB);
+  const ratio = 1 - distance / Math.max(sortedA.length, sortedB.length);
+
+  const wordsA = a.split(' ');
+  const wordsB = b.split(' ');
+  if (wordsA.length === wordsB.length && wordsA.length > 1) {
+    const lastMatches = wordsA[wordsA.length - 1] === wordsB[wordsB.length - 1];
+    const firstPrefix = wordsA[0].startsWith(wordsB[0]) || wordsB[0].startsWith(wordsA[0]);
+    if (lastMatches && firstPrefix) return Math.max(ratio, 0.85);
+  }
+  return ratio;
+}
+
+// Score how likely two contacts (or import rows) are the same person.
+// Returns { score, reasons }.
+function scorePair(a, b) {
+  let score = 0;
+  const reasons = [];
+
+  const similarity = nameSimilarity(normalizeName(a.name), normalizeName(b.name));
+  if (similarity >= 0.95) {
+    score += 50;
+    reasons.push('same name');
+  } else if (similarity >= 0.85) {
+    score += 35;
+    reasons.push('similar name');
+  }
+
+  if (a.email && b.email && a.email.trim().toLowerCase() === b.email.trim().toLowerCase()) {
+    score += 60;
+    reasons.push('same email');
+  }
+
+  const phoneA = normalizePhone(a.phone);
+  if (phoneA && phoneA === normalizePhone(b.phone)) {
+    score += 50;
+    reasons.push('same phone');
+  }
+
+  if (a.birthday && b.birthday) {
+    if (a.birthday === b.birthday) {
+      score += 30;
+      reasons.push('same birthday');
+    } else if (a.birthday.slice(5) === b.birthday.slice(5)) {
+      score += 15;
+      reasons.push('birthday on the same day');
+    } else {
+      // Different birthdays are strong evidence of different people
+      score -= 40;
+    }
+  }
+
+  return { score: Math.min(score, 100), reasons };
+}
+
+function level(score) {
+  return score >= LIKELY_SCORE ? 'likely' : 'possible';
+}
+
+// Best existing match for `record` among `contacts`, or null when none reaches
+// POSSIBLE_SCORE. Returns { contact, score, level, reasons }.
+function findMatch(record, contacts) {
+  let best = null;
+  for (const contact of contacts) {
+    const { score, reasons } = scorePair(record, contact);
+    if (score >= POSSIBLE_SCORE && (!best || score > best.score)) {
+      best = { contact, score, level: level(score), reasons };
+    }
+  }
+  return best;
+}
+
+// Every pair of contacts that looks like the same person, best first
+function findDuplicates(contacts) {
+  const pairs = [];
+  for (let i = 0; i < contacts.length; i++) {
+    for (let j = i + 1; j < contacts.length; j++) {
+      const { score, reasons } = scorePair(contacts[i], contacts[j]);
+      if (score >= POSSIBLE_SCORE) {
+        pairs.push({ contacts: [contacts[i], contacts[j]], score, level: level(score), reasons });
+      }
+    }
+  }
+  return pairs.sort((a, b) => b.score - a.score);
+}
+
+function parseJson(value, fallback) {
+  try {
+    return JSON.parse(value || '') || fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+// Merge two JSON objects of preferences/constraints: arrays are unioned, other
+// values keep the survivor's unless it has none
+function mergeObjects(primary, secondary) {
+  const merged = { ...secondary, ...primary };
+  for (const [key, value] of Object.entries(secondary)) {
+    if (Array.isArray(value) && Array.isArray(primary[key])) {
+      merged[key] = [...new Set([...primary[key], ...value])];
+    }
+  }
+  return merged;
+}
+
+function sameOccasion(a, b) {
+  return a.type === b.type && a.date === b.date;
+}
+
+// Fold `duplicate` into `survivor`: events (with their gift history), shared
+// events, relatives, budget overrides, autonomy rules, holiday opt-ins,
+// addresses, gift ideas, tags, preferences, notes and any blank details move
+// across, then the duplicate is deleted. Where both contacts have the same
+// occasion on the same date (e.g. two auto-created birthday events) the copy
+// without history is dropped and the other takes its place in the yearly
+// chain; the survivor's overrides and rules win on conflicts. Runs in one
+// transaction and returns a summary of what moved.
+function mergeContacts(db, survivor, duplicate) {
+  const summary = {
+    events_moved: 0,
+    events_dropped: 0,
+    budget_overrides_moved: 0,
+    autonomy_rules_moved: 0,
+    holidays_moved: 0,
+    shared_events_moved: 0,
+    relationships_moved: 0,
+    addresses_moved: 0,
+    ideas_moved: 0,
+    fields_filled: [],
+  };
+
+  db.transaction(() => {
+    const survivorEvents = db.prepare('SELECT * FROM events WHERE contact_id = ?').all(survivor.id);
+    const duplicateEvents = db.prepare('SELECT * FROM events WHERE contact_id = ?').all(duplicate.id);
+    const moveEvent = db.prepare("UPDATE events SET contact_id = ?, updated_at = datetime('now') WHERE id = ?");
+
+    for (const event of duplicateEvents) {
+      const match = survivorEvents.find(e => sameOccasion(e, event));
+      if (match && !hasHistory(db, event)) {
+        replaceOccurrence(db, event, match);
+        summary.events_dropped++;
+        continue;
+      }
+      if (match && !hasHistory(db, match)) {
+        replaceOccurrence(db, match, event);
+        survivorEvents.splice(survivorEvents.indexOf(match), 1);
+        summary.events_dropped++;
+      }
+      moveEvent.run(survivor.id, event.id);
+      summary.events_moved++;
+    }
+
+    summary.budget_overrides_moved = db.prepare(`
+      UPDATE budget_overrides SET contact_id = ?, updated_at = datetime('now')
+      WHERE contact_id = ? AND budget_id NOT IN (SELECT budget_id FROM budget_overrides WHERE contact_id = ?)
+    `).run(survivor.id, duplicate.id, survivor.id).changes;
+
+    summary.autonomy_rules_moved = db.prepare(`
+      UPDATE autonomy_settings SET contact_id = ?, updated_at = datetime('now')
+      WHERE contact_id = ? AND COALESCE(event_type, '') NOT IN (
+        SELECT COALESCE(event_type, '') FROM autonomy_settings WHERE contact_id = ?
+      )
+    `).run(survivor.id, duplicate.id, survivor.id).changes;
+
+    summary.holidays_moved = db.prepare(`
+      UPDATE contact_holidays SET contact_id = ?
+      WHERE contact_id = ? AND holiday_id NOT IN (SELECT holiday_id FROM contact_holidays WHERE contact_id = ?)
+    `).run(survivor.id, duplicate.id, survivor.id).changes;
+
+    // Shared events the duplicate was one of the recipients of; the survivor
+    // can't be both primary and shared recipient of an event
+    db.prepare(`
+      DELETE FROM event_recipients
+      WHERE contact_id IN (?, ?) AND event_id IN (SELECT id FROM events WHERE contact_id = ?)
+    `).run(survivor.id, duplicate.id, survivor.id);
+    summary.shared_events_moved = db.prepare(`
+      UPDATE event_recipients SET contact_id = ?
+      WHERE contact_id = ? AND event_id NOT IN (SELECT event_id FROM event_recipients WHERE contact_id = ?)
+    `).run(survivor.id, duplicate.id, survivor.id).changes;
+
+    // Relatives of the duplicate become the survivor's, unless already linked
+    db.prepare(`
+      DELETE FROM contact_relationships
+      WHERE (contact_id = ? AND related_contact_id = ?) OR (contact_id = ? AND related_contact_id = ?)
+    `).run(survivor.id, duplicate.id, duplicate.id, survivor.id);
+    summary.relationships_moved = db.prepare(`
+      UPDATE contact_relationships SET contact_id = ?
+      WHERE contact_id = ? AND related_contact_id NOT IN (SELECT related_contact_id FROM contact_relationships WHERE contact_id = ?)
+    `).run(survivor.id, duplicate.id, survivor.id).changes;
+    db.prepare(`
+      UPDATE contact_relationships SET related_contact_id = ?
+      WHERE related_contact_id = ? AND contact_id NOT IN (SELECT contact_id FROM contact_relationships WHERE related_contact_id = ?)
+    `).run(survivor.id, duplicate.id, survivor.id);
+
+    const survivorHasDefault = !!db.prepare(
+      'SELECT 1 FROM contact_addresses WHERE contact_id = ? AND is_default = 1'
+    ).get(survivor.id);
+    summary.addresses_moved = db.prepare(`
+      UPDATE contact_addresses SET contact_id = ?, is_default = CASE WHEN ? THEN 0 ELSE is_default END,
+        updated_at = datetime('now')
+      WHERE contact_id = ?
+    `).run(survivor.id, survivorHasDefault ? 1 : 0, duplicate.id).changes;
+    summary.ideas_moved = db.prepare(`
+      UPDATE gift_ideas SET contact_id = ?, updated_at = datetime('now') WHERE contact_id = ?
+    `).run(survivor.id, duplicate.id).changes;
+
+    const fields = {};
+    for (const field of ['email', 'phone', 'birthday', 'anniversary', 'other_date', 'household_id']) {
+      if (!survivor[field] && duplicate[field]) {
+        fields[field] = duplicate[field];
+        summary.fields_filled.push(field);
+      }
+    }
+    const survivorNotes = (survivor.notes || '').trim();
+    const duplicateNotes = (duplicate.notes || '').trim();
+    fields.notes = duplicateNotes && duplicateNotes !== survivorNotes && !survivorNotes.includes(duplicateNotes)
+      ? [survivorNotes, duplicateNotes].filter(Boolean).join('\n\n')
+      : survivorNotes;
+
+    fields.preferences = JSON.stringify(mergeObjects(parseJson(survivor.preferences, {}), parseJson(duplicate.preferences, {})));
+    fields.constraints = JSON.stringify(mergeObjects(parseJson(survivor.constraints, {}), parseJson(duplicate.constraints, {})));
+    const giftsA = parseJson(survivor.default_gifts, {});
+    const giftsB = parseJson(duplicate.default_gifts, {});
+    fields.default_gifts = JSON.stringify(Object.fromEntries(
+      [...new Set([...Object.keys(giftsA), ...Object.keys(giftsB)])].map(k => [k, !!(giftsA[k] || giftsB[k])])
+    ));
+    fields.tags = JSON.stringify([...new Set([...parseJson(survivor.tags, []), ...parseJson(duplicate.tags, [])])]);
+
+    const columns = Object.keys(fields);
+    db.prepare(`
+      UPDATE contacts SET ${columns.map(c => `${c} = ?`).join(', ')}, updated_at = datetime('now') WHERE id = ?
+    `).run(...columns.map(c => fields[c]), survivor.id);
+
+    db.prepare('DELETE FROM contacts WHERE id = ?').run(duplicate.id);
+
+    // Reactions from both contacts' gift history now count together
+    applyReactionPreferences(db, survivor.id);
+  })();
+
+  return summary;
+}
+
+module.exports = {
+  POSSIBLE_SCORE,
+  LIKELY_SCORE,
+  normalizeName,
+  normalizePhone,
+  scorePair,
+  findMatch,
+  findDuplicates,
+  mergeContacts,
+};
@@ -0,0 +1,188 @@
+// Event types. The four built-in types (birthday, anniversary, holiday, other)
+// can be edited but not deleted; the starter types below are seeded once, into
+// an empty event_types table, and are otherwise ordinary user-defined types.
+// Every type has a budget row in `budgets` whose category is the type id, an
+// optional default lead time, the catalog category its gifts come from, and
+// optional card templates by tone (falling back to the built-in templates in
+// routes/cards.js).
+
+const EVENT_TYPE_ID_REGEX = /^[a-z][a-z0-9_]{1,39}$/;
+const BUILTIN_EVENT_TYPES = ['birthday', 'anniversary', 'holiday', 'other'];
+const CARD_TONES = ['warm', 'formal', 'humorous', 'heartfelt', 'casual'];
+const MAX_TEMPLATE_LENGTH = 500;
+const MAX_TEMPLATES_PER_TONE = 5;
+
+const DEFAULT_EVENT_TYPES = [
+  { id: 'birthday', name: 'Birthday', occasion: 'birthday', catalog_category: 'birthday', budget: 30 },
+  { id: 'anniversary', name: 'Anniversary', occasion: 'anniversary', catalog_category: 'anniversary', budget: 50 },
+  { id: 'holiday', name: 'Holiday', occasion: 'holidays', catalog_category: 'holiday', budget: 30 },
+  { id: 'other', name: 'Other', occasion: 'special day', catalog_category: 'other', budget: 20 },
+  {
+    id: 'graduation',
+    name: 'Graduation',
+    occasion: 'graduation',
+    default_lead_time_days: 21,
+    catalog_category: 'graduation',
+    budget: 50,
+    card_templates: {
+      warm: ["Congratulations on your graduation, {name}! All that hard work paid off — I'm so proud of you and excited for what comes next."],
+      formal: ['Dear {name}, congratulations on your graduation. Wishing you every success in the next chapter.'],
+      humorous: ['You did it, {name}! No more exams... until life hands you the pop quizzes. Congratulations, graduate!'],
+      heartfelt: ["{name}, watching you reach this milestone means so much. Congratulations — the future is lucky to have you."],
+      casual: ['Congrats, grad! Enjoy every minute of it, {name}!'],
+    },
+  },
+  {
+    id: 'new_baby',
+    name: 'New Baby',
+    occasion: 'new arrival',
+    default_lead_time_days: 14,
+    catalog_category: 'new_baby',
+    budget: 40,
+    card_templates: {
+      warm: ['Congratulations on your new arrival, {name}! Wishing your growing family all the love and joy in the world.'],
+      formal: ['Dear {name}, warmest congratulations on the birth of your child. Wishing you and your family every happiness.'],
+      humorous: ['Congratulations, {name}! Sleep is overrated anyway. Welcome to the best kind of chaos!'],
+      heartfelt: ['{name}, a new little life has joined the world and it is already so loved. Congratulations from the bottom of my heart.'],
+      casual: ['Congrats on the little one, {name}! Can\'t wait to meet them!'],
+    },
+  },
+  {
+    id: 'wedding',
+    name: 'Wedding',
+    occasion: 'wedding',
+    default_lead_time_days: 30,
+    catalog_category: 'wedding',
+    budget: 75,
+    card_templates: {
+      warm: ['Congratulations on your wedding, {name}! Wishing you a lifetime of love, laughter and adventures together.'],
+      formal: ['Dear {name}, heartfelt congratulations on your marriage. May your life together be long and happy.'],
+      humorous: ['Congratulations, {name}! Marriage: finding that one special person you want to annoy for the rest of your life.'],
+      heartfelt: ['{name}, it is a joy to see you marry the person who makes you happiest. Wishing you both a beautiful life together.'],
+      casual: ["Congrats on tying the knot, {name}! Have the best day ever!"],
+    },
+  },
+  {
+    id: 'retirement',
+    name: 'Retirement',
+    occasion: 'retirement',
+    default_lead_time_days: 21,
+    catalog_category: 'retirement',
+    budget: 50,
+    card_templates: {
+      warm: ['Happy retirement, {name}! After all your years of hard work, you deserve every bit of rest and fun ahead.'],
+      formal: ['Dear {name}, congratulations on your retirement. Wishing you health and fulfilment in the years to come.'],
+      humorous: ['Happy retirement, {name}! Every day is Saturday now — just don\'t forget which one is actually Saturday.'],
+      heartfelt: ['{name}, your dedication has touched so many people. May your retirement be as wonderful as you are.'],
+      casual: ['Enjoy retirement, {name}! Time for all the things you never had time for!'],
+    },
+  },
+  {
+    id: 'housewarming',
+    name: 'Housewarming',
+    occasion: 'new home',
+    default_lead_time_days: 14,
+    catalog_category: 'housewarming',
+    budget: 35,
+    card_templates: {
+      warm: ['Congratulations on your new home, {name}! May it be filled with warmth, laughter and many happy memories.'],
+      formal: ['Dear {name}, congratulations on your new home. Wishing you much happiness there.'],
+      humorous: ['Congrats on the new place, {name}! May your Wi-Fi be strong and your boxes be few.'],
+      heartfelt: ['{name}, a house becomes a home through the people in it — yours is sure to be a wonderful one.'],
+      casual: ['Happy new home, {name}! Can\'t wait to come by!'],
+    },
+  },
+  {
+    id: 'sympathy',
+    name: 'Sympathy',
+    occasion: 'loss',
+    default_lead_time_days: 3,
+    catalog_category: 'sympathy',
+    budget: 40,
+    // No humorous templates: that tone falls back to warm
+    card_templates: {
+      warm: ["Thinking of you, {name}, and sending love during this difficult time. I'm here for you."],
+      formal: ['Dear {name}, please accept my deepest condolences. You are in my thoughts.'],
+      heartfelt: ['{name}, there are no words that can ease this loss, but please know how much you are cared for.'],
+      casual: ["{name}, I'm so sorry. Thinking of you — let me know if there's anything I can do."],
+    },
+  },
+];
+
+// Insert any default types (and their budgets) that don't exist yet. Runs on
+// every start and after restoring a backup taken before event types existed.
+// The built-in types are always put back; starter types only go into an empty
+// table, so one the user deleted stays deleted.
+function seedEventTypes(database) {
+  const seeded = database.prepare('SELECT COUNT(*) as count FROM event_types').get().count > 0;
+  const insertType = database.prepare(`
+    INSERT OR IGNORE INTO event_types (id, name, occasion, default_lead_time_days, catalog_category, card_templates, builtin)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+  const insertBudget = database.prepare('INSERT OR IGNORE INTO budgets (id, category, default_amount) VALUES (?, ?, ?)');
+
+  for (const type of DEFAULT_EVENT_TYPES) {
+    if (seeded && !BUILTIN_EVENT_TYPES.includes(type.id)) continue;
+    const inserted = insertType.run(
+      type.id, type.name, type.occasion, type.default_lead_time_days || null, type.catalog_category,
+      JSON.stringify(type.card_templates || {}), BUILTIN_EVENT_TYPES.includes(type.id) ? 1 : 0,
+    ).changes;
+    if (inserted) insertBudget.run(`budget_${type.id}`, type.id, type.budget);
+  }
+}
+
+function parseEventType(row) {
+  return row ? { ...row, card_templates: JSON.parse(row.card_templates || '{}') } : null;
+}
+
+function getEventType(db, id) {
+  return parseEventType(db.prepare('SELECT * FROM event_types WHERE id = ?').get(id));
+}
+
+function listEventTypes(db) {
+  return db.prepare('SELECT * FROM event_types ORDER BY builtin DESC, name').all().map(parseEventType);
+}
+
+// Lead time for a new event of this type: the type's default, else the global one
+function eventTypeLeadTime(db, id, globalDefault) {
+  const row = db.prepare('SELECT default_lead_time_days FROM event_types WHERE id = ?').get(id);
+  return (row && row.default_lead_time_days) || globalDefault;
+}
+
+// Derive a type id from its name ("New Baby" -> "new_baby")
+function eventTypeId(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 40);
+}
+
+// Validate card templates: { tone: [template, ...] } with known tones and a
+// warm set whenever any are given (other tones fall back to it)
+function validateCardTemplates(templates) {
+  if (templates === null || typeof templates !== 'object' || Array.isArray(templates)) {
+    return 'card_templates must be an object of tone → list of messages';
+  }
+  const tones = Object.keys(templates);
+  for (const tone of tones) {
+    if (!CARD_TONES.includes(tone)) return `Unknown card tone "${tone}"`;
+    const list = templates[tone];
+    if (!Array.isArray(list) || list.length === 0 || list.length > MAX_TEMPLATES_PER_TONE) {
+      return `card_templates.${tone} must list 1 to ${MAX_TEMPLATES_PER_TONE} messages`;
+    }
+    if (list.some(t => typeof t !== 'string' || !t.trim() || t.length > MAX_TEMPLATE_LENGTH)) {
+      return `card_templates.${tone} messages must be non-empty text up to ${MAX_TEMPLATE_LENGTH} characters`;
+    }
+  }
+  if (tones.length > 0 && !tones.includes('warm')) return 'card_templates must include warm messages';
+  return null;
+}
+
+module.exports = {
+  EVENT_TYPE_ID_REGEX,
+  BUILTIN_EVENT_TYPES,
+  DEFAULT_EVENT_TYPES,
+  seedEventTypes,
+  getEventType,
+  listEventTypes,
+  eventTypeLeadTime,
+  eventTypeId,
+  validateCardTemplates,
+};
@@ -0,0 +1,168 @@
+const { v4: uuidv4 } = require('uuid');
+const { validateTags, parseTags } = require('./segments');
+
+// Gift ideas noted for a contact through the year: free text, a product link,
+// or something the contact mentioned wanting. Open ideas are offered first
+// whenever gifts are recommended for the contact, and an idea is marked used
+// once a recommendation made from it is ordered.
+
+const IDEA_KINDS = ['idea', 'link', 'mentioned'];
+const IDEA_STATUSES = ['open', 'used', 'dismissed'];
+const MAX_TITLE_LENGTH = 200;
+const MAX_NOTES_LENGTH = 2000;
+
+// Ideas carry no shipping estimate, so they are timed like a catalog item
+const IDEA_DELIVERY_DAYS = 5;
+
+function parseIdea(row) {
+  if (!row) return null;
+  return { ...row, tags: parseTags(row.tags) };
+}
+
+function urlHost(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+}
+
+// Validate an idea from a request body. With `partial`, only the fields
+// present are checked and merged over `existing`. An idea needs a title or a
+// URL; a bare URL is titled after its site. Returns { idea } or { error }.
+function validateIdea(input, { partial = false, existing = {} } = {}) {
+  const pick = field => (input[field] !== undefined ? input[field] : (partial ? existing[field] : undefined));
+  const idea = {};
+
+  for (const field of ['title', 'url', 'retailer', 'notes']) {
+    const value = pick(field);
+    if (value === undefined || value === null || value === '') {
+      idea[field] = null;
+      continue;
+    }
+    if (typeof value !== 'string') return { error: `${field} must be a string` };
+    idea[field] = value.trim() || null;
+  }
+  if (idea.title && idea.title.length > MAX_TITLE_LENGTH) return { error: `title can be up to ${MAX_TITLE_LENGTH} characters` };
+  if (idea.retailer && idea.retailer.length > MAX_TITLE_LENGTH) return { error: 'retailer is too long' };
+  if (idea.notes && idea.notes.length > MAX_NOTES_LENGTH) return { error: `notes can be up to ${MAX_NOTES_LENGTH} characters` };
+  if (idea.url && (!/^https?:\/\//i.test(idea.url) || !urlHost(idea.url))) {
+    return { error: 'url must be a valid HTTP(S) URL' };
+  }
+  if (!idea.title && !idea.url) return { error: 'title or url is required' };
+  if (!idea.title) idea.title = urlHost(idea.url);
+
+  const kind = pick('kind');
+  idea.kind = kind === undefined || kind === null ? (idea.url ? 'link' : 'idea') : kind;
+  if (!IDEA_KINDS.includes(idea.kind)) return { error: `kind must be one of: ${IDEA_KINDS.join(', ')}` };
+
+  const price = pick('price');
+  if (price === undefined || price === null || price === '') {
+    idea.price = null;
+  } else if (typeof price !== 'number' || !Number.isFinite(price) || price < 0) {
+    return { error: 'price must be a number of at least 0' };
+  } else {
+    idea.price = Math.round(price * 100) / 100;
+  }
+
+  const tags = pick('tags');
+  if (tags === undefined || tags === null) {
+    idea.tags = [];
+  } else {
+    const result = validateTags(tags);
+    if (result.error) return { error: result.error };
+    idea.tags = result.tags;
+  }
+
+  // Used is set by ordering; people can only dismiss an idea or reopen it
+  if (input.status !== undefined) {
+    if (!['open', 'dismissed'].includes(input.status)) return { error: "status must be 'open' or 'dismissed'" };
+    idea.status = input.status;
+  }
+  return { idea };
+}
+
+// A contact's ideas, open ones first, newest first within each status
+function listIdeas(db, contactId, status = null) {
+  return db.prepare(`
+    SELECT * FROM gift_ideas WHERE contact_id = ? AND (? IS NULL OR status = ?)
+    ORDER BY CASE status WHEN 'open' THEN 0 WHEN 'used' THEN 1 ELSE 2 END, created_at DESC, rowid DESC
+  `).all(contactId, status, status).map(parseIdea);
+}
+
+function createIdea(db, contactId, idea) {
+  const id = uuidv4();
+  db.prepare(`
+    INSERT INTO gift_ideas (id, contact_id, kind, title, url, price, retailer, notes, tags)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, contactId, idea.kind, idea.title, idea.url, idea.price, idea.retailer, idea.notes, JSON.stringify(idea.tags));
+  return parseIdea(db.prepare('SELECT * FROM gift_ideas WHERE id = ?').get(id));
+}
+
+// Reopening a used idea also forgets the order it was used for
+function updateIdea(db, existing, idea) {
+  const status = idea.status || existing.status;
+  const reopened = status === 'open' && existing.status === 'used';
+  db.prepare(`
+    UPDATE gift_ideas SET kind = ?, title = ?, url = ?, price = ?, retailer = ?, notes = ?, tags = ?, status = ?,
+      order_id = CASE WHEN ? THEN NULL ELSE order_id END, used_at = CASE WHEN ? THEN NULL ELSE used_at END,
+      updated_at = datetime('now')
+    WHERE id = ?
+  `).run(idea.kind, idea.title, idea.url, idea.price, idea.retailer, idea.notes, JSON.stringify(idea.tags), status,
+    reopened ? 1 : 0, reopened ? 1 : 0, existing.id);
+  return parseIdea(db.prepare('SELECT * FROM gift_ideas WHERE id = ?').get(existing.id));
+}
+
+// Open ideas for any of the contacts, as recommendation candidates shaped like
+// retailer search results. Ideas without a price are budgeted at the full
+// `budget`, so spending is never under-counted.
+function ideaCandidates(db, contactIds, budget) {
+  if (contactIds.length === 0) return [];
+  return db.prepare(`
+    SELECT * FROM gift_ideas WHERE status = 'open' AND contact_id IN (${contactIds.map(() => '?').join(', ')})
+    ORDER BY created_at, rowid
+  `).all(...contactIds).map(parseIdea).map(idea => ({
+    name: idea.title,
+    description: idea.notes || '',
+    price: idea.price !== null ? idea.price : budget,
+    retailer: idea.retailer || (idea.url && urlHost(idea.url)) || 'Gift idea',
+    url: idea.url,
+    image_url: null,
+    in_stock: true,
+    external_id: idea.id,
+    source: 'idea',
+    tags: idea.tags,
+    delivery_days: IDEA_DELIVERY_DAYS,
+    gift_idea: idea,
+  }));
+}
+
+// Mark the idea behind an ordered recommendation as used
+function markIdeaUsed(db, gift, orderId) {
+  if (!gift.gift_idea_id) return;
+  db.prepare(`
+    UPDATE gift_ideas SET status = 'used', order_id = ?, used_at = datetime('now'), updated_at = datetime('now')
+    WHERE id = ? AND status != 'used'
+  `).run(orderId, gift.gift_idea_id);
+}
+
+// A cancelled order puts its idea back in the inbox
+function reopenIdeaForOrder(db, orderId) {
+  db.prepare(`
+    UPDATE gift_ideas SET status = 'open', order_id = NULL, used_at = NULL, updated_at = datetime('now')
+    WHERE order_id = ? AND status = 'used'
+  `).run(orderId);
+}
+
+module.exports = {
+  IDEA_KINDS,
+  IDEA_STATUSES,
+  parseIdea,
+  validateIdea,
+  listIdeas,
+  createIdea,
+  updateIdea,
+  ideaCandidates,
+  markIdeaUsed,
+  reopenIdeaForOrder,
+};
@@ -0,0 +1,183 @@
+const { todayIso, daysBetween } = require('./dates');
+const { EVENT_FOR_CONTACT, eventRecipients } = require('./recipients');
+
+// Per-contact gift history: every order placed for the contact's events
+// (including shared events they are one of the recipients of), plus occasions
+// where only a card was chosen. Used for the contact timeline, to
+// steer recommendations away from repeats, and to turn recipient reactions into
+// preferences.
+
+function parseTags(value) {
+  try {
+    const tags = JSON.parse(value || '[]');
+    return Array.isArray(tags) ? tags : [];
+  } catch {
+    return [];
+  }
+}
+
+// Entries are newest first. Each has the occasion, the gift and order (null for
+// card-only occasions), the card that was chosen, if any, and the other
+// recipients when the occasion was shared.
+function getGiftHistory(db, contactId) {
+  const orders = db.prepare(`
+    SELECT o.id as order_id, o.status as order_status, o.ordered_at, o.estimated_delivery,
+      o.actual_delivery, o.issue_description, o.reaction, o.reaction_notes, o.thank_you_received,
+      gr.id as gift_id, gr.name as gift_name, gr.price, gr.retailer, gr.url, gr.tags,
+      e.id as event_id, e.contact_id, e.name as event_name, e.type as event_type, e.date as event_date
+    FROM orders o
+    JOIN gift_recommendations gr ON o.gift_recommendation_id = gr.id
+    JOIN events e ON o.event_id = e.id
+    WHERE ${EVENT_FOR_CONTACT}
+  `).all(contactId, contactId);
+
+  const cards = db.prepare(`
+    SELECT cm.event_id, cm.tone, cm.message, cm.provider,
+      e.contact_id, e.name as event_name, e.type as event_type, e.date as event_date
+    FROM card_messages cm
+    JOIN events e ON cm.event_id = e.id
+    WHERE ${EVENT_FOR_CONTACT} AND cm.selected = 1
+  `).all(contactId, contactId);
+  const cardsByEvent = new Map(cards.map(c => [c.event_id, { tone: c.tone, message: c.message, provider: c.provider }]));
+
+  const entries = orders.map(o => ({
+    event_id: o.event_id,
+    event_name: o.event_name,
+    event_type: o.event_type,
+    event_date: o.event_date,
+    gift: {
+      id: o.gift_id,
+      name: o.gift_name,
+      price: o.price,
+      retailer: o.retailer,
+      url: o.url,
+      tags: parseTags(o.tags),
+    },
+    order: {
+      id: o.order_id,
+      status: o.order_status,
+      ordered_at: o.ordered_at,
+      estimated_delivery: o.estimated_delivery,
+      actual_delivery: o.actual_delivery,
+      issue_description: o.issue_description,
+      reaction: o.reaction,
+      reaction_notes: o.reaction_notes,
+      thank_you_received: !!o.thank_you_received,
+    },
+    card: cardsByEvent.get(o.event_id) || null,
+  }));
+
+  const eventsWithOrders = new Set(orders.map(o => o.event_id));
+  for (const c of cards) {
+    if (eventsWithOrders.has(c.event_id)) continue;
+    entries.push({
+      event_id: c.event_id,
+      event_name: c.event_name,
+      event_type: c.event_type,
+      event_date: c.event_date,
+      gift: null,
+      order: null,
+      card: cardsByEvent.get(c.event_id),
+    });
+  }
+
+  // Name the other recipients of shared occasions
+  const primaryOf = new Map([...orders, ...cards].map(r => [r.event_id, r.contact_id]));
+  const sharedWith = new Map();
+  for (const [eventId, primaryId] of primaryOf) {
+    const others = eventRecipients(db, { id: eventId, contact_id: primaryId }).filter(r => r.id !== contactId);
+    sharedWith.set(eventId, others.length > 0 ? others.map(r => ({ id: r.id, name: r.name })) : null);
+  }
+  for (const entry of entries) entry.shared_with = sharedWith.get(entry.event_id);
+
+  entries.sort((a, b) => b.event_date.localeCompare(a.event_date)
+    || (b.order?.ordered_at || '').localeCompare(a.order?.ordered_at || ''));
+  return entries;
+}
+
+// Summarise history for scoring. Cancelled orders never reached the contact and
+// are ignored.
+function historySignals(history, today = todayIso()) {
+  const given = history.filter(h => h.gift && h.order.status !== 'cancelled');
+  const tagAges = new Map();
+  const retailerAges = new Map();
+
+  for (const h of given) {
+    const age = daysBetween(h.event_date, today);
+    for (const tag of h.gift.tags) {
+      if (!tagAges.has(tag) || age < tagAges.get(tag)) tagAges.set(tag, age);
+    }
+    if (!retailerAges.has(h.gift.retailer) || age < retailerAges.get(h.gift.retailer)) {
+      retailerAges.set(h.gift.retailer, age);
+    }
+  }
+
+  return { given, tagAges, retailerAges };
+}
+
+// Most recent past gift that looks like `product`: the same name, or at least
+// two tags in common (one when either side has a single tag)
+function findSimilarGift(product, signals) {
+  const name = product.name.toLowerCase();
+  return signals.given.find(h => {
+    if (h.gift.name.toLowerCase() === name) return true;
+    const shared = product.tags.filter(t => h.gift.tags.includes(t)).length;
+    const needed = Math.min(2, product.tags.length, h.gift.tags.length);
+    return needed > 0 && shared >= needed;
+  }) || null;
+}
+
+// Score penalty from history: tags and retailers used in the last year or two
+// count against a product so gifts vary. Tags the contact loved or returned are
+// handled separately through preferences (see reactionPreferences).
+function historyPenalty(product, signals) {
+  let penalty = 0;
+  for (const tag of product.tags) {
+    const age = signals.tagAges.get(tag);
+    if (age === undefined) continue;
+    if (age <= 365) penalty += 15;
+    else if (age <= 730) penalty += 8;
+  }
+  const retailerAge = signals.retailerAges.get(product.retailer);
+  if (retailerAge !== undefined && retailerAge <= 365) penalty += 5;
+
+  return Math.min(penalty, 35);
+}
+
+// Tags the contact has reacted to, netted across every reaction: each loved
+// gift counts +1 for its tags and each returned gift -1. Neutral reactions
+// carry no signal.
+function reactionPreferences(history) {
+  const net = new Map();
+  for (const h of history) {
+    if (!h.gift || !['loved', 'returned'].includes(h.order.reaction)) continue;
+    const delta = h.order.reaction === 'loved' ? 1 : -1;
+    for (const tag of h.gift.tags) net.set(tag, (net.get(tag) || 0) + delta);
+  }
+  const liked = [...net].filter(([, n]) => n > 0).map(([tag]) => tag).sort();
+  const disliked = [...net].filter(([, n]) => n < 0).map(([tag]) => tag).sort();
+  return { liked_tags: liked, disliked_tags: disliked };
+}
+
+// Recompute the reaction-derived liked_tags / disliked_tags in a contact's
+// preferences. Other preference fields are left alone.
+function applyReactionPreferences(db, contactId) {
+  const contact = db.prepare('SELECT preferences FROM contacts WHERE id = ?').get(contactId);
+  if (!contact) return null;
+  const preferences = {
+    ...JSON.parse(contact.preferences || '{}'),
+    ...reactionPreferences(getGiftHistory(db, contactId)),
+  };
+  db.prepare("UPDATE contacts SET preferences = ?, updated_at = datetime('now') WHERE id = ?")
+    .run(JSON.stringify(preferences), contactId);
+  return preferences;
+}
+
+module.exports = {
+  getGiftHistory,
+  historySignals,
+  findSimilarGift,
+  historyPenalty,
+  reactionPreferences,
+  applyReactionPreferences,
+};
@@ -0,0 +1,137 @@
+const { toIsoDate, addDays } = require('./dates');
+
+// Built-in holiday definitions. Each holiday has a rule that yields its date
+// for a given year:
+//   fixed        same month/day every year
+//   nth_weekday  e.g. the 2nd Sunday of May (n = -1 for the last one)
+//   easter       days before/after Western Easter Sunday
+//   table        lunisolar holidays, looked up per year; years outside the
+//                table have no date
+// Holidays without `regions` apply everywhere; regional ones are only offered
+// for their regions (US and UK Mother's Day fall on different dates).
+
+const HOLIDAY_REGIONS = ['US', 'UK'];
+
+// Weekday numbers follow Date#getUTCDay (0 = Sunday)
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Lunar New Year (first day of the Chinese calendar year)
+const LUNAR_NEW_YEAR = {
+  2024: '02-10', 2025: '01-29', 2026: '02-17', 2027: '02-06', 2028: '01-26', 2029: '02-13',
+  2030: '02-03', 2031: '01-23', 2032: '02-11', 2033: '01-31', 2034: '02-19', 2035: '02-08',
+};
+
+// Diwali (Lakshmi Puja, as observed in India)
+const DIWALI = {
+  2024: '10-31', 2025: '10-20', 2026: '11-08', 2027: '10-29', 2028: '10-17', 2029: '11-05',
+  2030: '10-26',
+};
+
+// Hanukkah: the evening of the first candle
+const HANUKKAH = {
+  2024: '12-25', 2025: '12-14', 2026: '12-04', 2027: '12-24', 2028: '12-12', 2029: '12-01',
+  2030: '12-20', 2031: '12-09', 2032: '11-27', 2033: '12-16', 2034: '12-06', 2035: '12-25',
+};
+
+const HOLIDAYS = [
+  { id: 'new_years_day', name: "New Year's Day", rule: { type: 'fixed', month: 1, day: 1 } },
+  { id: 'lunar_new_year', name: 'Lunar New Year', rule: { type: 'table', dates: LUNAR_NEW_YEAR } },
+  { id: 'valentines_day', name: "Valentine's Day", rule: { type: 'fixed', month: 2, day: 14 } },
+  { id: 'mothers_day_uk', name: "Mother's Day", regions: ['UK'], rule: { type: 'easter', offset: -21 } },
+  { id: 'easter', name: 'Easter', rule: { type: 'easter', offset: 0 } },
+  { id: 'mothers_day_us', name: "Mother's Day", regions: ['US'], rule: { type: 'nth_weekday', month: 5, weekday: 0, n: 2 } },
+  { id: 'fathers_day', name: "Father's Day", regions: ['US', 'UK'], rule: { type: 'nth_weekday', month: 6, weekday: 0, n: 3 } },
+  { id: 'halloween', name: 'Halloween', rule: { type: 'fixed', month: 10, day: 31 } },
+  { id: 'diwali', name: 'Diwali', rule: { type: 'table', dates: DIWALI } },
+  { id: 'thanksgiving_us', name: 'Thanksgiving', regions: ['US'], rule: { type: 'nth_weekday', month: 11, weekday: 4, n: 4 } },
+  { id: 'hanukkah', name: 'Hanukkah', rule: { type: 'table', dates: HANUKKAH } },
+  { id: 'christmas', name: 'Christmas', rule: { type: 'fixed', month: 12, day: 25 } },
+];
+
+function getHoliday(id) {
+  return HOLIDAYS.find(h => h.id === id) || null;
+}
+
+// Holidays offered in a region: the global ones plus that region's own.
+// 'all' (or no region) lists every definition.
+function listHolidays(region) {
+  if (!region || region === 'all') return HOLIDAYS;
+  return HOLIDAYS.filter(h => !h.regions || h.regions.includes(region));
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+// Western (Gregorian) Easter Sunday — the anonymous Gregorian algorithm
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+function nthWeekday(year, month, weekday, n) {
+  if (n > 0) {
+    const firstWeekday = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+    const day = 1 + ((weekday - firstWeekday + 7) % 7) + (n - 1) * 7;
+    return toIsoDate(new Date(Date.UTC(year, month - 1, day)));
+  }
+  const last = new Date(Date.UTC(year, month, 0));
+  const day = last.getUTCDate() - ((last.getUTCDay() - weekday + 7) % 7) + (n + 1) * 7;
+  return toIsoDate(new Date(Date.UTC(year, month - 1, day)));
+}
+
+// The holiday's date in `year`, or null when a table has no entry for it
+function holidayDate(holiday, year) {
+  const { rule } = holiday;
+  switch (rule.type) {
+    case 'fixed': return `${year}-${pad(rule.month)}-${pad(rule.day)}`;
+    case 'nth_weekday': return nthWeekday(year, rule.month, rule.weekday, rule.n);
+    case 'easter': return addDays(easterSunday(year), rule.offset);
+    case 'table': return rule.dates[year] ? `${year}-${rule.dates[year]}` : null;
+    default: return null;
+  }
+}
+
+// First occurrence on or after `onOrAfter`, or null when the holiday's table
+// has run out
+function nextHolidayDate(holiday, onOrAfter) {
+  const year = Number(onOrAfter.slice(0, 4));
+  const thisYear = holidayDate(holiday, year);
+  if (thisYear && thisYear >= onOrAfter) return thisYear;
+  return holidayDate(holiday, year + 1);
+}
+
+// iCalendar RRULE for the holiday, or null when it can't be expressed as one
+// (Easter-based and table dates); feeds then show one occurrence at a time
+function holidayRule(holiday) {
+  const { rule } = holiday;
+  if (rule.type === 'fixed') return 'FREQ=YEARLY';
+  if (rule.type === 'nth_weekday') {
+    return `FREQ=YEARLY;BYMONTH=${rule.month};BYDAY=${rule.n}${WEEKDAY_CODES[rule.weekday]}`;
+  }
+  return null;
+}
+
+module.exports = {
+  HOLIDAY_REGIONS,
+  HOLIDAYS,
+  getHoliday,
+  listHolidays,
+  easterSunday,
+  holidayDate,
+  nextHolidayDate,
+  holidayRule,
+};
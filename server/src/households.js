@@ -0,0 +1,125 @@
+const { v4: uuidv4 } = require('uuid');
+const { getHoliday } = require('./holidays');
+const { hasHistory, replaceOccurrence } = require('./jobs/recurring');
+
+// Households group contacts who live together. A household can name one
+// member's address as the shared address (members without an address of
+// their own ship there, see addresses.js), and can combine holidays: one
+// shared holiday event for the whole household instead of one per member
+// (see recipients.js for shared events).
+
+function householdMembers(db, householdId) {
+  return db.prepare('SELECT id, name, relationship FROM contacts WHERE household_id = ? ORDER BY name')
+    .all(householdId);
+}
+
+// A household with its members, its shared address and the members'
+// addresses it could share instead
+function describeHousehold(db, household) {
+  const addresses = db.prepare(`
+    SELECT a.*, c.name as contact_name FROM contact_addresses a
+    JOIN contacts c ON a.contact_id = c.id
+    WHERE c.household_id = ? ORDER BY c.name, a.created_at
+  `).all(household.id);
+  return {
+    ...household,
+    combine_holidays: !!household.combine_holidays,
+    members: householdMembers(db, household.id),
+    address: addresses.find(a => a.id === household.address_id) || null,
+    addresses,
+  };
+}
+
+// Replace a household's members. Contacts join from no household or move
+// from another one, whose shared address is dropped if it was theirs.
+function setHouseholdMembers(db, household, contactIds) {
+  const current = householdMembers(db, household.id).map(m => m.id);
+  const added = contactIds.filter(id => !current.includes(id));
+  const removed = current.filter(id => !contactIds.includes(id));
+
+  db.transaction(() => {
+    const setHousehold = db.prepare("UPDATE contacts SET household_id = ?, updated_at = datetime('now') WHERE id = ?");
+    for (const id of added) setHousehold.run(household.id, id);
+    for (const id of removed) setHousehold.run(null, id);
+    // Shared addresses must belong to a current member
+    db.prepare(`
+      UPDATE households SET address_id = NULL, updated_at = datetime('now')
+      WHERE address_id IS NOT NULL AND NOT EXISTS (
+        SELECT 1 FROM contact_addresses a JOIN contacts c ON a.contact_id = c.id
+        WHERE a.id = households.address_id AND c.household_id = households.id
+      )
+    `).run();
+  })();
+  return { added, removed };
+}
+
+// The open holiday event a contact should join instead of getting their own:
+// the one another member of their household already has, when the household
+// combines holidays
+function householdHolidayEvent(db, contact, holidayId) {
+  if (!contact.household_id) return null;
+  const household = db.prepare('SELECT * FROM households WHERE id = ?').get(contact.household_id);
+  if (!household || !household.combine_holidays) return null;
+  return db.prepare(`
+    SELECT e.* FROM events e JOIN contacts c ON e.contact_id = c.id
+    WHERE c.household_id = ? AND e.holiday_id = ? AND e.recurring = 1
+    AND NOT EXISTS (SELECT 1 FROM events n WHERE n.previous_event_id = e.id)
+    ORDER BY e.created_at, e.rowid LIMIT 1
+  `).get(household.id, holidayId) || null;
+}
+
+// Name a household's shared holiday event after the household
+function householdEventName(household, holidayId) {
+  const holiday = getHoliday(holidayId);
+  return `${holiday ? holiday.name : 'Holiday'} (${household.name})`;
+}
+
+// Fold members' separate holiday events into one per holiday. For each
+// holiday the earliest open event is kept (one with history if there is one);
+// the others, if untouched, are deleted and their recipients join the kept
+// event, which also takes over their place in the yearly chain. Returns the
+// number of events folded in.
+function combineHouseholdHolidays(db, household) {
+  const open = db.prepare(`
+    SELECT e.* FROM events e JOIN contacts c ON e.contact_id = c.id
+    WHERE c.household_id = ? AND e.holiday_id IS NOT NULL AND e.recurring = 1
+    AND NOT EXISTS (SELECT 1 FROM events n WHERE n.previous_event_id = e.id)
+    ORDER BY e.created_at, e.rowid
+  `).all(household.id);
+
+  const byHoliday = new Map();
+  for (const event of open) {
+    if (!byHoliday.has(event.holiday_id)) byHoliday.set(event.holiday_id, []);
+    byHoliday.get(event.holiday_id).push(event);
+  }
+
+  let combined = 0;
+  db.transaction(() => {
+    const addRecipient = db.prepare('INSERT OR IGNORE INTO event_recipients (id, event_id, contact_id) VALUES (?, ?, ?)');
+    const recipientsOf = db.prepare('SELECT contact_id FROM event_recipients WHERE event_id = ?');
+    for (const [holidayId, events] of byHoliday) {
+      const keep = events.find(e => hasHistory(db, e)) || events[0];
+      const folded = events.filter(e => e !== keep && !hasHistory(db, e));
+      if (folded.length === 0) continue;
+      for (const event of folded) {
+        for (const id of [event.contact_id, ...recipientsOf.all(event.id).map(r => r.contact_id)]) {
+          if (id !== keep.contact_id) addRecipient.run(uuidv4(), keep.id, id);
+        }
+        replaceOccurrence(db, event, keep);
+        combined++;
+      }
+      db.prepare("UPDATE events SET name = ?, updated_at = datetime('now') WHERE id = ?")
+        .run(householdEventName(household, holidayId), keep.id);
+    }
+  })();
+  return combined;
+}
+
+module.exports = {
+  householdMembers,
+  describeHousehold,
+  setHouseholdMembers,
+  householdHolidayEvent,
+  householdEventName,
+  combineHouseholdHolidays,
+};
@@ -0,0 +1,29 @@
+// Minimal JSON-over-HTTP helper shared by the retailer adapters and LLM
+// providers. Uses the global fetch with a timeout so one slow provider cannot
+// stall a request.
+const DEFAULT_TIMEOUT_MS = 8000;
+
+async function fetchJson(url, { method = 'GET', headers = {}, body, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(url, {
+      method,
+      headers: { Accept: 'application/json', ...headers },
+      body,
+      signal: controller.signal,
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} from ${new URL(url).host}`);
+    }
+    return await response.json();
+  } catch (err) {
+    if (err.name === 'AbortError') throw new Error(`Request to ${new URL(url).host} timed out`);
+    throw err;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+module.exports = { fetchJson };
@@ -0,0 +1,230 @@
+// iCalendar (RFC 5545) support. Output is the calendar subscription feed:
+// events are all-day VEVENTs, recurring ones carry a yearly RRULE and every
+// event gets a VALARM per reminder milestone. Input is the VEVENT subset needed
+// to import dates from another calendar's export. vCard shares the content line
+// syntax, so contact import reuses the line helpers.
+
+const PRODID = '-//Gift Scheduler//Calendar Feed//EN';
+const MAX_LINE_OCTETS = 75;
+
+// Escape a TEXT value: backslashes, semicolons, commas and newlines
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Fold a content line at 75 octets. Continuation lines start with a space,
+// which counts towards their length. Multi-byte characters are never split.
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+
+  const parts = [];
+  let current = '';
+  let limit = MAX_LINE_OCTETS;
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+      limit = MAX_LINE_OCTETS - 1;
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// 'YYYY-MM-DD' -> 'YYYYMMDD'
+function formatDate(dateStr) {
+  return dateStr.replace(/-/g, '');
+}
+
+// SQLite datetime ('YYYY-MM-DD HH:MM:SS', UTC) or a Date -> 'YYYYMMDDTHHMMSSZ'
+function formatTimestamp(value) {
+  const iso = value instanceof Date ? value.toISOString() : `${value.replace(' ', 'T')}Z`;
+  return iso.replace(/[-:]/g, '').replace(/\.\d+/, '').slice(0, 15) + 'Z';
+}
+
+function nextDay(dateStr) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + 1)).toISOString().split('T')[0];
+}
+
+// Feb 29 recurs on the last day of February so non-leap years still get an
+// occurrence, matching how the app rolls those events forward.
+function yearlyRule(dateStr) {
+  return dateStr.endsWith('-02-29') ? 'FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=-1' : 'FREQ=YEARLY';
+}
+
+function alarmLines(event, days) {
+  const when = days === 0 ? 'today' : days === 1 ? 'tomorrow' : `in ${days} days`;
+  return [
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    `TRIGGER;RELATED=START:${days === 0 ? 'PT0S' : `-P${days}D`}`,
+    `DESCRIPTION:${escapeText(`${event.name} is ${when}`)}`,
+    'END:VALARM',
+  ];
+}
+
+// `event` needs id, name, date, type, status, recurring and updated_at, plus
+// contact_name. Set `has_successor` on recurring occurrences that were already
+// rolled forward into a new row: they are emitted once, without an RRULE, so
+// the calendar does not show each year twice. An explicit `rrule` replaces the
+// plain yearly rule; null means the dates can't be expressed as one.
+function eventLines(event, { alarmDays = [], now = new Date() } = {}) {
+  const description = [`For ${event.contact_name}`, `Type: ${event.type}`, `Status: ${event.status}`];
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.id}@gift-scheduler`,
+    `DTSTAMP:${formatTimestamp(now)}`,
+    `LAST-MODIFIED:${formatTimestamp(event.updated_at || now)}`,
+    `DTSTART;VALUE=DATE:${formatDate(event.date)}`,
+    `DTEND;VALUE=DATE:${formatDate(nextDay(event.date))}`,
+    `SUMMARY:${escapeText(event.name)}`,
+    `DESCRIPTION:${escapeText(description.join('\n'))}`,
+    `CATEGORIES:${escapeText(event.type)}`,
+    'TRANSP:TRANSPARENT',
+  ];
+  const rule = event.rrule !== undefined ? event.rrule : yearlyRule(event.date);
+  if (event.recurring && !event.has_successor && rule) {
+    lines.push(`RRULE:${rule}`);
+  }
+  for (const days of alarmDays) lines.push(...alarmLines(event, days));
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+// Build a VCALENDAR document. `alarmDays(event)` returns the day counts before
+// the event at which a VALARM should fire.
+function buildCalendar(events, { name = 'Gift Scheduler', alarmDays = () => [], now = new Date() } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+  for (const event of events) {
+    lines.push(...eventLines(event, { alarmDays: alarmDays(event), now }));
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (_, c) => (c === 'n' || c === 'N' ? '\n' : c));
+}
+
+// Split a content line into name, parameters and value. Parameter values may be
+// quoted and contain ':' or ';'.
+function parseContentLine(line) {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    else if (line[i] === ':' && !inQuotes) { colon = i; break; }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, colon).match(/(?:[^;"]|"[^"]*")+/g) || [];
+  if (!name) return null;
+  const params = {};
+  for (const raw of rawParams) {
+    const eq = raw.indexOf('=');
+    if (eq === -1) continue;
+    params[raw.slice(0, eq).toUpperCase()] = raw.slice(eq + 1).replace(/^"|"$/g, '');
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+// DTSTART value -> { date: 'YYYY-MM-DD', all_day }. Times are dropped: events
+// in this app are whole days.
+function parseDateValue(value, params) {
+  const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(value.trim());
+  if (!match) return null;
+  return {
+    date: `${match[1]}-${match[2]}-${match[3]}`,
+    all_day: params.VALUE === 'DATE' || !match[4],
+  };
+}
+
+function parseRule(value) {
+  const rule = {};
+  for (const part of value.split(';')) {
+    const [key, val] = part.split('=');
+    if (key && val) rule[key.toUpperCase()] = val.toUpperCase();
+  }
+  return rule;
+}
+
+// Parse the VEVENTs of an .ics document. Lines are unfolded first; nested
+// components such as VALARM are skipped. Each event has uid, summary,
+// description, categories, date (null when DTSTART is missing or unreadable),
+// all_day, rrule (null or e.g. { FREQ: 'YEARLY' }) and attendees ({ name, email }).
+function parseCalendar(text) {
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let current = null;
+  let depth = 0;
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    const prop = parseContentLine(line);
+    if (!prop) continue;
+
+    if (prop.name === 'BEGIN') {
+      if (prop.value.toUpperCase() === 'VEVENT' && !current) {
+        current = { uid: null, summary: '', description: '', categories: [], date: null, all_day: true, rrule: null, attendees: [] };
+        depth = 0;
+      } else if (current) {
+        depth++;
+      }
+      continue;
+    }
+    if (prop.name === 'END') {
+      if (!current) continue;
+      if (depth > 0) depth--;
+      else if (prop.value.toUpperCase() === 'VEVENT') {
+        events.push(current);
+        current = null;
+      }
+      continue;
+    }
+    if (!current || depth > 0) continue;
+
+    switch (prop.name) {
+      case 'UID': current.uid = prop.value.trim(); break;
+      case 'SUMMARY': current.summary = unescapeText(prop.value).trim(); break;
+      case 'DESCRIPTION': current.description = unescapeText(prop.value).trim(); break;
+      case 'CATEGORIES':
+        current.categories.push(...unescapeText(prop.value.replace(/\\,/g, '\u0000')).split(',')
+          .map(c => c.replace(/\u0000/g, ',').trim()).filter(Boolean));
+        break;
+      case 'DTSTART': {
+        const parsed = parseDateValue(prop.value, prop.params);
+        if (parsed) Object.assign(current, parsed);
+        break;
+      }
+      case 'RRULE': current.rrule = parseRule(prop.value); break;
+      case 'ATTENDEE': {
+        const email = prop.value.replace(/^mailto:/i, '').trim();
+        current.attendees.push({
+          name: prop.params.CN ? unescapeText(prop.params.CN).trim() : null,
+          email: email.includes('@') ? email.toLowerCase() : null,
+        });
+        break;
+      }
+      default: break;
+    }
+  }
+
+  return events;
+}
+
+module.exports = {
+  escapeText, unescapeText, foldLine, formatTimestamp, parseContentLine, buildCalendar, parseCalendar,
+};
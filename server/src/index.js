@@ -5,12 +5,19 @@ const rateLimit = require('express-rate-limit');
 const path = require('path');
 const { getDb, closeDb } = require('./database');
 const { requireAuth } = require('./middleware');
+const { startScheduler, stopScheduler } = require('./scheduler');
 
 const authRouter = require('./routes/auth');
+const calendarRouter = require('./routes/calendar');
 const contactsRouter = require('./routes/contacts');
+const householdsRouter = require('./routes/households');
+const segmentsRouter = require('./routes/segments');
 const eventsRouter = require('./routes/events');
+const holidaysRouter = require('./routes/holidays');
+const eventTypesRouter = require('./routes/eventTypes');
 const budgetsRouter = require('./routes/budgets');
 const giftsRouter = require('./routes/gifts');
+const catalogRouter = require('./routes/catalog');
 const cardsRouter = require('./routes/cards');
 const approvalsRouter = require('./routes/approvals');
 const ordersRouter = require('./routes/orders');
@@ -111,13 +118,21 @@ app.get('/api/health', (req, res) => {
 
 app.use('/api/auth', authRouter);
 
+// Calendar feed — authenticated by its own token (calendar apps cannot send a JWT)
+app.use('/api/events', calendarRouter);
+
 // Authentication middleware — all routes below require a valid JWT
 app.use('/api', requireAuth);
 
 // Protected API routes
 app.use('/api/contacts', contactsRouter);
+app.use('/api/households', householdsRouter);
+app.use('/api/segments', segmentsRouter);
 app.use('/api/events', eventsRouter);
+app.use('/api/holidays', holidaysRouter);
+app.use('/api/event-types', eventTypesRouter);
 app.use('/api/budgets', budgetsRouter);
+app.use('/api/gifts/catalog', catalogRouter);
 app.use('/api/gifts', giftsRouter);
 app.use('/api/cards', cardsRouter);
 app.use('/api/approvals', approvalsRouter);
@@ -147,6 +162,12 @@ app.use((err, req, res, _next) => {
 getDb();
 console.log('Database initialized');
 
+// Background jobs (recurring event roll-over, etc.) — set SCHEDULER_ENABLED=false to disable
+if (process.env.SCHEDULER_ENABLED !== 'false') {
+  startScheduler();
+  console.log('Scheduler started');
+}
+
 const server = app.listen(PORT, () => {
   console.log(`Gift Scheduler API running on port ${PORT}`);
 });
@@ -154,6 +175,7 @@ const server = app.listen(PORT, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received. Shutting down gracefully...');
+  stopScheduler();
   server.close(() => {
     closeDb();
     process.exit(0);
@@ -162,6 +184,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('SIGINT received. Shutting down...');
+  stopScheduler();
   server.close(() => {
     closeDb();
     process.exit(0);
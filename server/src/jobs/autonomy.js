@@ -0,0 +1,147 @@
+const { v4: uuidv4 } = require('uuid');
+const { getDb, getDefaultLeadTimeDays } = require('../database');
+const { logAudit } = require('../audit');
+const { todayIso, daysBetween } = require('../dates');
+const { resolveAutonomy, isEmergencyStopActive } = require('../autonomy');
+const { draftRecommendations, saveRecommendations } = require('../routes/gifts');
+const { draftCardMessages, saveCardMessages } = require('../routes/cards');
+const { placeOrder } = require('../routes/orders');
+
+// Generate gift recommendations and card drafts once, the first time the
+// engine sees an event inside its lead window. Both are drafted first (the
+// retailer search and LLM call are async), then saved together with the
+// notification in one transaction, so a failure leaves the event to be tried
+// again on the next run rather than half done.
+async function autoRecommend(db, event) {
+  const hasGifts = db.prepare('SELECT 1 FROM gift_recommendations WHERE event_id = ? LIMIT 1').get(event.id);
+  const hasCards = db.prepare('SELECT 1 FROM card_messages WHERE event_id = ? LIMIT 1').get(event.id);
+  if (hasGifts && hasCards) return false;
+
+  const gifts = hasGifts ? null : await draftRecommendations(db, event);
+  const cards = hasCards ? null : await draftCardMessages(db, event, null);
+
+  db.transaction(() => {
+    if (gifts) saveRecommendations(db, event, gifts, 'system');
+    if (cards) saveCardMessages(db, event, cards, 'system');
+    db.prepare(`
+      INSERT INTO notifications (id, event_id, type, message)
+      VALUES (?, ?, 'approval_needed', ?)
+    `).run(uuidv4(), event.id,
+      `Gift ideas and card drafts for ${event.name} (${event.date}) are ready for review.`);
+  })();
+  return true;
+}
+
+// Approve the best in-stock recommendation within max_budget (plus the first
+// card draft) on the owner's behalf and place the order. Events that already
+// have an approval or a live order were decided by someone and are left alone.
+function autoPurchase(db, event, maxBudget) {
+  const decided = db.prepare(`
+    SELECT 1 FROM approvals WHERE event_id = ?
+    UNION ALL SELECT 1 FROM orders WHERE event_id = ? AND status != 'cancelled'
+    LIMIT 1
+  `).get(event.id, event.id);
+  if (decided) return false;
+
+  // Recommendations are stored in ranking order, so rowid order is best first
+  const gift = db.prepare(`
+    SELECT * FROM gift_recommendations
+    WHERE event_id = ? AND status = 'recommended' AND in_stock = 1 AND (? IS NULL OR price <= ?)
+    ORDER BY rowid ASC
+    LIMIT 1
+  `).get(event.id, maxBudget, maxBudget);
+
+  if (!gift) {
+    const warned = db.prepare(`
+      SELECT 1 FROM notifications WHERE event_id = ? AND type = 'budget_warning'
+    `).get(event.id);
+    if (!warned) {
+      db.prepare(`
+        INSERT INTO notifications (id, event_id, type, message)
+        VALUES (?, ?, 'budget_warning', ?)
+      `).run(uuidv4(), event.id, maxBudget === null
+        ? `Auto purchase skipped for ${event.name}: no in-stock gift within budget. Please choose one manually.`
+        : `Auto purchase skipped for ${event.name}: no in-stock gift within the $${maxBudget} limit. Please choose one manually.`);
+      logAudit('autonomy_skip', 'event', event.id, { reason: 'no_gift_within_budget', max_budget: maxBudget }, 'system');
+    }
+    return false;
+  }
+
+  const card = db.prepare(`
+    SELECT * FROM card_messages WHERE event_id = ? ORDER BY selected DESC, rowid ASC LIMIT 1
+  `).get(event.id);
+
+  const approvalId = uuidv4();
+  db.prepare(`
+    INSERT INTO approvals (id, event_id, gift_recommendation_id, card_message_id, approved_by, status, notes)
+    VALUES (?, ?, ?, ?, 'system', 'approved', ?)
+  `).run(approvalId, event.id, gift.id, card ? card.id : null, 'Approved automatically under auto_purchase autonomy');
+  db.prepare("UPDATE gift_recommendations SET status = 'approved' WHERE id = ?").run(gift.id);
+  if (card) {
+    db.prepare('UPDATE card_messages SET selected = 0 WHERE event_id = ?').run(event.id);
+    db.prepare('UPDATE card_messages SET selected = 1 WHERE id = ?').run(card.id);
+  }
+
+  logAudit('approve', 'approval', approvalId, {
+    event_id: event.id,
+    gift_recommendation_id: gift.id,
+    card_message_id: card ? card.id : null,
+    max_budget: maxBudget,
+    automated: true,
+  }, 'system');
+
+  placeOrder(db, gift, event.id, approvalId, 'system');
+  return true;
+}
+
+// Act on events whose lead window is open according to their resolved autonomy
+// level. Emergency stop is checked before every automated step, so activating
+// it mid-run (e.g. while a retailer search is in flight) halts the engine at
+// the next step.
+async function runAutonomy(now = new Date()) {
+  const db = getDb();
+  const today = todayIso(now);
+  const summary = { checked: 0, recommended: 0, purchased: 0, halted: false };
+
+  if (isEmergencyStopActive()) {
+    summary.halted = true;
+    return summary;
+  }
+
+  const defaultLead = getDefaultLeadTimeDays();
+  const events = db.prepare(`
+    SELECT e.*, c.name as contact_name, c.preferences, c.constraints, c.relationship, c.notes
+    FROM events e
+    JOIN contacts c ON e.contact_id = c.id
+    WHERE e.status IN ('upcoming', 'in_progress')
+    AND e.belated = 0
+    AND e.date >= ?
+    ORDER BY e.date ASC
+  `).all(today);
+
+  for (const event of events) {
+    if (daysBetween(today, event.date) > (event.lead_time_days || defaultLead)) continue;
+
+    const autonomy = resolveAutonomy(db, event);
+    if (autonomy.level === 'manual') continue;
+    summary.checked++;
+
+    if (isEmergencyStopActive()) {
+      summary.halted = true;
+      break;
+    }
+    if (await autoRecommend(db, event)) summary.recommended++;
+
+    if (autonomy.level !== 'auto_purchase') continue;
+
+    if (isEmergencyStopActive()) {
+      summary.halted = true;
+      break;
+    }
+    if (db.transaction(() => autoPurchase(db, event, autonomy.max_budget))()) summary.purchased++;
+  }
+
+  return summary;
+}
+
+module.exports = { runAutonomy };
@@ -0,0 +1,61 @@
+const { v4: uuidv4 } = require('uuid');
+const { getDb } = require('../database');
+const { logAudit } = require('../audit');
+const { todayIso } = require('../dates');
+
+// Mark open events whose date has passed without a delivered order or an approved
+// card as 'missed', and raise an 'event_missed' notification for each.
+//
+// Occurrences that were already in the past when the event was entered (e.g. a
+// birthday event still dated on the birth date) were never actually missed; the
+// recurring job advances those instead. Events reopened for a belated gift are
+// skipped so they are not flagged a second time.
+function markMissedEvents(now = new Date()) {
+  const db = getDb();
+  const today = todayIso(now);
+
+  const missed = db.prepare(`
+    SELECT e.*, c.name as contact_name
+    FROM events e
+    JOIN contacts c ON e.contact_id = c.id
+    WHERE e.status IN ('upcoming', 'in_progress')
+    AND e.belated = 0
+    AND e.date < ?
+    AND e.date >= date(e.created_at)
+    AND NOT EXISTS (
+      SELECT 1 FROM orders o WHERE o.event_id = e.id AND o.status = 'delivered'
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM approvals a
+      WHERE a.event_id = e.id AND a.status = 'approved' AND a.card_message_id IS NOT NULL
+    )
+    ORDER BY e.date ASC
+  `).all(today);
+
+  const updateStmt = db.prepare(`
+    UPDATE events SET status = 'missed', updated_at = datetime('now') WHERE id = ?
+  `);
+  const notifyStmt = db.prepare(`
+    INSERT INTO notifications (id, event_id, type, message)
+    VALUES (?, ?, 'event_missed', ?)
+  `);
+
+  const markAll = db.transaction(() => {
+    for (const event of missed) {
+      updateStmt.run(event.id);
+      notifyStmt.run(uuidv4(), event.id,
+        `Missed: ${event.name} (${event.date}) passed without a delivered gift or approved card. You can still send a belated gift.`);
+      logAudit('mark_missed', 'event', event.id, {
+        name: event.name,
+        date: event.date,
+        previous_status: event.status,
+      }, 'system');
+    }
+  });
+
+  markAll();
+
+  return { missed: missed.length };
+}
+
+module.exports = { markMissedEvents };
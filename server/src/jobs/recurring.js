@@ -0,0 +1,109 @@
+const { v4: uuidv4 } = require('uuid');
+const { getDb } = require('../database');
+const { logAudit } = require('../audit');
+const { todayIso, nextAnnualOccurrence } = require('../dates');
+const { getHoliday, nextHolidayDate } = require('../holidays');
+const { copyEventRecipients } = require('../recipients');
+
+// An occurrence has history once anyone has worked on it — recommendations,
+// card drafts, approvals or orders — or its status has moved on from 'upcoming'.
+// Those occurrences are kept as-is and a new linked row is created for next year.
+function hasHistory(db, event) {
+  if (event.status !== 'upcoming') return true;
+  return !!db.prepare(`
+    SELECT 1 FROM gift_recommendations WHERE event_id = ?
+    UNION ALL SELECT 1 FROM card_messages WHERE event_id = ?
+    UNION ALL SELECT 1 FROM approvals WHERE event_id = ?
+    UNION ALL SELECT 1 FROM orders WHERE event_id = ?
+    LIMIT 1
+  `).get(event.id, event.id, event.id, event.id);
+}
+
+// Delete an untouched occurrence that `replacement` (an event for the same
+// occasion) stands in for. The deleted occurrence's predecessor would otherwise
+// be left without a successor and rolled forward again, so it becomes the
+// replacement's predecessor, or stops recurring if the replacement already has
+// one.
+function replaceOccurrence(db, event, replacement) {
+  if (event.previous_event_id) {
+    const { previous_event_id: replacementPrevious } = db.prepare('SELECT previous_event_id FROM events WHERE id = ?')
+      .get(replacement.id);
+    if (replacementPrevious) {
+      db.prepare("UPDATE events SET recurring = 0, updated_at = datetime('now') WHERE id = ?").run(event.previous_event_id);
+    } else {
+      db.prepare("UPDATE events SET previous_event_id = ?, updated_at = datetime('now') WHERE id = ?")
+        .run(event.previous_event_id, replacement.id);
+    }
+  }
+  db.prepare('DELETE FROM events WHERE id = ?').run(event.id);
+}
+
+// Roll every past recurring event forward to its next annual date.
+// Untouched occurrences (e.g. a birthday event still dated on the birth date)
+// are advanced in place; occurrences with history get a successor row that
+// points back at them through previous_event_id. Holiday events move to the
+// holiday's computed date for the new year (Easter, Mother's Day...); when a
+// lunisolar table has no further years they are left where they are.
+function rollRecurringEvents(now = new Date()) {
+  const db = getDb();
+  const today = todayIso(now);
+
+  const dueEvents = db.prepare(`
+    SELECT e.* FROM events e
+    WHERE e.recurring = 1
+    AND e.date < ?
+    AND NOT EXISTS (SELECT 1 FROM events n WHERE n.previous_event_id = e.id)
+    ORDER BY e.date ASC
+  `).all(today);
+
+  const advanceStmt = db.prepare(`
+    UPDATE events SET date = ?, updated_at = datetime('now') WHERE id = ?
+  `);
+  const insertStmt = db.prepare(`
+    INSERT INTO events (id, contact_id, type, name, date, recurring, lead_time_days, status, previous_event_id, holiday_id)
+    VALUES (?, ?, ?, ?, ?, 1, ?, 'upcoming', ?, ?)
+  `);
+
+  let advanced = 0;
+  let created = 0;
+  let unscheduled = 0;
+
+  const rollAll = db.transaction(() => {
+    for (const event of dueEvents) {
+      const holiday = event.holiday_id && getHoliday(event.holiday_id);
+      const nextDate = holiday ? nextHolidayDate(holiday, today) : nextAnnualOccurrence(event.date, today);
+      if (!nextDate) {
+        unscheduled++;
+        continue;
+      }
+
+      if (hasHistory(db, event)) {
+        const id = uuidv4();
+        insertStmt.run(id, event.contact_id, event.type, event.name, nextDate, event.lead_time_days, event.id,
+          event.holiday_id || null);
+        copyEventRecipients(db, event.id, id);
+        logAudit('rollover', 'event', id, {
+          previous_event_id: event.id,
+          previous_date: event.date,
+          date: nextDate,
+          mode: 'created',
+        }, 'system');
+        created++;
+      } else {
+        advanceStmt.run(nextDate, event.id);
+        logAudit('rollover', 'event', event.id, {
+          previous_date: event.date,
+          date: nextDate,
+          mode: 'advanced',
+        }, 'system');
+        advanced++;
+      }
+    }
+  });
+
+  rollAll();
+
+  return { checked: dueEvents.length, advanced, created, unscheduled };
+}
+
+module.exports = { rollRecurringEvents, hasHistory, replaceOccurrence };
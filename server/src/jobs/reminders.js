@@ -0,0 +1,116 @@
+const { v4: uuidv4 } = require('uuid');
+const { getDb, getSetting, getDefaultLeadTimeDays } = require('../database');
+const { logAudit } = require('../audit');
+const { todayIso, daysBetween } = require('../dates');
+
+const DEFAULT_MILESTONES = 'lead,7,2';
+
+// Parse the `reminder_milestones` setting: a comma-separated list of day counts,
+// where 'lead' stands for the event's own lead time. Returns null when invalid.
+function parseMilestones(value) {
+  const parts = String(value).split(',').map(p => p.trim().toLowerCase()).filter(Boolean);
+  if (parts.length === 0) return null;
+
+  const milestones = [];
+  for (const part of parts) {
+    if (part === 'lead') {
+      milestones.push('lead');
+    } else if (/^\d+$/.test(part) && parseInt(part, 10) <= 365) {
+      milestones.push(parseInt(part, 10));
+    } else {
+      return null;
+    }
+  }
+  return milestones;
+}
+
+// Milestones from the `reminder_milestones` setting, falling back to the default
+// when the stored value is invalid
+function configuredMilestones() {
+  return parseMilestones(getSetting('reminder_milestones', DEFAULT_MILESTONES))
+    || parseMilestones(DEFAULT_MILESTONES);
+}
+
+// Resolve milestones to distinct day counts for one event, largest first
+function milestoneDays(milestones, leadTimeDays) {
+  const days = milestones.map(m => (m === 'lead' ? leadTimeDays : m));
+  return [...new Set(days)].sort((a, b) => b - a);
+}
+
+function reminderMessage(event, daysUntil, isLead) {
+  const when = daysUntil === 0 ? 'today' : daysUntil === 1 ? 'tomorrow' : `in ${daysUntil} days`;
+  const base = `Reminder: ${event.name} for ${event.contact_name} is ${when} (${event.date}).`;
+  return isLead ? `${base} Time to pick a gift and card.` : base;
+}
+
+// Emit 'event_reminder' notifications as open events cross each configured
+// milestone. Every milestone is recorded in event_reminders per occurrence date,
+// so a reminder is never sent twice — even if the job runs several times a day
+// or the server was down across several milestones. When more than one milestone
+// is due at once only the nearest is notified; the rest are recorded as passed.
+function sendEventReminders(now = new Date()) {
+  const db = getDb();
+  const today = todayIso(now);
+
+  const defaultLead = getDefaultLeadTimeDays();
+  const milestones = configuredMilestones();
+
+  const events = db.prepare(`
+    SELECT e.*, c.name as contact_name
+    FROM events e
+    JOIN contacts c ON e.contact_id = c.id
+    WHERE e.status IN ('upcoming', 'in_progress')
+    AND e.date >= ?
+    ORDER BY e.date ASC
+  `).all(today);
+
+  const sentStmt = db.prepare(`
+    SELECT milestone_days FROM event_reminders WHERE event_id = ? AND event_date = ?
+  `);
+  const recordStmt = db.prepare(`
+    INSERT OR IGNORE INTO event_reminders (id, event_id, event_date, milestone_days, notification_id)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+  const notifyStmt = db.prepare(`
+    INSERT INTO notifications (id, event_id, type, message)
+    VALUES (?, ?, 'event_reminder', ?)
+  `);
+
+  let sent = 0;
+
+  const sendAll = db.transaction(() => {
+    for (const event of events) {
+      const daysUntil = daysBetween(today, event.date);
+      const leadTime = event.lead_time_days || defaultLead;
+      const due = milestoneDays(milestones, leadTime).filter(d => daysUntil <= d);
+      if (due.length === 0) continue;
+
+      const alreadySent = new Set(sentStmt.all(event.id, event.date).map(r => r.milestone_days));
+      const pending = due.filter(d => !alreadySent.has(d));
+      if (pending.length === 0) continue;
+
+      const nearest = due[due.length - 1];
+      let notificationId = null;
+      if (pending.includes(nearest)) {
+        notificationId = uuidv4();
+        notifyStmt.run(notificationId, event.id, reminderMessage(event, daysUntil, nearest === leadTime));
+        logAudit('send_reminder', 'event', event.id, {
+          date: event.date,
+          milestone_days: nearest,
+          days_until: daysUntil,
+        }, 'system');
+        sent++;
+      }
+
+      for (const days of pending) {
+        recordStmt.run(uuidv4(), event.id, event.date, days, days === nearest ? notificationId : null);
+      }
+    }
+  });
+
+  sendAll();
+
+  return { checked: events.length, sent };
+}
+
+module.exports = { sendEventReminders, parseMilestones, configuredMilestones, milestoneDays };
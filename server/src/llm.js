@@ -0,0 +1,153 @@
+const { fetchJson } = require('./http');
+const { getActiveLlmProvider } = require('./routes/integrations');
+const { getCredential } = require('./secrets');
+
+// Card message generation through the active LLM provider. Callers fall back to
+// the built-in templates when this throws (no provider, HTTP error, timeout or
+// an unusable response).
+
+const DEFAULT_MODELS = {
+  claude: 'claude-sonnet-4-5-20250929',
+  openai: 'gpt-4o',
+  gemini: 'gemini-2.0-flash',
+};
+
+const MAX_MESSAGE_LENGTH = 1000;
+
+function timeoutMs() {
+  return parseInt(process.env.LLM_TIMEOUT_MS, 10) || 15000;
+}
+
+// Describe the recipient and occasion for the model. Only fields the owner has
+// entered are included.
+function buildCardPrompt({ contact, event, tones, perTone = 2 }) {
+  const preferences = contact.preferences || {};
+  const constraints = contact.constraints || {};
+  const lines = [
+    `Write greeting card messages for ${contact.name}.`,
+    `Relationship to me: ${contact.relationship}.`,
+    `Occasion: ${event.name} (${event.type}).`,
+  ];
+  if (event.milestone) lines.push(`This is a milestone: ${contact.name}'s ${event.milestone.label}.`);
+  if (event.belated) lines.push('The occasion has already passed, so the messages should be belated wishes.');
+  if (contact.notes) lines.push(`Notes about ${contact.name}: ${contact.notes}`);
+  if (preferences.interests?.length) lines.push(`Interests: ${preferences.interests.join(', ')}.`);
+  if (constraints.avoid_categories?.length) lines.push(`Topics to avoid: ${constraints.avoid_categories.join(', ')}.`);
+  lines.push(
+    `Write ${perTone} different messages for each of these tones: ${tones.join(', ')}.`,
+    'Each message should be 1-3 sentences, address the recipient by name, and be ready to sign.',
+    'Respond with JSON only, in the form {"messages": [{"tone": "<tone>", "message": "<text>"}]}.'
+  );
+  return lines.join('\n');
+}
+
+async function callClaude(prompt) {
+  const base = process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com';
+  const data = await fetchJson(`${base}/v1/messages`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': getCredential('claude', 'ANTHROPIC_API_KEY'),
+      'anthropic-version': '2023-06-01',
+    },
+    body: JSON.stringify({
+      model: getCredential('claude', 'ANTHROPIC_MODEL') || DEFAULT_MODELS.claude,
+      max_tokens: 1024,
+      messages: [{ role: 'user', content: prompt }],
+    }),
+    timeoutMs: timeoutMs(),
+  });
+  return (data.content || []).filter(c => c.type === 'text').map(c => c.text).join('');
+}
+
+async function callChatCompletions(baseUrl, apiKey, model, prompt) {
+  const data = await fetchJson(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${apiKey}`,
+    },
+    body: JSON.stringify({
+      model,
+      messages: [{ role: 'user', content: prompt }],
+      temperature: 0.8,
+    }),
+    timeoutMs: timeoutMs(),
+  });
+  return data.choices?.[0]?.message?.content || '';
+}
+
+async function callGemini(prompt) {
+  const base = process.env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com/v1beta';
+  const model = getCredential('gemini', 'GEMINI_MODEL') || DEFAULT_MODELS.gemini;
+  const data = await fetchJson(`${base}/models/${encodeURIComponent(model)}:generateContent`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-goog-api-key': getCredential('gemini', 'GEMINI_API_KEY'),
+    },
+    body: JSON.stringify({ contents: [{ parts: [{ text: prompt }] }] }),
+    timeoutMs: timeoutMs(),
+  });
+  return (data.candidates?.[0]?.content?.parts || []).map(p => p.text || '').join('');
+}
+
+function complete(provider, prompt) {
+  switch (provider) {
+    case 'claude':
+      return callClaude(prompt);
+    case 'openai':
+      return callChatCompletions(
+        process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        getCredential('openai', 'OPENAI_API_KEY'),
+        getCredential('openai', 'OPENAI_MODEL') || DEFAULT_MODELS.openai,
+        prompt
+      );
+    case 'gemini':
+      return callGemini(prompt);
+    case 'openai_compatible':
+      return callChatCompletions(
+        getCredential('openai_compatible', 'OPENAI_COMPATIBLE_BASE_URL'),
+        getCredential('openai_compatible', 'OPENAI_COMPATIBLE_API_KEY'),
+        getCredential('openai_compatible', 'OPENAI_COMPATIBLE_MODEL'),
+        prompt
+      );
+    default:
+      throw new Error(`Unsupported LLM provider: ${provider}`);
+  }
+}
+
+// Pull the {"messages": [...]} object out of the model's reply, tolerating
+// surrounding prose or a fenced code block, and keep only usable messages in
+// the requested tones.
+function parseCardMessages(text, tones) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) throw new Error('LLM response did not contain JSON');
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text.slice(start, end + 1));
+  } catch {
+    throw new Error('LLM response was not valid JSON');
+  }
+
+  const messages = (Array.isArray(parsed.messages) ? parsed.messages : [])
+    .filter(m => m && tones.includes(m.tone) && typeof m.message === 'string' && m.message.trim())
+    .map(m => ({ tone: m.tone, message: m.message.trim().slice(0, MAX_MESSAGE_LENGTH) }));
+
+  if (messages.length === 0) throw new Error('LLM response contained no usable messages');
+  return messages;
+}
+
+// Generate card messages with the active provider. Resolves to
+// { provider, messages: [{ tone, message }] }.
+async function generateCardText({ contact, event, tones }) {
+  const provider = getActiveLlmProvider();
+  if (!provider) throw new Error('No LLM provider configured');
+
+  const text = await complete(provider, buildCardPrompt({ contact, event, tones }));
+  return { provider, messages: parseCardMessages(text, tones) };
+}
+
+module.exports = { buildCardPrompt, parseCardMessages, generateCardText };
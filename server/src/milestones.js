@@ -0,0 +1,84 @@
+// Milestone birthdays and anniversaries. A contact's birthday and anniversary
+// are stored as full dates, so each birthday or anniversary event knows how
+// old the contact turns (or how many years they have been married) in the
+// event's year. Round numbers, plus 16, 18 and 21, are milestones: they raise
+// the effective budget (see routes/budgets.js), switch cards to milestone
+// templates and lean gift scoring towards the milestone's tags.
+//
+// Dates imported without a year are stored with UNKNOWN_YEAR (see dates.js)
+// and have no milestones.
+
+const { hasUnknownYear } = require('./dates');
+
+const MILESTONE_BIRTHDAYS = [16, 18, 21, 30, 40, 50, 60, 70, 75, 80, 90, 100];
+
+// Traditional anniversary names
+const ANNIVERSARY_NAMES = {
+  5: 'wood', 10: 'tin', 15: 'crystal', 20: 'china', 25: 'silver', 30: 'pearl',
+  35: 'coral', 40: 'ruby', 45: 'sapphire', 50: 'golden', 55: 'emerald', 60: 'diamond', 70: 'platinum',
+};
+
+// Catalog tags that suit a milestone gift
+const MILESTONE_TAGS = {
+  birthday: ['sentimental', 'luxury', 'experience', 'memories'],
+  anniversary: ['sentimental', 'romantic', 'luxury', 'memories'],
+};
+
+function ordinal(n) {
+  const teen = n % 100 >= 11 && n % 100 <= 13;
+  const suffix = teen ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+  return `${n}${suffix}`;
+}
+
+// The contact date an event counts years from, or null for other types
+function originDate(event, contact) {
+  if (!contact) return null;
+  if (event.type === 'birthday') return contact.birthday || null;
+  if (event.type === 'anniversary') return contact.anniversary || null;
+  return null;
+}
+
+// The age the contact turns (birthdays) or years married (anniversaries) on
+// the event's date, or null when unknown
+function eventYears(event, contact) {
+  const origin = originDate(event, contact);
+  if (!origin || !event.date || hasUnknownYear(origin)) return null;
+  const years = Number(event.date.slice(0, 4)) - Number(origin.slice(0, 4));
+  return years >= 1 ? years : null;
+}
+
+// Describe the event's milestone ({ kind, years, label, tags }), or null
+function eventMilestone(event, contact) {
+  const years = eventYears(event, contact);
+  if (years === null) return null;
+
+  if (event.type === 'birthday' && MILESTONE_BIRTHDAYS.includes(years)) {
+    return { kind: 'birthday', years, label: `${ordinal(years)} birthday`, tags: MILESTONE_TAGS.birthday };
+  }
+  if (event.type === 'anniversary' && ANNIVERSARY_NAMES[years]) {
+    return {
+      kind: 'anniversary',
+      years,
+      name: ANNIVERSARY_NAMES[years],
+      label: `${ordinal(years)} "${ANNIVERSARY_NAMES[years]}" anniversary`,
+      tags: MILESTONE_TAGS.anniversary,
+    };
+  }
+  return null;
+}
+
+// Annotate an event row selected with its contact's dates (as
+// contact_birthday and contact_anniversary) with its milestone
+function withMilestone(row) {
+  const { contact_birthday, contact_anniversary, ...event } = row;
+  return { ...event, milestone: eventMilestone(event, { birthday: contact_birthday, anniversary: contact_anniversary }) };
+}
+
+module.exports = {
+  MILESTONE_BIRTHDAYS,
+  ANNIVERSARY_NAMES,
+  ordinal,
+  eventYears,
+  eventMilestone,
+  withMilestone,
+};
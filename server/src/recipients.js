@@ -0,0 +1,92 @@
+const { v4: uuidv4 } = require('uuid');
+const { listAddresses, householdAddress, resolveShippingAddress } = require('./addresses');
+
+// Shared (group) events: a couple's anniversary or a family holiday with one
+// gift, card, approval and order for everyone. The event's contact_id is the
+// primary recipient; event_recipients holds the others. Budgets are pooled
+// across recipients (see routes/budgets.js) and the shared gift shows in
+// every recipient's gift history (see history.js).
+
+// SQL condition matching events a contact receives, as primary or shared
+// recipient. Bind the contact id twice.
+const EVENT_FOR_CONTACT = '(e.contact_id = ? OR e.id IN (SELECT event_id FROM event_recipients WHERE contact_id = ?))';
+
+// Everyone an event is for, primary recipient first
+function eventRecipients(db, event) {
+  const primary = db.prepare('SELECT id, name, relationship FROM contacts WHERE id = ?').get(event.contact_id);
+  const others = db.prepare(`
+    SELECT c.id, c.name, c.relationship FROM event_recipients er
+    JOIN contacts c ON er.contact_id = c.id
+    WHERE er.event_id = ? ORDER BY er.created_at, c.name
+  `).all(event.id);
+  return [
+    ...(primary ? [{ ...primary, primary: true }] : []),
+    ...others.map(c => ({ ...c, primary: false })),
+  ];
+}
+
+// "Ann", "Ann and Bob", "Ann, Bob and Cy"
+function recipientNames(names) {
+  if (names.length <= 1) return names[0] || '';
+  return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+}
+
+// Replace the event's other recipients. The primary recipient is never
+// duplicated; callers check ownership of the ids.
+function setEventRecipients(db, event, contactIds) {
+  const wanted = [...new Set(contactIds)].filter(id => id !== event.contact_id);
+  const current = db.prepare('SELECT contact_id FROM event_recipients WHERE event_id = ?')
+    .all(event.id).map(r => r.contact_id);
+  const added = wanted.filter(id => !current.includes(id));
+  const removed = current.filter(id => !wanted.includes(id));
+
+  db.transaction(() => {
+    const insert = db.prepare('INSERT INTO event_recipients (id, event_id, contact_id) VALUES (?, ?, ?)');
+    for (const id of added) insert.run(uuidv4(), event.id, id);
+    const remove = db.prepare('DELETE FROM event_recipients WHERE event_id = ? AND contact_id = ?');
+    for (const id of removed) remove.run(event.id, id);
+  })();
+  return { added, removed };
+}
+
+// Copy an event's other recipients onto another (its next occurrence)
+function copyEventRecipients(db, fromEventId, toEventId) {
+  const insert = db.prepare('INSERT OR IGNORE INTO event_recipients (id, event_id, contact_id) VALUES (?, ?, ?)');
+  for (const { contact_id } of db.prepare('SELECT contact_id FROM event_recipients WHERE event_id = ?').all(fromEventId)) {
+    insert.run(uuidv4(), toEventId, contact_id);
+  }
+}
+
+// Addresses a gift for the event can ship to: every recipient's (or their
+// household's, when they have none of their own), labelled with whose they are
+function eventAddresses(db, event) {
+  const addresses = new Map();
+  for (const r of eventRecipients(db, event)) {
+    const own = listAddresses(db, r.id);
+    const shared = householdAddress(db, r.id);
+    for (const a of own.length > 0 ? own : [shared].filter(Boolean)) {
+      if (!addresses.has(a.id)) addresses.set(a.id, { ...a, contact_name: r.name });
+    }
+  }
+  return [...addresses.values()];
+}
+
+// The address to ship to: `addressId` if it belongs to any recipient,
+// otherwise the first recipient's default address (primary first)
+function resolveEventAddress(db, event, addressId = null) {
+  for (const recipient of eventRecipients(db, event)) {
+    const address = resolveShippingAddress(db, recipient.id, addressId);
+    if (address) return address;
+  }
+  return null;
+}
+
+module.exports = {
+  EVENT_FOR_CONTACT,
+  eventRecipients,
+  recipientNames,
+  setEventRecipients,
+  copyEventRecipients,
+  eventAddresses,
+  resolveEventAddress,
+};
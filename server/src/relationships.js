@@ -0,0 +1,73 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Links between contacts ("Anna is Ben's spouse", "Leo is Anna's child").
+// contacts.relationship stays the free-text relationship to the user; these
+// rows relate contacts to each other. Every link is stored in both directions,
+// each row from one contact's point of view: Leo -> Anna is 'parent' and
+// Anna -> Leo is 'child'.
+
+const INVERSE_RELATIONSHIPS = {
+  spouse: 'spouse',
+  partner: 'partner',
+  parent: 'child',
+  child: 'parent',
+  sibling: 'sibling',
+  grandparent: 'grandchild',
+  grandchild: 'grandparent',
+  in_law: 'in_law',
+  other: 'other',
+};
+
+const RELATIONSHIP_TYPES = Object.keys(INVERSE_RELATIONSHIPS);
+
+// Couples are greeted together ("Anna & Ben")
+const COUPLE_TYPES = ['spouse', 'partner'];
+
+// The contact's relatives, closest ties first. `type` is what the related
+// contact is to this one.
+function listRelationships(db, contactId) {
+  const rows = db.prepare(`
+    SELECT r.related_contact_id as contact_id, r.type, c.name, c.household_id
+    FROM contact_relationships r
+    JOIN contacts c ON r.related_contact_id = c.id
+    WHERE r.contact_id = ?
+    ORDER BY c.name
+  `).all(contactId);
+  return rows.sort((a, b) => RELATIONSHIP_TYPES.indexOf(a.type) - RELATIONSHIP_TYPES.indexOf(b.type));
+}
+
+// Record that `relatedId` is `type` to `contactId`, with the inverse link,
+// replacing any earlier type between the two
+function setRelationship(db, contactId, relatedId, type) {
+  const upsert = db.prepare(`
+    INSERT INTO contact_relationships (id, contact_id, related_contact_id, type) VALUES (?, ?, ?, ?)
+    ON CONFLICT(contact_id, related_contact_id) DO UPDATE SET type = excluded.type
+  `);
+  db.transaction(() => {
+    upsert.run(uuidv4(), contactId, relatedId, type);
+    upsert.run(uuidv4(), relatedId, contactId, INVERSE_RELATIONSHIPS[type]);
+  })();
+}
+
+// Remove the link between two contacts (both directions). Returns whether one existed.
+function removeRelationship(db, contactId, relatedId) {
+  return db.prepare(`
+    DELETE FROM contact_relationships
+    WHERE (contact_id = ? AND related_contact_id = ?) OR (contact_id = ? AND related_contact_id = ?)
+  `).run(contactId, relatedId, relatedId, contactId).changes > 0;
+}
+
+function isCouple(db, contactId, otherId) {
+  const row = db.prepare('SELECT type FROM contact_relationships WHERE contact_id = ? AND related_contact_id = ?')
+    .get(contactId, otherId);
+  return !!row && COUPLE_TYPES.includes(row.type);
+}
+
+module.exports = {
+  RELATIONSHIP_TYPES,
+  INVERSE_RELATIONSHIPS,
+  listRelationships,
+  setRelationship,
+  removeRelationship,
+  isCouple,
+};
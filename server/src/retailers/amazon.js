@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const { fetchJson } = require('../http');
+const { getCredential } = require('../secrets');
+
+// Amazon Product Advertising API 5.0. Requests are signed with AWS Signature
+// Version 4. AMAZON_API_BASE_URL overrides the endpoint (e.g. a local stand-in).
+const REGION = 'us-east-1';
+const SERVICE = 'ProductAdvertisingAPI';
+const TARGET_PREFIX = 'com.amazon.paapi5.v1.ProductAdvertisingAPIv1.';
+
+const RESOURCES = [
+  'ItemInfo.Title',
+  'ItemInfo.Features',
+  'Images.Primary.Medium',
+  'Offers.Listings.Price',
+  'Offers.Listings.Availability.Type',
+  'Offers.Listings.DeliveryInfo.IsPrimeEligible',
+];
+
+function baseUrl() {
+  return process.env.AMAZON_API_BASE_URL || 'https://webservices.amazon.com';
+}
+
+function hmac(key, value) {
+  return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Build the SigV4 headers for a PA-API operation
+function signedHeaders(url, operation, body, now = new Date()) {
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const headers = {
+    'content-encoding': 'amz-1.0',
+    'content-type': 'application/json; charset=utf-8',
+    host: url.host,
+    'x-amz-date': amzDate,
+    'x-amz-target': TARGET_PREFIX + operation,
+  };
+
+  const names = Object.keys(headers).sort();
+  const canonicalRequest = [
+    'POST',
+    url.pathname,
+    '',
+    names.map(n => `${n}:${headers[n]}\n`).join(''),
+    names.join(';'),
+    sha256(body),
+  ].join('\n');
+
+  const scope = `${dateStamp}/${REGION}/${SERVICE}/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  let signingKey = hmac(`AWS4${getCredential('amazon', 'AMAZON_API_SECRET')}`, dateStamp);
+  for (const part of [REGION, SERVICE, 'aws4_request']) signingKey = hmac(signingKey, part);
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...headers,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${getCredential('amazon', 'AMAZON_API_KEY')}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`,
+  };
+}
+
+async function callApi(operation, path, payload) {
+  const url = new URL(path, baseUrl());
+  const body = JSON.stringify({
+    PartnerTag: getCredential('amazon', 'AMAZON_PARTNER_TAG'),
+    PartnerType: 'Associates',
+    Marketplace: 'www.amazon.com',
+    Resources: RESOURCES,
+    ...payload,
+  });
+  return fetchJson(url.toString(), { method: 'POST', headers: signedHeaders(url, operation, body), body });
+}
+
+function toProduct(item) {
+  const listing = item.Offers?.Listings?.[0];
+  return {
+    external_id: item.ASIN,
+    name: item.ItemInfo?.Title?.DisplayValue || item.ASIN,
+    description: (item.ItemInfo?.Features?.DisplayValues || []).join(' '),
+    price: listing?.Price?.Amount,
+    retailer: 'Amazon',
+    url: item.DetailPageURL || null,
+    image_url: item.Images?.Primary?.Medium?.URL || null,
+    in_stock: listing?.Availability?.Type === 'Now',
+    prime: !!listing?.DeliveryInfo?.IsPrimeEligible,
+  };
+}
+
+module.exports = {
+  key: 'amazon',
+  label: 'Amazon',
+
+  isConfigured() {
+    return !!(getCredential('amazon', 'AMAZON_API_KEY') && getCredential('amazon', 'AMAZON_API_SECRET'));
+  },
+
+  async search({ keywords, maxPrice, limit }) {
+    const data = await callApi('SearchItems', '/paapi5/searchitems', {
+      Keywords: keywords,
+      SearchIndex: 'All',
+      ItemCount: Math.min(limit, 10),
+      ...(maxPrice !== undefined ? { MaxPrice: Math.round(maxPrice * 100) } : {}),
+    });
+    return (data.SearchResult?.Items || []).map(toProduct).filter(p => typeof p.price === 'number');
+  },
+
+  async lookup(externalId) {
+    const data = await callApi('GetItems', '/paapi5/getitems', { ItemIds: [externalId] });
+    const item = data.ItemsResult?.Items?.[0];
+    if (!item) return null;
+    const product = toProduct(item);
+    return { price: product.price, in_stock: product.in_stock };
+  },
+
+  estimateDelivery(product) {
+    return product.prime ? 2 : 5;
+  },
+};
@@ -0,0 +1,61 @@
+const { fetchJson } = require('../http');
+const { getCredential } = require('../secrets');
+
+// Etsy Open API v3. ETSY_API_BASE_URL overrides the endpoint (e.g. a local stand-in).
+function baseUrl() {
+  return process.env.ETSY_API_BASE_URL || 'https://openapi.etsy.com/v3';
+}
+
+function headers() {
+  return { 'x-api-key': getCredential('etsy', 'ETSY_API_KEY') };
+}
+
+// Etsy prices are { amount, divisor } pairs, e.g. { amount: 2499, divisor: 100 }
+function toPrice(price) {
+  if (!price || !price.divisor) return undefined;
+  return price.amount / price.divisor;
+}
+
+function toProduct(listing) {
+  return {
+    external_id: String(listing.listing_id),
+    name: listing.title,
+    description: listing.description || '',
+    price: toPrice(listing.price),
+    retailer: 'Etsy',
+    url: listing.url || null,
+    image_url: null,
+    in_stock: listing.quantity > 0,
+    tags: listing.tags || [],
+    processing_days: listing.processing_max,
+  };
+}
+
+module.exports = {
+  key: 'etsy',
+  label: 'Etsy',
+
+  isConfigured() {
+    return !!getCredential('etsy', 'ETSY_API_KEY');
+  },
+
+  async search({ keywords, maxPrice, limit }) {
+    const params = new URLSearchParams({ keywords, limit: String(limit), sort_on: 'score' });
+    if (maxPrice !== undefined) params.set('max_price', String(maxPrice));
+    const data = await fetchJson(`${baseUrl()}/application/listings/active?${params}`, { headers: headers() });
+    return (data.results || []).map(toProduct).filter(p => typeof p.price === 'number');
+  },
+
+  async lookup(externalId) {
+    const listing = await fetchJson(
+      `${baseUrl()}/application/listings/${encodeURIComponent(externalId)}`, { headers: headers() }
+    );
+    const product = toProduct(listing);
+    return { price: product.price, in_stock: product.in_stock };
+  },
+
+  // Handmade items: the shop's processing time plus standard shipping
+  estimateDelivery(product) {
+    return (product.processing_days || 3) + 4;
+  },
+};
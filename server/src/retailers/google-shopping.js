@@ -0,0 +1,49 @@
+const { fetchJson } = require('../http');
+const { getCredential } = require('../secrets');
+
+// Google Shopping results through SerpAPI. GOOGLE_SHOPPING_API_BASE_URL
+// overrides the endpoint (e.g. a local stand-in).
+function baseUrl() {
+  return process.env.GOOGLE_SHOPPING_API_BASE_URL || 'https://serpapi.com';
+}
+
+module.exports = {
+  key: 'google_shopping',
+  label: 'Google Shopping',
+
+  isConfigured() {
+    return !!getCredential('google_shopping', 'GOOGLE_SHOPPING_API_KEY');
+  },
+
+  async search({ keywords, maxPrice, limit }) {
+    const params = new URLSearchParams({
+      engine: 'google_shopping',
+      q: keywords,
+      num: String(limit),
+      api_key: getCredential('google_shopping', 'GOOGLE_SHOPPING_API_KEY'),
+    });
+    const data = await fetchJson(`${baseUrl()}/search.json?${params}`);
+    return (data.shopping_results || [])
+      .filter(r => typeof r.extracted_price === 'number')
+      .filter(r => maxPrice === undefined || r.extracted_price <= maxPrice)
+      .map(r => ({
+        external_id: r.product_id ? String(r.product_id) : null,
+        name: r.title,
+        description: r.snippet || '',
+        price: r.extracted_price,
+        retailer: r.source || 'Google Shopping',
+        url: r.product_link || r.link || null,
+        image_url: r.thumbnail || null,
+        in_stock: true,
+      }));
+  },
+
+  // Aggregated listings cannot be re-checked; the caller keeps the last known values
+  async lookup() {
+    return null;
+  },
+
+  estimateDelivery() {
+    return 5;
+  },
+};
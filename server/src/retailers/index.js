@@ -0,0 +1,97 @@
+const mock = require('./mock');
+const amazon = require('./amazon');
+const etsy = require('./etsy');
+const walmart = require('./walmart');
+const googleShopping = require('./google-shopping');
+
+// Retailer adapter registry. Every adapter implements the same interface:
+//   key, label
+//   isConfigured()                          — true when its credentials are set
+//   search({ category, keywords, maxPrice, limit }) — normalized products
+//   lookup(externalId)                      — current { price, in_stock }, or null
+//   estimateDelivery(product)               — business days from order to door,
+//                                             processing included (see delivery.js)
+// The mock adapter is the default and is only used when no provider is
+// configured or every configured provider fails or returns nothing.
+const ADAPTERS = [mock, amazon, etsy, walmart, googleShopping];
+
+function getAdapter(key) {
+  return ADAPTERS.find(a => a.key === key) || null;
+}
+
+function configuredAdapters() {
+  return ADAPTERS.filter(a => a !== mock && a.isConfigured());
+}
+
+// Provider results rarely carry tags, so tag them with any requested interest
+// that appears in the title or description. This lets the scorer treat
+// provider and catalog items alike.
+function withInterestTags(product, interests) {
+  const text = `${product.name} ${product.description}`.toLowerCase();
+  const tags = new Set((product.tags || []).map(t => t.toLowerCase()));
+  for (const interest of interests) {
+    if (text.includes(interest.toLowerCase())) tags.add(interest);
+  }
+  return [...tags];
+}
+
+async function searchAdapter(adapter, query) {
+  const products = await adapter.search(query);
+  return products.map(p => ({
+    ...p,
+    category: p.category || query.category,
+    tags: withInterestTags(p, query.interests),
+    source: adapter.key,
+    delivery_days: adapter.estimateDelivery(p),
+  }));
+}
+
+// Query every configured provider in parallel and merge the results into one
+// list. Failures are reported in `errors` rather than thrown, so one broken
+// provider never blocks recommendations.
+async function searchProducts({ category, keywords, interests = [], maxPrice, limit = 20 }) {
+  const query = { category, keywords, interests, maxPrice, limit };
+  const providers = configuredAdapters();
+  const products = [];
+  const sources = [];
+  const errors = [];
+
+  const settled = await Promise.allSettled(providers.map(a => searchAdapter(a, query)));
+  settled.forEach((result, i) => {
+    const key = providers[i].key;
+    if (result.status === 'fulfilled') {
+      products.push(...result.value);
+      sources.push(key);
+    } else {
+      console.warn(`[retailers] ${key} search failed: ${result.reason.message}`);
+      errors.push({ source: key, error: result.reason.message });
+    }
+  });
+
+  if (products.length === 0) {
+    products.push(...await searchAdapter(mock, query));
+    sources.push(mock.key);
+  }
+
+  // The same item can come back from an aggregator and the retailer itself
+  const seen = new Set();
+  const merged = products.filter(p => {
+    const key = `${p.retailer}|${p.name}`.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  return { products: merged, sources, errors };
+}
+
+// Current price and stock for a stored recommendation, or null when the source
+// cannot re-check it
+async function lookupProduct(source, externalId) {
+  const adapter = getAdapter(source);
+  if (!adapter || !externalId) return null;
+  if (adapter !== mock && !adapter.isConfigured()) return null;
+  return adapter.lookup(externalId);
+}
+
+module.exports = { ADAPTERS, getAdapter, configuredAdapters, searchProducts, lookupProduct };
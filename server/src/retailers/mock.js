@@ -0,0 +1,51 @@
+const { getDb } = require('../database');
+const { parseCatalogItem } = require('../catalog');
+
+// Default retailer adapter backed by the app's own gift catalog (the
+// catalog_items table, see catalog.js). It needs no credentials, so it is
+// always available as the fallback.
+
+// Mock shipping times: Amazon ships faster than the other retailers
+const DELIVERY_DAYS = { Amazon: 3 };
+
+function toProduct(item) {
+  return {
+    external_id: item.sku,
+    name: item.name,
+    description: item.description,
+    price: item.price,
+    retailer: item.retailer,
+    url: item.url,
+    image_url: item.image_url,
+    in_stock: true,
+    tags: item.tags,
+    category: item.category,
+  };
+}
+
+module.exports = {
+  key: 'mock',
+  label: 'Gift catalog',
+
+  isConfigured() {
+    return true;
+  },
+
+  async search({ category, maxPrice }) {
+    return getDb().prepare(`
+      SELECT * FROM catalog_items
+      WHERE active = 1 AND (? = 'other' OR category = ?) AND (? IS NULL OR price <= ?)
+      ORDER BY category, name
+    `).all(category, category, maxPrice ?? null, maxPrice ?? null).map(parseCatalogItem).map(toProduct);
+  },
+
+  // Items switched off since they were recommended show as out of stock
+  async lookup(externalId) {
+    const item = getDb().prepare('SELECT price, active FROM catalog_items WHERE sku = ?').get(externalId);
+    return item ? { price: item.price, in_stock: !!item.active } : null;
+  },
+
+  estimateDelivery(product) {
+    return DELIVERY_DAYS[product.retailer] || 5;
+  },
+};
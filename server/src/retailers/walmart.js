@@ -0,0 +1,54 @@
+const { fetchJson } = require('../http');
+const { getCredential } = require('../secrets');
+
+// Walmart Affiliate API (product v2). WALMART_API_BASE_URL overrides the endpoint
+// (e.g. a local stand-in). The consumer ID is sent in the WM_CONSUMER.ID header.
+function baseUrl() {
+  return process.env.WALMART_API_BASE_URL || 'https://developer.api.walmart.com/api-proxy/service/affil/product/v2';
+}
+
+function headers() {
+  return { 'WM_CONSUMER.ID': getCredential('walmart', 'WALMART_API_KEY') };
+}
+
+function toProduct(item) {
+  return {
+    external_id: String(item.itemId),
+    name: item.name,
+    description: item.shortDescription || '',
+    price: item.salePrice,
+    retailer: 'Walmart',
+    url: item.productTrackingUrl || item.productUrl || null,
+    image_url: item.mediumImage || null,
+    in_stock: item.stock === 'Available',
+    two_day: !!item.twoDayShippingEligible,
+  };
+}
+
+module.exports = {
+  key: 'walmart',
+  label: 'Walmart',
+
+  isConfigured() {
+    return !!getCredential('walmart', 'WALMART_API_KEY');
+  },
+
+  async search({ keywords, maxPrice, limit }) {
+    const params = new URLSearchParams({ query: keywords, numItems: String(Math.min(limit, 25)) });
+    const data = await fetchJson(`${baseUrl()}/search?${params}`, { headers: headers() });
+    return (data.items || [])
+      .map(toProduct)
+      .filter(p => typeof p.price === 'number')
+      .filter(p => maxPrice === undefined || p.price <= maxPrice);
+  },
+
+  async lookup(externalId) {
+    const item = await fetchJson(`${baseUrl()}/items/${encodeURIComponent(externalId)}`, { headers: headers() });
+    const product = toProduct(item);
+    return { price: product.price, in_stock: product.in_stock };
+  },
+
+  estimateDelivery(product) {
+    return product.two_day ? 2 : 5;
+  },
+};
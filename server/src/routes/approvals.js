@@ -2,6 +2,7 @@ const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const { getDb } = require('../database');
 const { logAudit } = require('../audit');
+const { getEffectiveBudget } = require('./budgets');
 
 const router = express.Router();
 
@@ -43,11 +44,7 @@ router.post('/', checkEmergencyStop, (req, res) => {
     if (!gift) return res.status(404).json({ error: 'Gift recommendation not found' });
 
     // Check budget compliance
-    const budget = db.prepare('SELECT * FROM budgets WHERE category = ?').get(event.type);
-    const override = db.prepare(
-      'SELECT * FROM budget_overrides WHERE budget_id = ? AND contact_id = ?'
-    ).get(budget?.id, event.contact_id);
-    const effectiveBudget = override ? override.amount : (budget ? budget.default_amount : 50);
+    const effectiveBudget = getEffectiveBudget(db, event).amount;
 
     if (gift.price > effectiveBudget) {
       logAudit('budget_warning', 'approval', null, {
@@ -3,6 +3,8 @@ const fs = require('fs');
 const bcrypt = require('bcryptjs');
 const { getDb, DB_PATH } = require('../database');
 const { logAudit } = require('../audit');
+const { seedEventTypes } = require('../eventTypes');
+const { seedCatalog } = require('../catalog');
 const { requireAdmin } = require('../middleware');
 const { v4: uuidv4 } = require('uuid');
 
@@ -18,19 +20,30 @@ function requireConfirmation(req, res, next) {
   next();
 }
 
-// All tables to include in a JSON export, in dependency order
+// All tables to include in a JSON export, in dependency order.
+// integration_secrets is deliberately left out: credentials never leave the server.
 const EXPORT_TABLES = [
   'users',
   'contacts',
+  'contact_addresses',
+  'households',
+  'segments',
+  'contact_holidays',
+  'contact_relationships',
+  'gift_ideas',
+  'event_types',
   'events',
+  'event_recipients',
   'budgets',
   'budget_overrides',
+  'catalog_items',
   'gift_recommendations',
   'card_messages',
   'approvals',
   'orders',
   'autonomy_settings',
   'notifications',
+  'event_reminders',
   'global_settings',
   'audit_log',
 ];
@@ -38,17 +51,27 @@ const EXPORT_TABLES = [
 // Schema allowlist: only these columns are permitted during restore.
 // This prevents SQL injection via attacker-controlled column names.
 const ALLOWED_COLUMNS = {
-  users: ['id', 'username', 'password_hash', 'role', 'token_version', 'created_at', 'updated_at'],
-  contacts: ['id', 'name', 'email', 'phone', 'relationship', 'birthday', 'anniversary', 'other_date', 'default_gifts', 'preferences', 'constraints', 'notes', 'user_id', 'created_at', 'updated_at'],
-  events: ['id', 'contact_id', 'type', 'name', 'date', 'recurring', 'lead_time_days', 'status', 'created_at', 'updated_at'],
+  users: ['id', 'username', 'password_hash', 'role', 'token_version', 'calendar_token', 'scoring_weights', 'created_at', 'updated_at'],
+  contacts: ['id', 'name', 'email', 'phone', 'relationship', 'birthday', 'anniversary', 'other_date', 'default_gifts', 'preferences', 'constraints', 'notes', 'user_id', 'household_id', 'tags', 'created_at', 'updated_at'],
+  catalog_items: ['id', 'sku', 'name', 'description', 'category', 'price', 'retailer', 'tags', 'url', 'image_url', 'active', 'created_at', 'updated_at'],
+  event_types: ['id', 'name', 'occasion', 'default_lead_time_days', 'catalog_category', 'card_templates', 'builtin', 'created_at', 'updated_at'],
+  events: ['id', 'contact_id', 'type', 'name', 'date', 'recurring', 'lead_time_days', 'status', 'previous_event_id', 'belated', 'holiday_id', 'created_at', 'updated_at'],
+  event_recipients: ['id', 'event_id', 'contact_id', 'created_at'],
   budgets: ['id', 'category', 'default_amount', 'created_at', 'updated_at'],
   budget_overrides: ['id', 'budget_id', 'contact_id', 'amount', 'created_at', 'updated_at'],
-  gift_recommendations: ['id', 'event_id', 'name', 'description', 'price', 'retailer', 'url', 'image_url', 'in_stock', 'estimated_delivery', 'reasoning', 'status', 'created_at'],
-  card_messages: ['id', 'event_id', 'tone', 'message', 'selected', 'created_at'],
+  gift_recommendations: ['id', 'event_id', 'name', 'description', 'price', 'retailer', 'url', 'image_url', 'in_stock', 'estimated_delivery', 'reasoning', 'source', 'external_id', 'tags', 'score', 'score_breakdown', 'gift_idea_id', 'status', 'created_at'],
+  card_messages: ['id', 'event_id', 'tone', 'message', 'provider', 'selected', 'created_at'],
   approvals: ['id', 'event_id', 'gift_recommendation_id', 'card_message_id', 'approved_by', 'status', 'notes', 'created_at'],
-  orders: ['id', 'gift_recommendation_id', 'event_id', 'approval_id', 'status', 'tracking_url', 'order_reference', 'ordered_at', 'estimated_delivery', 'actual_delivery', 'issue_description', 'created_at', 'updated_at'],
-  autonomy_settings: ['id', 'contact_id', 'event_type', 'level', 'max_budget', 'enabled', 'created_at', 'updated_at'],
+  orders: ['id', 'gift_recommendation_id', 'event_id', 'approval_id', 'status', 'tracking_url', 'order_reference', 'ordered_at', 'estimated_delivery', 'actual_delivery', 'issue_description', 'reaction', 'reaction_notes', 'reacted_at', 'thank_you_received', 'thank_you_at', 'shipping_address_id', 'shipping_address', 'created_at', 'updated_at'],
+  contact_addresses: ['id', 'contact_id', 'label', 'recipient_name', 'line1', 'line2', 'city', 'region', 'postal_code', 'country', 'is_default', 'created_at', 'updated_at'],
+  segments: ['id', 'name', 'rules', 'match', 'user_id', 'created_at', 'updated_at'],
+  households: ['id', 'name', 'address_id', 'combine_holidays', 'user_id', 'created_at', 'updated_at'],
+  contact_holidays: ['id', 'contact_id', 'holiday_id', 'created_at'],
+  contact_relationships: ['id', 'contact_id', 'related_contact_id', 'type', 'created_at'],
+  gift_ideas: ['id', 'contact_id', 'kind', 'title', 'url', 'price', 'retailer', 'notes', 'tags', 'status', 'order_id', 'used_at', 'created_at', 'updated_at'],
+  autonomy_settings: ['id', 'contact_id', 'segment_id', 'event_type', 'level', 'max_budget', 'enabled', 'created_at', 'updated_at'],
   notifications: ['id', 'event_id', 'order_id', 'type', 'message', 'read', 'created_at'],
+  event_reminders: ['id', 'event_id', 'event_date', 'milestone_days', 'notification_id', 'created_at'],
   global_settings: ['key', 'value', 'updated_at'],
   audit_log: ['id', 'action', 'entity_type', 'entity_id', 'details', 'performed_by', 'created_at'],
 };
@@ -64,12 +87,21 @@ const COLUMN_TYPES = {
   price: 'number',
   max_budget: 'number',
   recurring: 'number',
+  belated: 'number',
+  combine_holidays: 'number',
   lead_time_days: 'number',
+  default_lead_time_days: 'number',
+  builtin: 'number',
+  milestone_days: 'number',
   in_stock: 'number',
+  score: 'number',
   selected: 'number',
+  thank_you_received: 'number',
+  is_default: 'number',
   read: 'number',
   enabled: 'number',
   token_version: 'number',
+  active: 'number',
 };
 
 // Validate a row value against expected types
@@ -207,6 +239,11 @@ router.post('/restore', requireAdmin, requireConfirmation, async (req, res) => {
       }
     }
 
+    // Backups taken before event types existed have none; restore the defaults
+    seedEventTypes(db);
+    // Likewise for backups taken before the catalog moved into the database
+    seedCatalog(db);
+
     return { totalRows, typeErrors };
   });
 
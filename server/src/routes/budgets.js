@@ -1,10 +1,70 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
-const { getDb } = require('../database');
+const { getDb, getSetting } = require('../database');
 const { logAudit } = require('../audit');
+const { eventMilestone } = require('../milestones');
+const { eventRecipients } = require('../recipients');
+const { getSegment, segmentContacts } = require('../segments');
 
 const router = express.Router();
 
+// Budget multiplier applied to milestone birthdays and anniversaries
+function milestoneBudgetMultiplier() {
+  return Number(getSetting('milestone_budget_multiplier', '1.5')) || 1;
+}
+
+// The budget for an event: the contact's override for the event type, else
+// the type's default, raised by the milestone multiplier when the event is a
+// milestone. Shared events pool the budget of every recipient, each using
+// their own override. Shared by gift recommendations, approvals and /effective.
+function getEffectiveBudget(db, event) {
+  const budget = db.prepare('SELECT * FROM budgets WHERE category = ?').get(event.type);
+  const overrideFor = db.prepare('SELECT * FROM budget_overrides WHERE budget_id = ? AND contact_id = ?');
+  const people = eventRecipients(db, event);
+  if (people.length === 0) people.push({ id: event.contact_id, name: null });
+  const recipients = people.map(r => {
+    const override = overrideFor.get(budget?.id, r.id);
+    return {
+      contact_id: r.id,
+      name: r.name,
+      amount: override ? override.amount : (budget ? budget.default_amount : 50),
+      is_override: !!override,
+    };
+  });
+  const baseAmount = recipients.reduce((sum, r) => sum + r.amount, 0);
+
+  const contact = db.prepare('SELECT birthday, anniversary FROM contacts WHERE id = ?').get(event.contact_id);
+  const milestone = eventMilestone(event, contact);
+  const multiplier = milestone ? milestoneBudgetMultiplier() : 1;
+
+  return {
+    amount: Math.round(baseAmount * multiplier * 100) / 100,
+    base_amount: Math.round(baseAmount * 100) / 100,
+    is_override: recipients.some(r => r.is_override),
+    budget_id: budget ? budget.id : null,
+    milestone,
+    multiplier,
+    // Per-recipient shares, for shared events only
+    recipients: recipients.length > 1 ? recipients : null,
+  };
+}
+
+// Give every current member of a segment the same override for a budget.
+// Membership is read now: contacts joining the segment later keep the default.
+// Returns the member ids.
+function setSegmentOverrides(db, budgetId, segment, userId, amount) {
+  const memberIds = segmentContacts(db, segment, userId).map(c => c.id);
+  const upsert = db.prepare(`
+    INSERT INTO budget_overrides (id, budget_id, contact_id, amount)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(budget_id, contact_id) DO UPDATE SET amount = ?, updated_at = datetime('now')
+  `);
+  db.transaction(() => {
+    for (const id of memberIds) upsert.run(uuidv4(), budgetId, id, amount, amount);
+  })();
+  return memberIds;
+}
+
 // List all budgets with overrides
 router.get('/', (req, res) => {
   const db = getDb();
@@ -23,10 +83,22 @@ router.get('/', (req, res) => {
   res.json(result);
 });
 
-// Get effective budget for a contact and event type
+// Get effective budget for a contact and event type, or for one event
+// (?event_id=, which also applies any milestone multiplier)
 router.get('/effective', (req, res) => {
   const db = getDb();
-  const { contact_id, category } = req.query;
+  const { contact_id, category, event_id } = req.query;
+
+  if (event_id) {
+    const event = db.prepare(`
+      SELECT e.*, c.user_id as contact_user_id FROM events e
+      JOIN contacts c ON e.contact_id = c.id WHERE e.id = ?
+    `).get(event_id);
+    if (!event || (event.contact_user_id && event.contact_user_id !== req.user.id)) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+    return res.json({ category: event.type, ...getEffectiveBudget(db, event) });
+  }
 
   if (!contact_id || !category) {
     return res.status(400).json({ error: 'contact_id and category are required' });
@@ -73,10 +145,26 @@ router.put('/:id', (req, res) => {
   res.json(updated);
 });
 
-// Set budget override for a contact
+// Set budget override for a contact, or for each member of a segment
+// (segment_id instead of contact_id)
 router.post('/overrides', (req, res) => {
   const db = getDb();
-  const { budget_id, contact_id, amount } = req.body;
+  const { budget_id, contact_id, segment_id, amount } = req.body;
+
+  if (segment_id && !contact_id) {
+    if (!budget_id || amount === undefined) {
+      return res.status(400).json({ error: 'budget_id, segment_id, and amount are required' });
+    }
+    const segment = getSegment(db, segment_id);
+    if (!segment || (segment.user_id && segment.user_id !== req.user.id)) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+    const memberIds = setSegmentOverrides(db, budget_id, segment, req.user.id, amount);
+    logAudit('set_segment_override', 'budget', budget_id, {
+      segment_id, segment_name: segment.name, amount, contact_ids: memberIds,
+    });
+    return res.status(201).json({ budget_id, segment_id, amount, count: memberIds.length });
+  }
 
   if (!budget_id || !contact_id || amount === undefined) {
     return res.status(400).json({ error: 'budget_id, contact_id, and amount are required' });
@@ -107,3 +195,5 @@ router.delete('/overrides/:id', (req, res) => {
 });
 
 module.exports = router;
+module.exports.getEffectiveBudget = getEffectiveBudget;
+module.exports.setSegmentOverrides = setSegmentOverrides;
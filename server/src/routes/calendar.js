@@ -0,0 +1,112 @@
+const express = require('express');
+const crypto = require('crypto');
+const { getDb, getDefaultLeadTimeDays } = require('../database');
+const { logAudit } = require('../audit');
+const { requireAuth } = require('../middleware');
+const { buildCalendar } = require('../ics');
+const { configuredMilestones, milestoneDays } = require('../jobs/reminders');
+const { getHoliday, holidayRule } = require('../holidays');
+
+// Calendar subscription feed. Calendar apps cannot send an Authorization
+// header, so the feed is mounted ahead of the JWT middleware and authenticated
+// by a per-user token in the query string instead. The token is independent of
+// the login session: rotating it never signs the user out, and changing the
+// password never breaks the subscription.
+
+const router = express.Router();
+
+const FEED_PATH = '/api/events/calendar.ics';
+const OPEN_STATUSES = ['upcoming', 'in_progress'];
+
+function generateCalendarToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+function feedPath(token) {
+  return `${FEED_PATH}?token=${token}`;
+}
+
+// Return the user's feed token, creating one on first use
+function getCalendarToken(db, userId) {
+  const user = db.prepare('SELECT calendar_token FROM users WHERE id = ?').get(userId);
+  if (!user) return null;
+  if (user.calendar_token) return user.calendar_token;
+
+  const token = generateCalendarToken();
+  db.prepare("UPDATE users SET calendar_token = ?, updated_at = datetime('now') WHERE id = ?").run(token, userId);
+  return token;
+}
+
+function rotateCalendarToken(db, userId) {
+  const token = generateCalendarToken();
+  db.prepare("UPDATE users SET calendar_token = ?, updated_at = datetime('now') WHERE id = ?").run(token, userId);
+  return token;
+}
+
+// The VCALENDAR document for one user's events (scoped like GET /api/events).
+// Open events and the latest occurrence of each recurring series get alarms at
+// the configured reminder milestones; past one-off occurrences are history only.
+function buildUserCalendar(db, userId, now = new Date()) {
+  const events = db.prepare(`
+    SELECT e.*, c.name as contact_name,
+      EXISTS (SELECT 1 FROM events n WHERE n.previous_event_id = e.id) as has_successor
+    FROM events e
+    JOIN contacts c ON e.contact_id = c.id
+    WHERE (c.user_id = ? OR c.user_id IS NULL)
+    ORDER BY e.date ASC
+  `).all(userId);
+
+  const milestones = configuredMilestones();
+  const defaultLead = getDefaultLeadTimeDays();
+  const alarmDays = (event) => {
+    const active = OPEN_STATUSES.includes(event.status) || (event.recurring && !event.has_successor);
+    return active ? milestoneDays(milestones, event.lead_time_days || defaultLead) : [];
+  };
+
+  // Floating holidays repeat by weekday or not at all, never on the same date
+  const withRules = events.map((event) => {
+    const holiday = event.holiday_id && getHoliday(event.holiday_id);
+    return holiday ? { ...event, rrule: holidayRule(holiday) } : event;
+  });
+
+  return buildCalendar(withRules, { alarmDays, now });
+}
+
+// GET /api/events/calendar.ics?token=... — public, token-authenticated feed
+router.get('/calendar.ics', (req, res) => {
+  const token = typeof req.query.token === 'string' ? req.query.token : '';
+  if (!/^[a-f0-9]{48}$/.test(token)) {
+    return res.status(401).json({ error: 'Invalid calendar token' });
+  }
+
+  const db = getDb();
+  const user = db.prepare('SELECT id FROM users WHERE calendar_token = ?').get(token);
+  if (!user) {
+    return res.status(401).json({ error: 'Invalid calendar token' });
+  }
+
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', 'inline; filename="gift-scheduler.ics"');
+  res.setHeader('Cache-Control', 'private, no-cache');
+  res.send(buildUserCalendar(db, user.id));
+});
+
+// GET /api/events/calendar-token — the current user's feed URL path
+router.get('/calendar-token', requireAuth, (req, res) => {
+  const token = getCalendarToken(getDb(), req.user.id);
+  if (!token) return res.status(404).json({ error: 'User not found' });
+  res.json({ token, path: feedPath(token) });
+});
+
+// POST /api/events/calendar-token/rotate — replace the feed token; existing
+// subscriptions stop working until they are updated with the new URL
+router.post('/calendar-token/rotate', requireAuth, (req, res) => {
+  const token = rotateCalendarToken(getDb(), req.user.id);
+  logAudit('rotate_calendar_token', 'user', req.user.id, { username: req.user.username });
+  res.json({ token, path: feedPath(token) });
+});
+
+module.exports = router;
+module.exports.getCalendarToken = getCalendarToken;
+module.exports.rotateCalendarToken = rotateCalendarToken;
+module.exports.buildUserCalendar = buildUserCalendar;
@@ -2,6 +2,14 @@ const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const { getDb } = require('../database');
 const { logAudit } = require('../audit');
+const { getActiveLlmProvider } = require('./integrations');
+const { generateCardText } = require('../llm');
+const { getEventType } = require('../eventTypes');
+const { eventYears, eventMilestone } = require('../milestones');
+const { eventRecipients, recipientNames } = require('../recipients');
+const { isCouple } = require('../relationships');
+const { getSegment, segmentContacts } = require('../segments');
+const { todayIso } = require('../dates');
 
 const router = express.Router();
 
@@ -73,13 +81,219 @@ const MESSAGE_TEMPLATES = {
       "Hey {name}! Wishing you the best holiday season ever. Relax, enjoy, and eat way too much!",
     ],
   },
+  other: {
+    warm: [
+      "Thinking of you on your special day, {name}! Wishing you happiness and all the best.",
+      "Sending warm wishes your way, {name}. I hope today is as wonderful as you are!",
+    ],
+    formal: [
+      "Dear {name}, please accept my warmest wishes on this special occasion.",
+    ],
+    humorous: [
+      "Hey {name}, any excuse to celebrate you is a good one. Have a fantastic day!",
+    ],
+    heartfelt: [
+      "Dear {name}, moments like this remind me how lucky I am to know you. Wishing you every happiness.",
+    ],
+    casual: [
+      "Hi {name}! Just wanted to send some good vibes your way. Enjoy!",
+    ],
+  },
+};
+
+// Milestone birthdays and anniversaries (see milestones.js). {age} and
+// {years} can also be used in an event type's own templates.
+const MILESTONE_TEMPLATES = {
+  birthday: {
+    warm: [
+      "Happy birthday, {name}! {age} is a big one, and I hope it's your best year yet. Celebrate every moment!",
+      "Wishing you the happiest of birthdays, {name}! Turning {age} is a milestone worth celebrating — here's to you!",
+    ],
+    formal: [
+      "Dear {name}, warmest congratulations on turning {age}. Wishing you health and happiness in the years ahead.",
+    ],
+    humorous: [
+      "Happy birthday, {name}! {age} isn't old — it's just vintage. And you wear it brilliantly.",
+    ],
+    heartfelt: [
+      "Dear {name}, {age} years of you is something worth celebrating. I'm so grateful to share in this milestone.",
+    ],
+    casual: [
+      "Happy birthday, {name}! Turning {age} calls for a big celebration — enjoy it!",
+    ],
+  },
+  anniversary: {
+    warm: [
+      "Happy anniversary, {name}! {years} years together is something truly special. Here's to many more!",
+    ],
+    formal: [
+      "Dear {name}, heartfelt congratulations on {years} years of marriage. Wishing you continued happiness together.",
+    ],
+    humorous: [
+      "{years} years, {name}! Most people can't agree on a takeout order that long. Happy anniversary!",
+    ],
+    heartfelt: [
+      "Dear {name}, {years} years of love and partnership is a beautiful thing. Congratulations on this milestone.",
+    ],
+    casual: [
+      "{years} years! Happy anniversary, {name} — what an awesome milestone!",
+    ],
+  },
 };
 
+// Belated messages for events reopened after being missed. {occasion} is filled
+// from the event type's occasion so the same templates work for every type.
+const BELATED_TEMPLATES = {
+  warm: [
+    "Happy belated {occasion}, {name}! I'm sorry this is late, but my wishes for you are just as warm. I hope it was a wonderful day!",
+    "A little late, but sent with lots of love — happy belated {occasion}, {name}!",
+  ],
+  formal: [
+    "Dear {name}, please accept my apologies for the delay and my sincere wishes for a happy belated {occasion}.",
+  ],
+  humorous: [
+    "Happy belated {occasion}, {name}! I'm not late — I'm just extending the celebration. You're welcome!",
+  ],
+  heartfelt: [
+    "Dear {name}, I missed the day but never stopped thinking of you. Happy belated {occasion} — you mean so much to me.",
+  ],
+  casual: [
+    "Oops — happy belated {occasion}, {name}! Hope it was awesome!",
+  ],
+};
+
+const CARD_TONES = ['warm', 'formal', 'humorous', 'heartfelt', 'casual'];
+
+// Fill the templates for one tone: milestone templates for milestone
+// birthdays and anniversaries, then the event type's own card templates when
+// it has them, else the built-in set for the type (or the generic 'other'
+// set). `event.years` fills {age} and {years}; templates that need it are
+// skipped when it isn't known.
+function templateMessages(event, tone, eventType) {
+  const custom = eventType && eventType.card_templates;
+  let templates;
+  if (event.belated) templates = BELATED_TEMPLATES;
+  else if (event.milestone && MILESTONE_TEMPLATES[event.type]) templates = MILESTONE_TEMPLATES[event.type];
+  else if (custom && custom.warm) templates = custom;
+  else templates = MESSAGE_TEMPLATES[event.type] || MESSAGE_TEMPLATES.other;
+  const occasion = (eventType && eventType.occasion) || 'special day';
+  const years = event.years || null;
+
+  let chosen = (templates[tone] || templates.warm).filter(t => years || !/\{(age|years)\}/.test(t));
+  if (chosen.length === 0) chosen = MESSAGE_TEMPLATES.other[tone] || MESSAGE_TEMPLATES.other.warm;
+
+  return chosen.map(template => template
+    .replace(/\{name\}/g, event.contact_name)
+    .replace(/\{occasion\}/g, occasion)
+    .replace(/\{(age|years)\}/g, years));
+}
+
+// Write card messages for an event without saving them, in the given tones
+// (falling back to the contact's preferred tones). The active LLM provider is
+// tried first; if it fails, or skips a tone, the templates fill in. Each
+// message records the provider that wrote it.
+async function draftCardMessages(db, event, tones) {
+  // Age or years married, and any milestone, for templates and the LLM prompt
+  const dates = db.prepare('SELECT birthday, anniversary FROM contacts WHERE id = ?').get(event.contact_id);
+  event = { ...event, years: eventYears(event, dates), milestone: eventMilestone(event, dates) };
+  // One card for everyone on a shared event: "Ann and Bob", or "Anna & Ben"
+  // for a couple
+  const recipients = eventRecipients(db, event);
+  if (recipients.length === 2 && isCouple(db, recipients[0].id, recipients[1].id)) {
+    event.contact_name = `${recipients[0].name} & ${recipients[1].name}`;
+  } else if (recipients.length > 1) {
+    event.contact_name = recipientNames(recipients.map(r => r.name));
+  }
+
+  const preferences = JSON.parse(event.preferences || '{}');
+  const requestedTones = (tones || preferences.preferred_tones || ['warm', 'heartfelt'])
+    .filter(t => CARD_TONES.includes(t));
+  const preferredTones = requestedTones.length > 0 ? requestedTones : ['warm'];
+
+  const drafts = [];
+  let llmError = null;
+  if (getActiveLlmProvider()) {
+    try {
+      const result = await generateCardText({
+        contact: {
+          name: event.contact_name,
+          relationship: event.relationship,
+          notes: event.notes,
+          preferences,
+          constraints: JSON.parse(event.constraints || '{}'),
+        },
+        event,
+        tones: preferredTones,
+      });
+      drafts.push(...result.messages.map(m => ({ ...m, provider: result.provider })));
+    } catch (err) {
+      llmError = err.message;
+      console.warn(`[cards] LLM generation failed, using templates: ${err.message}`);
+    }
+  }
+
+  const eventType = getEventType(db, event.type);
+  for (const tone of preferredTones) {
+    if (drafts.some(d => d.tone === tone)) continue;
+    drafts.push(...templateMessages(event, tone, eventType).map(message => ({ tone, message, provider: 'template' })));
+  }
+  return { drafts, preferredTones, llmError };
+}
+
+// Replace an event's unselected card drafts with drafted messages, in one
+// transaction
+function saveCardMessages(db, event, { drafts, preferredTones, llmError }, performedBy = 'owner') {
+  const insertStmt = db.prepare(`
+    INSERT INTO card_messages (id, event_id, tone, message, provider, selected)
+    VALUES (?, ?, ?, ?, ?, 0)
+  `);
+
+  const saveMessages = db.transaction(() => {
+    // Clear previous unselected messages
+    db.prepare("DELETE FROM card_messages WHERE event_id = ? AND selected = 0").run(event.id);
+
+    const saved = drafts.map(d => {
+      const id = uuidv4();
+      insertStmt.run(id, event.id, d.tone, d.message, d.provider);
+      return { id, event_id: event.id, tone: d.tone, message: d.message, provider: d.provider, selected: 0 };
+    });
+
+    logAudit('generate_messages', 'event', event.id, {
+      count: saved.length,
+      tones: preferredTones,
+      providers: [...new Set(saved.map(m => m.provider))],
+      llm_error: llmError,
+    }, performedBy);
+
+    return saved;
+  });
+
+  return { messages: saveMessages(), llmError };
+}
+
+// Draft and save card messages for an event. Shared by the generate route and
+// the autonomy engine.
+async function generateCardMessages(db, event, tones, performedBy = 'owner') {
+  return saveCardMessages(db, event, await draftCardMessages(db, event, tones), performedBy);
+}
+
+// Check requested card tones: absent, or an array of strings (unknown tones
+// are skipped when generating). Returns an error message or null.
+function tonesError(tones) {
+  if (tones === undefined || tones === null) return null;
+  if (!Array.isArray(tones) || tones.some(t => typeof t !== 'string')) {
+    return 'tones must be an array of tone names';
+  }
+  return null;
+}
+
 // Generate card messages for an event
-router.post('/generate/:eventId', (req, res) => {
+router.post('/generate/:eventId', async (req, res) => {
+  const error = tonesError(req.body.tones);
+  if (error) return res.status(400).json({ error });
   const db = getDb();
   const event = db.prepare(`
-    SELECT e.*, c.name as contact_name, c.preferences
+    SELECT e.*, c.name as contact_name, c.relationship, c.notes, c.preferences, c.constraints
     FROM events e
     JOIN contacts c ON e.contact_id = c.id
     WHERE e.id = ?
@@ -87,35 +301,73 @@ router.post('/generate/:eventId', (req, res) => {
 
   if (!event) return res.status(404).json({ error: 'Event not found' });
 
-  const preferences = JSON.parse(event.preferences || '{}');
-  const preferredTones = req.body.tones || preferences.preferred_tones || ['warm', 'heartfelt'];
-
-  // Get templates for this event type
-  const eventType = event.type === 'other' ? 'holiday' : event.type;
-  const templates = MESSAGE_TEMPLATES[eventType] || MESSAGE_TEMPLATES.holiday;
+  try {
+    const { messages, llmError } = await generateCardMessages(db, event, req.body.tones);
+    res.json({ event_id: req.params.eventId, messages, llm_error: llmError });
+  } catch (err) {
+    console.error('Card generation failed:', err);
+    res.status(500).json({ error: 'Failed to generate card messages' });
+  }
+});
 
-  // Clear previous unselected messages
-  db.prepare("DELETE FROM card_messages WHERE event_id = ? AND selected = 0").run(req.params.eventId);
+const MAX_CAMPAIGN_DAYS = 365;
 
-  const insertStmt = db.prepare(`
-    INSERT INTO card_messages (id, event_id, tone, message, selected)
-    VALUES (?, ?, ?, ?, 0)
-  `);
+// Events a card campaign for a segment covers: open events in the next `days`
+// days for any member (as the primary contact or a shared-event recipient),
+// optionally of one type, that have no card chosen yet
+function planCardCampaign(db, segment, userId, { days = 30, type = null, today = todayIso() } = {}) {
+  const memberIds = segmentContacts(db, segment, userId).map(c => c.id);
+  if (memberIds.length === 0) return [];
+  const placeholders = memberIds.map(() => '?').join(', ');
+  return db.prepare(`
+    SELECT e.*, c.name as contact_name, c.relationship, c.notes, c.preferences, c.constraints
+    FROM events e
+    JOIN contacts c ON e.contact_id = c.id
+    WHERE e.status IN ('upcoming', 'in_progress')
+    AND e.date >= ? AND e.date <= date(?, ?)
+    AND (? IS NULL OR e.type = ?)
+    AND (e.contact_id IN (${placeholders}) OR EXISTS (
+      SELECT 1 FROM event_recipients er WHERE er.event_id = e.id AND er.contact_id IN (${placeholders})))
+    AND NOT EXISTS (SELECT 1 FROM card_messages m WHERE m.event_id = e.id AND m.selected = 1)
+    ORDER BY e.date, c.name
+  `).all(today, today, `+${days} days`, type, type, ...memberIds, ...memberIds);
+}
 
-  const messages = [];
-  for (const tone of preferredTones) {
-    const toneTemplates = templates[tone] || templates.warm;
-    for (const template of toneTemplates) {
-      const id = uuidv4();
-      const message = template.replace(/\{name\}/g, event.contact_name);
-      insertStmt.run(id, req.params.eventId, tone, message);
-      messages.push({ id, event_id: req.params.eventId, tone, message, selected: 0 });
-    }
+// Draft cards for a segment's upcoming events in one go, from
+// { segment_id, days, type, tones, dry_run }. A dry run (the default) only
+// lists the events that would get drafts.
+router.post('/campaign', async (req, res) => {
+  const db = getDb();
+  const { segment_id, days = 30, type = null, tones, dry_run = true } = req.body;
+  if (!segment_id) return res.status(400).json({ error: 'segment_id is required' });
+  if (!Number.isInteger(days) || days < 1 || days > MAX_CAMPAIGN_DAYS) {
+    return res.status(400).json({ error: `days must be a whole number from 1 to ${MAX_CAMPAIGN_DAYS}` });
+  }
+  const error = tonesError(tones);
+  if (error) return res.status(400).json({ error });
+  const segment = getSegment(db, segment_id);
+  if (!segment || (segment.user_id && segment.user_id !== req.user.id)) {
+    return res.status(404).json({ error: 'Segment not found' });
   }
 
-  logAudit('generate_messages', 'event', req.params.eventId, { count: messages.length, tones: preferredTones });
+  const events = planCardCampaign(db, segment, req.user.id, { days, type });
+  const summary = events.map(e => ({ id: e.id, name: e.name, type: e.type, date: e.date, contact_name: e.contact_name }));
+  if (dry_run) return res.json({ segment_id, dry_run: true, events: summary });
 
-  res.json({ event_id: req.params.eventId, messages });
+  try {
+    const results = [];
+    for (const event of events) {
+      const { messages, llmError } = await generateCardMessages(db, event, tones);
+      results.push({ ...summary.find(e => e.id === event.id), messages, llm_error: llmError });
+    }
+    logAudit('card_campaign', 'segment', segment.id, {
+      segment_name: segment.name, days, type, event_ids: events.map(e => e.id),
+    });
+    res.json({ segment_id, dry_run: false, events: results });
+  } catch (err) {
+    console.error('Card campaign failed:', err);
+    res.status(500).json({ error: 'Failed to generate card messages' });
+  }
 });
 
 // Get card messages for an event
@@ -160,3 +412,9 @@ router.put('/:id', (req, res) => {
 });
 
 module.exports = router;
+module.exports.generateCardMessages = generateCardMessages;
+module.exports.draftCardMessages = draftCardMessages;
+module.exports.saveCardMessages = saveCardMessages;
+module.exports.templateMessages = templateMessages;
+module.exports.tonesError = tonesError;
+module.exports.planCardCampaign = planCardCampaign;
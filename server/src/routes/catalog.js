@@ -0,0 +1,211 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { getDb } = require('../database');
+const { logAudit } = require('../audit');
+const { requireAdmin } = require('../middleware');
+const { parseCsv } = require('../contactImport');
+const {
+  parseCatalogItem, validateCatalogItem, catalogColumns, importCatalogItems, catalogCategories,
+} = require('../catalog');
+
+// The gift catalog the built-in retailer adapter recommends from. Anyone can
+// browse it; only admins change it.
+
+const router = express.Router();
+
+const MAX_FEED_ROWS = 5000;
+
+// Feed column names (lowercased) for each catalog field. Product feeds call
+// the same thing by different names.
+const FEED_FIELDS = {
+  sku: ['sku', 'id', 'product_id', 'item_id'],
+  name: ['name', 'title', 'product_name'],
+  description: ['description'],
+  category: ['category'],
+  price: ['price'],
+  retailer: ['retailer', 'store', 'merchant'],
+  tags: ['tags', 'keywords'],
+  url: ['url', 'link', 'product_url'],
+  image_url: ['image_url', 'image', 'image_link'],
+  active: ['active', 'enabled'],
+};
+
+// Turn a feed row (an object keyed by column name) into a catalog item.
+// Strings from CSV are converted: prices to numbers, tags split on ; or |,
+// and yes/no flags to booleans. Fields the row lacks stay undefined.
+function feedItem(row) {
+  const lower = Object.fromEntries(Object.entries(row).map(([k, v]) => [k.trim().toLowerCase(), v]));
+  const item = {};
+  for (const [field, names] of Object.entries(FEED_FIELDS)) {
+    const name = names.find(n => lower[n] !== undefined && lower[n] !== '');
+    if (name !== undefined) item[field] = lower[name];
+  }
+  if (typeof item.sku === 'number') item.sku = String(item.sku);
+  if (typeof item.price === 'string' && item.price.trim()) {
+    const price = Number(item.price.replace(/[$,\s]/g, ''));
+    if (Number.isFinite(price)) item.price = price;
+  }
+  if (typeof item.tags === 'string') item.tags = item.tags.split(/[;|]/).map(t => t.trim()).filter(Boolean);
+  if (typeof item.active === 'string') {
+    const flag = item.active.trim().toLowerCase();
+    if (['true', 'yes', '1'].includes(flag)) item.active = true;
+    else if (['false', 'no', '0'].includes(flag)) item.active = false;
+  }
+  for (const field of ['name', 'description', 'category', 'retailer', 'url', 'image_url']) {
+    if (typeof item[field] === 'string') item[field] = item[field].trim();
+  }
+  return item;
+}
+
+// Parse a product feed into catalog items. JSON feeds are an array of
+// products or { items: [...] }; CSV feeds need a header row. Returns
+// { items } or { error }.
+function parseCatalogFeed(format, data) {
+  let rows;
+  if (format === 'json') {
+    let parsed;
+    try {
+      parsed = JSON.parse(data);
+    } catch {
+      return { error: 'data is not valid JSON' };
+    }
+    rows = Array.isArray(parsed) ? parsed : parsed && (parsed.items || parsed.products);
+    if (!Array.isArray(rows) || rows.some(r => !r || typeof r !== 'object')) {
+      return { error: 'JSON feeds must be an array of products, or { items: [...] }' };
+    }
+  } else {
+    const [headers, ...lines] = parseCsv(data);
+    if (!headers || lines.length === 0) return { error: 'CSV feeds need a header row and at least one product' };
+    rows = lines.map(line => Object.fromEntries(headers.map((h, i) => [h, line[i] ?? ''])));
+  }
+  return { items: rows.map(feedItem) };
+}
+
+function getItem(db, id) {
+  return parseCatalogItem(db.prepare('SELECT * FROM catalog_items WHERE id = ?').get(id));
+}
+
+// List catalog items, filtered by ?category=, ?active=true|false and a ?q=
+// search over name, description and tags
+router.get('/', (req, res) => {
+  const db = getDb();
+  const { category, active, q } = req.query;
+  let query = 'SELECT * FROM catalog_items WHERE 1 = 1';
+  const params = [];
+  if (category) {
+    query += ' AND category = ?';
+    params.push(category);
+  }
+  if (active === 'true' || active === 'false') {
+    query += ' AND active = ?';
+    params.push(active === 'true' ? 1 : 0);
+  }
+  if (q) {
+    query += " AND (name LIKE ? ESCAPE '\\' OR description LIKE ? ESCAPE '\\' OR tags LIKE ? ESCAPE '\\')";
+    const pattern = `%${String(q).replace(/[\\%_]/g, m => `\\${m}`)}%`;
+    params.push(pattern, pattern, pattern);
+  }
+  query += ' ORDER BY category, name';
+  res.json(db.prepare(query).all(...params).map(parseCatalogItem));
+});
+
+router.get('/:id', (req, res) => {
+  const item = getItem(getDb(), req.params.id);
+  if (!item) return res.status(404).json({ error: 'Catalog item not found' });
+  res.json(item);
+});
+
+router.post('/', requireAdmin, (req, res) => {
+  const db = getDb();
+  const error = validateCatalogItem(req.body, { categories: catalogCategories(db) });
+  if (error) return res.status(400).json({ error });
+  const columns = catalogColumns(req.body);
+  if (db.prepare('SELECT 1 FROM catalog_items WHERE sku = ?').get(columns.sku)) {
+    return res.status(409).json({ error: `An item with sku "${columns.sku}" already exists` });
+  }
+
+  const id = uuidv4();
+  const names = Object.keys(columns);
+  db.prepare(`INSERT INTO catalog_items (id, ${names.join(', ')}) VALUES (?, ${names.map(() => '?').join(', ')})`)
+    .run(id, ...names.map(n => columns[n]));
+  logAudit('create', 'catalog_item', id, { sku: columns.sku, name: columns.name, price: columns.price });
+
+  res.status(201).json(getItem(db, id));
+});
+
+router.put('/:id', requireAdmin, (req, res) => {
+  const db = getDb();
+  const existing = getItem(db, req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Catalog item not found' });
+
+  const error = validateCatalogItem(req.body, { partial: true, categories: catalogCategories(db) });
+  if (error) return res.status(400).json({ error });
+  const columns = catalogColumns(req.body);
+  if (columns.sku && columns.sku !== existing.sku
+    && db.prepare('SELECT 1 FROM catalog_items WHERE sku = ?').get(columns.sku)) {
+    return res.status(409).json({ error: `An item with sku "${columns.sku}" already exists` });
+  }
+
+  const names = Object.keys(columns);
+  if (names.length > 0) {
+    db.prepare(`UPDATE catalog_items SET ${names.map(n => `${n} = ?`).join(', ')}, updated_at = datetime('now') WHERE id = ?`)
+      .run(...names.map(n => columns[n]), existing.id);
+  }
+  logAudit('update', 'catalog_item', existing.id, { sku: existing.sku, changes: req.body });
+
+  res.json(getItem(db, existing.id));
+});
+
+// Delete an item. Recommendations already made from it keep their details;
+// set active to false instead to stop recommending it but keep price checks.
+router.delete('/:id', requireAdmin, (req, res) => {
+  const db = getDb();
+  const existing = getItem(db, req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Catalog item not found' });
+
+  db.prepare('DELETE FROM catalog_items WHERE id = ?').run(existing.id);
+  logAudit('delete', 'catalog_item', existing.id, { sku: existing.sku, name: existing.name });
+  res.json({ message: 'Catalog item deleted' });
+});
+
+// Bulk import a product feed: { format: 'csv' | 'json', data, dry_run }.
+// Items are matched by sku: new ones are created, existing ones updated.
+// Dry run by default, listing what would change and any invalid rows.
+router.post('/import', requireAdmin, (req, res) => {
+  const db = getDb();
+  const { format, data, dry_run: dryRun = true } = req.body;
+  if (!['csv', 'json'].includes(format)) {
+    return res.status(400).json({ error: "format must be 'csv' or 'json'" });
+  }
+  if (typeof data !== 'string' || !data.trim()) {
+    return res.status(400).json({ error: 'data must be the contents of the feed' });
+  }
+
+  const feed = parseCatalogFeed(format, data);
+  if (feed.error) return res.status(400).json({ error: feed.error });
+  if (feed.items.length > MAX_FEED_ROWS) {
+    return res.status(400).json({
+      error: `Feed too large. Maximum ${MAX_FEED_ROWS} products per request (received ${feed.items.length}).`,
+    });
+  }
+
+  const result = importCatalogItems(db, feed.items, { dryRun: !!dryRun });
+  if (!dryRun) {
+    logAudit('import', 'catalog', null, {
+      format, created: result.created.length, updated: result.updated.length, errors: result.errors.length,
+    });
+  }
+  res.json({
+    dry_run: !!dryRun,
+    ...result,
+    summary: {
+      total: feed.items.length,
+      created: result.created.length,
+      updated: result.updated.length,
+      invalid: result.errors.length,
+    },
+  });
+});
+
+module.exports = router;
+module.exports.parseCatalogFeed = parseCatalogFeed;
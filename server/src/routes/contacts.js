@@ -1,7 +1,26 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
-const { getDb } = require('../database');
+const { getDb, getDefaultLeadTimeDays } = require('../database');
 const { logAudit } = require('../audit');
+const { getGiftHistory } = require('../history');
+const {
+  validateAddress, listAddresses, createAddress, updateAddress, deleteAddress,
+} = require('../addresses');
+const { MAX_IMPORT_ROWS, parseVCards, parseContactsCsv, previewImport } = require('../contactImport');
+const { findDuplicates, mergeContacts } = require('../duplicates');
+const { todayIso, nextAnnualOccurrence, hasUnknownYear } = require('../dates');
+const { eventTypeLeadTime } = require('../eventTypes');
+const { getHoliday } = require('../holidays');
+const { contactHolidays, setContactHolidays } = require('./holidays');
+const { EVENT_FOR_CONTACT } = require('../recipients');
+const { RELATIONSHIP_TYPES, listRelationships, setRelationship, removeRelationship } = require('../relationships');
+const { describeHousehold } = require('../households');
+const {
+  normalizeTag, validateTags, parseTags, getSegment, segmentContacts,
+} = require('../segments');
+const {
+  IDEA_STATUSES, parseIdea, validateIdea, listIdeas, createIdea, updateIdea,
+} = require('../giftIdeas');
 
 const router = express.Router();
 
@@ -23,32 +42,37 @@ function requireOwnership(db, contactId, userId) {
   return { contact };
 }
 
-// Helper: create events for a contact based on their dates
-function createEventsForContact(db, contactId, contactName, { birthday, anniversary, other_date }) {
+// Helper: create events for a contact based on their dates. A date without a
+// known year starts at its next occurrence. Each event gets its type's default
+// lead time, then the global one, as in insertEvent (routes/events.js).
+function createEventsForContact(db, contactId, contactName, dates) {
+  const { birthday, anniversary, other_date } = Object.fromEntries(Object.entries(dates)
+    .map(([field, date]) => [field, hasUnknownYear(date) ? nextAnnualOccurrence(date, todayIso()) : date]));
   const insertEvent = db.prepare(`
     INSERT INTO events (id, contact_id, type, name, date, recurring, lead_time_days, status)
-    VALUES (?, ?, ?, ?, ?, 1, 14, 'upcoming')
+    VALUES (?, ?, ?, ?, ?, 1, ?, 'upcoming')
   `);
+  const leadTime = type => eventTypeLeadTime(db, type, getDefaultLeadTimeDays());
 
   const created = [];
 
   if (birthday) {
     const eventId = uuidv4();
-    insertEvent.run(eventId, contactId, 'birthday', `${contactName}'s Birthday`, birthday);
+    insertEvent.run(eventId, contactId, 'birthday', `${contactName}'s Birthday`, birthday, leadTime('birthday'));
     logAudit('create', 'event', eventId, { name: `${contactName}'s Birthday`, auto_created: true });
     created.push(eventId);
   }
 
   if (anniversary) {
     const eventId = uuidv4();
-    insertEvent.run(eventId, contactId, 'anniversary', `${contactName}'s Anniversary`, anniversary);
+    insertEvent.run(eventId, contactId, 'anniversary', `${contactName}'s Anniversary`, anniversary, leadTime('anniversary'));
     logAudit('create', 'event', eventId, { name: `${contactName}'s Anniversary`, auto_created: true });
     created.push(eventId);
   }
 
   if (other_date) {
     const eventId = uuidv4();
-    insertEvent.run(eventId, contactId, 'other', `${contactName}'s Special Day`, other_date);
+    insertEvent.run(eventId, contactId, 'other', `${contactName}'s Special Day`, other_date, leadTime('other'));
     logAudit('create', 'event', eventId, { name: `${contactName}'s Special Day`, auto_created: true });
     created.push(eventId);
   }
@@ -56,19 +80,55 @@ function createEventsForContact(db, contactId, contactName, { birthday, annivers
   return created;
 }
 
-// List all contacts (scoped to authenticated user)
+// List all contacts (scoped to authenticated user). ?tag= keeps contacts with
+// that tag; ?segment= keeps the members of a saved segment.
 router.get('/', (req, res) => {
   const db = getDb();
-  const contacts = db.prepare('SELECT * FROM contacts WHERE user_id = ? OR user_id IS NULL ORDER BY name').all(req.user.id);
+  let contacts;
+  if (req.query.segment) {
+    const segment = getSegment(db, req.query.segment);
+    if (!segment || (segment.user_id && segment.user_id !== req.user.id)) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+    contacts = segmentContacts(db, segment, req.user.id).map(({ has_address, ...c }) => c);
+  } else {
+    contacts = db.prepare('SELECT * FROM contacts WHERE user_id = ? OR user_id IS NULL ORDER BY name').all(req.user.id);
+  }
+  if (req.query.tag) {
+    const tag = normalizeTag(req.query.tag);
+    contacts = contacts.filter(c => parseTags(c.tags).includes(tag));
+  }
   const parsed = contacts.map((c) => ({
     ...c,
     preferences: JSON.parse(c.preferences || '{}'),
     constraints: JSON.parse(c.constraints || '{}'),
     default_gifts: JSON.parse(c.default_gifts || '{"card":true,"gift":false,"flowers":false}'),
+    tags: parseTags(c.tags),
   }));
   res.json(parsed);
 });
 
+// Pairs of contacts that look like the same person, best match first
+router.get('/duplicates', (req, res) => {
+  const db = getDb();
+  const contacts = db.prepare(`
+    SELECT id, name, email, phone, relationship, birthday FROM contacts
+    WHERE user_id = ? OR user_id IS NULL ORDER BY name
+  `).all(req.user.id);
+
+  res.json({ pairs: findDuplicates(contacts) });
+});
+
+// Tags in use across the user's contacts, with how many contacts have each
+router.get('/tags', (req, res) => {
+  const db = getDb();
+  const counts = new Map();
+  for (const c of db.prepare('SELECT tags FROM contacts WHERE user_id = ? OR user_id IS NULL').all(req.user.id)) {
+    for (const tag of parseTags(c.tags)) counts.set(tag, (counts.get(tag) || 0) + 1);
+  }
+  res.json([...counts].map(([tag, count]) => ({ tag, count })).sort((a, b) => a.tag.localeCompare(b.tag)));
+});
+
 // Get single contact with gift history
 router.get('/:id', (req, res) => {
   const db = getDb();
@@ -76,23 +136,253 @@ router.get('/:id', (req, res) => {
   if (ownership.error) return res.status(ownership.status).json({ error: ownership.error });
   const contact = ownership.contact;
 
-  const events = db.prepare('SELECT * FROM events WHERE contact_id = ? ORDER BY date DESC').all(req.params.id);
+  // Includes shared events the contact is one of several recipients of
+  const events = db.prepare(`SELECT e.* FROM events e WHERE ${EVENT_FOR_CONTACT} ORDER BY e.date DESC`)
+    .all(req.params.id, req.params.id);
   const giftHistory = db.prepare(`
     SELECT gr.*, e.name as event_name, e.date as event_date
     FROM gift_recommendations gr
     JOIN events e ON gr.event_id = e.id
-    WHERE e.contact_id = ? AND gr.status = 'purchased'
+    WHERE ${EVENT_FOR_CONTACT} AND gr.status = 'purchased'
     ORDER BY e.date DESC
-  `).all(req.params.id);
+  `).all(req.params.id, req.params.id);
+  const household = contact.household_id
+    && db.prepare('SELECT * FROM households WHERE id = ?').get(contact.household_id);
 
   res.json({
     ...contact,
     preferences: JSON.parse(contact.preferences || '{}'),
     constraints: JSON.parse(contact.constraints || '{}'),
     default_gifts: JSON.parse(contact.default_gifts || '{"card":true,"gift":false,"flowers":false}'),
+    tags: parseTags(contact.tags),
     events,
     giftHistory,
+    addresses: listAddresses(db, req.params.id),
+    relationships: listRelationships(db, req.params.id),
+    household: household ? describeHousehold(db, household) : null,
+  });
+});
+
+// Timeline of every gift and card sent to a contact, newest first
+router.get('/:id/gift-history', (req, res) => {
+  const db = getDb();
+  const ownership = requireOwnership(db, req.params.id, req.user.id);
+  if (ownership.error) return res.status(ownership.status).json({ error: ownership.error });
+
+  const entries = getGiftHistory(db, req.params.id);
+  const given = entries.filter(h => h.gift && h.order.status !== 'cancelled');
+
+  res.json({
+    contact_id: req.params.id,
+    entries,
+    summary: {
+      gifts: given.length,
+      cards: entries.filter(h => h.card).length,
+      total_spent: Math.round(given.reduce((sum, h) => sum + h.gift.price, 0) * 100) / 100,
+    },
+  });
+});
+
+// List a contact's shipping addresses, default first
+router.get('/:id/addresses', (req, res) => {
+  const db = getDb();
+  const ownership = requireOwnership(db, req.params.id, req.user.id);
+  if (ownership.error) return res.status(ownership.status).json({ error: ownership.error });
+
+  res.json(listAddresses(db, req.params.id));
+});
+
+// Add a shipping address. The first address (or one sent with is_default: true)
+// becomes the default.
+router.post('/:id/addresses', (req, res) => {
+  const db = getDb();
+  const ownership = requireOwnership(db, req.params.id, req.user.id);
+  if (ownership.error) return res.status(ownership.status).json({ error: ownership.error });
+
+  const { address, error } = validateAddress(req.body);
+  if (error) return res.status(400).json({ error });
+
+  const created = createAddress(db, req.params.id, address, req.body.is_default === true);
+  logAudit('create', 'contact_address', created.id, {
+    contact_id: req.params.id,
+    country: created.country,
+    is_default: !!created.is_default,
+  });
+
+  res.status(201).json(created);
+});
+
+// Update a shipping address. Orders placed earlier keep their own snapshot.
+router.put('/:id/addresses/:addressId', (req, res) => {
+  const db = getDb();
+  const ownership = requireOwnership(db, req.params.id, req.user.id);
+  if (ownership.error) return res.status(ownership.status).json({ error: ownership.error });
+
+  const existing = db.prepare('SELECT * FROM contact_addresses WHERE id = ? AND contact_id = ?')
+    .get(req.params.addressId, req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Address not found' });
+
+  const { address, error } = validateAddress(req.body, { partial: true, existing });
+  if (error) return res.status(400).json({ error });
+
+  const updated = updateAddress(db, existing, address, req.body.is_default === true);
+  logAudit('update', 'contact_address', existing.id, { contact_id: req.params.id, changes: req.body });
+
+  res.json(updated);
+});
+
+router.delete('/:id/addresses/:addressId', (req, res) => {
+  const db = getDb();
+  const ownership = requireOwnership(db, req.params.id, req.user.id);
+  if (ownership.error) return res.status(ownership.status).json({ error: ownership.error });
+
+  const existing = db.prepare('SELECT * FROM contact_addresses WHERE id = ? AND contact_id = ?')
+    .get(req.params.addressId, req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Address not found' });
+
+  deleteAddress(db, existing);
+  logAudit('delete', 'contact_address', existing.id, { contact_id: req.params.id });
+
+  res.json({ message: 'Address deleted' });
+});
+
+// A contact's gift ideas, open ones first; ?status= narrows to one status
+router.get('/:id/ideas', (req, res) => {
+  const db = getDb();
+  const ownership = requireOwnership(db, req.params.id, req.user.id);
+  if (ownership.error) return res.status(ownership.status).json({ error: ownership.error });
+
+  const { status } = req.query;
+  if (status !== undefined && !IDEA_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${IDEA_STATUSES.join(', ')}` });
+  }
+  res.json(listIdeas(db, req.params.id, status || null));
+});
+
+// Note a gift idea: { title, url, kind: 'idea' | 'link' | 'mentioned', price,
+// retailer, notes, tags }. A title or a url is enough.
+router.post('/:id/ideas', (req, res) => {
+  const db = getDb();
+  const ownership = requireOwnership(db, req.params.id, req.user.id);
+  if (ownership.error) return res.status(ownership.status).json({ error: ownership.error });
+
+  const { idea, error } = validateIdea(req.body);
+  if (error) return res.status(400).json({ error });
+
+  const created = createIdea(db, req.params.id, idea);
+  logAudit('create', 'gift_idea', created.id, { contact_id: req.params.id, title: created.title, kind: created.kind });
+
+  res.status(201).json(created);
+});
+
+// Edit an idea, or set status to 'dismissed' or back to 'open'
+router.put('/:id/ideas/:ideaId', (req, res) => {
+  const db = getDb();
+  const ownership = requireOwnership(db, req.params.id, req.user.id);
+  if (ownership.error) return res.status(ownership.status).json({ error: ownership.error });
+
+  const existing = parseIdea(db.prepare('SELECT * FROM gift_ideas WHERE id = ? AND contact_id = ?')
+    .get(req.params.ideaId, req.params.id));
+  if (!existing) return res.status(404).json({ error: 'Gift idea not found' });
+
+  const { idea, error } = validateIdea(req.body, { partial: true, existing });
+  if (error) return res.status(400).json({ error });
+
+  const updated = updateIdea(db, existing, idea);
+  logAudit('update', 'gift_idea', existing.id, { contact_id: req.params.id, changes: req.body });
+
+  res.json(updated);
+});
+
+router.delete('/:id/ideas/:ideaId', (req, res) => {
+  const db = getDb();
+  const ownership = requireOwnership(db, req.params.id, req.user.id);
+  if (ownership.error) return res.status(ownership.status).json({ error: ownership.error });
+
+  const existing = db.prepare('SELECT * FROM gift_ideas WHERE id = ? AND contact_id = ?')
+    .get(req.params.ideaId, req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Gift idea not found' });
+
+  db.prepare('DELETE FROM gift_ideas WHERE id = ?').run(existing.id);
+  logAudit('delete', 'gift_idea', existing.id, { contact_id: req.params.id, title: existing.title });
+
+  res.json({ message: 'Gift idea deleted' });
+});
+
+// The contact's relatives: how each related contact is related to this one
+router.get('/:id/relationships', (req, res) => {
+  const db = getDb();
+  const ownership = requireOwnership(db, req.params.id, req.user.id);
+  if (ownership.error) return res.status(ownership.status).json({ error: ownership.error });
+
+  res.json(listRelationships(db, req.params.id));
+});
+
+// Relate another contact to this one with { type }: "relatedId is this
+// contact's <type>". The inverse link is recorded too.
+router.put('/:id/relationships/:relatedId', (req, res) => {
+  const db = getDb();
+  const ownership = requireOwnership(db, req.params.id, req.user.id);
+  if (ownership.error) return res.status(ownership.status).json({ error: ownership.error });
+  const related = requireOwnership(db, req.params.relatedId, req.user.id);
+  if (related.error) return res.status(related.status).json({ error: related.error });
+
+  if (req.params.relatedId === req.params.id) {
+    return res.status(400).json({ error: 'A contact cannot be related to themselves' });
+  }
+  const { type } = req.body;
+  if (!RELATIONSHIP_TYPES.includes(type)) {
+    return res.status(400).json({ error: `type must be one of: ${RELATIONSHIP_TYPES.join(', ')}` });
+  }
+
+  setRelationship(db, req.params.id, req.params.relatedId, type);
+  logAudit('set_relationship', 'contact', req.params.id, { related_contact_id: req.params.relatedId, type });
+
+  res.json(listRelationships(db, req.params.id));
+});
+
+router.delete('/:id/relationships/:relatedId', (req, res) => {
+  const db = getDb();
+  const ownership = requireOwnership(db, req.params.id, req.user.id);
+  if (ownership.error) return res.status(ownership.status).json({ error: ownership.error });
+
+  if (!removeRelationship(db, req.params.id, req.params.relatedId)) {
+    return res.status(404).json({ error: 'Relationship not found' });
+  }
+  logAudit('remove_relationship', 'contact', req.params.id, { related_contact_id: req.params.relatedId });
+
+  res.json(listRelationships(db, req.params.id));
+});
+
+// Holidays the contact is opted into, with each one's scheduled event
+router.get('/:id/holidays', (req, res) => {
+  const db = getDb();
+  const ownership = requireOwnership(db, req.params.id, req.user.id);
+  if (ownership.error) return res.status(ownership.status).json({ error: ownership.error });
+
+  res.json(contactHolidays(db, req.params.id));
+});
+
+// Replace the contact's holiday opt-ins with { holidays: [holiday ids] }.
+// Newly added holidays get a recurring event on their next date.
+router.put('/:id/holidays', (req, res) => {
+  const db = getDb();
+  const ownership = requireOwnership(db, req.params.id, req.user.id);
+  if (ownership.error) return res.status(ownership.status).json({ error: ownership.error });
+
+  const { holidays } = req.body;
+  if (!Array.isArray(holidays)) return res.status(400).json({ error: 'holidays must be an array of holiday ids' });
+  const unknown = holidays.filter(id => !getHoliday(id));
+  if (unknown.length > 0) return res.status(400).json({ error: `Unknown holiday: ${unknown.join(', ')}` });
+
+  const result = setContactHolidays(db, ownership.contact, [...new Set(holidays)]);
+  logAudit('set_holidays', 'contact', req.params.id, {
+    added: result.added,
+    removed: result.removed,
+    events_created: result.created.length,
   });
+
+  res.json({ holidays: contactHolidays(db, req.params.id), unavailable: result.unavailable });
 });
 
 // Create contact
@@ -115,15 +405,18 @@ router.post('/', (req, res) => {
     }
   }
 
+  const tagged = validateTags(req.body.tags || []);
+  if (tagged.error) return res.status(400).json({ error: tagged.error });
+
   const id = uuidv4();
   db.prepare(`
-    INSERT INTO contacts (id, name, email, phone, relationship, birthday, anniversary, other_date, default_gifts, preferences, constraints, notes, user_id)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO contacts (id, name, email, phone, relationship, birthday, anniversary, other_date, default_gifts, preferences, constraints, notes, tags, user_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `).run(id, name, email || null, phone || null, relationship,
     birthday || null, anniversary || null, other_date || null,
     JSON.stringify(default_gifts || { card: true, gift: false, flowers: false }),
     JSON.stringify(preferences || {}), JSON.stringify(constraints || {}), notes || '',
-    req.user.id);
+    JSON.stringify(tagged.tags), req.user.id);
 
   logAudit('create', 'contact', id, { name, relationship });
 
@@ -137,6 +430,7 @@ router.post('/', (req, res) => {
     preferences: JSON.parse(contact.preferences || '{}'),
     constraints: JSON.parse(contact.constraints || '{}'),
     default_gifts: JSON.parse(contact.default_gifts || '{"card":true,"gift":false,"flowers":false}'),
+    tags: parseTags(contact.tags),
     events,
   });
 });
@@ -157,6 +451,9 @@ router.put('/:id', (req, res) => {
     }
   }
 
+  const tagged = req.body.tags !== undefined ? validateTags(req.body.tags) : {};
+  if (tagged.error) return res.status(400).json({ error: tagged.error });
+
   db.prepare(`
     UPDATE contacts SET
       name = COALESCE(?, name),
@@ -170,6 +467,7 @@ router.put('/:id', (req, res) => {
       preferences = COALESCE(?, preferences),
       constraints = COALESCE(?, constraints),
       notes = COALESCE(?, notes),
+      tags = COALESCE(?, tags),
       updated_at = datetime('now')
     WHERE id = ?
   `).run(
@@ -182,6 +480,7 @@ router.put('/:id', (req, res) => {
     preferences ? JSON.stringify(preferences) : null,
     constraints ? JSON.stringify(constraints) : null,
     notes !== undefined ? notes : null,
+    tagged.tags ? JSON.stringify(tagged.tags) : null,
     req.params.id
   );
 
@@ -193,27 +492,104 @@ router.put('/:id', (req, res) => {
     preferences: JSON.parse(updated.preferences || '{}'),
     constraints: JSON.parse(updated.constraints || '{}'),
     default_gifts: JSON.parse(updated.default_gifts || '{"card":true,"gift":false,"flowers":false}'),
+    tags: parseTags(updated.tags),
+  });
+});
+
+// Merge another contact into this one. Events (and their gift history), budget
+// overrides, autonomy rules, addresses and notes move across, then the
+// duplicate is deleted.
+router.post('/:id/merge', (req, res) => {
+  const db = getDb();
+  const { duplicate_id } = req.body;
+  if (!duplicate_id) return res.status(400).json({ error: 'duplicate_id is required' });
+  if (duplicate_id === req.params.id) {
+    return res.status(400).json({ error: 'A contact cannot be merged into itself' });
+  }
+
+  const survivor = requireOwnership(db, req.params.id, req.user.id);
+  if (survivor.error) return res.status(survivor.status).json({ error: survivor.error });
+  const duplicate = requireOwnership(db, duplicate_id, req.user.id);
+  if (duplicate.error) return res.status(duplicate.status).json({ error: 'Duplicate contact not found' });
+
+  const summary = mergeContacts(db, survivor.contact, duplicate.contact);
+  logAudit('merge', 'contact', req.params.id, {
+    merged_contact_id: duplicate_id,
+    merged_name: duplicate.contact.name,
+    ...summary,
+  });
+
+  const merged = db.prepare('SELECT * FROM contacts WHERE id = ?').get(req.params.id);
+  res.json({
+    contact: {
+      ...merged,
+      preferences: JSON.parse(merged.preferences || '{}'),
+      constraints: JSON.parse(merged.constraints || '{}'),
+      default_gifts: JSON.parse(merged.default_gifts || '{"card":true,"gift":false,"flowers":false}'),
+      tags: parseTags(merged.tags),
+    },
+    merged: summary,
   });
 });
 
-// Bulk import contacts from CSV or vCard data
+// Bulk import contacts. Send a file's contents as { format: 'vcard' | 'csv',
+// data, mapping?, preset? } — parsed on the server — or already-parsed rows as
+// { contacts: [...] }. Every row is validated first; with dry_run the per-row
+// results are returned without inserting anything. Otherwise valid rows are
+// imported and invalid ones reported. dry_run defaults to true for files.
+// Rows that are likely duplicates of an existing contact or an earlier row are
+// skipped unless include_duplicates is true.
 router.post('/import', (req, res) => {
   const db = getDb();
-  const { contacts: importData } = req.body;
+  const { contacts: importData, format, data, mapping, preset } = req.body;
 
-  if (!importData || !Array.isArray(importData) || importData.length === 0) {
+  let records;
+  let parsed = {};
+  if (format !== undefined) {
+    if (!['vcard', 'csv'].includes(format)) {
+      return res.status(400).json({ error: "format must be 'vcard' or 'csv'" });
+    }
+    if (typeof data !== 'string' || !data.trim()) {
+      return res.status(400).json({ error: 'data must be the contents of the file' });
+    }
+    if (format === 'vcard') {
+      records = parseVCards(data);
+    } else {
+      parsed = parseContactsCsv(data, { preset, mapping });
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+      records = parsed.records;
+    }
+  } else if (Array.isArray(importData)) {
+    records = importData;
+  }
+
+  if (!records || records.length === 0) {
     return res.status(400).json({ error: 'No contacts provided for import' });
   }
 
-  const MAX_IMPORT_BATCH = 500;
-  if (importData.length > MAX_IMPORT_BATCH) {
+  if (records.length > MAX_IMPORT_ROWS) {
     return res.status(400).json({
-      error: `Import batch too large. Maximum ${MAX_IMPORT_BATCH} contacts per request (received ${importData.length}).`,
+      error: `Import batch too large. Maximum ${MAX_IMPORT_ROWS} contacts per request (received ${records.length}).`,
     });
   }
 
+  const preview = previewImport(db, req.user.id, records);
+  const csvDetails = format === 'csv'
+    ? { headers: parsed.headers, preset: parsed.preset, mapping: parsed.mapping }
+    : {};
+
+  const dryRun = req.body.dry_run !== undefined ? !!req.body.dry_run : format !== undefined;
+  if (dryRun) return res.json({ dry_run: true, format: format || 'json', ...csvDetails, ...preview });
+
   const imported = [];
-  const errors = [];
+  const errors = preview.rows
+    .filter(r => r.errors.length > 0)
+    .map(r => ({ row: r.row, contact: r.contact.name || `Row ${r.row}`, error: r.errors.join('; ') }));
+  const isSkipped = r => r.errors.length === 0 && !req.body.include_duplicates
+    && r.duplicate_of && r.duplicate_of.level === 'likely';
+  const skipped = preview.rows
+    .filter(isSkipped)
+    .map(r => ({ row: r.row, contact: r.contact.name, duplicate_of: r.duplicate_of }));
 
   const insertStmt = db.prepare(`
     INSERT INTO contacts (id, name, email, phone, relationship, birthday, anniversary, other_date, default_gifts, preferences, constraints, notes, user_id)
@@ -221,50 +597,44 @@ router.post('/import', (req, res) => {
   `);
 
   const importMany = db.transaction((rows) => {
-    for (const contact of rows) {
-      if (!contact.name) {
-        errors.push({ contact, error: 'Name is required' });
-        continue;
-      }
+    for (const { row, contact } of rows) {
       // For import, we don't require dates since the data may be sparse
       const id = uuidv4();
-      try {
-        const defaultGifts = contact.default_gifts || { card: true, gift: false, flowers: false };
-        insertStmt.run(
-          id,
-          contact.name,
-          contact.email || null,
-          contact.phone || null,
-          contact.relationship || 'friend',
-          contact.birthday || null,
-          contact.anniversary || null,
-          contact.other_date || null,
-          JSON.stringify(defaultGifts),
-          JSON.stringify(contact.preferences || {}),
-          JSON.stringify(contact.constraints || {}),
-          contact.notes || '',
-          req.user.id
-        );
-        // Auto-create events for imported contacts that have dates
-        createEventsForContact(db, id, contact.name, {
-          birthday: contact.birthday,
-          anniversary: contact.anniversary,
-          other_date: contact.other_date,
-        });
-        imported.push({ id, name: contact.name });
-        logAudit('create', 'contact', id, { name: contact.name, source: 'bulk_import' });
-      } catch (err) {
-        errors.push({ contact: contact.name, error: err.message });
-      }
+      const source = records[row - 1];
+      insertStmt.run(
+        id,
+        contact.name,
+        contact.email,
+        contact.phone,
+        contact.relationship,
+        contact.birthday,
+        contact.anniversary,
+        contact.other_date,
+        JSON.stringify(source.default_gifts || { card: true, gift: false, flowers: false }),
+        JSON.stringify(source.preferences || {}),
+        JSON.stringify(source.constraints || {}),
+        contact.notes,
+        req.user.id
+      );
+      if (contact.address) createAddress(db, id, contact.address);
+      // Auto-create events for imported contacts that have dates
+      createEventsForContact(db, id, contact.name, {
+        birthday: contact.birthday,
+        anniversary: contact.anniversary,
+        other_date: contact.other_date,
+      });
+      imported.push({ id, name: contact.name });
+      logAudit('create', 'contact', id, { name: contact.name, source: 'bulk_import', format: format || 'json' });
     }
   });
 
-  importMany(importData);
+  importMany(preview.rows.filter(r => r.errors.length === 0 && !isSkipped(r)));
 
   res.status(201).json({
     imported: imported.length,
     errors: errors.length,
-    details: { imported, errors },
+    skipped: skipped.length,
+    details: { imported, errors, skipped },
   });
 });
 
@@ -282,3 +652,4 @@ router.delete('/:id', (req, res) => {
 });
 
 module.exports = router;
+module.exports.createEventsForContact = createEventsForContact;
@@ -1,5 +1,6 @@
 const express = require('express');
 const { getDb } = require('../database');
+const { withMilestone } = require('../milestones');
 
 const router = express.Router();
 
@@ -10,23 +11,40 @@ router.get('/', (req, res) => {
   const totalContacts = db.prepare('SELECT COUNT(*) as count FROM contacts').get().count;
 
   const upcomingEvents = db.prepare(`
-    SELECT e.*, c.name as contact_name, c.relationship
+    SELECT e.*, c.name as contact_name, c.relationship,
+      c.birthday as contact_birthday, c.anniversary as contact_anniversary
     FROM events e
     JOIN contacts c ON e.contact_id = c.id
     WHERE e.date >= date('now')
     ORDER BY e.date ASC
     LIMIT 10
-  `).all();
+  `).all().map(withMilestone);
+
+  // Milestone birthdays and anniversaries in the coming year
+  const upcomingMilestones = db.prepare(`
+    SELECT e.*, c.name as contact_name, c.relationship,
+      c.birthday as contact_birthday, c.anniversary as contact_anniversary
+    FROM events e
+    JOIN contacts c ON e.contact_id = c.id
+    WHERE e.type IN ('birthday', 'anniversary') AND e.status IN ('upcoming', 'in_progress')
+    AND e.date >= date('now') AND e.date <= date('now', '+1 year')
+    ORDER BY e.date ASC
+  `).all().map(withMilestone).filter(e => e.milestone).slice(0, 5);
 
   const eventsNeedingAction = db.prepare(`
-    SELECT e.*, c.name as contact_name
+    SELECT e.*, c.name as contact_name,
+      c.birthday as contact_birthday, c.anniversary as contact_anniversary
     FROM events e
     JOIN contacts c ON e.contact_id = c.id
     WHERE e.status IN ('upcoming', 'in_progress')
     AND e.date >= date('now')
     AND e.date <= date('now', '+' || e.lead_time_days || ' days')
     ORDER BY e.date ASC
-  `).all();
+  `).all().map(withMilestone);
+
+  const missedEvents = db.prepare(
+    "SELECT COUNT(*) as count FROM events WHERE status = 'missed'"
+  ).get().count;
 
   const activeOrders = db.prepare(`
     SELECT o.*, gr.name as gift_name, e.name as event_name, c.name as contact_name
@@ -49,6 +67,17 @@ router.get('/', (req, res) => {
     LIMIT 5
   `).all();
 
+  // Delivered gifts the recipient hasn't thanked for yet, longest waiting first
+  const awaitingThanks = db.prepare(`
+    SELECT o.*, gr.name as gift_name, e.name as event_name, c.id as contact_id, c.name as contact_name
+    FROM orders o
+    JOIN gift_recommendations gr ON o.gift_recommendation_id = gr.id
+    JOIN events e ON o.event_id = e.id
+    JOIN contacts c ON e.contact_id = c.id
+    WHERE o.status = 'delivered' AND o.thank_you_received = 0
+    ORDER BY o.actual_delivery ASC
+  `).all();
+
   const unreadNotifications = db.prepare('SELECT COUNT(*) as count FROM notifications WHERE read = 0').get().count;
 
   const emergencyStop = db.prepare("SELECT value FROM global_settings WHERE key = 'emergency_stop'").get();
@@ -67,9 +96,12 @@ router.get('/', (req, res) => {
   res.json({
     totalContacts,
     upcomingEvents,
+    upcomingMilestones,
     eventsNeedingAction,
+    missedEvents,
     activeOrders,
     recentDeliveries,
+    awaitingThanks,
     unreadNotifications,
     emergencyStop: emergencyStop ? emergencyStop.value === 'true' : false,
     totalSpent: Math.round(totalSpent * 100) / 100,
@@ -0,0 +1,173 @@
+const express = require('express');
+const { getDb } = require('../database');
+const { logAudit } = require('../audit');
+const { requireAdmin } = require('../middleware');
+const {
+  EVENT_TYPE_ID_REGEX, getEventType, listEventTypes, eventTypeId, validateCardTemplates,
+} = require('../eventTypes');
+const { CATALOG_CATEGORY_REGEX, catalogCategories } = require('../catalog');
+
+// Event types shared by every user, like budgets. Anyone can list them;
+// creating, editing and deleting them is admin-only, like global settings.
+
+const router = express.Router();
+
+const MAX_NAME_LENGTH = 60;
+const MAX_LEAD_TIME_DAYS = 365;
+
+// Validate the editable fields of an event type. `creating` requires a name;
+// on update only the fields present are checked. Returns an error message or null.
+function validateEventType(body, creating) {
+  const { name, occasion, default_lead_time_days, catalog_category, budget, card_templates } = body;
+
+  if (creating || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+      return `name is required (up to ${MAX_NAME_LENGTH} characters)`;
+    }
+  }
+  if (occasion !== undefined && (typeof occasion !== 'string' || !occasion.trim() || occasion.length > MAX_NAME_LENGTH)) {
+    return `occasion must be text up to ${MAX_NAME_LENGTH} characters`;
+  }
+  if (default_lead_time_days !== undefined && default_lead_time_days !== null
+    && (!Number.isInteger(default_lead_time_days) || default_lead_time_days < 1 || default_lead_time_days > MAX_LEAD_TIME_DAYS)) {
+    return `default_lead_time_days must be a whole number from 1 to ${MAX_LEAD_TIME_DAYS}`;
+  }
+  if (catalog_category !== undefined
+    && (typeof catalog_category !== 'string' || !CATALOG_CATEGORY_REGEX.test(catalog_category))) {
+    return 'catalog_category must be 2-40 lowercase letters, digits or underscores, starting with a letter';
+  }
+  if (budget !== undefined && (typeof budget !== 'number' || budget < 0)) {
+    return 'budget must be a non-negative number';
+  }
+  if (card_templates !== undefined) return validateCardTemplates(card_templates);
+  return null;
+}
+
+// An event type with its default budget and how many events use it
+function describeEventType(db, type) {
+  const budget = db.prepare('SELECT id, default_amount FROM budgets WHERE category = ?').get(type.id);
+  const { count } = db.prepare('SELECT COUNT(*) as count FROM events WHERE type = ?').get(type.id);
+  return {
+    ...type,
+    budget_id: budget ? budget.id : null,
+    budget: budget ? budget.default_amount : null,
+    event_count: count,
+  };
+}
+
+// Delete a user-defined event type with its budget (and overrides) and the
+// autonomy rules written for it. Built-in types and types still used by
+// events can't be deleted. Returns { error, status } or the removed counts.
+function deleteEventType(db, type) {
+  if (type.builtin) return { error: 'Built-in event types cannot be deleted', status: 400 };
+  const { count } = db.prepare('SELECT COUNT(*) as count FROM events WHERE type = ?').get(type.id);
+  if (count > 0) {
+    return { error: `${count} event(s) still use this type; change or delete them first`, status: 409 };
+  }
+
+  let result;
+  db.transaction(() => {
+    const autonomy = db.prepare('DELETE FROM autonomy_settings WHERE event_type = ?').run(type.id).changes;
+    const budgets = db.prepare('DELETE FROM budgets WHERE category = ?').run(type.id).changes;
+    db.prepare('DELETE FROM event_types WHERE id = ?').run(type.id);
+    result = { budgets_removed: budgets, autonomy_rules_removed: autonomy };
+  })();
+  return result;
+}
+
+// List event types with their budgets
+router.get('/', (req, res) => {
+  const db = getDb();
+  res.json({
+    event_types: listEventTypes(db).map(type => describeEventType(db, type)),
+    catalog_categories: catalogCategories(db),
+  });
+});
+
+// Create an event type and its default budget
+router.post('/', requireAdmin, (req, res) => {
+  const db = getDb();
+  const error = validateEventType(req.body, true);
+  if (error) return res.status(400).json({ error });
+
+  const { name, occasion, default_lead_time_days, catalog_category = 'other', budget, card_templates = {} } = req.body;
+  const id = req.body.id || eventTypeId(name);
+  if (!EVENT_TYPE_ID_REGEX.test(id)) {
+    return res.status(400).json({ error: 'id must be 2-40 lowercase letters, digits or underscores, starting with a letter' });
+  }
+  if (getEventType(db, id)) return res.status(409).json({ error: `Event type "${id}" already exists` });
+  if (db.prepare('SELECT 1 FROM budgets WHERE id = ? OR category = ?').get(`budget_${id}`, id)) {
+    return res.status(409).json({ error: `A budget for "${id}" already exists` });
+  }
+
+  const otherBudget = db.prepare("SELECT default_amount FROM budgets WHERE category = 'other'").get();
+  const amount = budget !== undefined ? budget : (otherBudget ? otherBudget.default_amount : 0);
+
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO event_types (id, name, occasion, default_lead_time_days, catalog_category, card_templates)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(id, name.trim(), (occasion || name).trim().toLowerCase(), default_lead_time_days || null,
+      catalog_category, JSON.stringify(card_templates));
+    db.prepare('INSERT INTO budgets (id, category, default_amount) VALUES (?, ?, ?)').run(`budget_${id}`, id, amount);
+  })();
+
+  logAudit('create', 'event_type', id, { name, catalog_category, default_lead_time_days, budget: amount });
+  res.status(201).json(describeEventType(db, getEventType(db, id)));
+});
+
+// Update an event type; `budget` updates its default budget
+router.put('/:id', requireAdmin, (req, res) => {
+  const db = getDb();
+  const existing = getEventType(db, req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Event type not found' });
+
+  const error = validateEventType(req.body, false);
+  if (error) return res.status(400).json({ error });
+
+  const { name, occasion, default_lead_time_days, catalog_category, budget, card_templates } = req.body;
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE event_types SET
+        name = COALESCE(?, name),
+        occasion = COALESCE(?, occasion),
+        default_lead_time_days = ?,
+        catalog_category = COALESCE(?, catalog_category),
+        card_templates = COALESCE(?, card_templates),
+        updated_at = datetime('now')
+      WHERE id = ?
+    `).run(
+      name ? name.trim() : null,
+      occasion ? occasion.trim().toLowerCase() : null,
+      default_lead_time_days !== undefined ? default_lead_time_days : existing.default_lead_time_days,
+      catalog_category || null,
+      card_templates !== undefined ? JSON.stringify(card_templates) : null,
+      existing.id,
+    );
+    if (budget !== undefined) {
+      db.prepare(`
+        UPDATE budgets SET default_amount = ?, updated_at = datetime('now') WHERE category = ?
+      `).run(budget, existing.id);
+    }
+  })();
+
+  logAudit('update', 'event_type', existing.id, { changes: req.body });
+  res.json(describeEventType(db, getEventType(db, existing.id)));
+});
+
+// Delete a user-defined event type that no events use
+router.delete('/:id', requireAdmin, (req, res) => {
+  const db = getDb();
+  const existing = getEventType(db, req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Event type not found' });
+
+  const result = deleteEventType(db, existing);
+  if (result.error) return res.status(result.status).json({ error: result.error });
+
+  logAudit('delete', 'event_type', existing.id, { name: existing.name, ...result });
+  res.json({ message: 'Event type deleted', ...result });
+});
+
+module.exports = router;
+module.exports.validateEventType = validateEventType;
+module.exports.deleteEventType = deleteEventType;
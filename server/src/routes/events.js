@@ -1,17 +1,57 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
-const { getDb } = require('../database');
+const { getDb, getDefaultLeadTimeDays } = require('../database');
 const { logAudit } = require('../audit');
+const { resolveAutonomy } = require('../autonomy');
+const { planCalendarImport } = require('../calendarImport');
+const { getEventType, eventTypeLeadTime } = require('../eventTypes');
+const { withMilestone } = require('../milestones');
+const { eventRecipients, setEventRecipients, eventAddresses } = require('../recipients');
+const { getSegment, segmentContacts } = require('../segments');
+const { getEffectiveBudget } = require('./budgets');
 
 const router = express.Router();
 
 const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
 
+// Insert an event and record it in the audit log. Shared by single creation,
+// calendar import and holiday opt-ins so all leave the same trail. Without an
+// explicit lead time the event type's default applies, then the global one.
+function insertEvent(db, { contact_id, type, name, date, recurring, lead_time_days, holiday_id }, auditDetails = {}) {
+  const id = uuidv4();
+  db.prepare(`
+    INSERT INTO events (id, contact_id, type, name, date, recurring, lead_time_days, holiday_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, contact_id, type, name, date, recurring !== undefined ? recurring : 1,
+    lead_time_days || eventTypeLeadTime(db, type, getDefaultLeadTimeDays()),
+    holiday_id || null);
+
+  logAudit('create', 'event', id, { contact_id, type, name, date, ...auditDetails });
+  return id;
+}
+
+// Check the other recipients of a shared event: an array of ids of contacts
+// the user owns. Returns an error message or null.
+function recipientIdsError(db, userId, ids) {
+  if (!Array.isArray(ids) || ids.some(id => typeof id !== 'string')) {
+    return 'Recipients must be an array of contact ids';
+  }
+  const lookup = db.prepare('SELECT user_id FROM contacts WHERE id = ?');
+  for (const id of ids) {
+    const contact = lookup.get(id);
+    if (!contact || (contact.user_id && contact.user_id !== userId)) return 'Recipient not found';
+  }
+  return null;
+}
+
 // List events with optional filters (scoped to authenticated user's contacts)
 router.get('/', (req, res) => {
   const db = getDb();
   let query = `
-    SELECT e.*, c.name as contact_name, c.relationship
+    SELECT e.*, c.name as contact_name, c.relationship,
+      c.birthday as contact_birthday, c.anniversary as contact_anniversary,
+      (SELECT GROUP_CONCAT(rc.name, ', ') FROM event_recipients er
+        JOIN contacts rc ON er.contact_id = rc.id WHERE er.event_id = e.id) as shared_with
     FROM events e
     JOIN contacts c ON e.contact_id = c.id
     WHERE (c.user_id = ? OR c.user_id IS NULL)
@@ -29,6 +69,20 @@ router.get('/', (req, res) => {
   if (req.query.upcoming === 'true') {
     query += " AND e.date >= date('now')";
   }
+  // Events for anyone in a saved segment, including shared events they are a
+  // recipient of
+  if (req.query.segment) {
+    const segment = getSegment(db, req.query.segment);
+    if (!segment || (segment.user_id && segment.user_id !== req.user.id)) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+    const memberIds = segmentContacts(db, segment, req.user.id).map(c => c.id);
+    if (memberIds.length === 0) return res.json([]);
+    const placeholders = memberIds.map(() => '?').join(', ');
+    query += ` AND (e.contact_id IN (${placeholders}) OR EXISTS (
+      SELECT 1 FROM event_recipients er WHERE er.event_id = e.id AND er.contact_id IN (${placeholders})))`;
+    params.push(...memberIds, ...memberIds);
+  }
 
   query += ' ORDER BY e.date ASC';
 
@@ -40,28 +94,33 @@ router.get('/', (req, res) => {
     }
   }
 
-  const events = db.prepare(query).all(...params);
+  const events = db.prepare(query).all(...params).map(withMilestone);
   res.json(events);
 });
 
 // Get single event with recommendations and messages
 router.get('/:id', (req, res) => {
   const db = getDb();
-  const event = db.prepare(`
-    SELECT e.*, c.name as contact_name, c.relationship, c.preferences, c.constraints, c.user_id as contact_user_id
+  const row = db.prepare(`
+    SELECT e.*, c.name as contact_name, c.relationship, c.preferences, c.constraints, c.user_id as contact_user_id,
+      c.birthday as contact_birthday, c.anniversary as contact_anniversary
     FROM events e
     JOIN contacts c ON e.contact_id = c.id
     WHERE e.id = ?
   `).get(req.params.id);
 
-  if (!event) return res.status(404).json({ error: 'Event not found' });
+  if (!row) return res.status(404).json({ error: 'Event not found' });
+  const event = withMilestone(row);
   if (event.contact_user_id && event.contact_user_id !== req.user.id) {
     return res.status(404).json({ error: 'Event not found' });
   }
 
   const recommendations = db.prepare(
     'SELECT * FROM gift_recommendations WHERE event_id = ? ORDER BY price ASC'
-  ).all(req.params.id);
+  ).all(req.params.id).map(r => ({
+    ...r,
+    score_breakdown: r.score_breakdown ? JSON.parse(r.score_breakdown) : null,
+  }));
 
   const cardMessages = db.prepare(
     'SELECT * FROM card_messages WHERE event_id = ? ORDER BY created_at DESC'
@@ -73,7 +132,22 @@ router.get('/:id', (req, res) => {
 
   const orders = db.prepare(
     'SELECT * FROM orders WHERE event_id = ? ORDER BY created_at DESC'
-  ).all(req.params.id);
+  ).all(req.params.id).map(o => ({
+    ...o,
+    shipping_address: o.shipping_address ? JSON.parse(o.shipping_address) : null,
+  }));
+
+  // Earlier occurrences of a recurring event, linked through previous_event_id
+  const previousOccurrences = db.prepare(`
+    WITH RECURSIVE chain(id, previous_event_id, date, status, depth) AS (
+      SELECT id, previous_event_id, date, status, 0 FROM events WHERE id = ?
+      UNION ALL
+      SELECT e.id, e.previous_event_id, e.date, e.status, chain.depth + 1
+      FROM events e JOIN chain ON e.id = chain.previous_event_id
+      WHERE chain.depth < 50
+    )
+    SELECT id, date, status FROM chain WHERE depth > 0 ORDER BY date DESC
+  `).all(req.params.id);
 
   res.json({
     ...event,
@@ -83,18 +157,27 @@ router.get('/:id', (req, res) => {
     cardMessages,
     approvals,
     orders,
+    recipients: eventRecipients(db, event),
+    addresses: eventAddresses(db, event),
+    previousOccurrences,
+    autonomy: resolveAutonomy(db, event),
+    budget: getEffectiveBudget(db, event),
   });
 });
 
 // Create event
 router.post('/', (req, res) => {
   const db = getDb();
-  const { contact_id, type, name, date, recurring, lead_time_days } = req.body;
+  const { contact_id, type, name, date, recurring, lead_time_days, recipient_ids = [] } = req.body;
 
   if (!contact_id || !type || !name || !date) {
     return res.status(400).json({ error: 'contact_id, type, name, and date are required' });
   }
 
+  if (!getEventType(db, type)) {
+    return res.status(400).json({ error: 'Unknown event type' });
+  }
+
   // Validate date format
   if (date && !DATE_REGEX.test(date)) {
     return res.status(400).json({ error: 'date must be in YYYY-MM-DD format' });
@@ -106,13 +189,14 @@ router.post('/', (req, res) => {
     return res.status(400).json({ error: 'Contact not found' });
   }
 
-  const id = uuidv4();
-  db.prepare(`
-    INSERT INTO events (id, contact_id, type, name, date, recurring, lead_time_days)
-    VALUES (?, ?, ?, ?, ?, ?, ?)
-  `).run(id, contact_id, type, name, date, recurring !== undefined ? recurring : 1, lead_time_days || 14);
+  const recipientError = recipientIdsError(db, req.user.id, recipient_ids);
+  if (recipientError) return res.status(400).json({ error: recipientError });
 
-  logAudit('create', 'event', id, { contact_id, type, name, date });
+  const id = insertEvent(db, { contact_id, type, name, date, recurring, lead_time_days });
+  if (recipient_ids.length > 0) {
+    const { added } = setEventRecipients(db, { id, contact_id }, recipient_ids);
+    if (added.length > 0) logAudit('set_recipients', 'event', id, { added, removed: [] });
+  }
 
   const event = db.prepare(`
     SELECT e.*, c.name as contact_name
@@ -122,6 +206,69 @@ router.post('/', (req, res) => {
   res.status(201).json(event);
 });
 
+// Import events from an exported .ics calendar. With dry_run (the default) the
+// plan is returned without writing anything; otherwise every planned event not
+// listed in `exclude` (item indexes) is created, along with any new contacts.
+router.post('/import', (req, res) => {
+  const db = getDb();
+  const { ics, dry_run = true, exclude = [] } = req.body;
+
+  if (typeof ics !== 'string' || !ics.includes('BEGIN:VCALENDAR')) {
+    return res.status(400).json({ error: 'ics must be the contents of an .ics calendar file' });
+  }
+  if (!Array.isArray(exclude)) {
+    return res.status(400).json({ error: 'exclude must be an array of item indexes' });
+  }
+
+  const plan = planCalendarImport(db, req.user.id, ics);
+  if (plan.error) return res.status(400).json({ error: plan.error });
+
+  if (dry_run) return res.json({ dry_run: true, ...plan });
+
+  const excluded = new Set(exclude);
+  const selected = plan.items.filter(i => i.action === 'create' && !excluded.has(i.index));
+
+  const insertContact = db.prepare(`
+    INSERT INTO contacts (id, name, relationship, birthday, anniversary, user_id)
+    VALUES (?, ?, 'friend', ?, ?, ?)
+  `);
+
+  const applyImport = db.transaction(() => {
+    // One new contact per distinct name, carrying the original dates from the file
+    const newContacts = new Map();
+    for (const item of selected.filter(i => i.new_contact)) {
+      const key = item.contact_name.toLowerCase();
+      if (!newContacts.has(key)) newContacts.set(key, { id: uuidv4(), name: item.contact_name, birthday: null, anniversary: null });
+      const contact = newContacts.get(key);
+      if (item.type === 'birthday' && !contact.birthday) contact.birthday = item.original_date;
+      if (item.type === 'anniversary' && !contact.anniversary) contact.anniversary = item.original_date;
+    }
+    for (const contact of newContacts.values()) {
+      insertContact.run(contact.id, contact.name, contact.birthday, contact.anniversary, req.user.id);
+      logAudit('create', 'contact', contact.id, { name: contact.name, source: 'calendar_import' });
+    }
+
+    return selected.map(item => {
+      const contactId = item.contact_id || newContacts.get(item.contact_name.toLowerCase()).id;
+      const id = insertEvent(db, {
+        contact_id: contactId, type: item.type, name: item.name, date: item.date, recurring: item.recurring,
+      }, { source: 'calendar_import' });
+      return { id, contact_id: contactId, name: item.name, date: item.date };
+    });
+  });
+
+  const created = applyImport();
+  const contactsCreated = new Set(selected.filter(i => i.new_contact).map(i => i.contact_name.toLowerCase())).size;
+
+  res.status(201).json({
+    dry_run: false,
+    created: created.length,
+    contacts_created: contactsCreated,
+    skipped: plan.items.length - created.length,
+    events: created,
+  });
+});
+
 // Update event
 router.put('/:id', (req, res) => {
   const db = getDb();
@@ -141,6 +288,10 @@ router.put('/:id', (req, res) => {
     return res.status(400).json({ error: 'date must be in YYYY-MM-DD format' });
   }
 
+  if (type && !getEventType(db, type)) {
+    return res.status(400).json({ error: 'Unknown event type' });
+  }
+
   db.prepare(`
     UPDATE events SET
       type = COALESCE(?, type),
@@ -168,6 +319,61 @@ router.put('/:id', (req, res) => {
   res.json(updated);
 });
 
+// Replace the other recipients of a shared event (everyone but the primary
+// contact). An empty list makes it a single-recipient event again.
+router.put('/:id/recipients', (req, res) => {
+  const db = getDb();
+  const existing = db.prepare(`
+    SELECT e.*, c.user_id as contact_user_id FROM events e
+    JOIN contacts c ON e.contact_id = c.id WHERE e.id = ?
+  `).get(req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Event not found' });
+  if (existing.contact_user_id && existing.contact_user_id !== req.user.id) {
+    return res.status(404).json({ error: 'Event not found' });
+  }
+
+  const { contact_ids } = req.body;
+  const error = recipientIdsError(db, req.user.id, contact_ids);
+  if (error) return res.status(400).json({ error });
+
+  const changes = setEventRecipients(db, existing, contact_ids);
+  if (changes.added.length > 0 || changes.removed.length > 0) {
+    logAudit('set_recipients', 'event', existing.id, changes);
+  }
+
+  res.json({ recipients: eventRecipients(db, existing), ...changes });
+});
+
+// Reopen a missed event so a belated gift and card can go through the normal workflow
+router.post('/:id/belated', (req, res) => {
+  const db = getDb();
+  const existing = db.prepare(`
+    SELECT e.*, c.user_id as contact_user_id FROM events e
+    JOIN contacts c ON e.contact_id = c.id WHERE e.id = ?
+  `).get(req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Event not found' });
+  if (existing.contact_user_id && existing.contact_user_id !== req.user.id) {
+    return res.status(404).json({ error: 'Event not found' });
+  }
+
+  if (existing.status !== 'missed') {
+    return res.status(400).json({ error: 'Only missed events can be reopened for a belated gift' });
+  }
+
+  db.prepare(`
+    UPDATE events SET status = 'in_progress', belated = 1, updated_at = datetime('now') WHERE id = ?
+  `).run(req.params.id);
+
+  logAudit('start_belated', 'event', req.params.id, { name: existing.name, date: existing.date });
+
+  const updated = db.prepare(`
+    SELECT e.*, c.name as contact_name
+    FROM events e JOIN contacts c ON e.contact_id = c.id
+    WHERE e.id = ?
+  `).get(req.params.id);
+  res.json(updated);
+});
+
 // Delete event
 router.delete('/:id', (req, res) => {
   const db = getDb();
@@ -187,3 +393,4 @@ router.delete('/:id', (req, res) => {
 });
 
 module.exports = router;
+module.exports.insertEvent = insertEvent;
@@ -2,161 +2,352 @@ const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const { getDb } = require('../database');
 const { logAudit } = require('../audit');
+const { searchProducts, lookupProduct } = require('../retailers');
+const { getEventType } = require('../eventTypes');
+const { getEffectiveBudget } = require('./budgets');
+const { getGiftHistory, historySignals } = require('../history');
+const {
+  getScoringWeights, scoreGift, giftOverlap, overlapDetails, diversify,
+} = require('../scoring');
+const { EVENT_FOR_CONTACT, eventRecipients, recipientNames } = require('../recipients');
+const { LAST_MINUTE_DAYS, MIN_ON_TIME, deliveryStatus, fastAlternatives } = require('../delivery');
+const { todayIso, daysBetween } = require('../dates');
+const { ideaCandidates } = require('../giftIdeas');
 
 const router = express.Router();
 
-// Gift catalog / mock retailer data for MVP
-const MOCK_GIFT_CATALOG = [
-  // Birthday gifts
-  { name: 'Personalized Photo Frame', category: 'birthday', price: 29.99, retailer: 'Amazon', description: 'Elegant wooden photo frame with custom engraving options', tags: ['sentimental', 'home', 'photo'] },
-  { name: 'Gourmet Chocolate Gift Box', category: 'birthday', price: 34.99, retailer: 'Amazon', description: 'Assorted premium chocolates in a decorative box', tags: ['food', 'sweet', 'luxury'] },
-  { name: 'Wireless Bluetooth Speaker', category: 'birthday', price: 45.99, retailer: 'Amazon', description: 'Portable waterproof speaker with 12-hour battery', tags: ['tech', 'music', 'portable'] },
-  { name: 'Scented Candle Set', category: 'birthday', price: 28.50, retailer: 'Target', description: 'Set of 3 hand-poured soy candles in seasonal scents', tags: ['home', 'relaxation', 'self-care'] },
-  { name: 'Bestselling Novel Collection', category: 'birthday', price: 24.99, retailer: 'Amazon', description: 'Curated set of 3 bestselling fiction novels', tags: ['books', 'reading', 'intellectual'] },
-  { name: 'Premium Coffee Sampler', category: 'birthday', price: 32.00, retailer: 'Target', description: 'Selection of 6 single-origin coffee beans from around the world', tags: ['coffee', 'food', 'gourmet'] },
-  { name: 'Fitness Tracker Band', category: 'birthday', price: 49.99, retailer: 'Amazon', description: 'Lightweight fitness band with heart rate and sleep tracking', tags: ['tech', 'fitness', 'health'] },
-  { name: 'Luxury Bath Bomb Set', category: 'birthday', price: 22.99, retailer: 'Target', description: 'Set of 8 handcrafted bath bombs with essential oils', tags: ['self-care', 'relaxation', 'beauty'] },
-  { name: 'Succulent Plant Collection', category: 'birthday', price: 26.99, retailer: 'Amazon', description: 'Set of 4 assorted mini succulents in decorative pots', tags: ['plants', 'home', 'nature'] },
-  { name: 'Leather Journal', category: 'birthday', price: 19.99, retailer: 'Amazon', description: 'Handcrafted leather-bound journal with 240 pages', tags: ['writing', 'creative', 'professional'] },
-
-  // Anniversary gifts
-  { name: 'Couples Wine Glasses Set', category: 'anniversary', price: 39.99, retailer: 'Amazon', description: 'Pair of crystal wine glasses with etched design', tags: ['romantic', 'home', 'wine'] },
-  { name: 'Spa Day Gift Certificate', category: 'anniversary', price: 75.00, retailer: 'Target', description: 'Gift card for couples spa treatment', tags: ['relaxation', 'romantic', 'experience'] },
-  { name: 'Personalized Star Map', category: 'anniversary', price: 49.99, retailer: 'Amazon', description: 'Custom night sky print for a specific date and location', tags: ['sentimental', 'romantic', 'art'] },
-  { name: 'Gourmet Dinner Kit', category: 'anniversary', price: 65.00, retailer: 'Amazon', description: 'Premium meal kit for a romantic dinner for two', tags: ['food', 'romantic', 'experience'] },
-  { name: 'Photo Album Book', category: 'anniversary', price: 44.99, retailer: 'Target', description: 'Customizable premium photo album with 50 pages', tags: ['sentimental', 'photo', 'memories'] },
-  { name: 'Matching Watch Set', category: 'anniversary', price: 79.99, retailer: 'Amazon', description: 'His and hers minimalist analog watches', tags: ['fashion', 'romantic', 'luxury'] },
-
-  // Holiday gifts
-  { name: 'Holiday Cookie Tin', category: 'holiday', price: 18.99, retailer: 'Target', description: 'Assorted holiday cookies in a festive collector tin', tags: ['food', 'sweet', 'festive'] },
-  { name: 'Cozy Throw Blanket', category: 'holiday', price: 35.99, retailer: 'Amazon', description: 'Ultra-soft fleece throw blanket in holiday colors', tags: ['home', 'comfort', 'winter'] },
-  { name: 'Hot Cocoa Gift Set', category: 'holiday', price: 24.99, retailer: 'Target', description: 'Artisan hot chocolate mix with marshmallows and mug', tags: ['food', 'warm', 'festive'] },
-  { name: 'Holiday Scented Candle Trio', category: 'holiday', price: 31.50, retailer: 'Amazon', description: 'Pine, cinnamon, and vanilla holiday candle set', tags: ['home', 'festive', 'relaxation'] },
-  { name: 'Winter Accessories Set', category: 'holiday', price: 29.99, retailer: 'Target', description: 'Matching scarf, gloves, and beanie in a gift box', tags: ['fashion', 'winter', 'practical'] },
-  { name: 'Board Game Collection', category: 'holiday', price: 38.99, retailer: 'Amazon', description: 'Popular family board game perfect for gatherings', tags: ['games', 'family', 'fun'] },
-  { name: 'Gourmet Snack Basket', category: 'holiday', price: 42.99, retailer: 'Amazon', description: 'Curated selection of premium nuts, dried fruits, and treats', tags: ['food', 'gourmet', 'sharing'] },
-  { name: 'Smart Home Mini Speaker', category: 'holiday', price: 34.99, retailer: 'Target', description: 'Compact smart speaker with voice assistant', tags: ['tech', 'home', 'practical'] },
-];
+// Ways to ask for more recommendations relative to a chosen one
+const MORE_MODES = ['similar', 'different'];
 
-// Generate gift recommendations for an event
-router.post('/recommend/:eventId', (req, res) => {
-  const db = getDb();
-  const event = db.prepare(`
-    SELECT e.*, c.name as contact_name, c.preferences, c.constraints, c.relationship
-    FROM events e
-    JOIN contacts c ON e.contact_id = c.id
-    WHERE e.id = ?
-  `).get(req.params.eventId);
+// Words used to search retailers for the built-in event types; other types
+// search for "<occasion> gift"
+const SEARCH_OCCASIONS = {
+  birthday: 'birthday gift',
+  anniversary: 'anniversary gift',
+  holiday: 'holiday gift',
+  other: 'gift',
+};
 
-  if (!event) return res.status(404).json({ error: 'Event not found' });
+// A shared event's gift has to suit everyone: the other recipients'
+// interests and liked or disliked tags are pooled with the primary contact's,
+// and every recipient's avoided categories are excluded
+function poolPreferences(db, recipients, preferences, constraints) {
+  const pooled = { preferences: { ...preferences }, constraints: { ...constraints } };
+  const lookup = db.prepare('SELECT preferences, constraints FROM contacts WHERE id = ?');
+  const merge = (target, key, values) => {
+    if (!Array.isArray(values) || values.length === 0) return;
+    target[key] = [...new Set([...(target[key] || []), ...values])];
+  };
+  for (const recipient of recipients.filter(r => !r.primary)) {
+    const row = lookup.get(recipient.id);
+    const prefs = JSON.parse(row.preferences || '{}');
+    const cons = JSON.parse(row.constraints || '{}');
+    for (const key of ['interests', 'liked_tags', 'disliked_tags']) merge(pooled.preferences, key, prefs[key]);
+    merge(pooled.constraints, 'avoid_categories', cons.avoid_categories);
+  }
+  return pooled;
+}
 
-  // Get effective budget
-  const budget = db.prepare('SELECT * FROM budgets WHERE category = ?').get(event.type);
-  const override = db.prepare(
-    'SELECT * FROM budget_overrides WHERE budget_id = ? AND contact_id = ?'
-  ).get(budget?.id, event.contact_id);
-  const effectiveBudget = override ? override.amount : (budget ? budget.default_amount : 50);
+// Search the retailer adapters and score the results against an event's
+// budget, preferences and past gifts, best first. Gifts already purchased for
+// a recipient, over budget, avoided or arriving late are left out. The
+// recipients' open gift ideas within budget come back separately in `ideas`;
+// someone chose them on purpose, so they are kept even if late. Scoring
+// weights are `userId`'s, or the contact owner's when not given.
+async function findCandidates(db, event, userId) {
+  // Get effective budget (raised for milestone birthdays and anniversaries)
+  const { amount: effectiveBudget, milestone } = getEffectiveBudget(db, event);
 
-  // Parse preferences
-  const preferences = JSON.parse(event.preferences || '{}');
-  const constraints = JSON.parse(event.constraints || '{}');
+  // Parse preferences, pooled across everyone on a shared event
+  const recipients = eventRecipients(db, event);
+  const { preferences, constraints } = poolPreferences(db, recipients,
+    JSON.parse(event.preferences || '{}'), JSON.parse(event.constraints || '{}'));
+  const recipientName = recipients.length > 1 ? recipientNames(recipients.map(r => r.name)) : event.contact_name;
 
-  // Get past gifts to avoid repeats
-  const pastGifts = db.prepare(`
+  // Get past gifts to any recipient (shared ones included) to avoid repeats
+  const pastGifts = recipients.flatMap(r => db.prepare(`
     SELECT gr.name FROM gift_recommendations gr
     JOIN events e ON gr.event_id = e.id
-    WHERE e.contact_id = ? AND gr.status = 'purchased'
-  `).all(event.contact_id).map(g => g.name);
+    WHERE ${EVENT_FOR_CONTACT} AND gr.status = 'purchased'
+  `).all(r.id, r.id).map(g => g.name));
+  const signals = historySignals(getGiftHistory(db, event.contact_id));
+  if (userId === undefined) {
+    userId = db.prepare('SELECT user_id FROM contacts WHERE id = ?').get(event.contact_id).user_id;
+  }
+
+  // Search configured retailers (or the built-in catalog) within budget
+  const interests = preferences.interests || [];
+  const eventType = getEventType(db, event.type);
+  const occasion = SEARCH_OCCASIONS[event.type] || (eventType ? `${eventType.occasion} gift` : SEARCH_OCCASIONS.other);
+  const keywords = [occasion, ...interests.slice(0, 3)].join(' ');
+  const { products, sources, errors } = await searchProducts({
+    category: eventType ? eventType.catalog_category : 'other',
+    keywords,
+    interests,
+    maxPrice: effectiveBudget,
+  });
 
   // Filter and score gifts
-  const categoryGifts = MOCK_GIFT_CATALOG.filter(g => {
+  const suitable = g => {
     if (g.price > effectiveBudget) return false;
-    if (g.category !== event.type && event.type !== 'other') return false;
     if (pastGifts.includes(g.name)) return false;
     if (constraints.avoid_categories) {
       const avoided = constraints.avoid_categories;
       if (g.tags.some(t => avoided.includes(t))) return false;
     }
     return true;
-  });
+  };
 
-  // Score gifts based on preferences
-  const scored = categoryGifts.map(g => {
-    let score = 50; // base score
-    if (preferences.interests) {
-      const matchCount = g.tags.filter(t => preferences.interests.includes(t)).length;
-      score += matchCount * 20;
-    }
-    if (preferences.favorite_retailers && preferences.favorite_retailers.includes(g.retailer)) {
-      score += 10;
-    }
-    // Prefer mid-range prices (not too cheap, not maxing budget)
-    const priceRatio = g.price / effectiveBudget;
-    if (priceRatio >= 0.4 && priceRatio <= 0.8) score += 15;
+  // Drop in-stock gifts that would arrive after the event. Out-of-stock ones
+  // stay, flagged, as before. Close events, or ones with few gifts left that
+  // arrive in time, also get same-day alternatives.
+  const today = todayIso();
+  const daysUntil = daysBetween(today, event.date);
+  let lateDropped = 0;
+  const categoryGifts = products.filter(suitable).map(g => ({ ...g, delivery: deliveryStatus(g, event, today) }))
+    .filter(g => {
+      if (g.in_stock && g.delivery.status === 'late') {
+        lateDropped++;
+        return false;
+      }
+      return true;
+    });
+  const lastMinute = !event.belated && daysUntil >= 0 && daysUntil <= LAST_MINUTE_DAYS;
+  if (lastMinute || categoryGifts.filter(g => g.in_stock).length < MIN_ON_TIME) {
+    const names = new Set(categoryGifts.map(g => g.name));
+    categoryGifts.push(...fastAlternatives(effectiveBudget)
+      .filter(g => suitable(g) && !names.has(g.name))
+      .map(g => ({ ...g, delivery: deliveryStatus(g, event, today) })));
+  }
 
-    return { ...g, score };
-  });
+  // Score gifts with the user's weights (see scoring.js)
+  const weights = getScoringWeights(db, userId);
+  const context = { preferences, budget: effectiveBudget, milestone, signals, weights };
+  const candidates = categoryGifts.map(g => ({ ...g, ...scoreGift(g, context) }));
+  candidates.sort((a, b) => b.score - a.score);
+  const ideas = ideaCandidates(db, recipients.map(r => r.id), effectiveBudget)
+    .filter(g => g.price <= effectiveBudget)
+    .map(g => ({ ...g, delivery: deliveryStatus(g, event, today), ...scoreGift(g, context) }));
+  ideas.sort((a, b) => b.score - a.score);
 
-  // Sort by score and take top 3-8
-  scored.sort((a, b) => b.score - a.score);
-  const selected = scored.slice(0, Math.min(8, Math.max(3, scored.length)));
-
-  // Calculate mock delivery estimates
-  const eventDate = new Date(event.date);
-  const now = new Date();
-  const daysUntil = Math.ceil((eventDate - now) / (1000 * 60 * 60 * 24));
-
-  // Save recommendations to database
-  const insertStmt = db.prepare(`
-    INSERT INTO gift_recommendations (id, event_id, name, description, price, retailer, url, in_stock, estimated_delivery, reasoning, status)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'recommended')
-  `);
-
-  // Clear previous recommendations for this event
-  db.prepare("DELETE FROM gift_recommendations WHERE event_id = ? AND status = 'recommended'").run(req.params.eventId);
-
-  const recommendations = selected.map(g => {
-    const id = uuidv4();
-    const deliveryDays = g.retailer === 'Amazon' ? 3 : 5;
-    const canDeliver = daysUntil >= deliveryDays + 2; // 2-day buffer
-    const estimatedDelivery = new Date(now.getTime() + deliveryDays * 24 * 60 * 60 * 1000)
-      .toISOString().split('T')[0];
-
-    let reasoning = `Selected for ${event.contact_name}'s ${event.type}.`;
-    if (preferences.interests) {
-      const matches = g.tags.filter(t => preferences.interests.includes(t));
-      if (matches.length > 0) {
-        reasoning += ` Matches interests: ${matches.join(', ')}.`;
-      }
+  return {
+    budget: effectiveBudget, milestone, preferences, recipientName, weights,
+    candidates, ideas, sources, errors, lateDropped, lastMinute,
+  };
+}
+
+// Store a scored candidate as one of the event's recommendations and return
+// it as the API shows it
+function saveRecommendation(db, event, g, { budget, milestone, preferences, recipientName }, note = null) {
+  const id = uuidv4();
+  const canDeliver = !!g.in_stock && g.delivery.status !== 'late';
+  const estimatedDelivery = g.delivery.arrival;
+
+  let reasoning = `Selected for ${recipientName}'s ${event.type}.`;
+  if (note) reasoning += ` ${note}`;
+  if (g.gift_idea) {
+    reasoning += g.gift_idea.kind === 'mentioned'
+      ? ` Mentioned wanting this (noted ${g.gift_idea.created_at.slice(0, 10)}).`
+      : ` From your gift ideas (noted ${g.gift_idea.created_at.slice(0, 10)}).`;
+  }
+  if (preferences.interests) {
+    const matches = g.tags.filter(t => preferences.interests.includes(t));
+    if (matches.length > 0) {
+      reasoning += ` Matches interests: ${matches.join(', ')}.`;
     }
-    reasoning += ` Price $${g.price} is within the $${effectiveBudget} budget.`;
-    if (!canDeliver) reasoning += ' WARNING: May not arrive in time.';
-
-    insertStmt.run(id, req.params.eventId, g.name, g.description, g.price, g.retailer,
-      `https://${g.retailer.toLowerCase()}.com/dp/mock-${id.slice(0, 8)}`,
-      canDeliver ? 1 : 0, estimatedDelivery, reasoning);
-
-    return {
-      id, name: g.name, description: g.description, price: g.price,
-      retailer: g.retailer, in_stock: canDeliver, estimated_delivery: estimatedDelivery,
-      reasoning, status: 'recommended', tags: g.tags, score: g.score,
-    };
-  });
+  }
+  if (milestone) {
+    const fits = g.tags.filter(t => milestone.tags.includes(t));
+    if (fits.length > 0) reasoning += ` Suits a ${milestone.label}: ${fits.join(', ')}.`;
+  }
+  if (g.gift_idea && g.gift_idea.price === null) reasoning += ` No price noted: budgeted at the full $${budget}.`;
+  else reasoning += ` Price $${g.price} is within the $${budget} budget.`;
+  if (g.similar) {
+    reasoning += ` Similar to what you gave in ${g.similar.event_date.slice(0, 4)} (${g.similar.gift.name}).`;
+  }
+  if (event.belated) reasoning += ' Belated gift: ships as soon as possible.';
+  if (g.source === 'alternative') reasoning += ' Same-day option for a last-minute gift.';
+  if (!g.in_stock) reasoning += ' WARNING: Currently out of stock.';
+  else if (g.delivery.status === 'tight') reasoning += ' WARNING: Arrives on the day itself, with no time to spare.';
+  else if (g.delivery.status === 'late') reasoning += ' WARNING: May not arrive in time.';
 
-  logAudit('generate_recommendations', 'event', req.params.eventId, {
-    count: recommendations.length,
-    budget: effectiveBudget,
-  });
+  const url = g.url || `https://${g.retailer.toLowerCase()}.com/dp/mock-${id.slice(0, 8)}`;
+  db.prepare(`
+    INSERT INTO gift_recommendations (id, event_id, name, description, price, retailer, url, image_url, in_stock, estimated_delivery, reasoning, source, external_id, tags, score, score_breakdown, gift_idea_id, status)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'recommended')
+  `).run(id, event.id, g.name, g.description, g.price, g.retailer, url, g.image_url,
+    canDeliver ? 1 : 0, estimatedDelivery, reasoning, g.source, g.external_id, JSON.stringify(g.tags),
+    g.score, JSON.stringify(g.breakdown), g.gift_idea ? g.gift_idea.id : null);
+
+  return {
+    id, name: g.name, description: g.description, price: g.price,
+    retailer: g.retailer, url, image_url: g.image_url, in_stock: canDeliver,
+    estimated_delivery: estimatedDelivery, reasoning, status: 'recommended',
+    source: g.source, tags: g.tags, score: g.score, score_breakdown: g.breakdown,
+    gift_idea_id: g.gift_idea ? g.gift_idea.id : null,
+    similar_to: g.similar
+      ? { name: g.similar.gift.name, year: Number(g.similar.event_date.slice(0, 4)), event_id: g.similar.event_id }
+      : null,
+  };
+}
+
+// Pick an event's recommendations without saving them: the recipients' gift
+// ideas followed by the best candidates, 3-8 in all, re-ranked for variety so
+// near-identical gifts don't crowd the list
+async function draftRecommendations(db, event, userId) {
+  const found = await findCandidates(db, event, userId);
+  const { candidates, ideas } = found;
+  const limit = Math.min(8, Math.max(3, ideas.length + candidates.length));
+  const selected = [
+    ...ideas,
+    ...diversify(candidates, Math.max(limit - ideas.length, 0), found.weights.diversity, ideas),
+  ];
+  return { ...found, selected };
+}
 
-  // Update event status
-  db.prepare("UPDATE events SET status = 'in_progress', updated_at = datetime('now') WHERE id = ?")
-    .run(req.params.eventId);
+// Replace the event's open recommendations with a draft, in one transaction.
+// Results are returned best first.
+function saveRecommendations(db, event, draft, performedBy = 'owner') {
+  const { budget, milestone, ideas, selected, sources, errors, lateDropped, lastMinute } = draft;
+  const save = db.transaction(() => {
+    // Clear previous recommendations for this event
+    db.prepare("DELETE FROM gift_recommendations WHERE event_id = ? AND status = 'recommended'").run(event.id);
 
-  res.json({
-    event_id: req.params.eventId,
-    budget: effectiveBudget,
-    recommendations,
+    const saved = selected.map(g => saveRecommendation(db, event, g, draft));
+
+    logAudit('generate_recommendations', 'event', event.id, {
+      count: saved.length,
+      gift_ideas: ideas.length,
+      late_dropped: lateDropped,
+      budget,
+      milestone: milestone ? milestone.label : null,
+      sources,
+    }, performedBy);
+
+    // Update event status
+    db.prepare("UPDATE events SET status = 'in_progress', updated_at = datetime('now') WHERE id = ?")
+      .run(event.id);
+
+    return saved;
   });
+
+  const recommendations = save();
+  return {
+    budget, milestone, recommendations, sources, errors,
+    late_dropped: lateDropped, last_minute: lastMinute,
+  };
+}
+
+// Draft and save recommendations for an event. Shared by the recommend route
+// and the autonomy engine.
+async function generateRecommendations(db, event, performedBy = 'owner', userId) {
+  return saveRecommendations(db, event, await draftRecommendations(db, event, userId), performedBy);
+}
+
+// Add up to `limit` recommendations relative to one the event already has,
+// keeping the existing ones. 'similar' favours gifts that share its tags,
+// retailer and price point; 'different' favours gifts that share none of them
+// with it or with anything else on the list.
+async function moreRecommendations(db, event, anchor, mode, { limit = 3, userId } = {}) {
+  const found = await findCandidates(db, event, userId);
+  const existing = db.prepare('SELECT * FROM gift_recommendations WHERE event_id = ?').all(event.id)
+    .map(r => ({ ...r, tags: JSON.parse(r.tags || '[]') }));
+  const seen = new Set(existing.map(r => `${r.retailer}|${r.name}`.toLowerCase()));
+  const from = { ...anchor, tags: JSON.parse(anchor.tags || '[]') };
+  const weight = found.weights.diversity;
+
+  const pool = found.candidates
+    .filter(g => !seen.has(`${g.retailer}|${g.name}`.toLowerCase()))
+    .map(g => {
+      const overlap = giftOverlap(g, from);
+      if (mode === 'different' || overlap.count === 0) return g;
+      const points = overlap.count * weight;
+      return {
+        ...g,
+        score: g.score + points,
+        breakdown: [...g.breakdown, { factor: 'like_this', label: 'Like the chosen gift', points, ...overlapDetails(from, overlap) }],
+      };
+    });
+  if (mode === 'similar') pool.sort((a, b) => b.score - a.score);
+
+  // Something different is kept apart from the whole list; more like this
+  // only needs variety among the new picks
+  const selected = mode === 'different'
+    ? diversify(pool, limit, weight, existing)
+    : diversify(pool, limit, weight);
+  const note = mode === 'different' ? `Something different from ${anchor.name}.` : `More like ${anchor.name}.`;
+
+  const saved = db.transaction(() => {
+    const added = selected.map(g => saveRecommendation(db, event, g, found, note));
+    logAudit('more_recommendations', 'event', event.id, { mode, anchor_id: anchor.id, count: added.length });
+    return added;
+  })();
+  return { recommendations: saved, sources: found.sources, errors: found.errors };
+}
+
+// Generate gift recommendations for an event
+router.post('/recommend/:eventId', async (req, res) => {
+  const db = getDb();
+  const event = db.prepare(`
+    SELECT e.*, c.name as contact_name, c.preferences, c.constraints, c.relationship
+    FROM events e
+    JOIN contacts c ON e.contact_id = c.id
+    WHERE e.id = ?
+  `).get(req.params.eventId);
+
+  if (!event) return res.status(404).json({ error: 'Event not found' });
+
+  try {
+    const {
+      budget, milestone, recommendations, sources, errors, late_dropped, last_minute,
+    } = await generateRecommendations(db, event, 'owner', req.user.id);
+
+    res.json({
+      event_id: req.params.eventId,
+      budget,
+      milestone,
+      recommendations,
+      sources,
+      errors,
+      late_dropped,
+      last_minute,
+    });
+  } catch (err) {
+    console.error('Recommendation failed:', err);
+    res.status(500).json({ error: 'Failed to generate recommendations' });
+  }
+});
+
+// More recommendations relative to one the event already has:
+// { mode: 'similar' | 'different', limit }. Existing recommendations are kept.
+router.post('/:id/more', async (req, res) => {
+  const db = getDb();
+  const { mode, limit = 3 } = req.body;
+  if (!MORE_MODES.includes(mode)) {
+    return res.status(400).json({ error: `mode must be one of: ${MORE_MODES.join(', ')}` });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > 8) {
+    return res.status(400).json({ error: 'limit must be a whole number between 1 and 8' });
+  }
+
+  const anchor = db.prepare('SELECT * FROM gift_recommendations WHERE id = ?').get(req.params.id);
+  if (!anchor) return res.status(404).json({ error: 'Recommendation not found' });
+  const event = db.prepare(`
+    SELECT e.*, c.name as contact_name, c.preferences, c.constraints, c.relationship
+    FROM events e
+    JOIN contacts c ON e.contact_id = c.id
+    WHERE e.id = ?
+  `).get(anchor.event_id);
+
+  try {
+    const { recommendations, sources, errors } = await moreRecommendations(db, event, anchor, mode, {
+      limit, userId: req.user.id,
+    });
+    res.json({ anchor_id: anchor.id, mode, recommendations, sources, errors });
+  } catch (err) {
+    console.error('Recommendation failed:', err);
+    res.status(500).json({ error: 'Failed to generate recommendations' });
+  }
 });
 
 // Get recommendations for an event
@@ -168,6 +359,33 @@ router.get('/event/:eventId', (req, res) => {
   res.json(recommendations);
 });
 
+// Re-check a recommendation's current price and stock with its retailer
+router.post('/:id/refresh', async (req, res) => {
+  const db = getDb();
+  const existing = db.prepare('SELECT * FROM gift_recommendations WHERE id = ?').get(req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Recommendation not found' });
+
+  let current;
+  try {
+    current = await lookupProduct(existing.source, existing.external_id);
+  } catch (err) {
+    return res.status(502).json({ error: `Could not reach ${existing.retailer}: ${err.message}` });
+  }
+  if (!current) {
+    return res.status(400).json({ error: 'Price and stock cannot be re-checked for this recommendation' });
+  }
+
+  db.prepare('UPDATE gift_recommendations SET price = ?, in_stock = ? WHERE id = ?')
+    .run(current.price, current.in_stock ? 1 : 0, req.params.id);
+  logAudit('refresh_availability', 'gift_recommendation', req.params.id, {
+    old_price: existing.price,
+    new_price: current.price,
+    in_stock: current.in_stock,
+  });
+
+  res.json({ ...existing, price: current.price, in_stock: current.in_stock ? 1 : 0 });
+});
+
 // Update recommendation status
 router.put('/:id/status', (req, res) => {
   const db = getDb();
@@ -190,3 +408,7 @@ router.put('/:id/status', (req, res) => {
 });
 
 module.exports = router;
+module.exports.generateRecommendations = generateRecommendations;
+module.exports.draftRecommendations = draftRecommendations;
+module.exports.saveRecommendations = saveRecommendations;
+module.exports.moreRecommendations = moreRecommendations;
@@ -0,0 +1,164 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { getDb, getSetting } = require('../database');
+const { logAudit } = require('../audit');
+const { todayIso } = require('../dates');
+const { HOLIDAY_REGIONS, getHoliday, listHolidays, holidayDate, nextHolidayDate } = require('../holidays');
+const { hasHistory } = require('../jobs/recurring');
+const { insertEvent } = require('./events');
+const { EVENT_FOR_CONTACT } = require('../recipients');
+const { householdHolidayEvent, householdEventName } = require('../households');
+
+// Built-in holidays and per-contact opt-ins. Opting a contact in creates a
+// recurring 'holiday' event on the holiday's next date; the recurring job then
+// moves it to each new year's computed date. In a household that combines
+// holidays, members share one event per holiday instead.
+
+const router = express.Router();
+
+function holidayRegion() {
+  return getSetting('holiday_region', 'US');
+}
+
+function describeHoliday(holiday, today) {
+  const year = Number(today.slice(0, 4));
+  return {
+    id: holiday.id,
+    name: holiday.name,
+    regions: holiday.regions || null,
+    rule: holiday.rule.type,
+    next_date: nextHolidayDate(holiday, today),
+    dates: { [year]: holidayDate(holiday, year), [year + 1]: holidayDate(holiday, year + 1) },
+  };
+}
+
+// The contact's opted-in holidays, soonest first, each with the event
+// currently scheduled for it
+function contactHolidays(db, contactId, today = todayIso()) {
+  const optIns = db.prepare('SELECT holiday_id FROM contact_holidays WHERE contact_id = ?').all(contactId);
+  const currentEvent = db.prepare(`
+    SELECT id, date, status FROM events e
+    WHERE ${EVENT_FOR_CONTACT} AND e.holiday_id = ?
+    AND NOT EXISTS (SELECT 1 FROM events n WHERE n.previous_event_id = e.id)
+    ORDER BY e.date DESC LIMIT 1
+  `);
+
+  return optIns
+    .map(o => getHoliday(o.holiday_id))
+    .filter(Boolean)
+    .map(holiday => ({ ...describeHoliday(holiday, today), event: currentEvent.get(contactId, contactId, holiday.id) || null }))
+    .sort((a, b) => (a.next_date || '9999').localeCompare(b.next_date || '9999'));
+}
+
+// Make sure every opted-in holiday has a recurring event to roll forward.
+// Returns the ids of the events created, of the household events joined, and
+// of the holidays left without one because they have no known future date
+// (their lunisolar table has run out).
+function syncHolidayEvents(db, contact, today = todayIso()) {
+  const optIns = db.prepare('SELECT holiday_id FROM contact_holidays WHERE contact_id = ?').all(contact.id);
+  const hasOpenSeries = db.prepare(`
+    SELECT 1 FROM events e
+    WHERE ${EVENT_FOR_CONTACT} AND e.holiday_id = ? AND e.recurring = 1
+    AND NOT EXISTS (SELECT 1 FROM events n WHERE n.previous_event_id = e.id)
+  `);
+
+  const created = [];
+  const joined = [];
+  const unavailable = [];
+  for (const { holiday_id } of optIns) {
+    const holiday = getHoliday(holiday_id);
+    if (!holiday || hasOpenSeries.get(contact.id, contact.id, holiday.id)) continue;
+
+    const shared = householdHolidayEvent(db, contact, holiday.id);
+    if (shared) {
+      db.prepare('INSERT INTO event_recipients (id, event_id, contact_id) VALUES (?, ?, ?)').run(uuidv4(), shared.id, contact.id);
+      const household = db.prepare('SELECT * FROM households WHERE id = ?').get(contact.household_id);
+      db.prepare("UPDATE events SET name = ?, updated_at = datetime('now') WHERE id = ?")
+        .run(householdEventName(household, holiday.id), shared.id);
+      logAudit('set_recipients', 'event', shared.id, { added: [contact.id], removed: [], holiday_id: holiday.id });
+      joined.push(shared.id);
+      continue;
+    }
+
+    const date = nextHolidayDate(holiday, today);
+    if (!date) {
+      unavailable.push(holiday.id);
+      continue;
+    }
+    created.push(insertEvent(db, {
+      contact_id: contact.id,
+      type: 'holiday',
+      name: `${holiday.name} (${contact.name})`,
+      date,
+      recurring: 1,
+      holiday_id: holiday.id,
+    }, { holiday_id: holiday.id, auto_created: true }));
+  }
+  return { created, joined, unavailable };
+}
+
+// Replace the contact's holiday opt-ins. Dropping a holiday deletes its
+// untouched upcoming event, or hands a shared one on to the next member;
+// occurrences with history are kept but stop recurring.
+function setContactHolidays(db, contact, holidayIds, today = todayIso()) {
+  const current = db.prepare('SELECT holiday_id FROM contact_holidays WHERE contact_id = ?')
+    .all(contact.id).map(r => r.holiday_id);
+  const added = holidayIds.filter(id => !current.includes(id));
+  const removed = current.filter(id => !holidayIds.includes(id));
+
+  let result;
+  db.transaction(() => {
+    const insertOptIn = db.prepare('INSERT INTO contact_holidays (id, contact_id, holiday_id) VALUES (?, ?, ?)');
+    for (const id of added) insertOptIn.run(uuidv4(), contact.id, id);
+
+    const events = db.prepare('SELECT * FROM events WHERE contact_id = ? AND holiday_id = ?');
+    const nextRecipient = db.prepare('SELECT contact_id FROM event_recipients WHERE event_id = ? ORDER BY created_at, rowid LIMIT 1');
+    const sharedEvents = db.prepare(`
+      SELECT e.* FROM events e JOIN event_recipients er ON er.event_id = e.id
+      WHERE er.contact_id = ? AND e.holiday_id = ?
+    `);
+    const leaveEvent = db.prepare('DELETE FROM event_recipients WHERE event_id = ? AND contact_id = ?');
+    for (const id of removed) {
+      db.prepare('DELETE FROM contact_holidays WHERE contact_id = ? AND holiday_id = ?').run(contact.id, id);
+      // Shared household events carry on for the other members
+      for (const event of sharedEvents.all(contact.id, id)) {
+        if (!hasHistory(db, event)) leaveEvent.run(event.id, contact.id);
+      }
+      for (const event of events.all(contact.id, id)) {
+        const next = !hasHistory(db, event) && nextRecipient.get(event.id);
+        if (next) {
+          db.prepare("UPDATE events SET contact_id = ?, updated_at = datetime('now') WHERE id = ?").run(next.contact_id, event.id);
+          leaveEvent.run(event.id, next.contact_id);
+        } else if (hasHistory(db, event)) {
+          db.prepare("UPDATE events SET recurring = 0, updated_at = datetime('now') WHERE id = ?").run(event.id);
+        } else {
+          db.prepare('DELETE FROM events WHERE id = ?').run(event.id);
+        }
+      }
+    }
+
+    result = { added, removed, ...syncHolidayEvents(db, contact, today) };
+  })();
+  return result;
+}
+
+// List built-in holidays for a region (defaults to the holiday_region setting;
+// ?region=all lists every one) with their upcoming dates
+router.get('/', (req, res) => {
+  const region = req.query.region || holidayRegion();
+  if (region !== 'all' && !HOLIDAY_REGIONS.includes(region)) {
+    return res.status(400).json({ error: `region must be 'all' or one of: ${HOLIDAY_REGIONS.join(', ')}` });
+  }
+
+  const today = todayIso();
+  res.json({
+    region,
+    regions: HOLIDAY_REGIONS,
+    holidays: listHolidays(region).map(h => describeHoliday(h, today)),
+  });
+});
+
+module.exports = router;
+module.exports.contactHolidays = contactHolidays;
+module.exports.syncHolidayEvents = syncHolidayEvents;
+module.exports.setContactHolidays = setContactHolidays;
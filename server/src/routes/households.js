@@ -0,0 +1,145 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { getDb } = require('../database');
+const { logAudit } = require('../audit');
+const { describeHousehold, setHouseholdMembers, combineHouseholdHolidays } = require('../households');
+
+// Households: contacts who live together, with a shared address and an
+// option to send one holiday gift per household. Scoped to the user like
+// contacts.
+
+const router = express.Router();
+
+const MAX_NAME_LENGTH = 100;
+
+// Load a household the user can see, or { error, status }
+function requireHousehold(db, id, userId) {
+  const household = db.prepare('SELECT * FROM households WHERE id = ?').get(id);
+  if (!household || (household.user_id && household.user_id !== userId)) {
+    return { error: 'Household not found', status: 404 };
+  }
+  return { household };
+}
+
+// Check a household body. member_ids must be the user's contacts and
+// address_id one of the members' addresses. Returns an error message or null.
+function validateHousehold(db, userId, body, creating) {
+  const { name, member_ids, address_id, combine_holidays } = body;
+  if (creating || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+      return `name is required (up to ${MAX_NAME_LENGTH} characters)`;
+    }
+  }
+  if (member_ids !== undefined) {
+    if (!Array.isArray(member_ids) || member_ids.some(id => typeof id !== 'string')) {
+      return 'member_ids must be an array of contact ids';
+    }
+    const lookup = db.prepare('SELECT user_id FROM contacts WHERE id = ?');
+    for (const id of member_ids) {
+      const contact = lookup.get(id);
+      if (!contact || (contact.user_id && contact.user_id !== userId)) return 'Member not found';
+    }
+  }
+  if (address_id !== undefined && address_id !== null) {
+    const owner = db.prepare('SELECT contact_id FROM contact_addresses WHERE id = ?').get(address_id);
+    if (!owner || !(member_ids || []).includes(owner.contact_id)) {
+      return "address_id must be one of the members' addresses";
+    }
+  }
+  if (combine_holidays !== undefined && typeof combine_holidays !== 'boolean') {
+    return 'combine_holidays must be true or false';
+  }
+  return null;
+}
+
+// List the user's households with their members
+router.get('/', (req, res) => {
+  const db = getDb();
+  const households = db.prepare('SELECT * FROM households WHERE user_id = ? OR user_id IS NULL ORDER BY name')
+    .all(req.user.id);
+  res.json(households.map(h => describeHousehold(db, h)));
+});
+
+router.get('/:id', (req, res) => {
+  const db = getDb();
+  const { household, error, status } = requireHousehold(db, req.params.id, req.user.id);
+  if (error) return res.status(status).json({ error });
+  res.json(describeHousehold(db, household));
+});
+
+// Create a household from { name, member_ids, address_id, combine_holidays }
+router.post('/', (req, res) => {
+  const db = getDb();
+  const error = validateHousehold(db, req.user.id, req.body, true);
+  if (error) return res.status(400).json({ error });
+
+  const { name, member_ids = [], address_id = null, combine_holidays = false } = req.body;
+  const id = uuidv4();
+  let combined = 0;
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO households (id, name, combine_holidays, user_id) VALUES (?, ?, ?, ?)
+    `).run(id, name.trim(), combine_holidays ? 1 : 0, req.user.id);
+    const household = db.prepare('SELECT * FROM households WHERE id = ?').get(id);
+    setHouseholdMembers(db, household, [...new Set(member_ids)]);
+    db.prepare('UPDATE households SET address_id = ? WHERE id = ?').run(address_id, id);
+    if (combine_holidays) combined = combineHouseholdHolidays(db, household);
+  })();
+
+  logAudit('create', 'household', id, { name, member_ids, combine_holidays, holiday_events_combined: combined });
+  res.status(201).json(describeHousehold(db, db.prepare('SELECT * FROM households WHERE id = ?').get(id)));
+});
+
+// Update a household. member_ids replaces the members; turning
+// combine_holidays on folds members' separate holiday events together.
+router.put('/:id', (req, res) => {
+  const db = getDb();
+  const { household, error: notFound, status } = requireHousehold(db, req.params.id, req.user.id);
+  if (notFound) return res.status(status).json({ error: notFound });
+
+  const members = req.body.member_ids !== undefined
+    ? req.body.member_ids
+    : db.prepare('SELECT id FROM contacts WHERE household_id = ?').all(household.id).map(c => c.id);
+  const error = validateHousehold(db, req.user.id, { ...req.body, member_ids: members }, false);
+  if (error) return res.status(400).json({ error });
+
+  const { name, address_id, combine_holidays } = req.body;
+  let changes = { added: [], removed: [] };
+  let combined = 0;
+  db.transaction(() => {
+    if (req.body.member_ids !== undefined) changes = setHouseholdMembers(db, household, [...new Set(members)]);
+    db.prepare(`
+      UPDATE households SET
+        name = COALESCE(?, name),
+        address_id = ?,
+        combine_holidays = COALESCE(?, combine_holidays),
+        updated_at = datetime('now')
+      WHERE id = ?
+    `).run(
+      name ? name.trim() : null,
+      address_id !== undefined ? address_id : db.prepare('SELECT address_id FROM households WHERE id = ?').get(household.id).address_id,
+      combine_holidays !== undefined ? (combine_holidays ? 1 : 0) : null,
+      household.id,
+    );
+    const updated = db.prepare('SELECT * FROM households WHERE id = ?').get(household.id);
+    if (updated.combine_holidays) combined = combineHouseholdHolidays(db, updated);
+  })();
+
+  logAudit('update', 'household', household.id, { changes: req.body, ...changes, holiday_events_combined: combined });
+  res.json(describeHousehold(db, db.prepare('SELECT * FROM households WHERE id = ?').get(household.id)));
+});
+
+// Delete a household. Its members stay, without a household; shared holiday
+// events already created are kept.
+router.delete('/:id', (req, res) => {
+  const db = getDb();
+  const { household, error, status } = requireHousehold(db, req.params.id, req.user.id);
+  if (error) return res.status(status).json({ error });
+
+  db.prepare('DELETE FROM households WHERE id = ?').run(household.id);
+  logAudit('delete', 'household', household.id, { name: household.name });
+  res.json({ message: 'Household deleted' });
+});
+
+module.exports = router;
+module.exports.validateHousehold = validateHousehold;
@@ -1,5 +1,10 @@
 const express = require('express');
 const { logAudit } = require('../audit');
+const { requireAdmin } = require('../middleware');
+const {
+  isEncryptionConfigured, getStoredCredentials, getSecretRecord, hasUnreadableCredentials, saveCredentials,
+  deleteCredentials, getCredential,
+} = require('../secrets');
 
 const router = express.Router();
 
@@ -101,20 +106,26 @@ function maskSecret(value) {
   return '••••••••' + value.slice(-4);
 }
 
-// Helper: check if a provider is configured via env vars
+const MAX_CREDENTIAL_LENGTH = 2048;
+
+// Helper: check if a provider is configured. Credentials stored in the app take
+// priority over env vars; `source` says where each value came from.
 function getProviderStatus(providerKey) {
   const provider = INTEGRATIONS[providerKey];
   if (!provider) return null;
 
+  const stored = getStoredCredentials(providerKey);
+  const record = getSecretRecord(providerKey);
   const vars = {};
   let allRequiredSet = true;
 
   for (const envVar of provider.envVars) {
-    const value = process.env[envVar];
+    const value = stored[envVar] || process.env[envVar];
     vars[envVar] = {
       set: !!value,
       masked: maskSecret(value),
       required: provider.requiredVars.includes(envVar),
+      source: stored[envVar] ? 'app' : (process.env[envVar] ? 'env' : null),
     };
     if (provider.requiredVars.includes(envVar) && !value) {
       allRequiredSet = false;
@@ -129,6 +140,8 @@ function getProviderStatus(providerKey) {
     status: allRequiredSet ? 'configured' : 'not_configured',
     signupUrl: provider.signupUrl,
     variables: vars,
+    stored_in_app: !!record,
+    updated_at: record ? record.updated_at : null,
   };
 }
 
@@ -141,10 +154,11 @@ function getActiveLlmProvider() {
   }
 
   // Auto-detect in priority order
-  if (process.env.ANTHROPIC_API_KEY) return 'claude';
-  if (process.env.OPENAI_API_KEY) return 'openai';
-  if (process.env.GEMINI_API_KEY) return 'gemini';
-  if (process.env.OPENAI_COMPATIBLE_API_KEY && process.env.OPENAI_COMPATIBLE_BASE_URL) return 'openai_compatible';
+  if (getCredential('claude', 'ANTHROPIC_API_KEY')) return 'claude';
+  if (getCredential('openai', 'OPENAI_API_KEY')) return 'openai';
+  if (getCredential('gemini', 'GEMINI_API_KEY')) return 'gemini';
+  if (getCredential('openai_compatible', 'OPENAI_COMPATIBLE_API_KEY')
+    && getCredential('openai_compatible', 'OPENAI_COMPATIBLE_BASE_URL')) return 'openai_compatible';
 
   return null;
 }
@@ -183,6 +197,7 @@ router.get('/', (req, res) => {
       fallback: activeLlm ? null : 'templates',
       providers: categories.llm,
     },
+    secrets_storage: isEncryptionConfigured(),
   });
 });
 
@@ -198,6 +213,72 @@ router.get('/:provider', (req, res) => {
   res.json(status);
 });
 
+// PUT /api/integrations/:provider — store credentials in the app (admin only).
+// Body: { credentials: { ENV_VAR_NAME: value } }. An empty value removes that
+// variable; variables not mentioned are left as they are.
+router.put('/:provider', requireAdmin, (req, res) => {
+  const provider = INTEGRATIONS[req.params.provider];
+  if (!provider) return res.status(404).json({ error: 'Unknown integration provider' });
+
+  if (!isEncryptionConfigured()) {
+    return res.status(400).json({ error: 'Set SECRETS_ENCRYPTION_KEY on the server to store credentials in the app' });
+  }
+
+  if (hasUnreadableCredentials(req.params.provider)) {
+    return res.status(409).json({
+      error: `Stored ${provider.label} credentials cannot be decrypted with the current SECRETS_ENCRYPTION_KEY. `
+        + 'Restore the previous key, or remove the stored credentials and enter them again.',
+    });
+  }
+
+  const { credentials } = req.body;
+  if (!credentials || typeof credentials !== 'object' || Array.isArray(credentials)) {
+    return res.status(400).json({ error: 'credentials must be an object of variable names to values' });
+  }
+
+  const values = {};
+  for (const [name, value] of Object.entries(credentials)) {
+    if (!provider.envVars.includes(name)) {
+      return res.status(400).json({ error: `${name} is not a ${provider.label} variable` });
+    }
+    if (value !== null && typeof value !== 'string') {
+      return res.status(400).json({ error: `${name} must be a string` });
+    }
+    const trimmed = value === null ? '' : value.trim();
+    if (trimmed.length > MAX_CREDENTIAL_LENGTH) {
+      return res.status(400).json({ error: `${name} is too long` });
+    }
+    values[name] = trimmed;
+  }
+  if (Object.keys(values).length === 0) {
+    return res.status(400).json({ error: 'No credentials provided' });
+  }
+
+  saveCredentials(req.params.provider, values);
+
+  // Only variable names are logged, never values
+  logAudit('save_credentials', 'integration', req.params.provider, {
+    updated: Object.keys(values).filter(name => values[name]),
+    removed: Object.keys(values).filter(name => !values[name]),
+  });
+
+  res.json(getProviderStatus(req.params.provider));
+});
+
+// DELETE /api/integrations/:provider — remove credentials stored in the app
+// (admin only). Env vars for the provider are unaffected.
+router.delete('/:provider', requireAdmin, (req, res) => {
+  if (!INTEGRATIONS[req.params.provider]) return res.status(404).json({ error: 'Unknown integration provider' });
+
+  if (!deleteCredentials(req.params.provider)) {
+    return res.status(404).json({ error: 'No credentials stored for this provider' });
+  }
+
+  logAudit('delete_credentials', 'integration', req.params.provider, {});
+
+  res.json(getProviderStatus(req.params.provider));
+});
+
 module.exports = router;
 module.exports.INTEGRATIONS = INTEGRATIONS;
 module.exports.getActiveLlmProvider = getActiveLlmProvider;
@@ -4,9 +4,57 @@ const { v4: uuidv4 } = require('uuid');
 const { getDb } = require('../database');
 const { logAudit } = require('../audit');
 const { requireAdmin } = require('../middleware');
+const { applyReactionPreferences } = require('../history');
+const { addressSnapshot } = require('../addresses');
+const { resolveEventAddress } = require('../recipients');
+const { markIdeaUsed, reopenIdeaForOrder } = require('../giftIdeas');
 
 const router = express.Router();
 
+// Orders store their shipping address snapshot as JSON
+function formatOrder(order) {
+  return { ...order, shipping_address: order.shipping_address ? JSON.parse(order.shipping_address) : null };
+}
+
+// Place an order for an approved gift and raise the tracking notification.
+// Callers are responsible for the emergency stop and approval checks.
+function placeOrder(db, gift, eventId, approvalId, performedBy = 'owner', addressId = null) {
+  const id = uuidv4();
+  const orderRef = `GS-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+  const estimatedDelivery = gift.estimated_delivery;
+
+  // Snapshot the shipping address so later contact edits don't change this order
+  const event = db.prepare('SELECT id, contact_id FROM events WHERE id = ?').get(eventId);
+  const address = event ? resolveEventAddress(db, event, addressId) : null;
+
+  db.prepare(`
+    INSERT INTO orders (id, gift_recommendation_id, event_id, approval_id, status, order_reference, estimated_delivery, ordered_at, shipping_address_id, shipping_address)
+    VALUES (?, ?, ?, ?, 'ordered', ?, ?, datetime('now'), ?, ?)
+  `).run(id, gift.id, eventId, approvalId, orderRef, estimatedDelivery,
+    address ? address.id : null, address ? JSON.stringify(addressSnapshot(address)) : null);
+
+  // Update gift status to purchased
+  db.prepare("UPDATE gift_recommendations SET status = 'purchased' WHERE id = ?").run(gift.id);
+  markIdeaUsed(db, gift, id);
+
+  logAudit('create_order', 'order', id, {
+    gift: gift.name,
+    price: gift.price,
+    retailer: gift.retailer,
+    order_reference: orderRef,
+    has_shipping_address: !!address,
+  }, performedBy);
+
+  // Create tracking notification
+  const notifId = uuidv4();
+  db.prepare(`
+    INSERT INTO notifications (id, event_id, order_id, type, message)
+    VALUES (?, ?, ?, 'delivery_confirmed', ?)
+  `).run(notifId, eventId, id, `Order placed: ${gift.name} from ${gift.retailer}. Reference: ${orderRef}`);
+
+  return db.prepare('SELECT * FROM orders WHERE id = ?').get(id);
+}
+
 // Create order from approved gift (admin only)
 router.post('/', requireAdmin, (req, res) => {
   const db = getDb();
@@ -20,7 +68,7 @@ router.post('/', requireAdmin, (req, res) => {
     });
   }
 
-  const { gift_recommendation_id, event_id, approval_id } = req.body;
+  const { gift_recommendation_id, event_id, approval_id, address_id } = req.body;
 
   if (!gift_recommendation_id || !event_id || !approval_id) {
     return res.status(400).json({ error: 'gift_recommendation_id, event_id, and approval_id are required' });
@@ -37,34 +85,15 @@ router.post('/', requireAdmin, (req, res) => {
   const gift = db.prepare('SELECT * FROM gift_recommendations WHERE id = ?').get(gift_recommendation_id);
   if (!gift) return res.status(404).json({ error: 'Gift recommendation not found' });
 
-  const id = uuidv4();
-  const orderRef = `GS-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
-  const estimatedDelivery = gift.estimated_delivery;
-
-  db.prepare(`
-    INSERT INTO orders (id, gift_recommendation_id, event_id, approval_id, status, order_reference, estimated_delivery, ordered_at)
-    VALUES (?, ?, ?, ?, 'ordered', ?, ?, datetime('now'))
-  `).run(id, gift_recommendation_id, event_id, approval_id, orderRef, estimatedDelivery);
-
-  // Update gift status to purchased
-  db.prepare("UPDATE gift_recommendations SET status = 'purchased' WHERE id = ?").run(gift_recommendation_id);
-
-  logAudit('create_order', 'order', id, {
-    gift: gift.name,
-    price: gift.price,
-    retailer: gift.retailer,
-    order_reference: orderRef,
-  });
-
-  // Create tracking notification
-  const notifId = uuidv4();
-  db.prepare(`
-    INSERT INTO notifications (id, event_id, order_id, type, message)
-    VALUES (?, ?, ?, 'delivery_confirmed', ?)
-  `).run(notifId, event_id, id, `Order placed: ${gift.name} from ${gift.retailer}. Reference: ${orderRef}`);
+  if (address_id) {
+    const event = db.prepare('SELECT id, contact_id FROM events WHERE id = ?').get(event_id);
+    if (!event || !resolveEventAddress(db, event, address_id)) {
+      return res.status(400).json({ error: "address_id must be one of the recipients' addresses" });
+    }
+  }
 
-  const order = db.prepare('SELECT * FROM orders WHERE id = ?').get(id);
-  res.status(201).json(order);
+  const order = placeOrder(db, gift, event_id, approval_id, 'owner', address_id || null);
+  res.status(201).json(formatOrder(order));
 });
 
 // Get all orders
@@ -88,7 +117,7 @@ router.get('/', (req, res) => {
   query += ' ORDER BY o.created_at DESC';
 
   const orders = db.prepare(query).all(...params);
-  res.json(orders);
+  res.json(orders.map(formatOrder));
 });
 
 // Get single order
@@ -105,7 +134,7 @@ router.get('/:id', (req, res) => {
   `).get(req.params.id);
 
   if (!order) return res.status(404).json({ error: 'Order not found' });
-  res.json(order);
+  res.json(formatOrder(order));
 });
 
 // Update order status
@@ -134,6 +163,7 @@ router.put('/:id/status', (req, res) => {
       updated_at = datetime('now')
     WHERE id = ?
   `).run(status, tracking_url || null, issue_description || null, status, req.params.id);
+  if (status === 'cancelled') reopenIdeaForOrder(db, req.params.id);
 
   logAudit('update_status', 'order', req.params.id, {
     old_status: existing.status,
@@ -164,7 +194,67 @@ router.put('/:id/status', (req, res) => {
   }
 
   const updated = db.prepare('SELECT * FROM orders WHERE id = ?').get(req.params.id);
-  res.json(updated);
+  res.json(formatOrder(updated));
+});
+
+const REACTIONS = ['loved', 'neutral', 'returned'];
+
+// Record how a delivered gift was received: the recipient's reaction and
+// whether a thank-you has come in. Reactions are fed back into the contact's
+// preferences so future recommendations lean towards what they loved.
+router.put('/:id/reaction', (req, res) => {
+  const db = getDb();
+  const { reaction, reaction_notes, thank_you_received } = req.body;
+
+  if (reaction === undefined && thank_you_received === undefined) {
+    return res.status(400).json({ error: 'reaction or thank_you_received is required' });
+  }
+  if (reaction !== undefined && reaction !== null && !REACTIONS.includes(reaction)) {
+    return res.status(400).json({ error: `reaction must be one of: ${REACTIONS.join(', ')}` });
+  }
+  if (thank_you_received !== undefined && typeof thank_you_received !== 'boolean') {
+    return res.status(400).json({ error: 'thank_you_received must be true or false' });
+  }
+
+  const existing = db.prepare(`
+    SELECT o.*, e.contact_id FROM orders o JOIN events e ON o.event_id = e.id WHERE o.id = ?
+  `).get(req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Order not found' });
+  if (existing.status !== 'delivered') {
+    return res.status(400).json({ error: 'Reactions can only be recorded for delivered orders' });
+  }
+
+  const update = db.transaction(() => {
+    if (reaction !== undefined) {
+      db.prepare(`
+        UPDATE orders SET reaction = ?, reaction_notes = ?,
+          reacted_at = CASE WHEN ? IS NULL THEN NULL ELSE datetime('now') END,
+          updated_at = datetime('now')
+        WHERE id = ?
+      `).run(reaction, reaction ? (reaction_notes || null) : null, reaction, req.params.id);
+    }
+    if (thank_you_received !== undefined) {
+      db.prepare(`
+        UPDATE orders SET thank_you_received = ?,
+          thank_you_at = CASE WHEN ? = 1 THEN COALESCE(thank_you_at, datetime('now')) ELSE NULL END,
+          updated_at = datetime('now')
+        WHERE id = ?
+      `).run(thank_you_received ? 1 : 0, thank_you_received ? 1 : 0, req.params.id);
+    }
+    if (reaction !== undefined && reaction !== existing.reaction) {
+      applyReactionPreferences(db, existing.contact_id);
+    }
+
+    logAudit('record_reaction', 'order', req.params.id, {
+      ...(reaction !== undefined && { old_reaction: existing.reaction, reaction }),
+      ...(thank_you_received !== undefined && { thank_you_received }),
+    });
+  });
+  update();
+
+  const updated = db.prepare('SELECT * FROM orders WHERE id = ?').get(req.params.id);
+  res.json(formatOrder(updated));
 });
 
 module.exports = router;
+module.exports.placeOrder = placeOrder;
@@ -0,0 +1,111 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { getDb } = require('../database');
+const { logAudit } = require('../audit');
+const {
+  SEGMENT_FIELDS, validateSegmentRules, normalizeRules, parseTags, getSegment, segmentContacts,
+} = require('../segments');
+
+// Saved contact segments, scoped to the user like contacts
+
+const router = express.Router();
+
+const MAX_NAME_LENGTH = 60;
+
+// Load a segment the user can see, or { error, status }
+function requireSegment(db, id, userId) {
+  const segment = getSegment(db, id);
+  if (!segment || (segment.user_id && segment.user_id !== userId)) {
+    return { error: 'Segment not found', status: 404 };
+  }
+  return { segment };
+}
+
+// A segment's members, trimmed to what lists need
+function memberSummary(contacts) {
+  return contacts.map(c => ({ id: c.id, name: c.name, relationship: c.relationship, tags: parseTags(c.tags) }));
+}
+
+// A segment with how many contacts are in it now
+function describeSegment(db, segment, userId) {
+  return { ...segment, contact_count: segmentContacts(db, segment, userId).length };
+}
+
+// List the user's segments, plus the fields and operators rules can use
+router.get('/', (req, res) => {
+  const db = getDb();
+  const segments = db.prepare('SELECT id FROM segments WHERE user_id = ? OR user_id IS NULL ORDER BY name')
+    .all(req.user.id).map(s => describeSegment(db, getSegment(db, s.id), req.user.id));
+  res.json({ segments, fields: SEGMENT_FIELDS });
+});
+
+// The contacts unsaved rules would match, for previewing a segment as it is built
+router.post('/preview', (req, res) => {
+  const db = getDb();
+  const { rules, match = 'all' } = req.body;
+  const error = validateSegmentRules(rules, match);
+  if (error) return res.status(400).json({ error });
+
+  res.json({ contacts: memberSummary(segmentContacts(db, { rules: normalizeRules(rules), match }, req.user.id)) });
+});
+
+router.get('/:id/contacts', (req, res) => {
+  const db = getDb();
+  const { segment, error, status } = requireSegment(db, req.params.id, req.user.id);
+  if (error) return res.status(status).json({ error });
+
+  res.json({ segment, contacts: memberSummary(segmentContacts(db, segment, req.user.id)) });
+});
+
+router.post('/', (req, res) => {
+  const db = getDb();
+  const { name, rules, match = 'all' } = req.body;
+  if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+    return res.status(400).json({ error: `name is required (up to ${MAX_NAME_LENGTH} characters)` });
+  }
+  const error = validateSegmentRules(rules, match);
+  if (error) return res.status(400).json({ error });
+
+  const id = uuidv4();
+  db.prepare('INSERT INTO segments (id, name, rules, match, user_id) VALUES (?, ?, ?, ?, ?)')
+    .run(id, name.trim(), JSON.stringify(normalizeRules(rules)), match, req.user.id);
+  logAudit('create', 'segment', id, { name, rules, match });
+
+  res.status(201).json(describeSegment(db, getSegment(db, id), req.user.id));
+});
+
+router.put('/:id', (req, res) => {
+  const db = getDb();
+  const { segment, error: notFound, status } = requireSegment(db, req.params.id, req.user.id);
+  if (notFound) return res.status(status).json({ error: notFound });
+
+  const { name, rules = segment.rules, match = segment.match } = req.body;
+  if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH)) {
+    return res.status(400).json({ error: `name is required (up to ${MAX_NAME_LENGTH} characters)` });
+  }
+  const error = validateSegmentRules(rules, match);
+  if (error) return res.status(400).json({ error });
+
+  db.prepare(`
+    UPDATE segments SET name = COALESCE(?, name), rules = ?, match = ?, updated_at = datetime('now') WHERE id = ?
+  `).run(name ? name.trim() : null, JSON.stringify(normalizeRules(rules)), match, segment.id);
+  logAudit('update', 'segment', segment.id, { changes: req.body });
+
+  res.json(describeSegment(db, getSegment(db, segment.id), req.user.id));
+});
+
+// Delete a segment along with the autonomy rules written for it
+router.delete('/:id', (req, res) => {
+  const db = getDb();
+  const { segment, error, status } = requireSegment(db, req.params.id, req.user.id);
+  if (error) return res.status(status).json({ error });
+
+  const autonomyRules = db.prepare('SELECT COUNT(*) as count FROM autonomy_settings WHERE segment_id = ?').get(segment.id).count;
+  db.prepare('DELETE FROM segments WHERE id = ?').run(segment.id);
+  logAudit('delete', 'segment', segment.id, { name: segment.name, autonomy_rules_removed: autonomyRules });
+
+  res.json({ message: 'Segment deleted', autonomy_rules_removed: autonomyRules });
+});
+
+module.exports = router;
+module.exports.requireSegment = requireSegment;
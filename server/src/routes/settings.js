@@ -3,6 +3,10 @@ const { v4: uuidv4 } = require('uuid');
 const { getDb } = require('../database');
 const { logAudit } = require('../audit');
 const { requireAdmin } = require('../middleware');
+const { parseMilestones } = require('../jobs/reminders');
+const { AUTONOMY_LEVELS } = require('../autonomy');
+const { HOLIDAY_REGIONS } = require('../holidays');
+const { SCORING_WEIGHTS, defaultWeights, validateWeights, getScoringWeights } = require('../scoring');
 
 const router = express.Router();
 
@@ -11,8 +15,25 @@ const ALLOWED_SETTINGS_KEYS = [
   'emergency_stop',
   'default_lead_time_days',
   'autonomy_global_level',
+  'reminder_milestones',
+  'holiday_region',
+  'milestone_budget_multiplier',
 ];
 
+// Per-key value validation; keys without an entry accept any value
+const SETTING_VALIDATORS = {
+  default_lead_time_days: (value) => /^\d+$/.test(String(value)) && parseInt(value, 10) >= 1 && parseInt(value, 10) <= 365
+    ? null : 'default_lead_time_days must be a whole number between 1 and 365',
+  autonomy_global_level: (value) => AUTONOMY_LEVELS.includes(value)
+    ? null : `autonomy_global_level must be one of: ${AUTONOMY_LEVELS.join(', ')}`,
+  reminder_milestones: (value) => parseMilestones(value)
+    ? null : "reminder_milestones must be a comma-separated list of day counts or 'lead' (e.g. lead,7,2)",
+  holiday_region: (value) => HOLIDAY_REGIONS.includes(value)
+    ? null : `holiday_region must be one of: ${HOLIDAY_REGIONS.join(', ')}`,
+  milestone_budget_multiplier: (value) => /^\d+(\.\d+)?$/.test(String(value)) && Number(value) >= 1 && Number(value) <= 5
+    ? null : 'milestone_budget_multiplier must be a number between 1 and 5',
+};
+
 // Get all global settings
 router.get('/', (req, res) => {
   const db = getDb();
@@ -22,6 +43,28 @@ router.get('/', (req, res) => {
   res.json(result);
 });
 
+// The signed-in user's gift scoring weights, with each weight's default and range
+router.get('/scoring', (req, res) => {
+  res.json({ weights: getScoringWeights(getDb(), req.user.id), fields: SCORING_WEIGHTS });
+});
+
+// Save the user's scoring weights. Weights left out keep their defaults, so an
+// empty object resets them all.
+router.put('/scoring', (req, res) => {
+  const db = getDb();
+  const { weights } = req.body;
+  const error = validateWeights(weights);
+  if (error) return res.status(400).json({ error });
+
+  const defaults = defaultWeights();
+  const changed = Object.fromEntries(Object.entries(weights).filter(([key, value]) => value !== defaults[key]));
+  db.prepare("UPDATE users SET scoring_weights = ?, updated_at = datetime('now') WHERE id = ?")
+    .run(Object.keys(changed).length > 0 ? JSON.stringify(changed) : null, req.user.id);
+  logAudit('update_scoring_weights', 'user', req.user.id, { weights: changed });
+
+  res.json({ weights: getScoringWeights(db, req.user.id), fields: SCORING_WEIGHTS });
+});
+
 // Update a global setting (admin only, key must be in allowlist)
 router.put('/:key', requireAdmin, (req, res) => {
   const db = getDb();
@@ -33,6 +76,10 @@ router.put('/:key', requireAdmin, (req, res) => {
 
   if (value === undefined) return res.status(400).json({ error: 'Value is required' });
 
+  const validate = SETTING_VALIDATORS[req.params.key];
+  const validationError = validate && validate(value);
+  if (validationError) return res.status(400).json({ error: validationError });
+
   db.prepare(`
     INSERT INTO global_settings (key, value, updated_at) VALUES (?, ?, datetime('now'))
     ON CONFLICT(key) DO UPDATE SET value = ?, updated_at = datetime('now')
@@ -92,9 +139,10 @@ router.post('/emergency-stop', requireAdmin, (req, res) => {
 router.get('/autonomy', (req, res) => {
   const db = getDb();
   const settings = db.prepare(`
-    SELECT a.*, c.name as contact_name
+    SELECT a.*, c.name as contact_name, s.name as segment_name
     FROM autonomy_settings a
     LEFT JOIN contacts c ON a.contact_id = c.id
+    LEFT JOIN segments s ON a.segment_id = s.id
     ORDER BY a.created_at DESC
   `).all();
   res.json(settings);
@@ -102,21 +150,28 @@ router.get('/autonomy', (req, res) => {
 
 router.post('/autonomy', requireAdmin, (req, res) => {
   const db = getDb();
-  const { contact_id, event_type, level, max_budget } = req.body;
+  const { contact_id, segment_id, event_type, level, max_budget } = req.body;
 
-  if (!level || !['manual', 'auto_recommend', 'auto_purchase'].includes(level)) {
+  if (!level || !AUTONOMY_LEVELS.includes(level)) {
     return res.status(400).json({ error: 'Valid level is required' });
   }
+  // A rule covers one contact, one segment, or everyone
+  if (contact_id && segment_id) {
+    return res.status(400).json({ error: 'Set either contact_id or segment_id, not both' });
+  }
+  if (segment_id && !db.prepare('SELECT 1 FROM segments WHERE id = ?').get(segment_id)) {
+    return res.status(404).json({ error: 'Segment not found' });
+  }
 
   const id = uuidv4();
   db.prepare(`
-    INSERT INTO autonomy_settings (id, contact_id, event_type, level, max_budget)
-    VALUES (?, ?, ?, ?, ?)
-  `).run(id, contact_id || null, event_type || null, level, max_budget || null);
+    INSERT INTO autonomy_settings (id, contact_id, segment_id, event_type, level, max_budget)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(id, contact_id || null, segment_id || null, event_type || null, level, max_budget || null);
 
-  logAudit('set_autonomy', 'autonomy_settings', id, { contact_id, event_type, level, max_budget });
+  logAudit('set_autonomy', 'autonomy_settings', id, { contact_id, segment_id, event_type, level, max_budget });
 
-  res.status(201).json({ id, contact_id, event_type, level, max_budget });
+  res.status(201).json({ id, contact_id, segment_id, event_type, level, max_budget });
 });
 
 router.put('/autonomy/:id', requireAdmin, (req, res) => {
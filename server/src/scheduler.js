@@ -0,0 +1,67 @@
+const { DAY_MS } = require('./dates');
+const { markMissedEvents } = require('./jobs/missed');
+const { rollRecurringEvents } = require('./jobs/recurring');
+const { sendEventReminders } = require('./jobs/reminders');
+const { runAutonomy } = require('./jobs/autonomy');
+
+// Background jobs, run in order on every tick. Each job receives the tick time
+// and returns a small summary object that is logged to the console.
+// Missed detection runs before the roll-over so a lapsed occurrence is flagged
+// (and kept as history) before next year's occurrence is created. Reminders and
+// the autonomy engine run last so freshly rolled occurrences are included.
+const JOBS = [
+  { name: 'missed_events', run: markMissedEvents },
+  { name: 'recurring_events', run: rollRecurringEvents },
+  { name: 'event_reminders', run: sendEventReminders },
+  { name: 'autonomy', run: runAutonomy },
+];
+
+let timer = null;
+let startupTimer = null;
+let running = false;
+
+async function runJobs(now = new Date()) {
+  // Skip overlapping ticks (e.g. a slow job still running when the next one fires)
+  if (running) return [];
+  running = true;
+
+  const results = [];
+  try {
+    for (const job of JOBS) {
+      try {
+        const summary = await job.run(now);
+        results.push({ job: job.name, ok: true, summary });
+        console.log(`[scheduler] ${job.name}:`, JSON.stringify(summary));
+      } catch (err) {
+        // One failing job must not prevent the rest from running
+        results.push({ job: job.name, ok: false, error: err.message });
+        console.error(`[scheduler] ${job.name} failed:`, err);
+      }
+    }
+  } finally {
+    running = false;
+  }
+  return results;
+}
+
+// Start the daily tick. Jobs also run once shortly after startup so a server
+// that restarts more often than once a day still processes every day.
+function startScheduler({ intervalMs = DAY_MS, initialDelayMs = 5000 } = {}) {
+  if (timer) return;
+
+  startupTimer = setTimeout(() => { runJobs(); }, initialDelayMs);
+  startupTimer.unref();
+
+  timer = setInterval(() => { runJobs(); }, intervalMs);
+  timer.unref();
+}
+
+function stopScheduler() {
+  if (!timer) return;
+  clearTimeout(startupTimer);
+  clearInterval(timer);
+  startupTimer = null;
+  timer = null;
+}
+
+module.exports = { runJobs, startScheduler, stopScheduler, JOBS };
@@ -0,0 +1,172 @@
+const { historyPenalty, findSimilarGift } = require('./history');
+
+// Gift recommendation scoring. Each factor adds or takes away points, and the
+// weights can be tuned per user (stored on users.scoring_weights). Scores
+// come with a breakdown of every factor that applied, so the app can show
+// why a gift was suggested.
+
+// Weights with their defaults and allowed ranges. `history` scales the
+// repeat-gift penalty from history.js rather than adding points of its own.
+const SCORING_WEIGHTS = {
+  base: { label: 'Starting score', default: 50, min: 0, max: 100 },
+  interest: { label: 'Per matching interest', default: 20, min: 0, max: 50 },
+  favorite_retailer: { label: 'Favorite retailer', default: 10, min: 0, max: 50 },
+  liked_tag: { label: 'Per tag from a loved gift (up to two)', default: 10, min: 0, max: 50 },
+  disliked_tag: { label: 'Per tag from a returned gift', default: 20, min: 0, max: 50 },
+  milestone_tag: { label: 'Per tag suiting a milestone (up to two)', default: 10, min: 0, max: 50 },
+  price_fit: { label: 'Price 40-80% of the budget', default: 15, min: 0, max: 50 },
+  history: { label: 'Repeat-gift penalty multiplier', default: 1, min: 0, max: 3 },
+  diversity: { label: 'Per overlap with a gift ranked higher', default: 10, min: 0, max: 50 },
+};
+
+// Prices within this fraction of each other count as the same price point
+const PRICE_POINT_SPREAD = 0.15;
+
+function defaultWeights() {
+  return Object.fromEntries(Object.entries(SCORING_WEIGHTS).map(([key, w]) => [key, w.default]));
+}
+
+// Validate a partial set of weights. Returns an error message or null.
+function validateWeights(weights) {
+  if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+    return 'weights must be an object';
+  }
+  for (const [key, value] of Object.entries(weights)) {
+    const weight = SCORING_WEIGHTS[key];
+    if (!weight) return `Unknown weight "${key}". Weights are: ${Object.keys(SCORING_WEIGHTS).join(', ')}`;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < weight.min || value > weight.max) {
+      return `${key} must be a number between ${weight.min} and ${weight.max}`;
+    }
+  }
+  return null;
+}
+
+// The weights a user scores with: their saved ones over the defaults.
+// Without a user (or with unreadable saved weights) the defaults apply.
+function getScoringWeights(db, userId) {
+  const row = userId ? db.prepare('SELECT scoring_weights FROM users WHERE id = ?').get(userId) : null;
+  let saved = {};
+  try {
+    saved = JSON.parse((row && row.scoring_weights) || '{}');
+  } catch {}
+  return { ...defaultWeights(), ...(validateWeights(saved) ? {} : saved) };
+}
+
+// Score a product against the event. `context` holds the pooled preferences,
+// the budget, any milestone, the history signals and the weights. Returns
+// { score, breakdown, similar }; breakdown lists each factor that applied as
+// { factor, label, points, ... } with what matched.
+function scoreGift(product, { preferences, budget, milestone, signals, weights }) {
+  const breakdown = [{ factor: 'base', label: SCORING_WEIGHTS.base.label, points: weights.base }];
+  const add = (factor, points, details) => {
+    if (points !== 0) breakdown.push({ factor, label: SCORING_WEIGHTS[factor].label, points, ...details });
+  };
+  const matching = list => (Array.isArray(list) ? product.tags.filter(t => list.includes(t)) : []);
+
+  const interests = matching(preferences.interests);
+  add('interest', interests.length * weights.interest, { matches: interests });
+
+  if (preferences.favorite_retailers && preferences.favorite_retailers.includes(product.retailer)) {
+    add('favorite_retailer', weights.favorite_retailer, { retailer: product.retailer });
+  }
+
+  // Recipient reactions to past gifts (see history.js reactionPreferences)
+  const liked = matching(preferences.liked_tags);
+  add('liked_tag', Math.min(liked.length, 2) * weights.liked_tag, { matches: liked });
+  const disliked = matching(preferences.disliked_tags);
+  add('disliked_tag', -disliked.length * weights.disliked_tag, { matches: disliked });
+
+  // Milestones lean towards gifts that suit the occasion
+  if (milestone) {
+    const fits = matching(milestone.tags);
+    add('milestone_tag', Math.min(fits.length, 2) * weights.milestone_tag, { matches: fits, milestone: milestone.label });
+  }
+
+  // Prefer mid-range prices (not too cheap, not maxing budget). Always listed,
+  // so the breakdown shows where the price sits even when it earns nothing.
+  const ratio = budget > 0 ? product.price / budget : 1;
+  breakdown.push({
+    factor: 'price_fit',
+    label: SCORING_WEIGHTS.price_fit.label,
+    points: ratio >= 0.4 && ratio <= 0.8 ? weights.price_fit : 0,
+    ratio: Math.round(ratio * 100) / 100,
+  });
+
+  // Vary from recent gifts and lean towards what went down well
+  const similar = findSimilarGift(product, signals);
+  const penalty = Math.round(historyPenalty(product, signals) * weights.history * 10) / 10;
+  add('history', -penalty, similar
+    ? { similar_to: similar.gift.name, year: Number(similar.event_date.slice(0, 4)) }
+    : {});
+
+  const score = breakdown.reduce((sum, f) => sum + f.points, 0);
+  return { score, breakdown, similar };
+}
+
+// What two gifts have in common: shared tags, the same retailer and the same
+// price point. `count` adds them up, one per shared tag.
+function giftOverlap(a, b) {
+  const tags = a.tags.filter(t => b.tags.includes(t));
+  const retailer = a.retailer === b.retailer;
+  const price = Math.abs(a.price - b.price) <= PRICE_POINT_SPREAD * Math.max(a.price, b.price);
+  return { tags, retailer, price, count: tags.length + (retailer ? 1 : 0) + (price ? 1 : 0) };
+}
+
+// Describe an overlap for a breakdown entry
+function overlapDetails(other, overlap) {
+  return {
+    like: other.name,
+    shared_tags: overlap.tags,
+    same_retailer: overlap.retailer,
+    same_price_point: overlap.price,
+  };
+}
+
+// Pick up to `limit` gifts from `scored`, trading relevance against variety.
+// Gifts are taken one at a time; each candidate loses `weight` points per
+// overlap with the most similar gift already taken (or in `taken`, gifts the
+// event already has), and the best adjusted score goes next. The penalty is
+// added to the gift's score and breakdown.
+function diversify(scored, limit, weight, taken = []) {
+  const picked = [];
+  const remaining = [...scored];
+  while (picked.length < limit && remaining.length > 0) {
+    let best = null;
+    for (const [index, gift] of remaining.entries()) {
+      let closest = null;
+      for (const other of [...taken, ...picked]) {
+        const overlap = giftOverlap(gift, other);
+        if (!closest || overlap.count > closest.overlap.count) closest = { other, overlap };
+      }
+      const penalty = closest ? closest.overlap.count * weight : 0;
+      if (!best || gift.score - penalty > best.adjusted) best = { index, gift, closest, penalty, adjusted: gift.score - penalty };
+    }
+    remaining.splice(best.index, 1);
+    if (best.penalty === 0) {
+      picked.push(best.gift);
+    } else {
+      picked.push({
+        ...best.gift,
+        score: best.adjusted,
+        breakdown: [...best.gift.breakdown, {
+          factor: 'diversity',
+          label: SCORING_WEIGHTS.diversity.label,
+          points: -best.penalty,
+          ...overlapDetails(best.closest.other, best.closest.overlap),
+        }],
+      });
+    }
+  }
+  return picked;
+}
+
+module.exports = {
+  SCORING_WEIGHTS,
+  defaultWeights,
+  validateWeights,
+  getScoringWeights,
+  scoreGift,
+  giftOverlap,
+  overlapDetails,
+  diversify,
+};
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { getDb } = require('./database');
+
+// Integration credentials entered in the app, stored in integration_secrets as
+// an AES-256-GCM encrypted JSON object keyed by env var name. The key comes from
+// SECRETS_ENCRYPTION_KEY: a 64-character hex string is used as-is, anything else
+// is hashed to 32 bytes.
+
+const ALGORITHM = 'aes-256-gcm';
+
+function encryptionKey() {
+  const raw = process.env.SECRETS_ENCRYPTION_KEY;
+  if (!raw) return null;
+  if (/^[0-9a-f]{64}$/i.test(raw)) return Buffer.from(raw, 'hex');
+  return crypto.createHash('sha256').update(raw).digest();
+}
+
+function isEncryptionConfigured() {
+  return !!encryptionKey();
+}
+
+function encrypt(plaintext) {
+  const key = encryptionKey();
+  if (!key) throw new Error('SECRETS_ENCRYPTION_KEY is not set');
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const credentials = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return {
+    credentials: credentials.toString('base64'),
+    iv: iv.toString('base64'),
+    auth_tag: cipher.getAuthTag().toString('base64'),
+  };
+}
+
+function decrypt(row) {
+  const key = encryptionKey();
+  if (!key) throw new Error('SECRETS_ENCRYPTION_KEY is not set');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(row.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(row.auth_tag, 'base64'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(row.credentials, 'base64')),
+    decipher.final(),
+  ]).toString('utf8');
+}
+
+// Row updated_at of the last undecryptable credentials warned about, by provider
+const warnedUnreadable = new Map();
+
+// Read a provider's stored credentials as { credentials, unreadable }. A missing
+// or wrong key gives no credentials and unreadable: true, and is logged once
+// per stored row rather than on every lookup.
+function readStoredCredentials(provider) {
+  const row = getDb().prepare('SELECT * FROM integration_secrets WHERE provider = ?').get(provider);
+  if (!row) return { credentials: {}, unreadable: false };
+  try {
+    return { credentials: JSON.parse(decrypt(row)), unreadable: false };
+  } catch (err) {
+    if (warnedUnreadable.get(provider) !== row.updated_at) {
+      warnedUnreadable.set(provider, row.updated_at);
+      console.warn(`[secrets] Could not decrypt stored credentials for ${provider}: ${err.message}`);
+    }
+    return { credentials: {}, unreadable: true };
+  }
+}
+
+// Decrypted credentials for a provider, or {} when none are stored or they
+// can't be decrypted, so env vars still work
+function getStoredCredentials(provider) {
+  return readStoredCredentials(provider).credentials;
+}
+
+function getSecretRecord(provider) {
+  return getDb().prepare(`
+    SELECT provider, status, last_verified_at, created_at, updated_at
+    FROM integration_secrets WHERE provider = ?
+  `).get(provider) || null;
+}
+
+// Whether the provider has stored credentials the current key can't decrypt
+// (e.g. after SECRETS_ENCRYPTION_KEY was changed)
+function hasUnreadableCredentials(provider) {
+  return readStoredCredentials(provider).unreadable;
+}
+
+// Merge `values` into the provider's stored credentials. Empty values remove
+// that variable; the row is deleted once nothing is left. Refuses to save over
+// credentials that can't be decrypted, which would silently drop the rest.
+function saveCredentials(provider, values) {
+  const db = getDb();
+  const stored = readStoredCredentials(provider);
+  if (stored.unreadable) {
+    throw new Error(`Stored credentials for ${provider} cannot be decrypted with the current SECRETS_ENCRYPTION_KEY`);
+  }
+  const merged = { ...stored.credentials };
+  for (const [name, value] of Object.entries(values)) {
+    if (value === null || value === '') delete merged[name];
+    else merged[name] = value;
+  }
+
+  if (Object.keys(merged).length === 0) {
+    deleteCredentials(provider);
+    return merged;
+  }
+
+  const encrypted = encrypt(JSON.stringify(merged));
+  db.prepare(`
+    INSERT INTO integration_secrets (id, provider, credentials, iv, auth_tag)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(provider) DO UPDATE SET
+      credentials = excluded.credentials, iv = excluded.iv, auth_tag = excluded.auth_tag,
+      status = 'configured', updated_at = datetime('now')
+  `).run(uuidv4(), provider, encrypted.credentials, encrypted.iv, encrypted.auth_tag);
+  return merged;
+}
+
+function deleteCredentials(provider) {
+  return getDb().prepare('DELETE FROM integration_secrets WHERE provider = ?').run(provider).changes > 0;
+}
+
+// Resolve one credential: a value stored in the app wins over the env var
+function getCredential(provider, name) {
+  return getStoredCredentials(provider)[name] || process.env[name] || undefined;
+}
+
+module.exports = {
+  isEncryptionConfigured,
+  getStoredCredentials,
+  getSecretRecord,
+  hasUnreadableCredentials,
+  saveCredentials,
+  deleteCredentials,
+  getCredential,
+};
@@ -0,0 +1,137 @@
+// Contact tags and saved segments. Tags are free-form labels stored on the
+// contact as a JSON array, normalised to lowercase-with-dashes
+// ("Close Friends" -> "close-friends"). A segment is a saved set of rules,
+// matched all-of or any-of, such as "relationship is coworker", "tag has
+// close-friends" or "birthday is missing". Membership is evaluated when used,
+// so it follows contact edits. Segments filter the contacts and events lists,
+// carry autonomy rules (see autonomy.js), apply budget overrides to each member
+// and drive card campaigns (see routes/cards.js).
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+const MAX_RULES = 10;
+
+// Operators by field. Presence fields check whether the contact has one on file.
+const PRESENCE_OPS = ['present', 'missing'];
+const SEGMENT_FIELDS = {
+  relationship: ['is', 'is_not'],
+  tag: ['has', 'lacks'],
+  birthday: PRESENCE_OPS,
+  anniversary: PRESENCE_OPS,
+  email: PRESENCE_OPS,
+  phone: PRESENCE_OPS,
+  address: PRESENCE_OPS,
+  household: PRESENCE_OPS,
+};
+
+const SEGMENT_MATCHES = ['all', 'any'];
+
+function normalizeTag(tag) {
+  return String(tag).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Normalise a tag list. Returns { tags } or { error }.
+function validateTags(tags) {
+  if (!Array.isArray(tags)) return { error: 'tags must be an array of strings' };
+  if (tags.some(t => typeof t !== 'string')) return { error: 'tags must be an array of strings' };
+  const normalized = [...new Set(tags.map(normalizeTag).filter(Boolean))];
+  if (normalized.length > MAX_TAGS) return { error: `A contact can have up to ${MAX_TAGS} tags` };
+  if (normalized.some(t => t.length > MAX_TAG_LENGTH)) return { error: `Tags can be up to ${MAX_TAG_LENGTH} characters` };
+  return { tags: normalized };
+}
+
+function parseTags(value) {
+  try {
+    const tags = JSON.parse(value || '[]');
+    return Array.isArray(tags) ? tags : [];
+  } catch {
+    return [];
+  }
+}
+
+// Check a segment's rules and match mode. Returns an error message or null.
+function validateSegmentRules(rules, match = 'all') {
+  if (!SEGMENT_MATCHES.includes(match)) return `match must be one of: ${SEGMENT_MATCHES.join(', ')}`;
+  if (!Array.isArray(rules) || rules.length === 0) return 'rules must be a non-empty array';
+  if (rules.length > MAX_RULES) return `A segment can have up to ${MAX_RULES} rules`;
+
+  for (const rule of rules) {
+    const ops = rule && SEGMENT_FIELDS[rule.field];
+    if (!ops) return `Rule field must be one of: ${Object.keys(SEGMENT_FIELDS).join(', ')}`;
+    if (!ops.includes(rule.op)) return `${rule.field} rules use: ${ops.join(', ')}`;
+    if (ops !== PRESENCE_OPS && (typeof rule.value !== 'string' || !rule.value.trim())) {
+      return `${rule.field} rules need a value`;
+    }
+  }
+  return null;
+}
+
+// Keep only the parts of each rule that matter, with tags normalised
+function normalizeRules(rules) {
+  return rules.map(({ field, op, value }) => {
+    if (SEGMENT_FIELDS[field] === PRESENCE_OPS) return { field, op };
+    return { field, op, value: field === 'tag' ? normalizeTag(value) : value.trim() };
+  });
+}
+
+function ruleMatches(rule, contact) {
+  switch (rule.field) {
+    case 'relationship': {
+      const same = (contact.relationship || '').toLowerCase() === rule.value.toLowerCase();
+      return rule.op === 'is' ? same : !same;
+    }
+    case 'tag': {
+      const has = parseTags(contact.tags).includes(rule.value);
+      return rule.op === 'has' ? has : !has;
+    }
+    case 'address':
+      return (rule.op === 'present') === !!contact.has_address;
+    case 'household':
+      return (rule.op === 'present') === !!contact.household_id;
+    default:
+      return (rule.op === 'present') === !!contact[rule.field];
+  }
+}
+
+// Whether a contact row (selected with has_address, see CONTACT_SEGMENT_COLUMNS)
+// belongs to the segment
+function contactMatches(contact, segment) {
+  const results = segment.rules.map(rule => ruleMatches(rule, contact));
+  return segment.match === 'any' ? results.some(Boolean) : results.every(Boolean);
+}
+
+// Columns segment rules read, for queries over contacts aliased `c`
+const CONTACT_SEGMENT_COLUMNS = `c.*,
+  EXISTS (SELECT 1 FROM contact_addresses a WHERE a.contact_id = c.id) as has_address`;
+
+function getSegment(db, id) {
+  const segment = db.prepare('SELECT * FROM segments WHERE id = ?').get(id);
+  return segment ? { ...segment, rules: JSON.parse(segment.rules || '[]') } : null;
+}
+
+// The user's contacts in a segment, by name
+function segmentContacts(db, segment, userId) {
+  return db.prepare(`
+    SELECT ${CONTACT_SEGMENT_COLUMNS} FROM contacts c
+    WHERE c.user_id = ? OR c.user_id IS NULL ORDER BY c.name
+  `).all(userId).filter(c => contactMatches(c, segment));
+}
+
+function segmentIncludes(db, segment, contactId) {
+  const contact = db.prepare(`SELECT ${CONTACT_SEGMENT_COLUMNS} FROM contacts c WHERE c.id = ?`).get(contactId);
+  return !!contact && contactMatches(contact, segment);
+}
+
+module.exports = {
+  SEGMENT_FIELDS,
+  SEGMENT_MATCHES,
+  normalizeTag,
+  validateTags,
+  parseTags,
+  validateSegmentRules,
+  normalizeRules,
+  contactMatches,
+  getSegment,
+  segmentContacts,
+  segmentIncludes,
+};